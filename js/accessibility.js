@@ -0,0 +1,244 @@
+import * as THREE from 'three';
+import { toggleCrossSection, getCrossSectionState, onCrossSectionChange } from './crossSection.js';
+import { onComponentVisibilityChange } from './controls.js';
+import { focusComponent, selectComponent, getSelectedComponent, onComponentSelected, areNamesShown, placePopoverNear } from './picking.js';
+import { formatLength } from './units.js';
+import { t, getLocale, onLocaleChange, getFossilName, getComponentDescriptions } from './i18n.js';
+
+// Keyboard and screen-reader access to the 3D viewer
+// The canvas takes focus like any control: arrow keys orbit (Shift for small steps), +/- zoom,
+// R resets the view, L toggles labels, C toggles the cross section, N / Shift+N step through the
+// visible components, Enter selects the focused one, Escape clears it and D reads out the view.
+// Results are spoken through a live region, and a text description of the current view is
+// linked to the canvas with aria-describedby so it is read whenever the viewer gets focus.
+
+const ROTATE_STEP = Math.PI / 12;
+const FINE_ROTATE_STEP = Math.PI / 60;
+const ZOOM_FACTOR = 0.8;
+
+// Keep the camera just off the poles, where the orbit direction is undefined
+const POLE_MARGIN = 0.01;
+
+// Elevation (degrees) above which the view counts as from above, and as from directly above
+const ELEVATED_VIEW = 25;
+const VERTICAL_VIEW = 65;
+
+const SIDES = ['front', 'right', 'back', 'left'];
+
+let camera, controls, domElement;
+let onResetView = null;
+let onToggleLabels = null;
+let getLabelsVisible = null;
+let currentModel = null;
+let currentDescriptor = null;
+let focused = null;
+const spherical = new THREE.Spherical();
+
+export function initAccessibility(cameraRef, controlsRef, rendererRef, resetView, toggleLabels, labelsVisible) {
+    camera = cameraRef;
+    controls = controlsRef;
+    domElement = rendererRef.domElement;
+    onResetView = resetView;
+    onToggleLabels = toggleLabels;
+    getLabelsVisible = labelsVisible;
+
+    domElement.tabIndex = 0;
+    domElement.setAttribute('role', 'application');
+    domElement.setAttribute('aria-label', t('a11y.viewer'));
+    domElement.setAttribute('aria-describedby', 'view-description viewer-keys');
+    domElement.addEventListener('keydown', onKeyDown);
+    domElement.addEventListener('focus', updateViewDescription);
+
+    controls.addEventListener('end', updateViewDescription);
+    onComponentVisibilityChange(updateViewDescription);
+    onCrossSectionChange(updateViewDescription);
+    onComponentSelected(updateViewDescription);
+    onLocaleChange(() => {
+        domElement.setAttribute('aria-label', t('a11y.viewer'));
+        updateViewDescription();
+    });
+}
+
+// Describe a newly loaded model
+export function attachAccessibility(model, descriptor) {
+    currentModel = model;
+    currentDescriptor = descriptor;
+    focused = null;
+    updateViewDescription();
+}
+
+// Refresh the text alternative of the canvas
+export function updateViewDescription() {
+    document.getElementById('view-description').textContent = describeView();
+}
+
+// Text alternative of the current view: direction, field of view, components, cross section and labels
+export function describeView() {
+    if (!currentModel) return t('a11y.noFossil');
+
+    const components = currentModel.userData.components || [];
+    const visible = components.filter(component => component.visible !== false);
+    const hidden = components.filter(component => component.visible === false);
+    const parts = [describeDirection(), describeFieldOfView()];
+
+    if (!areNamesShown()) {
+        parts.push(t('a11y.visibleCount', { count: visible.length }));
+    } else {
+        parts.push(visible.length > 0 ? t('a11y.visible', { list: formatList(visible) }) : t('a11y.noComponents'));
+        if (hidden.length > 0) parts.push(t('a11y.hidden', { list: formatList(hidden) }));
+
+        const selected = getSelectedComponent();
+        if (selected) parts.push(t('a11y.selected', { name: getName(selected) }));
+    }
+
+    const section = getCrossSectionState();
+    if (section.enabled) parts.push(t('a11y.section', { orientation: t(`section.${section.orientation}`) }));
+    parts.push(t(getLabelsVisible() ? 'a11y.labelsShown' : 'a11y.labelsHidden'));
+
+    return parts.join(' ');
+}
+
+function onKeyDown(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+
+    const step = event.shiftKey ? FINE_ROTATE_STEP : ROTATE_STEP;
+    switch (event.key) {
+        // The model turns the way the arrow points, as when dragging
+        case 'ArrowLeft': rotate(step, 0); break;
+        case 'ArrowRight': rotate(-step, 0); break;
+        case 'ArrowUp': rotate(0, step); break;
+        case 'ArrowDown': rotate(0, -step); break;
+        case '+':
+        case '=': zoom(ZOOM_FACTOR); break;
+        case '-':
+        case '_': zoom(1 / ZOOM_FACTOR); break;
+        case 'r':
+        case 'R':
+            onResetView();
+            announce(`${t('a11y.reset')} ${describeDirection()}`);
+            break;
+        case 'l':
+        case 'L':
+            onToggleLabels();
+            announce(t(getLabelsVisible() ? 'a11y.labelsShown' : 'a11y.labelsHidden'));
+            break;
+        case 'c':
+        case 'C':
+            toggleCrossSection();
+            announce(t(getCrossSectionState().enabled ? 'a11y.sectionOn' : 'a11y.sectionOff'));
+            break;
+        case 'n':
+        case 'N': moveFocus(event.shiftKey ? -1 : 1); break;
+        case 'Enter':
+        case ' ': selectFocused(); break;
+        case 'Escape': clearFocus(); break;
+        case 'd':
+        case 'D': announce(describeView()); break;
+        default: return;
+    }
+
+    event.preventDefault();
+    updateViewDescription();
+}
+
+// Orbit around the target by the given azimuth and polar angles
+function rotate(azimuth, polar) {
+    const offset = camera.position.clone().sub(controls.target);
+    spherical.setFromVector3(offset);
+    spherical.theta += azimuth;
+    spherical.phi = THREE.MathUtils.clamp(spherical.phi + polar, POLE_MARGIN, Math.PI - POLE_MARGIN);
+
+    camera.position.copy(controls.target).add(offset.setFromSpherical(spherical));
+    camera.lookAt(controls.target);
+    controls.update();
+    announce(describeDirection());
+}
+
+// Move the camera towards (factor < 1) or away from the target
+function zoom(factor) {
+    const offset = camera.position.clone().sub(controls.target);
+    const distance = THREE.MathUtils.clamp(offset.length() * factor, controls.minDistance, controls.maxDistance);
+
+    camera.position.copy(controls.target).add(offset.setLength(distance));
+    controls.update();
+    announce(describeFieldOfView());
+}
+
+// Focus the next (1) or previous (-1) visible component and announce it
+function moveFocus(direction) {
+    const components = currentModel ? (currentModel.userData.components || []).filter(component => component.visible !== false) : [];
+    if (components.length === 0) {
+        announce(t('a11y.noComponents'));
+        return;
+    }
+
+    const index = components.indexOf(focused);
+    const next = index < 0
+        ? (direction > 0 ? 0 : components.length - 1)
+        : (index + direction + components.length) % components.length;
+    focused = components[next];
+    focusComponent(focused);
+
+    // While the quiz hides names only the position in the list is given
+    const position = { index: next + 1, total: components.length };
+    if (!areNamesShown()) {
+        announce(t('a11y.componentUnnamed', position));
+        return;
+    }
+    const description = getComponentDescriptions(currentDescriptor)[focused.name] || '';
+    announce(`${t('a11y.component', { name: getName(focused), ...position })} ${description}`.trim());
+}
+
+function selectFocused() {
+    if (!focused) return;
+
+    selectComponent(focused, { popover: areNamesShown() });
+    placePopoverNear(focused);
+    if (areNamesShown()) announce(t('a11y.selected', { name: getName(focused) }));
+}
+
+function clearFocus() {
+    focused = null;
+    focusComponent(null);
+    selectComponent(null);
+}
+
+// Speak a message; clearing first makes screen readers repeat an unchanged message
+function announce(text) {
+    const region = document.getElementById('viewer-announcer');
+    region.textContent = '';
+    setTimeout(() => {
+        region.textContent = text;
+    }, 50);
+}
+
+// Which side of the model the camera looks from, e.g. 'Fusuline seen from the left and above.'
+function describeDirection() {
+    const name = currentDescriptor && areNamesShown() ? getFossilName(currentDescriptor) : t('a11y.fossil');
+    spherical.setFromVector3(camera.position.clone().sub(controls.target));
+    const elevation = 90 - THREE.MathUtils.radToDeg(spherical.phi);
+
+    if (elevation > VERTICAL_VIEW) return t('a11y.view.top', { name });
+    if (elevation < -VERTICAL_VIEW) return t('a11y.view.bottom', { name });
+
+    const side = t(`a11y.side.${SIDES[(Math.round(THREE.MathUtils.radToDeg(spherical.theta) / 90) + 4) % 4]}`);
+    if (elevation > ELEVATED_VIEW) return t('a11y.view.above', { name, side });
+    if (elevation < -ELEVATED_VIEW) return t('a11y.view.below', { name, side });
+    return t('a11y.view.side', { name, side });
+}
+
+// Width of the view at the orbit target, in real units when the fossil has a scale
+function describeFieldOfView() {
+    const distance = camera.position.distanceTo(controls.target);
+    const visibleHeight = 2 * distance * Math.tan((camera.fov * Math.PI) / 360) / camera.zoom;
+    const micronsPerUnit = currentDescriptor ? currentDescriptor.micronsPerUnit : null;
+    return t('a11y.width', { width: formatLength(visibleHeight * camera.aspect, micronsPerUnit) });
+}
+
+function formatList(components) {
+    return new Intl.ListFormat(getLocale(), { type: 'conjunction' }).format(components.map(getName));
+}
+
+function getName(component) {
+    return component.displayName || component.name;
+}
@@ -0,0 +1,37 @@
+import * as THREE from 'three';
+
+// Camera moves between two views that orbit around the targets instead of cutting straight
+// through the model; views are { position, target } with Vector3 values
+
+const fromOffset = new THREE.Vector3();
+const toOffset = new THREE.Vector3();
+const fromSpherical = new THREE.Spherical();
+const toSpherical = new THREE.Spherical();
+const spherical = new THREE.Spherical();
+
+// Write the view at fraction t (0..1) of the way from one view to the other into position and target
+export function interpolateView(from, to, t, position, target) {
+    fromSpherical.setFromVector3(fromOffset.subVectors(from.position, from.target));
+    toSpherical.setFromVector3(toOffset.subVectors(to.position, to.target));
+
+    // Orbit the short way round
+    let theta = toSpherical.theta - fromSpherical.theta;
+    theta = Math.atan2(Math.sin(theta), Math.cos(theta));
+
+    spherical.set(
+        THREE.MathUtils.lerp(fromSpherical.radius, toSpherical.radius, t),
+        THREE.MathUtils.lerp(fromSpherical.phi, toSpherical.phi, t),
+        fromSpherical.theta + theta * t
+    );
+
+    target.lerpVectors(from.target, to.target, t);
+    position.setFromSpherical(spherical).add(target);
+}
+
+// Build a view from the { position, target } arrays used in saved states
+export function viewFromArrays(view) {
+    return {
+        position: new THREE.Vector3().fromArray(view.position),
+        target: new THREE.Vector3().fromArray(view.target)
+    };
+}
@@ -0,0 +1,307 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { createLabelRenderer, updateLabels } from './labelUtils.js';
+import { getFossil, getFossils, resolveFossil, onFossilRegistered } from './fossilRegistry.js';
+import { updateFossilSelector, buildComponentToggles } from './controls.js';
+import { getSectionPlane } from './crossSection.js';
+import { renderFossilInfo, renderInfoMessage } from './infoPanel.js';
+import { t, onLocaleChange, getFossilName, getFossilInfo, localizeModel } from './i18n.js';
+import { requestRender } from './renderLoop.js';
+import { disposeObject } from './disposeUtils.js';
+
+// Side-by-side comparison: a second viewport with its own scene, camera and fossil
+// The cameras and the cross-section plane can follow the main viewer, and with a shared
+// scale the second model is sized by micronsPerUnit so relative sizes are true
+
+let primary = null;
+let onLayoutChange = null;
+let scene, camera, renderer, labelRenderer, controls;
+
+let enabled = false;
+let model = null;
+let descriptor = null;
+let referenceDescriptor = null;
+let labels = [];
+let labelsVisible = true;
+let loadCounter = 0;
+
+let lockCamera = true;
+let lockSection = true;
+let sharedScale = true;
+
+// The viewport the user last moved; the other one follows it while cameras are locked
+let driver = 'primary';
+
+// Section plane shared with the second model's materials while the section is locked
+const clipPlane = new THREE.Plane();
+let clipped = false;
+
+// Set up the second viewport next to the main one; layoutChanged is called when it opens or closes
+export function initComparison(primaryScene, primaryCamera, primaryControls, layoutChanged) {
+    primary = { scene: primaryScene, camera: primaryCamera, controls: primaryControls };
+    onLayoutChange = layoutChanged;
+
+    // Same background and lights as the main scene
+    scene = new THREE.Scene();
+    scene.background = primaryScene.background ? primaryScene.background.clone() : null;
+    primaryScene.children.filter(object => object.isLight).forEach(light => scene.add(light.clone()));
+
+    const container = document.getElementById('compare-container');
+    camera = new THREE.PerspectiveCamera(primaryCamera.fov, 1, primaryCamera.near, primaryCamera.far);
+    camera.position.z = 5;
+
+    renderer = new THREE.WebGLRenderer({ antialias: true });
+    renderer.localClippingEnabled = true;
+    container.appendChild(renderer.domElement);
+
+    labelRenderer = createLabelRenderer(1, 1);
+    container.appendChild(labelRenderer.domElement);
+
+    controls = new OrbitControls(camera, renderer.domElement);
+    controls.enableDamping = true;
+    controls.dampingFactor = 0.05;
+
+    controls.addEventListener('start', () => {
+        driver = 'compare';
+    });
+    controls.addEventListener('change', requestRender);
+    primaryControls.addEventListener('start', () => {
+        driver = 'primary';
+    });
+
+    setupComparisonControls();
+    window.addEventListener('resize', resizeComparison);
+    onLocaleChange(() => {
+        updateFossilSelector(getFossils(), descriptor ? descriptor.id : document.getElementById('compare-select').value, 'compare-select');
+        if (model) {
+            localizeModel(model, descriptor);
+            showComparisonDetails();
+            applyScale();
+            requestRender();
+        }
+    });
+}
+
+// Show or hide the second viewport
+export function setComparisonEnabled(value) {
+    enabled = !!value;
+    document.getElementById('compare-container').hidden = !enabled;
+    document.getElementById('compare-options').hidden = !enabled;
+    document.getElementById('compare-enabled').checked = enabled;
+    document.getElementById('viewports').classList.toggle('split', enabled);
+
+    if (enabled && !model) {
+        showComparisonFossil(document.getElementById('compare-select').value);
+    }
+
+    if (onLayoutChange) onLayoutChange();
+    resizeComparison();
+    if (enabled) syncCamera('primary');
+    requestRender();
+}
+
+export function isComparisonEnabled() {
+    return enabled;
+}
+
+// The main viewer loaded a new fossil; rescale the second one against it
+export function setComparisonReference(primaryDescriptor) {
+    referenceDescriptor = primaryDescriptor;
+    applyScale();
+}
+
+// Follow the main viewer's label toggle
+export function setComparisonLabelsVisible(isVisible) {
+    labelsVisible = isVisible;
+    labels.forEach(label => {
+        const componentVisible = !label.component || label.component.visible !== false;
+        label.element.style.display = isVisible && componentVisible ? 'block' : 'none';
+    });
+    requestRender();
+}
+
+// Sync and draw the second viewport; call once per frame after the main controls update
+// Returns true while its own camera is still moving
+export function updateComparison() {
+    if (!enabled) return false;
+
+    let moving = false;
+    if (lockCamera && driver === 'compare') {
+        moving = controls.update();
+        syncCamera('compare');
+    } else if (lockCamera) {
+        syncCamera('primary');
+    } else {
+        moving = controls.update();
+    }
+
+    updateClipping();
+
+    if (labels.length > 0) {
+        updateLabels(labels, camera);
+    }
+    renderer.render(scene, camera);
+    labelRenderer.render(scene, camera);
+    return moving;
+}
+
+// Load a fossil into the second viewport
+export async function loadComparisonFossil(type) {
+    const loadId = ++loadCounter;
+    const loaded = await resolveFossil(type);
+    if (loadId !== loadCounter) return;
+
+    // The labels are part of the model, so disposing it also removes their elements
+    if (model) {
+        scene.remove(model);
+        disposeObject(model);
+        model = null;
+    }
+
+    // Fossil modules add their labels to window.labels, which belongs to the main viewer
+    const primaryLabels = window.labels;
+    labels = [];
+    window.labels = labels;
+    try {
+        model = loaded.createModel(scene);
+    } finally {
+        window.labels = primaryLabels;
+    }
+
+    descriptor = loaded;
+    localizeModel(model, descriptor);
+    scene.add(model);
+    clipped = false;
+    applyScale();
+    showComparisonDetails();
+    setComparisonLabelsVisible(labelsVisible);
+
+    document.getElementById('compare-select').value = type;
+    const { position, target } = loaded.camera || { position: [0, 0, 5], target: [0, 0, 0] };
+    controls.target.fromArray(target);
+    camera.position.fromArray(position);
+    controls.update();
+    if (lockCamera) syncCamera('primary');
+    requestRender();
+}
+
+// Load the second fossil and report failures in its info panel
+function showComparisonFossil(type) {
+    return loadComparisonFossil(type).catch(error => {
+        console.error(`Failed to load comparison fossil "${type}":`, error);
+        const name = getFossil(type) ? getFossilName(getFossil(type)) : type;
+        renderInfoMessage(document.getElementById('compare-info'), t('info.loadFailed', { name }));
+        // The old model is gone if building the new one failed
+        if (!model) {
+            document.getElementById('compare-toggles').innerHTML = '';
+        }
+        requestRender();
+    });
+}
+
+// Component toggles and info panel of the second fossil
+function showComparisonDetails() {
+    const components = model.userData.components || [];
+    buildComponentToggles(document.getElementById('compare-toggles'), components, 'compare-toggle', () => {
+        setComparisonLabelsVisible(labelsVisible);
+    });
+    renderFossilInfo(document.getElementById('compare-info'), getFossilInfo(descriptor));
+}
+
+function setupComparisonControls() {
+    const select = document.getElementById('compare-select');
+    updateFossilSelector(getFossils(), getFossils()[1] ? getFossils()[1].id : null, 'compare-select');
+    onFossilRegistered(() => updateFossilSelector(getFossils(), descriptor ? descriptor.id : select.value, 'compare-select'));
+    select.addEventListener('change', () => showComparisonFossil(select.value));
+
+    document.getElementById('compare-enabled').addEventListener('change', event => setComparisonEnabled(event.target.checked));
+
+    document.getElementById('compare-lock-camera').addEventListener('change', event => {
+        lockCamera = event.target.checked;
+        if (lockCamera) syncCamera('primary');
+        requestRender();
+    });
+    document.getElementById('compare-lock-section').addEventListener('change', event => {
+        lockSection = event.target.checked;
+        requestRender();
+    });
+    document.getElementById('compare-shared-scale').addEventListener('change', event => {
+        sharedScale = event.target.checked;
+        applyScale();
+        requestRender();
+    });
+}
+
+// Copy the camera of the viewport being moved to the other one
+function syncCamera(source) {
+    const from = source === 'compare' ? { camera, controls } : primary;
+    const to = source === 'compare' ? primary : { camera, controls };
+
+    to.camera.position.copy(from.camera.position);
+    to.camera.quaternion.copy(from.camera.quaternion);
+    to.controls.target.copy(from.controls.target);
+}
+
+// Size the second model relative to the main one when both have a real scale
+function applyScale() {
+    const note = document.getElementById('compare-scale-note');
+    const caption = document.getElementById('compare-caption');
+    if (!model) {
+        note.textContent = '';
+        return;
+    }
+
+    const reference = referenceDescriptor && referenceDescriptor.micronsPerUnit;
+    const own = descriptor.micronsPerUnit;
+    let scale = 1;
+
+    if (!sharedScale) {
+        note.textContent = t('compare.scaleFill');
+    } else if (reference && own) {
+        scale = own / reference;
+        note.textContent = t('compare.scaleShared', { scale: formatScale(scale) });
+    } else {
+        note.textContent = t('compare.scaleUnknown');
+    }
+
+    model.scale.setScalar(scale);
+    caption.textContent = getFossilName(descriptor) + (scale !== 1 ? ` (${formatScale(scale)})` : '');
+}
+
+function formatScale(scale) {
+    return `×${scale >= 10 ? Math.round(scale) : +scale.toPrecision(2)}`;
+}
+
+// Cut the second model with the main viewer's section plane (without caps)
+function updateClipping() {
+    const plane = lockSection ? getSectionPlane() : null;
+    if (plane) {
+        clipPlane.copy(plane);
+    }
+
+    if (!model || clipped === !!plane) return;
+    clipped = !!plane;
+
+    model.traverse(object => {
+        if (!object.material) return;
+        const materials = Array.isArray(object.material) ? object.material : [object.material];
+        materials.forEach(material => {
+            material.clippingPlanes = clipped ? [clipPlane] : null;
+            material.needsUpdate = true;
+        });
+    });
+}
+
+function resizeComparison() {
+    if (!enabled) return;
+
+    const container = document.getElementById('compare-container');
+    const width = container.clientWidth;
+    const height = container.clientHeight;
+    if (width === 0 || height === 0) return;
+
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+    renderer.setSize(width, height);
+    labelRenderer.setSize(width, height);
+}
@@ -1,20 +1,55 @@
+import { getFossilName } from './i18n.js';
+import { requestRender } from './renderLoop.js';
+
+// Components shown in the toggle list and listeners notified when one is toggled
+let currentComponents = [];
+const visibilityListeners = [];
+
 // Function to set up control buttons
-export function setupControls(onResetView, onToggleLabels, onToggleCrossSection) {
+export function setupControls(onResetView, onToggleLabels, onToggleCrossSection, onOpenThinSection) {
     // Set up event listeners for original control buttons
     document.getElementById('reset-view').addEventListener('click', onResetView);
     document.getElementById('toggle-labels').addEventListener('click', onToggleLabels);
     document.getElementById('toggle-cross-section').addEventListener('click', onToggleCrossSection);
+    document.getElementById('open-thin-section').addEventListener('click', onOpenThinSection);
     
     // Set up event listeners for floating control buttons
     document.getElementById('reset-view-float').addEventListener('click', onResetView);
     document.getElementById('toggle-labels-float').addEventListener('click', onToggleLabels);
     document.getElementById('toggle-cross-section-float').addEventListener('click', onToggleCrossSection);
+    document.getElementById('open-thin-section-float').addEventListener('click', onOpenThinSection);
+}
+
+// Function to populate a fossil selector from registered descriptors
+export function updateFossilSelector(fossils, selectedId, selectId = 'fossil-select') {
+    const select = document.getElementById(selectId);
+    
+    // Clear previous options
+    select.innerHTML = '';
+    
+    fossils.forEach(fossil => {
+        const option = document.createElement('option');
+        option.value = fossil.id;
+        option.textContent = getFossilName(fossil);
+        select.appendChild(option);
+    });
+    
+    if (selectedId) {
+        select.value = selectedId;
+    }
 }
 
 // Function to update component toggle checkboxes
 export function updateComponentToggles(components) {
-    const togglesContainer = document.getElementById('component-toggles');
-    
+    currentComponents = components;
+    buildComponentToggles(document.getElementById('component-toggles'), components, 'toggle', component => {
+        visibilityListeners.forEach(listener => listener(component));
+    });
+}
+
+// Function to fill a container with visibility checkboxes, one per component
+// Checkbox ids are '<idPrefix>-<component name>'; onToggle is called after a component is toggled
+export function buildComponentToggles(togglesContainer, components, idPrefix, onToggle) {
     // Clear previous toggles
     togglesContainer.innerHTML = '';
     
@@ -25,14 +60,17 @@ export function updateComponentToggles(components) {
         
         const checkbox = document.createElement('input');
         checkbox.type = 'checkbox';
-        checkbox.id = `toggle-${component.name}`;
+        checkbox.id = `${idPrefix}-${component.name}`;
         checkbox.checked = component.visible;
         checkbox.addEventListener('change', () => {
             toggleComponentVisibility(component, checkbox.checked);
+            if (onToggle) {
+                onToggle(component);
+            }
         });
         
         const label = document.createElement('label');
-        label.htmlFor = `toggle-${component.name}`;
+        label.htmlFor = `${idPrefix}-${component.name}`;
         label.textContent = component.displayName || component.name;
         
         toggleDiv.appendChild(checkbox);
@@ -41,6 +79,24 @@ export function updateComponentToggles(components) {
     });
 }
 
+// Function to show or hide a component by name, keeping its checkbox in sync
+export function setComponentVisibility(name, isVisible) {
+    const component = currentComponents.find(c => c.name === name);
+    if (!component) return;
+
+    toggleComponentVisibility(component, isVisible);
+
+    const checkbox = document.getElementById(`toggle-${name}`);
+    if (checkbox) {
+        checkbox.checked = isVisible;
+    }
+}
+
+// Function to subscribe to component visibility changes made with the checkboxes
+export function onComponentVisibilityChange(listener) {
+    visibilityListeners.push(listener);
+}
+
 // Function to toggle component visibility
 function toggleComponentVisibility(component, isVisible) {
     if (component.mesh) {
@@ -57,4 +113,5 @@ function toggleComponentVisibility(component, isVisible) {
             label.element.style.display = isVisible ? 'block' : 'none';
         });
     }
+    requestRender();
 } 
\ No newline at end of file
@@ -0,0 +1,494 @@
+import * as THREE from 'three';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import { requestRender } from './renderLoop.js';
+
+// Orientation presets as plane normals in model space (coiling axis along y)
+// Fossil descriptors can override these through their sectionAxes field
+export const DEFAULT_SECTION_AXES = {
+    axial: [0, 0, 1],
+    sagittal: [1, 0, 0],
+    equatorial: [0, 1, 0]
+};
+
+// Geometry types that are open sheets and cannot be capped with the stencil technique
+const OPEN_GEOMETRY_TYPES = ['PlaneGeometry', 'ShapeGeometry', 'CircleGeometry', 'RingGeometry'];
+
+let scene, camera, renderer, controls;
+let currentModel = null;
+let sectionAxes = DEFAULT_SECTION_AXES;
+let modelRadius = 2;
+
+// Section state
+let enabled = false;
+let orientation = 'axial';
+let offset = 0;
+let flipped = false;
+let capsEnabled = true;
+const plane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+
+// Scene objects used for capping and for the free-orientation gizmo
+let capGroup = null;
+let capEntries = [];
+let planeHelper = null;
+let gizmo = null;
+const changeListeners = [];
+
+// Initialize the cross-section tool for a renderer and camera
+export function initCrossSection(sceneRef, cameraRef, rendererRef, controlsRef) {
+    scene = sceneRef;
+    camera = cameraRef;
+    renderer = rendererRef;
+    controls = controlsRef;
+
+    // Clipping is applied per material so the caps themselves are not clipped
+    renderer.localClippingEnabled = true;
+
+    capGroup = new THREE.Group();
+    capGroup.name = 'crossSectionCaps';
+    scene.add(capGroup);
+
+    // Helper object that the gizmo rotates and moves in free mode
+    planeHelper = new THREE.Object3D();
+    planeHelper.name = 'sectionPlane';
+    const outline = new THREE.LineSegments(
+        new THREE.EdgesGeometry(new THREE.PlaneGeometry(1, 1)),
+        new THREE.LineBasicMaterial({ color: 0x3a86ff })
+    );
+    outline.name = 'sectionOutline';
+    planeHelper.add(outline);
+    planeHelper.visible = false;
+    scene.add(planeHelper);
+
+    gizmo = new TransformControls(camera, renderer.domElement);
+    gizmo.name = 'sectionGizmo';
+    gizmo.setMode('rotate');
+    gizmo.setSpace('local');
+    gizmo.attach(planeHelper);
+    gizmo.visible = false;
+    gizmo.enabled = false;
+    gizmo.addEventListener('dragging-changed', event => {
+        controls.enabled = !event.value;
+    });
+    gizmo.addEventListener('objectChange', onGizmoChange);
+    gizmo.addEventListener('change', requestRender);
+    scene.add(gizmo);
+
+    setupSectionControls();
+}
+
+// Attach the tool to a newly loaded model; the section starts disabled as before
+export function attachCrossSection(model, descriptor) {
+    currentModel = model;
+    sectionAxes = (descriptor && descriptor.sectionAxes) || DEFAULT_SECTION_AXES;
+
+    // Size the offset range and caps from the model bounds
+    const sphere = new THREE.Box3().setFromObject(model).getBoundingSphere(new THREE.Sphere());
+    modelRadius = Math.max(sphere.radius, 0.5);
+
+    enabled = false;
+    orientation = 'axial';
+    offset = 0;
+    flipped = false;
+
+    buildCaps();
+    updatePlane();
+    applyClipping();
+    updateSectionControls();
+}
+
+// Toggle the section on or off
+export function toggleCrossSection() {
+    setCrossSectionEnabled(!enabled);
+    return enabled;
+}
+
+export function setCrossSectionEnabled(value) {
+    enabled = !!value;
+    applyClipping();
+    updateSectionControls();
+    notifyChange();
+}
+
+export function isCrossSectionEnabled() {
+    return enabled;
+}
+
+// Set a named orientation preset or 'free' for the gizmo-controlled plane
+export function setSectionOrientation(name) {
+    if (name !== 'free' && !sectionAxes[name]) return;
+
+    // Start the free plane from whatever orientation is currently shown
+    if (name === 'free' && orientation !== 'free') {
+        const normal = getPresetNormal(orientation);
+        planeHelper.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), normal);
+    }
+
+    orientation = name;
+    updatePlane();
+    updateSectionControls();
+    notifyChange();
+}
+
+// Set the plane offset along its normal, in model units
+export function setSectionOffset(value) {
+    offset = THREE.MathUtils.clamp(value, -modelRadius, modelRadius);
+    updatePlane();
+    updateSectionControls();
+    notifyChange();
+}
+
+// Flip which half of the model is removed
+export function flipSection() {
+    flipped = !flipped;
+    updatePlane();
+    notifyChange();
+}
+
+// Get the active clipping plane in world space, or null when sectioning is off
+export function getSectionPlane() {
+    return enabled ? plane : null;
+}
+
+// Largest offset the plane can be moved along its normal, in model units
+export function getSectionRange() {
+    return modelRadius;
+}
+
+// Get the names of the orientation presets available for the current fossil
+export function getSectionOrientations() {
+    return Object.keys(sectionAxes);
+}
+
+// Get a plane for a named orientation and offset without changing the tool state
+export function getPresetPlane(name, planeOffset = 0) {
+    const normal = getPresetNormal(name);
+    return new THREE.Plane().setFromNormalAndCoplanarPoint(normal, normal.clone().multiplyScalar(planeOffset));
+}
+
+// Serializable state of the section tool
+export function getCrossSectionState() {
+    const normal = getUnflippedNormal();
+    return {
+        enabled,
+        orientation,
+        offset,
+        flipped,
+        normal: [normal.x, normal.y, normal.z]
+    };
+}
+
+// Restore a state produced by getCrossSectionState()
+export function setCrossSectionState(state) {
+    if (!state) return;
+
+    if (state.orientation === 'free' && Array.isArray(state.normal)) {
+        const normal = new THREE.Vector3().fromArray(state.normal).normalize();
+        planeHelper.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), normal);
+        orientation = 'free';
+    } else if (state.orientation && sectionAxes[state.orientation]) {
+        orientation = state.orientation;
+    }
+
+    if (typeof state.offset === 'number') {
+        offset = THREE.MathUtils.clamp(state.offset, -modelRadius, modelRadius);
+    }
+    flipped = !!state.flipped;
+    enabled = !!state.enabled;
+
+    updatePlane();
+    applyClipping();
+    updateSectionControls();
+}
+
+// Subscribe to changes made through the section controls
+export function onCrossSectionChange(listener) {
+    changeListeners.push(listener);
+}
+
+// Keep caps in sync with the model; call once per frame before rendering
+export function updateCrossSection() {
+    const showCaps = enabled && capsEnabled;
+    capGroup.visible = showCaps;
+    if (!showCaps) return;
+
+    if (currentModel) {
+        currentModel.updateMatrixWorld();
+    }
+
+    capEntries.forEach(entry => {
+        let anyVisible = false;
+
+        entry.stencils.forEach(({ source, meshes }) => {
+            const visible = isEffectivelyVisible(source);
+            anyVisible = anyVisible || visible;
+
+            meshes.forEach(mesh => {
+                mesh.visible = visible;
+                mesh.matrix.copy(source.matrixWorld);
+                mesh.matrixWorldNeedsUpdate = true;
+                if (source.isInstancedMesh) {
+                    mesh.count = source.count;
+                }
+            });
+        });
+
+        entry.cap.visible = anyVisible;
+    });
+}
+
+// Apply the section plane to every material in the model
+function applyClipping() {
+    if (!currentModel) return;
+
+    const planes = enabled ? [plane] : null;
+    currentModel.traverse(object => {
+        if (!object.material) return;
+
+        const materials = Array.isArray(object.material) ? object.material : [object.material];
+        materials.forEach(material => {
+            material.clippingPlanes = planes;
+        });
+    });
+
+    planeHelper.visible = enabled && orientation === 'free';
+    gizmo.visible = planeHelper.visible;
+    gizmo.enabled = planeHelper.visible;
+
+    // Every change to the plane ends here
+    requestRender();
+}
+
+// Build stencil meshes and a cap plane for each component
+// Based on the three.js stencil clipping example: back faces increment and front faces
+// decrement the stencil buffer, leaving non-zero values where the cut surface is exposed
+function buildCaps() {
+    disposeCaps();
+
+    const components = (currentModel && currentModel.userData.components) || [];
+    const capGeometry = new THREE.PlaneGeometry(modelRadius * 4, modelRadius * 4);
+
+    components.forEach((component, index) => {
+        const root = component.mesh || component.group;
+        if (!root) return;
+
+        const closedMeshes = [];
+        root.traverse(object => {
+            if (object.isMesh && isClosedMesh(object)) {
+                closedMeshes.push(object);
+            }
+        });
+        if (closedMeshes.length === 0) return;
+
+        const renderOrder = index + 1;
+        const stencils = closedMeshes.map(source => ({
+            source,
+            meshes: [
+                createStencilMesh(source, THREE.BackSide, THREE.IncrementWrapStencilOp, renderOrder),
+                createStencilMesh(source, THREE.FrontSide, THREE.DecrementWrapStencilOp, renderOrder)
+            ]
+        }));
+        stencils.forEach(({ meshes }) => meshes.forEach(mesh => capGroup.add(mesh)));
+
+        // Cap colour follows the component's own material, slightly darker
+        const sourceMaterial = Array.isArray(closedMeshes[0].material) ? closedMeshes[0].material[0] : closedMeshes[0].material;
+        const color = sourceMaterial.color ? sourceMaterial.color.clone().multiplyScalar(0.85) : new THREE.Color(0xbbbbbb);
+
+        const capMaterial = new THREE.MeshStandardMaterial({
+            color,
+            roughness: 0.6,
+            metalness: 0.0,
+            side: THREE.DoubleSide,
+            stencilWrite: true,
+            stencilRef: 0,
+            stencilFunc: THREE.NotEqualStencilFunc,
+            stencilFail: THREE.ReplaceStencilOp,
+            stencilZFail: THREE.ReplaceStencilOp,
+            stencilZPass: THREE.ReplaceStencilOp
+        });
+
+        const cap = new THREE.Mesh(capGeometry, capMaterial);
+        cap.name = `${component.name}Cap`;
+        cap.renderOrder = renderOrder + 0.5;
+        cap.onAfterRender = function(rendererRef) {
+            rendererRef.clearStencil();
+        };
+        capGroup.add(cap);
+
+        capEntries.push({ component, stencils, cap });
+    });
+}
+
+// Create a colourless mesh that only writes to the stencil buffer
+function createStencilMesh(source, side, operation, renderOrder) {
+    const material = new THREE.MeshBasicMaterial({
+        side,
+        depthWrite: false,
+        depthTest: false,
+        colorWrite: false,
+        stencilWrite: true,
+        stencilFunc: THREE.AlwaysStencilFunc,
+        stencilFail: operation,
+        stencilZFail: operation,
+        stencilZPass: operation,
+        clippingPlanes: [plane]
+    });
+
+    let mesh;
+    if (source.isInstancedMesh) {
+        mesh = new THREE.InstancedMesh(source.geometry, material, source.count);
+        mesh.instanceMatrix = source.instanceMatrix;
+    } else {
+        mesh = new THREE.Mesh(source.geometry, material);
+    }
+
+    mesh.matrixAutoUpdate = false;
+    mesh.renderOrder = renderOrder;
+    return mesh;
+}
+
+// Remove caps built for a previous model
+function disposeCaps() {
+    const capGeometries = new Set();
+
+    capEntries.forEach(entry => {
+        entry.stencils.forEach(({ meshes }) => {
+            meshes.forEach(mesh => {
+                mesh.material.dispose();
+                capGroup.remove(mesh);
+            });
+        });
+        entry.cap.material.dispose();
+        capGeometries.add(entry.cap.geometry);
+        capGroup.remove(entry.cap);
+    });
+
+    capGeometries.forEach(geometry => geometry.dispose());
+    capEntries = [];
+}
+
+// Only closed, solid surfaces can be capped
+function isClosedMesh(mesh) {
+    const material = Array.isArray(mesh.material) ? mesh.material[0] : mesh.material;
+    if (!material || material.wireframe) return false;
+    if (mesh.userData.cap !== undefined) return !!mesh.userData.cap;
+    if (material.side === THREE.DoubleSide) return false;
+    if (OPEN_GEOMETRY_TYPES.includes(mesh.geometry.type)) return false;
+    if (mesh.geometry.parameters && mesh.geometry.parameters.openEnded) return false;
+    return true;
+}
+
+// An object is drawn only if it and all of its ancestors are visible
+function isEffectivelyVisible(object) {
+    let current = object;
+    while (current) {
+        if (!current.visible) return false;
+        current = current.parent;
+    }
+    return true;
+}
+
+// Normal of a preset orientation, in model space
+function getPresetNormal(name) {
+    const axis = sectionAxes[name] || DEFAULT_SECTION_AXES.axial;
+    return new THREE.Vector3().fromArray(axis).normalize();
+}
+
+// Normal of the current orientation before flipping
+function getUnflippedNormal() {
+    if (orientation === 'free') {
+        return new THREE.Vector3(0, 0, 1).applyQuaternion(planeHelper.quaternion).normalize();
+    }
+    return getPresetNormal(orientation);
+}
+
+// Recompute the plane, gizmo helper and caps from the current state
+function updatePlane() {
+    const normal = getUnflippedNormal();
+    const point = normal.clone().multiplyScalar(offset);
+
+    plane.setFromNormalAndCoplanarPoint(flipped ? normal.clone().negate() : normal, point);
+
+    // Keep the helper on the plane and sized to the model
+    planeHelper.position.copy(point);
+    if (orientation !== 'free') {
+        planeHelper.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), normal);
+    }
+    planeHelper.getObjectByName('sectionOutline').scale.setScalar(modelRadius * 2.2);
+
+    capEntries.forEach(({ cap }) => {
+        cap.position.copy(point);
+        cap.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), normal);
+    });
+
+    applyClipping();
+}
+
+// Read the plane back from the gizmo after the user rotates or moves it
+function onGizmoChange() {
+    const normal = getUnflippedNormal();
+    offset = THREE.MathUtils.clamp(planeHelper.position.dot(normal), -modelRadius, modelRadius);
+    updatePlane();
+    updateSectionControls();
+    notifyChange();
+}
+
+function notifyChange() {
+    changeListeners.forEach(listener => listener(getCrossSectionState()));
+}
+
+// Wire up the section panel in the sidebar
+function setupSectionControls() {
+    const panel = document.getElementById('section-controls');
+    if (!panel) return;
+
+    panel.querySelectorAll('[data-orientation]').forEach(button => {
+        button.addEventListener('click', () => setSectionOrientation(button.dataset.orientation));
+    });
+
+    const offsetSlider = document.getElementById('section-offset');
+    offsetSlider.addEventListener('input', () => setSectionOffset(parseFloat(offsetSlider.value)));
+
+    document.getElementById('section-flip').addEventListener('click', flipSection);
+
+    const capsCheckbox = document.getElementById('section-caps');
+    capsCheckbox.addEventListener('change', () => {
+        capsEnabled = capsCheckbox.checked;
+        requestRender();
+    });
+
+    panel.querySelectorAll('[data-gizmo-mode]').forEach(button => {
+        button.addEventListener('click', () => {
+            const mode = button.dataset.gizmoMode;
+            gizmo.setMode(mode);
+
+            // Moving is restricted to the plane normal; rotation is free
+            gizmo.showX = mode === 'rotate';
+            gizmo.showY = mode === 'rotate';
+
+            panel.querySelectorAll('[data-gizmo-mode]').forEach(b => b.classList.toggle('active', b === button));
+            requestRender();
+        });
+    });
+}
+
+// Reflect the current state in the section panel
+function updateSectionControls() {
+    const panel = document.getElementById('section-controls');
+    if (!panel) return;
+
+    panel.hidden = !enabled;
+
+    panel.querySelectorAll('[data-orientation]').forEach(button => {
+        const name = button.dataset.orientation;
+        button.hidden = name !== 'free' && !sectionAxes[name];
+        button.classList.toggle('active', name === orientation);
+    });
+
+    const offsetSlider = document.getElementById('section-offset');
+    offsetSlider.min = (-modelRadius).toFixed(2);
+    offsetSlider.max = modelRadius.toFixed(2);
+    offsetSlider.value = offset;
+    document.getElementById('section-offset-value').textContent = offset.toFixed(2);
+
+    document.getElementById('section-gizmo-modes').hidden = orientation !== 'free';
+}
@@ -0,0 +1,41 @@
+// Free the GPU memory held by models that are no longer shown
+// Removing an object from the scene only unlinks it; its geometries, materials, textures and
+// instance buffers stay allocated until they are disposed. Disposed resources that are still used
+// elsewhere are uploaded again on their next render, so a shared geometry is safe to dispose.
+
+// Dispose every geometry, material and texture in an object tree and remove its label elements
+export function disposeObject(root) {
+    const geometries = new Set();
+    const materials = new Set();
+
+    root.traverse(object => {
+        if (object.geometry) {
+            geometries.add(object.geometry);
+        }
+        if (object.material) {
+            (Array.isArray(object.material) ? object.material : [object.material]).forEach(material => materials.add(material));
+        }
+        if (object.isInstancedMesh) {
+            object.dispose();
+        }
+        if (object.isCSS2DObject && object.element.parentNode) {
+            object.element.parentNode.removeChild(object.element);
+        }
+    });
+
+    geometries.forEach(geometry => geometry.dispose());
+    materials.forEach(disposeMaterial);
+}
+
+// Dispose a material and the textures it uses, including shader uniforms
+export function disposeMaterial(material) {
+    Object.values(material).forEach(value => {
+        if (value && value.isTexture) value.dispose();
+    });
+    if (material.uniforms) {
+        Object.values(material.uniforms).forEach(uniform => {
+            if (uniform && uniform.value && uniform.value.isTexture) uniform.value.dispose();
+        });
+    }
+    material.dispose();
+}
@@ -0,0 +1,39 @@
+// Trigger a browser download for a Blob
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    // Give the browser a moment to start the download before releasing the URL
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Download the contents of a canvas as a PNG image
+export function downloadCanvas(canvas, filename) {
+    return canvasToBlob(canvas).then(blob => {
+        downloadBlob(blob, filename);
+        return blob;
+    });
+}
+
+// Encode the contents of a canvas as a PNG Blob
+export function canvasToBlob(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (!blob) {
+                reject(new Error('Canvas could not be encoded as PNG'));
+                return;
+            }
+            resolve(blob);
+        }, 'image/png');
+    });
+}
+
+// Make a string safe to use as part of a file name
+export function toFileName(text) {
+    return String(text).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'export';
+}
@@ -0,0 +1,142 @@
+import * as THREE from 'three';
+import { requestRender } from './renderLoop.js';
+
+// Exploded view: moves each component of the model outward so buried structures can be seen
+// Fossil descriptors give an axis (model space) and distance per component in explodeAxes, and
+// unlisted components stay in place. Models without explodeAxes (e.g. imported specimens) move
+// each component away from the model centre instead, leaving centred ones as the anchor
+
+// Distance moved without explodeAxes, as a fraction of the model radius
+const DEFAULT_DISTANCE = 0.8;
+
+// Components whose centre is closer to the model centre than this fraction of its radius stay put
+const CENTRED_FRACTION = 0.1;
+
+// Fraction of the remaining distance covered per frame while animating
+const SMOOTHING = 0.15;
+
+let entries = [];
+let amount = 0;
+let target = 0;
+const changeListeners = [];
+
+// Bind the explode slider in the components card
+export function initExplodedView() {
+    const slider = document.getElementById('explode-amount');
+    slider.addEventListener('input', () => setExplodeAmount(parseFloat(slider.value)));
+    slider.addEventListener('change', () => changeListeners.forEach(listener => listener(target)));
+}
+
+// Work out how each component of a newly loaded model moves; the model starts assembled
+export function attachExplodedView(model, descriptor) {
+    const axes = descriptor && descriptor.explodeAxes;
+    const components = model.userData.components || [];
+
+    model.updateMatrixWorld(true);
+    const toModel = new THREE.Matrix4().copy(model.matrixWorld).invert();
+    const modelBox = boundsInModel(model, toModel);
+    const modelCenter = modelBox.getCenter(new THREE.Vector3());
+    const modelRadius = Math.max(modelBox.getSize(new THREE.Vector3()).length() / 2, 0.5);
+
+    entries = components.map(component => {
+        const object = component.mesh || component.group;
+        if (!object) return null;
+
+        const offset = new THREE.Vector3();
+        if (axes) {
+            const explicit = axes[component.name];
+            if (explicit) {
+                offset.fromArray(explicit.axis).normalize().multiplyScalar(explicit.distance);
+            }
+        } else {
+            const center = boundsInModel(object, toModel).getCenter(new THREE.Vector3()).sub(modelCenter);
+            if (center.length() > modelRadius * CENTRED_FRACTION) {
+                offset.copy(center).normalize().multiplyScalar(modelRadius * DEFAULT_DISTANCE);
+            }
+        }
+
+        if (offset.lengthSq() === 0) return null;
+
+        return {
+            object,
+            basePosition: object.position.clone(),
+            offset: toParentSpace(object, model, offset),
+            labels: (component.labels || []).map(label => ({
+                object: label.object,
+                basePosition: label.object.position.clone(),
+                offset: toParentSpace(label.object, model, offset)
+            }))
+        };
+    }).filter(Boolean);
+
+    amount = 0;
+    target = 0;
+    updateExplodeControls();
+}
+
+// Set how far the model is exploded, from 0 (assembled) to 1; the move is animated
+export function setExplodeAmount(value, { immediate = false } = {}) {
+    target = THREE.MathUtils.clamp(value || 0, 0, 1);
+    if (immediate) {
+        amount = target;
+        applyExplode();
+    }
+    updateExplodeControls();
+    requestRender();
+}
+
+export function getExplodeAmount() {
+    return target;
+}
+
+// Subscribe to changes made with the slider; the listener receives the new amount
+export function onExplodeChange(listener) {
+    changeListeners.push(listener);
+}
+
+// Ease the components towards the target amount; call once per frame. Returns true while moving
+export function updateExplodedView() {
+    if (amount === target) return false;
+
+    amount += (target - amount) * SMOOTHING;
+    if (Math.abs(target - amount) < 0.001) {
+        amount = target;
+    }
+    applyExplode();
+    return amount !== target;
+}
+
+function applyExplode() {
+    entries.forEach(entry => {
+        entry.object.position.copy(entry.basePosition).addScaledVector(entry.offset, amount);
+
+        // Labels are children of the model rather than the component, so move them alongside
+        entry.labels.forEach(label => {
+            label.object.position.copy(label.basePosition).addScaledVector(label.offset, amount);
+        });
+    });
+}
+
+// Bounding box of an object in the model's own coordinates
+function boundsInModel(object, toModel) {
+    return new THREE.Box3().setFromObject(object).applyMatrix4(toModel);
+}
+
+// Express a model-space offset in the coordinates of an object's parent
+function toParentSpace(object, model, offset) {
+    const parent = object.parent;
+    if (!parent || parent === model) return offset.clone();
+
+    const start = parent.worldToLocal(model.localToWorld(new THREE.Vector3()));
+    const end = parent.worldToLocal(model.localToWorld(offset.clone()));
+    return end.sub(start);
+}
+
+// Keep the slider in step with the target amount
+function updateExplodeControls() {
+    const slider = document.getElementById('explode-amount');
+    if (!slider) return;
+
+    slider.value = target;
+    document.getElementById('explode-amount-value').textContent = `${Math.round(target * 100)}%`;
+}
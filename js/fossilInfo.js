@@ -0,0 +1,95 @@
+import { t } from './i18n.js';
+
+// Structured fossil information shown in the info panel
+//
+// Fossil modules describe themselves with plain data instead of HTML, so the panel, search,
+// translation and citations can all use the same fields. All text is plain text.
+//
+// {
+//     title: 'Fusuline',                                   // required
+//     overview: 'Fusulines are …',                         // required
+//     ageRange: { from: 'Carboniferous', to: 'Permian', startMa: 359, endMa: 252 },
+//     features: [{ name: 'Shape', description: '…' }],
+//     significance: 'Fusulines evolved rapidly …',
+//     taxonomy: { ranks: [{ rank: 'Class', name: 'Foraminifera' }], note: '…' },
+//     references: [{ citation: 'Paleobiology Database', url: 'https://…' }],
+//     components: { shell: 'The spiral wall …' }          // keyed by component name
+// }
+
+// Check an info object against the format above and return a list of problems (empty when valid)
+export function validateFossilInfo(info) {
+    const problems = [];
+    const isText = value => typeof value === 'string' && value.trim().length > 0;
+
+    if (!info || typeof info !== 'object') {
+        return ['info must be an object'];
+    }
+
+    if (!isText(info.title)) problems.push('title must be a non-empty string');
+    if (!isText(info.overview)) problems.push('overview must be a non-empty string');
+
+    if (info.ageRange !== undefined) {
+        const { from, to, startMa, endMa } = info.ageRange || {};
+        if (!isText(from) || !isText(to)) {
+            problems.push('ageRange needs "from" and "to" period names');
+        }
+        if ((startMa !== undefined || endMa !== undefined) &&
+            !(typeof startMa === 'number' && typeof endMa === 'number' && startMa >= endMa)) {
+            problems.push('ageRange startMa and endMa must be numbers with startMa >= endMa');
+        }
+    }
+
+    if (info.features !== undefined) {
+        if (!Array.isArray(info.features)) {
+            problems.push('features must be an array');
+        } else {
+            info.features.forEach((feature, index) => {
+                if (!feature || !isText(feature.name)) {
+                    problems.push(`features[${index}] needs a name`);
+                } else if (feature.description !== undefined && typeof feature.description !== 'string') {
+                    problems.push(`features[${index}].description must be a string`);
+                }
+            });
+        }
+    }
+
+    if (info.significance !== undefined && !isText(info.significance)) {
+        problems.push('significance must be a non-empty string');
+    }
+
+    if (info.taxonomy !== undefined) {
+        const { ranks, note } = info.taxonomy || {};
+        if (!Array.isArray(ranks) || ranks.some(entry => !entry || !isText(entry.rank) || !isText(entry.name))) {
+            problems.push('taxonomy.ranks must be an array of { rank, name }');
+        }
+        if (note !== undefined && !isText(note)) {
+            problems.push('taxonomy.note must be a non-empty string');
+        }
+    }
+
+    if (info.references !== undefined) {
+        if (!Array.isArray(info.references) || info.references.some(reference => !reference || !isText(reference.citation))) {
+            problems.push('references must be an array of { citation, url }');
+        }
+    }
+
+    if (info.components !== undefined) {
+        if (!info.components || typeof info.components !== 'object' ||
+            Object.values(info.components).some(description => typeof description !== 'string')) {
+            problems.push('components must map component names to description strings');
+        }
+    }
+
+    return problems;
+}
+
+// Human-readable age range, e.g. 'Carboniferous–Permian (359 Ma–252 Ma)'
+export function formatAgeRange(ageRange) {
+    if (!ageRange) return '';
+
+    const periods = ageRange.from === ageRange.to ? ageRange.from : `${ageRange.from}–${ageRange.to}`;
+    if (typeof ageRange.startMa !== 'number') return periods;
+
+    const endMa = ageRange.endMa === 0 ? t('info.present') : `${ageRange.endMa} Ma`;
+    return `${periods} (${ageRange.startMa} Ma–${endMa})`;
+}
@@ -0,0 +1,116 @@
+import { validateFossilInfo } from './fossilInfo.js';
+
+// Registry of fossil descriptors used to build the selector, loader and info panel
+const fossils = new Map();
+const listeners = [];
+
+// Default camera used when a descriptor does not provide one
+const DEFAULT_CAMERA = {
+    position: [0, 0, 5],
+    target: [0, 0, 0]
+};
+
+// Register a fossil descriptor
+// A descriptor either provides createModel/info directly, or a load() function
+// returning a dynamic import() whose module registers (or default-exports) the full descriptor
+// info follows the structure in fossilInfo.js and is checked here so mistakes show up at load time;
+// a descriptor's own getInfo() must return the same structure and is checked when it is called
+export function registerFossil(descriptor) {
+    if (!descriptor || !descriptor.id) {
+        throw new Error('Fossil descriptor must have an id');
+    }
+
+    if (!descriptor.load && typeof descriptor.createModel !== 'function') {
+        throw new Error(`Fossil "${descriptor.id}" must provide createModel() or load()`);
+    }
+
+    if (descriptor.info !== undefined) {
+        checkInfo(descriptor.id, descriptor.info);
+    }
+
+    const existing = fossils.get(descriptor.id);
+
+    // Lazily loaded modules complete the placeholder registered for them
+    if (existing) {
+        Object.assign(existing, descriptor, {
+            camera: { ...existing.camera, ...descriptor.camera },
+            metadata: { ...existing.metadata, ...descriptor.metadata }
+        });
+        return applyInfoDefaults(existing);
+    }
+
+    const entry = {
+        displayName: descriptor.id,
+        ...descriptor,
+        camera: { ...DEFAULT_CAMERA, ...descriptor.camera },
+        metadata: { ...descriptor.metadata }
+    };
+    applyInfoDefaults(entry);
+
+    fossils.set(entry.id, entry);
+    listeners.forEach(listener => listener(entry));
+
+    return entry;
+}
+
+// Serve structured info through getInfo() and the component popovers unless the descriptor overrides them
+function applyInfoDefaults(entry) {
+    const getInfo = entry.getInfo;
+    if (typeof getInfo !== 'function') {
+        entry.getInfo = () => entry.info || null;
+    } else if (!getInfo.checked) {
+        entry.getInfo = () => checkInfo(entry.id, getInfo.call(entry));
+        entry.getInfo.checked = true;
+    }
+    if (!entry.componentDescriptions && entry.info && entry.info.components) {
+        entry.componentDescriptions = entry.info.components;
+    }
+    return entry;
+}
+
+// Throw when info does not follow the structure in fossilInfo.js; returns the info otherwise
+function checkInfo(id, info) {
+    const problems = validateFossilInfo(info);
+    if (problems.length > 0) {
+        throw new Error(`Fossil "${id}" has invalid info: ${problems.join('; ')}`);
+    }
+    return info;
+}
+
+// Get a registered descriptor by id (may still be an unloaded placeholder)
+export function getFossil(id) {
+    return fossils.get(id) || null;
+}
+
+// Get all registered descriptors in registration order
+export function getFossils() {
+    return Array.from(fossils.values());
+}
+
+// Resolve a descriptor, loading its module first if it was registered lazily
+export async function resolveFossil(id) {
+    const entry = fossils.get(id);
+    if (!entry) {
+        throw new Error(`Unknown fossil "${id}"`);
+    }
+
+    if (typeof entry.createModel !== 'function' && entry.load) {
+        const module = await entry.load();
+
+        // Modules may default-export their descriptor instead of registering themselves
+        if (module && module.default && typeof entry.createModel !== 'function') {
+            registerFossil({ ...module.default, id });
+        }
+    }
+
+    if (typeof entry.createModel !== 'function') {
+        throw new Error(`Fossil "${id}" did not register a model`);
+    }
+
+    return entry;
+}
+
+// Subscribe to registrations made after start-up (e.g. plug-in taxa)
+export function onFossilRegistered(listener) {
+    listeners.push(listener);
+}
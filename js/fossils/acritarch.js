@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import { addLabel } from '../labelUtils.js';
+import { registerFossil } from '../fossilRegistry.js';
 
 // Create and return an acritarch fossil model
 export function createAcritarchModel(scene) {
@@ -414,28 +415,60 @@ function createSurfaceOrnamentation(group) {
     return ornamentGroup;
 }
 
-// Return information about acritarchs
-export function getAcritarchInfo() {
-    return `
-        <h3>Acritarch</h3>
-        <p>Acritarchs are organic-walled microfossils of uncertain biological affinity, first appearing in the Proterozoic (~1.8 billion years ago). The term "acritarch" (from Greek: akritos = uncertain, arche = origin) reflects their enigmatic nature, though most are now considered to be cysts of extinct marine algae or protists.</p>
-        
-        <h4>Key Features:</h4>
-        <ul>
-            <li><strong>Vesicle:</strong> Central body (5-150μm) composed of acid-resistant organic compounds similar to sporopollenin or dinosporin</li>
-            <li><strong>Processes:</strong> Spine-like projections in various arrangements (concentric, polar, scattered) that can be solid or hollow</li>
-            <li><strong>Excystment Opening:</strong> Many forms possess an operculum or pylome that could open to release cellular contents</li>
-            <li><strong>Wall Ultrastructure:</strong> Single or multi-layered wall (0.1-2μm thick) with various surface textures (psilate, granulate, echinate)</li>
-            <li><strong>Preservation:</strong> Typically preserved as compressed carbonaceous films in shales or as three-dimensional structures in cherts</li>
-        </ul>
-        
-        <h4>Geological Significance:</h4>
-        <p>Acritarchs experienced a dramatic biodiversification during the Cambrian explosion (~541 MYA), making them valuable index fossils for Paleozoic marine strata. Their morphological changes mark key geological boundaries, especially in the late Proterozoic and early Paleozoic. Their widespread distribution in marine sediments makes them crucial for correlating strata across different paleocontinental blocks. A major extinction of complex acritarch taxa occurred during the Late Devonian crisis (~372 MYA).</p>
-        
-        <h4>Taxonomy & Classification:</h4>
-        <p>Acritarchs are not a natural taxonomic group but represent a polyphyletic assemblage. Many are now classified as:
-        Domain: Eukaryota | Kingdom: Uncertain (possibly Chromista) | Informal groupings include: Acanthomorphs, Sphaeromorphs, Polygonomorphs</p>
-        
-        <p><em>Data sourced from the Paleobiology Database and CHRONOS Acritarch Database</em></p>
-    `;
-} 
\ No newline at end of file
+// Information about acritarchs for the info panel and component popovers (format in fossilInfo.js)
+export const acritarchInfo = {
+    title: 'Acritarch',
+    overview: 'Acritarchs are organic-walled microfossils of uncertain biological affinity, first appearing in the Proterozoic (~1.8 billion years ago). The term "acritarch" (from Greek: akritos = uncertain, arche = origin) reflects their enigmatic nature, though most are now considered to be cysts of extinct marine algae or protists.',
+    ageRange: { from: 'Proterozoic', to: 'Recent', startMa: 1800, endMa: 0 },
+    features: [
+        { name: 'Vesicle', description: 'Central body (5-150μm) composed of acid-resistant organic compounds similar to sporopollenin or dinosporin' },
+        { name: 'Processes', description: 'Spine-like projections in various arrangements (concentric, polar, scattered) that can be solid or hollow' },
+        { name: 'Excystment Opening', description: 'Many forms possess an operculum or pylome that could open to release cellular contents' },
+        { name: 'Wall Ultrastructure', description: 'Single or multi-layered wall (0.1-2μm thick) with various surface textures (psilate, granulate, echinate)' },
+        { name: 'Preservation', description: 'Typically preserved as compressed carbonaceous films in shales or as three-dimensional structures in cherts' }
+    ],
+    significance: 'Acritarchs experienced a dramatic biodiversification during the Cambrian explosion (~541 MYA), making them valuable index fossils for Paleozoic marine strata. Their morphological changes mark key geological boundaries, especially in the late Proterozoic and early Paleozoic. Their widespread distribution in marine sediments makes them crucial for correlating strata across different paleocontinental blocks. A major extinction of complex acritarch taxa occurred during the Late Devonian crisis (~372 MYA).',
+    taxonomy: {
+        ranks: [
+            { rank: 'Domain', name: 'Eukaryota' },
+            { rank: 'Kingdom', name: 'Uncertain (possibly Chromista)' },
+            { rank: 'Informal groupings include', name: 'Acanthomorphs, Sphaeromorphs, Polygonomorphs' }
+        ],
+        note: 'Acritarchs are not a natural taxonomic group but represent a polyphyletic assemblage. Many are now classified as follows.'
+    },
+    references: [
+        { citation: 'Paleobiology Database' },
+        { citation: 'CHRONOS Acritarch Database' }
+    ],
+    // Short descriptions shown when a component is picked in the viewer
+    components: {
+        vesicle: 'The central body of resistant organic material, probably the cyst of a eukaryotic microorganism.',
+        processes: 'Hollow or solid spines projecting from the vesicle. Their form and branching define the morphological groups of acritarchs.',
+        operculum: 'Lid-like opening (excystment structure) through which the cell contents escaped.',
+        interior: 'The inside of the vesicle, which once held the cell contents and is usually empty in fossils.',
+        wallUltrastructure: 'Layered wall of sporopollenin-like polymer that makes acritarchs highly resistant to decay.',
+        surfaceOrnamentation: 'Fine granules, ridges or pits on the vesicle surface that help tell taxa apart.'
+    }
+};
+
+registerFossil({
+    id: 'acritarch',
+    displayName: 'Acritarch',
+    createModel: createAcritarchModel,
+    info: acritarchInfo,
+    camera: { position: [0, 0, 5], target: [0, 0, 0] },
+    tour: 'data/tours/acritarch.json',
+    // Vesicle is 1.4 units across; typical central bodies are about 50 μm
+    micronsPerUnit: 35,
+    // Exploded view: the cell contents and wall details move out of the vesicle
+    explodeAxes: {
+        operculum: { axis: [0, 0, 1], distance: 0.8 },
+        interior: { axis: [-1, 0, 0], distance: 2.2 },
+        wallUltrastructure: { axis: [1, 0, 0], distance: 1.0 }
+    },
+    metadata: {
+        group: 'Acritarcha (informal)',
+        range: 'Proterozoic–Recent',
+        composition: 'organic'
+    }
+});
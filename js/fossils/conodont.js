@@ -1,8 +1,164 @@
 import * as THREE from 'three';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
 import { addLabel } from '../labelUtils.js';
+import { registerFossil } from '../fossilRegistry.js';
+
+// Conodont element generator and apparatus
+// Every element is a cusp with one or more denticulate processes radiating from it, built in its
+// own frame: cusp at the origin pointing up (y), anterior along x. Element types differ in their
+// processes (see ELEMENT_TYPES); denticle density and height, cusp size, inclination, arching and
+// the P1 platform are shared by all of them. The apparatus places the fifteen elements of an
+// ozarkodinid (after the Idiognathodus model of Purnell & Donoghue 1997) around the midline (z = 0):
+// the P1 and P2 pairs at the back, the S0, the S1-S4 pairs and the M pair in the array in front.
+
+// Scale of the model, used to convert the denticle density and platform width
+const MICRONS_PER_UNIT = 500;
+
+// Points along each process
+const PROCESS_STEPS = 24;
+
+// Processes of each element type: direction in the plane of the element (degrees from anterior,
+// towards +z), length, blade height at the cusp, how strongly the process follows the arching
+// and sideways bowing (degrees over its length); cusp is the size of the cusp relative to the P1's
+const ELEMENT_TYPES = {
+    // Carminate or platform element: a long anterior blade and a short posterior process
+    p1: {
+        cusp: 1,
+        processes: [
+            { angle: 0, length: 1.3, height: 0.32, droop: 0.5 },
+            { angle: 180, length: 0.6, height: 0.22, droop: 0.5, platform: true }
+        ]
+    },
+    // Angulate: anterior and posterior processes bent down at the cusp
+    p2: {
+        cusp: 1.2,
+        processes: [
+            { angle: 0, length: 0.7, height: 0.22, droop: 1.5, bow: 10 },
+            { angle: 180, length: 0.8, height: 0.2, droop: 1.5 }
+        ]
+    },
+    // Alate: symmetrical, with two lateral processes and a long posterior one
+    s0: {
+        cusp: 1.3,
+        processes: [
+            { angle: 100, length: 0.35, height: 0.12, droop: 1.2 },
+            { angle: -100, length: 0.35, height: 0.12, droop: 1.2 },
+            { angle: 180, length: 0.8, height: 0.14, droop: 0.6 }
+        ]
+    },
+    // Extensiform digyrate: two unequal lateral processes
+    s1: {
+        cusp: 1.3,
+        processes: [
+            { angle: 70, length: 0.45, height: 0.13, droop: 1.2, bow: -10 },
+            { angle: -110, length: 0.5, height: 0.13, droop: 1.2, bow: 10 }
+        ]
+    },
+    s2: {
+        cusp: 1.2,
+        processes: [
+            { angle: 55, length: 0.5, height: 0.13, droop: 1.2, bow: -15 },
+            { angle: -125, length: 0.4, height: 0.12, droop: 1.4, bow: 15 }
+        ]
+    },
+    // Bipennate: a long posterior process and a short, downturned anterior one
+    s3: {
+        cusp: 1.3,
+        processes: [
+            { angle: 30, length: 0.18, height: 0.1, droop: 2 },
+            { angle: 180, length: 0.95, height: 0.13, droop: 0.6 }
+        ]
+    },
+    s4: {
+        cusp: 1.3,
+        processes: [
+            { angle: 60, length: 0.15, height: 0.1, droop: 2.5 },
+            { angle: 180, length: 1, height: 0.13, droop: 0.6, bow: -8 }
+        ]
+    },
+    // Makellate: pick-shaped, a large cusp over two short processes
+    m: {
+        cusp: 1.8,
+        processes: [
+            { angle: 90, length: 0.35, height: 0.12, droop: 2, bow: 20 },
+            { angle: -80, length: 0.2, height: 0.1, droop: 2.5 }
+        ]
+    }
+};
+
+// Position of each element of the left side in the apparatus, with the directions of its anterior
+// (along) and of its cusp (oral); paired elements are mirrored across the midline on the right.
+// Anterior is +x and dorsal +y: the S and M elements point their long processes forwards and up
+// with their cusps towards the midline, and the P elements face each other across it.
+const APPARATUS = {
+    p1: { position: [-1.3, 0, 0.28], along: [1, 0.05, 0], oral: [0, 0.2, -1], paired: true },
+    p2: { position: [-0.2, 0, 0.22], along: [1, 0.27, 0], oral: [0, 0, -1], paired: true },
+    s0: { position: [1.15, -0.3, 0], along: [-0.77, -0.64, 0], oral: [0.64, -0.77, 0], paired: false },
+    s1: { position: [1.14, -0.29, 0.2], along: [-0.77, -0.64, -0.06], oral: [0, 0, -1], paired: true },
+    s2: { position: [1.08, -0.33, 0.32], along: [-0.77, -0.64, -0.12], oral: [0, 0, -1], paired: true },
+    s3: { position: [1.02, -0.37, 0.44], along: [-0.77, -0.64, -0.18], oral: [0, 0, -1], paired: true },
+    s4: { position: [0.96, -0.41, 0.56], along: [-0.77, -0.64, -0.24], oral: [0, 0, -1], paired: true },
+    m: { position: [1.4, 0.35, 0.35], along: [1, 0, 0], oral: [0, -0.45, -1], paired: true }
+};
+
+// Order and names of the elements in the apparatus view
+const ELEMENT_NAMES = {
+    p1: 'P1',
+    p2: 'P2',
+    s0: 'S0',
+    s1: 'S1',
+    s2: 'S2',
+    s3: 'S3',
+    s4: 'S4',
+    m: 'M'
+};
+
+// Generator parameters, shown in the model parameter panel (see parameterPanel.js)
+export const conodontParameters = {
+    view: {
+        label: 'View',
+        options: { element: 'Single element', apparatus: 'Apparatus (ozarkodinid)' },
+        value: 'element'
+    },
+    element: {
+        label: 'Element (single view)',
+        options: { p1: 'P1 (Pa)', p2: 'P2 (Pb)', s0: 'S0 (Sa)', s1: 'S1 (Sb)', s2: 'S2 (Sb)', s3: 'S3 (Sc)', s4: 'S4 (Sc)', m: 'M' },
+        value: 'p1'
+    },
+    denticleDensity: { label: 'Denticles per mm', min: 4, max: 30, step: 1, value: 12 },
+    denticleHeight: { label: 'Denticle height', min: 0.4, max: 2, step: 0.1, value: 1, unit: '×' },
+    inclination: { label: 'Posterior inclination', min: 0, max: 50, step: 1, value: 20, unit: '°' },
+    cuspSize: { label: 'Cusp size', min: 0.5, max: 2.5, step: 0.1, value: 1.5, unit: '×' },
+    arching: { label: 'Arching of processes', min: 0, max: 40, step: 1, value: 10, unit: '°' },
+    platformWidth: { label: 'P1 platform width', min: 0, max: 300, step: 10, value: 0, unit: ' µm' }
+};
+
+// Typical values of some ozarkodinid genera, shown as whole apparatuses
+export const conodontPresets = {
+    ozarkodina: {
+        name: 'Ozarkodina',
+        description: 'A Silurian–Devonian apparatus with a carminate, bladed P1 element and robust denticles.',
+        values: { view: 'apparatus', denticleDensity: 10, denticleHeight: 1.2, inclination: 15, cuspSize: 1.6, arching: 12, platformWidth: 0 }
+    },
+    idiognathodus: {
+        name: 'Idiognathodus',
+        description: 'A Carboniferous apparatus whose P1 element carries a broad platform with transverse ridges.',
+        values: { view: 'apparatus', denticleDensity: 14, denticleHeight: 1, inclination: 20, cuspSize: 1.4, arching: 8, platformWidth: 240 }
+    },
+    polygnathus: {
+        name: 'Polygnathus',
+        description: 'A Devonian apparatus with a narrow platform on the P1 element and small, closely set denticles.',
+        values: { view: 'apparatus', denticleDensity: 20, denticleHeight: 0.7, inclination: 25, cuspSize: 1.1, arching: 5, platformWidth: 140 }
+    }
+};
+
+// Create and return a conodont fossil model for a set of generator parameters
+export function createConodontModel(scene, parameters = {}) {
+    const values = {};
+    Object.keys(conodontParameters).forEach(name => {
+        values[name] = parameters[name] !== undefined ? parameters[name] : conodontParameters[name].value;
+    });
 
-// Create and return a conodont fossil model
-export function createConodontModel(scene) {
     // Create a group to hold all components
     const conodontGroup = new THREE.Group();
     conodontGroup.userData = {
@@ -10,358 +166,546 @@ export function createConodontModel(scene) {
     };
 
     // Add components to the model
-    createElementBody(conodontGroup);
-    createDenticles(conodontGroup);
-    createCusp(conodontGroup);
-    createBasalCavity(conodontGroup);
-    createGrowthLines(conodontGroup);
+    const materials = createMaterials();
+    if (values.view === 'apparatus') {
+        createApparatus(conodontGroup, values, materials);
+    } else {
+        createSingleElement(conodontGroup, values, materials);
+    }
 
     return conodontGroup;
 }
 
-// Create the main body of the conodont element
-function createElementBody(group) {
-    // Create a curved path for the conodont element body
-    const points = [];
-    const length = 2;
-    const curve = new THREE.CubicBezierCurve3(
-        new THREE.Vector3(-length/2, 0, 0),
-        new THREE.Vector3(-length/4, 0.1, 0),
-        new THREE.Vector3(length/4, -0.1, 0),
-        new THREE.Vector3(length/2, 0, 0)
-    );
-
-    // Sample points along the curve - reduced number of points
-    const numPoints = 40; // Reduced from 50
-    const curvePoints = curve.getPoints(numPoints);
-    
-    // Create geometry along the curve
-    const bodyGeometry = new THREE.BufferGeometry();
-    const positions = [];
-    const indices = [];
-    const normals = [];
-    
-    // Create a blade-like structure
-    for (let i = 0; i < curvePoints.length; i++) {
-        const point = curvePoints[i];
-        const width = 0.1 * (1 - Math.abs(i / numPoints - 0.5) * 1.5); // Narrower at ends
-        const height = 0.4 * Math.sin(Math.PI * i / numPoints); // Taller in middle
-        
-        // Add top and bottom vertices
-        positions.push(point.x, point.y + height, point.z + width/2);
-        positions.push(point.x, point.y + height, point.z - width/2);
-        positions.push(point.x, point.y, point.z + width/2);
-        positions.push(point.x, point.y, point.z - width/2);
-        
-        // Add faces (two triangles make a quad)
-        if (i < curvePoints.length - 1) {
-            const vertexOffset = i * 4;
-            // Top face
-            indices.push(vertexOffset, vertexOffset + 4, vertexOffset + 1);
-            indices.push(vertexOffset + 1, vertexOffset + 4, vertexOffset + 5);
-            // Side face 1
-            indices.push(vertexOffset, vertexOffset + 2, vertexOffset + 4);
-            indices.push(vertexOffset + 2, vertexOffset + 6, vertexOffset + 4);
-            // Side face 2
-            indices.push(vertexOffset + 1, vertexOffset + 5, vertexOffset + 3);
-            indices.push(vertexOffset + 3, vertexOffset + 5, vertexOffset + 7);
-            // Bottom face
-            indices.push(vertexOffset + 2, vertexOffset + 3, vertexOffset + 6);
-            indices.push(vertexOffset + 3, vertexOffset + 7, vertexOffset + 6);
+// Materials shared by all elements of a model
+function createMaterials() {
+    return {
+        body: new THREE.MeshPhysicalMaterial({
+            color: 0xd0c0a0,
+            transparent: true,
+            opacity: 0.9,
+            roughness: 0.4,
+            metalness: 0.1
+        }),
+        denticles: new THREE.MeshStandardMaterial({
+            color: 0xd8d0c0,
+            roughness: 0.3
+        }),
+        cusp: new THREE.MeshStandardMaterial({
+            color: 0xe0d8c8,
+            roughness: 0.3
+        }),
+        whiteMatter: new THREE.MeshPhysicalMaterial({
+            color: 0xf5f5f0,
+            transparent: true,
+            opacity: 0.7,
+            roughness: 0.2
+        }),
+        basalCavity: new THREE.MeshStandardMaterial({
+            color: 0x908880,
+            side: THREE.DoubleSide
+        }),
+        growthLines: new THREE.MeshBasicMaterial({
+            color: 0x605040,
+            transparent: true,
+            opacity: 0.5,
+            side: THREE.DoubleSide
+        })
+    };
+}
+
+// One element with its tissues as separate components, as seen in a sample
+function createSingleElement(group, values, materials) {
+    const element = createElement(values.element, values, materials, true);
+
+    // Centre the element in the view
+    const center = new THREE.Box3().setFromObject(element.body).getCenter(new THREE.Vector3());
+    ['body', 'denticles', 'cusp', 'whiteMatter', 'basalCavity', 'growthLines'].forEach(part => {
+        element[part].position.sub(center);
+        group.add(element[part]);
+    });
+    const anchor = point => point.clone().sub(center);
+
+    const components = [
+        { name: 'body', displayName: 'Element Body', mesh: element.body, label: 'Element Body', position: anchor(element.anchors.body).add(new THREE.Vector3(0, 0, 0.3)) },
+        { name: 'denticles', displayName: 'Denticles', group: element.denticles, label: 'Denticles', position: anchor(element.anchors.denticles).add(new THREE.Vector3(0, 0.15, 0.3)) },
+        { name: 'cusp', displayName: 'Main Cusp', mesh: element.cusp, label: 'Main Cusp', position: anchor(element.anchors.cusp).add(new THREE.Vector3(0, 0.1, 0.3)) },
+        { name: 'whiteMatter', displayName: 'White Matter', group: element.whiteMatter, label: 'White Matter', position: anchor(element.anchors.whiteMatter).add(new THREE.Vector3(0, 0, 0.5)) },
+        { name: 'basalCavity', displayName: 'Basal Cavity', mesh: element.basalCavity, label: 'Basal Cavity', position: anchor(element.anchors.basalCavity).add(new THREE.Vector3(0, -0.2, 0.3)) },
+        { name: 'growthLines', displayName: 'Growth Lines', mesh: element.growthLines, label: 'Growth Lines', position: anchor(element.anchors.growthLines).add(new THREE.Vector3(0, 0.1, 0.5)) }
+    ];
+
+    // Store component data for UI controls
+    components.forEach(({ label, position, ...component }) => {
+        component.visible = true;
+        group.userData.components.push(component);
+
+        // Add label
+        if (typeof addLabel === 'function') {
+            const labelsArray = window.labels || [];
+            addLabel(group, labelsArray, label, position, component);
         }
-        
-        // Simple normals (not accurate but functional)
-        for (let j = 0; j < 4; j++) {
-            normals.push(0, 1, 0);
+    });
+}
+
+// The fifteen elements of the apparatus, one component per element type
+function createApparatus(group, values, materials) {
+    const mirror = new THREE.Matrix4().makeScale(1, 1, -1);
+
+    Object.keys(ELEMENT_NAMES).forEach((type, index) => {
+        const placement = APPARATUS[type];
+        const typeGroup = new THREE.Group();
+
+        // Element frame to apparatus: anterior along x, cusp along y
+        const along = new THREE.Vector3(...placement.along).normalize();
+        const oral = new THREE.Vector3(...placement.oral);
+        oral.addScaledVector(along, -oral.dot(along)).normalize();
+        const matrix = new THREE.Matrix4()
+            .makeBasis(along, oral, new THREE.Vector3().crossVectors(along, oral))
+            .setPosition(...placement.position);
+
+        const sides = placement.paired ? [matrix, mirror.clone().multiply(matrix)] : [matrix];
+        let anchor = null;
+        sides.forEach(sideMatrix => {
+            const element = createElement(type, values, materials, false);
+            const elementGroup = new THREE.Group();
+            elementGroup.add(element.body, element.denticles, element.cusp, element.basalCavity);
+            elementGroup.applyMatrix4(sideMatrix);
+            typeGroup.add(elementGroup);
+            if (!anchor) {
+                anchor = element.anchors.cusp.clone().applyMatrix4(sideMatrix);
+            }
+        });
+
+        group.add(typeGroup);
+
+        // Store component data for UI controls
+        const component = {
+            name: type,
+            displayName: `${ELEMENT_NAMES[type]} ${placement.paired ? 'Elements' : 'Element'}`,
+            group: typeGroup,
+            visible: true
+        };
+
+        group.userData.components.push(component);
+
+        // Add label beside the cusp of the left element; the S labels step down to stay apart
+        if (typeof addLabel === 'function') {
+            const labelsArray = window.labels || [];
+            const offset = type.startsWith('s') ? new THREE.Vector3(0, -0.12 * (index - 2), 0.3) : new THREE.Vector3(0, 0.15, 0.3);
+            addLabel(group, labelsArray, ELEMENT_NAMES[type], anchor.add(offset), component);
         }
-    }
-    
-    bodyGeometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-    bodyGeometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
-    bodyGeometry.setIndex(indices);
-    
-    // Material for the conodont element
-    const material = new THREE.MeshPhysicalMaterial({
-        color: 0xd0c0a0,
-        transparent: true,
-        opacity: 0.9,
-        roughness: 0.4,
-        metalness: 0.1
     });
-    
-    const body = new THREE.Mesh(bodyGeometry, material);
-    group.add(body);
-    
-    // Store component data for UI controls
-    const component = {
-        name: 'body',
-        displayName: 'Element Body',
-        mesh: body,
-        visible: true
+}
+
+// Build one element in its own frame from its type and the shared parameters
+// Returns its parts (body, denticles, cusp, basal cavity and, with tissues, white matter and growth
+// lines) and anchor points for their labels
+function createElement(type, values, materials, withTissues) {
+    const spec = ELEMENT_TYPES[type] || ELEMENT_TYPES.p1;
+    const processes = spec.processes.map(process => createProcessPath(process, values));
+    const denticles = placeDenticles(processes, values);
+
+    // The cusp rises from the top of the blade and leans back with the denticles
+    const cuspHeight = 0.22 * spec.cusp * values.cuspSize;
+    const cuspBase = new THREE.Vector3(0, Math.max(...processes.map(process => process.height(0))) * 0.6, 0);
+    const cuspAxis = inclinedAxis(values.inclination * 1.2);
+
+    const parts = {
+        body: createElementBody(processes, values, materials.body),
+        denticles: createDenticles(denticles, processes, values, materials.denticles),
+        cusp: createCusp(cuspBase, cuspAxis, cuspHeight, materials.cusp),
+        basalCavity: createBasalCavity(processes, values, materials.basalCavity)
     };
-    
-    group.userData.components.push(component);
-    
-    // Add label
-    if (typeof addLabel === 'function') {
-        const labelsArray = window.labels || [];
-        addLabel(group, labelsArray, 'Element Body', new THREE.Vector3(0, 0.3, 0.3), component);
+
+    const main = processes[0];
+    const middle = main.pointAt(main.length * 0.5);
+    parts.anchors = {
+        body: middle.clone().setY(middle.y + main.height(main.length * 0.5) * 0.5),
+        denticles: middle.clone().setY(middle.y + main.height(main.length * 0.5)),
+        cusp: cuspBase.clone().addScaledVector(cuspAxis, cuspHeight),
+        whiteMatter: cuspBase.clone().addScaledVector(cuspAxis, cuspHeight * 0.5),
+        growthLines: main.pointAt(main.length * 0.75)
+    };
+
+    parts.anchors.basalCavity = parts.basalCavity.position.clone();
+
+    if (withTissues) {
+        parts.whiteMatter = createWhiteMatter(denticles, cuspBase, cuspAxis, cuspHeight, materials.whiteMatter);
+        parts.growthLines = createGrowthLines(processes, materials.growthLines);
     }
-    
-    return body;
+
+    return parts;
 }
 
-// Create denticles (small tooth-like projections)
-function createDenticles(group) {
-    const denticleGroup = new THREE.Group();
-    
-    // Material for denticles
-    const material = new THREE.MeshStandardMaterial({
-        color: 0xd8d0c0,
-        roughness: 0.3
-    });
-    
-    // Create several denticles along the upper edge - reduced count
-    const numDenticles = 5; // Reduced from 7
-    const spacing = 1.6 / (numDenticles + 1);
-    const startX = -0.8 + spacing;
-    
-    for (let i = 0; i < numDenticles; i++) {
-        const x = startX + i * spacing;
-        const height = 0.1 + 0.05 * Math.sin(Math.PI * i / (numDenticles - 1));
-        
-        // Create denticle geometry (cone) - reduced segments
-        const geometry = new THREE.ConeGeometry(0.03, height, 6); // Reduced from 8
-        const denticle = new THREE.Mesh(geometry, material);
-        
-        // Position denticle
-        denticle.position.set(x, 0.2, 0);
-        denticle.rotation.z = -Math.PI / 6; // Slightly angled
-        
-        denticleGroup.add(denticle);
+// Unit direction tilted from the oral direction (y) towards the posterior (-x)
+function inclinedAxis(degrees) {
+    const angle = THREE.MathUtils.degToRad(degrees);
+    return new THREE.Vector3(-Math.sin(angle), Math.cos(angle), 0);
+}
+
+// Centre line of a process from the cusp to its tip, arched downwards and bowed sideways
+function createProcessPath(process, values) {
+    const start = THREE.MathUtils.degToRad(process.angle);
+    const bow = THREE.MathUtils.degToRad(process.bow || 0);
+    const drop = process.length * Math.tan(THREE.MathUtils.degToRad(values.arching)) * process.droop;
+
+    const points = [new THREE.Vector3()];
+    const step = process.length / PROCESS_STEPS;
+    for (let i = 1; i <= PROCESS_STEPS; i++) {
+        const u = (i - 0.5) / PROCESS_STEPS;
+        const heading = start + bow * u;
+        const point = points[i - 1].clone().add(new THREE.Vector3(Math.cos(heading) * step, 0, Math.sin(heading) * step));
+        point.y = -drop * Math.pow(i / PROCESS_STEPS, 2);
+        points.push(point);
     }
-    
-    group.add(denticleGroup);
-    
-    // Store component data for UI controls
-    const component = {
-        name: 'denticles',
-        displayName: 'Denticles',
-        group: denticleGroup,
-        visible: true
+
+    // Point, direction along the process and blade height at a distance s from the cusp
+    const pointAt = s => {
+        const t = THREE.MathUtils.clamp(s / process.length, 0, 1) * PROCESS_STEPS;
+        const i = Math.min(Math.floor(t), PROCESS_STEPS - 1);
+        return points[i].clone().lerp(points[i + 1], t - i);
     };
-    
-    group.userData.components.push(component);
-    
-    // Add label
-    if (typeof addLabel === 'function') {
-        const labelsArray = window.labels || [];
-        addLabel(group, labelsArray, 'Denticles', new THREE.Vector3(0.4, 0.4, 0.3), component);
+    const tangentAt = s => {
+        const t = THREE.MathUtils.clamp(s / process.length, 0, 1) * PROCESS_STEPS;
+        const i = Math.min(Math.floor(t), PROCESS_STEPS - 1);
+        return points[i + 1].clone().sub(points[i]).normalize();
+    };
+
+    return {
+        length: process.length,
+        platform: !!process.platform && values.platformWidth > 0,
+        pointAt,
+        tangentAt,
+        // Sideways direction, across the blade
+        sideAt: s => {
+            const tangent = tangentAt(s);
+            return new THREE.Vector3(-tangent.z, 0, tangent.x).normalize();
+        },
+        height: s => process.height * (1 - 0.55 * THREE.MathUtils.clamp(s / process.length, 0, 1)),
+        thickness: s => 0.07 * (1 - 0.4 * THREE.MathUtils.clamp(s / process.length, 0, 1))
+    };
+}
+
+// Sweep a cross-section along a process into a closed solid
+// section(s) returns the outline as [across, up] pairs, anticlockwise in the across-up plane
+function createProcessGeometry(process, section, from = 0) {
+    const positions = [];
+    const indices = [];
+    let sides = 0;
+
+    for (let i = 0; i <= PROCESS_STEPS; i++) {
+        const s = THREE.MathUtils.lerp(from, process.length, i / PROCESS_STEPS);
+        const point = process.pointAt(s);
+        const side = process.sideAt(s);
+        const outline = section(s);
+        sides = outline.length;
+        outline.forEach(([across, up]) => {
+            positions.push(point.x + side.x * across, point.y + up, point.z + side.z * across);
+        });
+    }
+
+    for (let i = 0; i < PROCESS_STEPS; i++) {
+        for (let j = 0; j < sides; j++) {
+            const a = i * sides + j;
+            const b = i * sides + (j + 1) % sides;
+            const c = (i + 1) * sides + (j + 1) % sides;
+            const d = (i + 1) * sides + j;
+            indices.push(a, c, b, a, d, c);
+        }
     }
-    
+
+    // Close both ends with a fan around the centre of the section
+    [[0, -1], [PROCESS_STEPS, 1]].forEach(([ring, direction]) => {
+        const center = positions.length / 3;
+        const centroid = new THREE.Vector3();
+        for (let j = 0; j < sides; j++) {
+            const index = (ring * sides + j) * 3;
+            centroid.x += positions[index] / sides;
+            centroid.y += positions[index + 1] / sides;
+            centroid.z += positions[index + 2] / sides;
+        }
+        positions.push(centroid.x, centroid.y, centroid.z);
+
+        for (let j = 0; j < sides; j++) {
+            const a = ring * sides + j;
+            const b = ring * sides + (j + 1) % sides;
+            if (direction > 0) {
+                indices.push(center, b, a);
+            } else {
+                indices.push(center, a, b);
+            }
+        }
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setIndex(indices);
+    geometry.computeVertexNormals();
+    return geometry;
+}
+
+// Half the width of the P1 platform at a distance s along its process
+function platformHalfWidth(process, values, s) {
+    const u = THREE.MathUtils.clamp(s / process.length, 0, 1);
+    return (values.platformWidth / 2 / MICRONS_PER_UNIT) * Math.pow(Math.sin(Math.PI * Math.min(1, u * 1.3)), 0.6);
+}
+
+// Create the main body of the conodont element: a blade along each process, and the platform
+function createElementBody(processes, values, material) {
+    const geometries = [];
+
+    processes.forEach(process => {
+        // Blade: a lamina with a sharp upper edge, thinning and lowering towards the tip
+        geometries.push(createProcessGeometry(process, s => {
+            const h = process.height(s);
+            const w = process.thickness(s) / 2;
+            return [[0, 0], [w, h * 0.15], [w, h * 0.75], [0, h], [-w, h * 0.75], [-w, h * 0.15]];
+        }));
+
+        // Platform: a broad shelf on either side of the blade at mid-height
+        if (process.platform) {
+            geometries.push(createProcessGeometry(process, s => {
+                const half = Math.max(platformHalfWidth(process, values, s), process.thickness(s) / 2);
+                const h = process.height(s) * 0.35;
+                const t = 0.03;
+                return [[-half, h], [-half * 0.6, h - t], [half * 0.6, h - t], [half, h], [half * 0.6, h + t], [-half * 0.6, h + t]];
+            }));
+        }
+    });
+
+    const geometry = mergeGeometries(geometries);
+    geometries.forEach(part => part.dispose());
+
+    return new THREE.Mesh(geometry, material);
+}
+
+// Where the denticles stand: evenly spaced along each process after the cusp, at the set density
+function placeDenticles(processes, values) {
+    const denticles = [];
+    const axis = inclinedAxis(values.inclination);
+    const up = new THREE.Vector3(0, 1, 0);
+
+    processes.forEach(process => {
+        const gap = 0.08;
+        const count = Math.max(1, Math.round(((process.length - gap) * MICRONS_PER_UNIT / 1000) * values.denticleDensity));
+        const spacing = (process.length - gap) / count;
+        for (let i = 0; i < count; i++) {
+            const s = gap + (i + 0.5) * spacing;
+            // Denticles shrink towards the tip and are fused to carina nodes on a platform
+            const height = values.denticleHeight * process.height(s) * (process.platform ? 0.25 : 0.45);
+            const radius = Math.min(spacing * 0.55, 0.05);
+            const base = process.pointAt(s).setY(process.pointAt(s).y + process.height(s) * 0.85);
+            denticles.push({
+                matrix: new THREE.Matrix4().compose(base, new THREE.Quaternion().setFromUnitVectors(up, axis), new THREE.Vector3(radius, height, radius)),
+                process,
+                s
+            });
+        }
+    });
+
+    return denticles;
+}
+
+// Create denticles (small tooth-like projections), and the transverse ridges of a platform
+function createDenticles(denticles, processes, values, material) {
+    const denticleGroup = new THREE.Group();
+
+    // Unit cone standing on its base, stretched to each denticle
+    const geometry = new THREE.ConeGeometry(1, 1, 6);
+    geometry.translate(0, 0.5, 0);
+    const instancedDenticles = new THREE.InstancedMesh(geometry, material, denticles.length);
+    denticles.forEach((denticle, index) => instancedDenticles.setMatrixAt(index, denticle.matrix));
+    denticleGroup.add(instancedDenticles);
+
+    // Ridges run across the platform at the spacing of the denticles
+    const ridges = [];
+    processes.filter(process => process.platform).forEach(process => {
+        const spacing = 1000 / values.denticleDensity / MICRONS_PER_UNIT;
+        for (let s = spacing; s < process.length - spacing / 2; s += spacing) {
+            const half = platformHalfWidth(process, values, s);
+            if (half < process.thickness(s)) continue;
+            const position = process.pointAt(s);
+            position.y += process.height(s) * 0.35 + 0.03;
+            const side = process.sideAt(s);
+            const quaternion = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(1, 0, 0), side);
+            ridges.push(new THREE.Matrix4().compose(position, quaternion, new THREE.Vector3(half * 1.7, 0.025, Math.min(spacing * 0.4, 0.03))));
+        }
+    });
+    if (ridges.length > 0) {
+        const ridgeGeometry = new THREE.BoxGeometry(1, 1, 1);
+        const instancedRidges = new THREE.InstancedMesh(ridgeGeometry, material, ridges.length);
+        ridges.forEach((matrix, index) => instancedRidges.setMatrixAt(index, matrix));
+        denticleGroup.add(instancedRidges);
+    }
+
     return denticleGroup;
 }
 
 // Create the main cusp (largest denticle)
-function createCusp(group) {
-    // Create cusp geometry - reduced segments
-    const geometry = new THREE.ConeGeometry(0.06, 0.3, 6); // Reduced from 8
-    
-    // Apply material
-    const material = new THREE.MeshStandardMaterial({
-        color: 0xe0d8c8,
-        roughness: 0.3
-    });
-    
-    // Create mesh and add to group
+function createCusp(base, axis, height, material) {
+    const geometry = new THREE.ConeGeometry(1, 1, 8);
+    geometry.translate(0, 0.5, 0);
+
     const cusp = new THREE.Mesh(geometry, material);
-    cusp.position.set(-0.3, 0.3, 0); // Position near one end
-    cusp.rotation.z = -Math.PI / 8; // Slightly angled
-    group.add(cusp);
-    
-    // Add white matter to the cusp - new component
-    createWhiteMatter(group, cusp);
-    
-    // Store component data for UI controls
-    const component = {
-        name: 'cusp',
-        displayName: 'Main Cusp',
-        mesh: cusp,
-        visible: true
-    };
-    
-    group.userData.components.push(component);
-    
-    // Add label
-    if (typeof addLabel === 'function') {
-        const labelsArray = window.labels || [];
-        addLabel(group, labelsArray, 'Main Cusp', new THREE.Vector3(-0.3, 0.6, 0.3), component);
-    }
-    
+    cusp.position.copy(base);
+    cusp.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), axis);
+    cusp.scale.set(height * 0.25, height, height * 0.25);
+
     return cusp;
 }
 
-// Create white matter (internal structure)
-function createWhiteMatter(group, cusp) {
-    // Create a slightly smaller cone for the white matter inside the cusp
-    const geometry = new THREE.ConeGeometry(0.035, 0.2, 5); // Very low poly
-    
-    // White matter material
-    const material = new THREE.MeshPhysicalMaterial({
-        color: 0xf5f5f0,
-        transparent: true,
-        opacity: 0.7,
-        roughness: 0.2
-    });
-    
-    const whiteMatter = new THREE.Mesh(geometry, material);
-    
-    // Position white matter inside the cusp
-    whiteMatter.position.copy(cusp.position);
-    whiteMatter.position.y += 0.03; // Slightly higher in the cusp
-    whiteMatter.rotation.copy(cusp.rotation);
-    
-    group.add(whiteMatter);
-    
-    // Store component data for UI controls
-    const component = {
-        name: 'whiteMatter',
-        displayName: 'White Matter',
-        mesh: whiteMatter,
-        visible: true
-    };
-    
-    group.userData.components.push(component);
-    
-    // Add label
-    if (typeof addLabel === 'function') {
-        const labelsArray = window.labels || [];
-        addLabel(group, labelsArray, 'White Matter', new THREE.Vector3(-0.3, 0.45, 0.5), component);
-    }
-    
-    return whiteMatter;
+// Create white matter (internal structure): a core in the upper part of the cusp and of each denticle
+function createWhiteMatter(denticles, cuspBase, cuspAxis, cuspHeight, material) {
+    const whiteMatterGroup = new THREE.Group();
+
+    const geometry = new THREE.ConeGeometry(1, 1, 5);
+    geometry.translate(0, 0.5, 0);
+
+    const cuspCore = new THREE.Mesh(geometry, material);
+    cuspCore.position.copy(cuspBase).addScaledVector(cuspAxis, cuspHeight * 0.3);
+    cuspCore.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), cuspAxis);
+    cuspCore.scale.set(cuspHeight * 0.14, cuspHeight * 0.6, cuspHeight * 0.14);
+    whiteMatterGroup.add(cuspCore);
+
+    // Each denticle's core, scaled into the denticle from its middle
+    const core = new THREE.Matrix4().compose(new THREE.Vector3(0, 0.35, 0), new THREE.Quaternion(), new THREE.Vector3(0.5, 0.55, 0.5));
+    const instancedCores = new THREE.InstancedMesh(geometry, material, denticles.length);
+    denticles.forEach((denticle, index) => instancedCores.setMatrixAt(index, denticle.matrix.clone().multiply(core)));
+    whiteMatterGroup.add(instancedCores);
+
+    return whiteMatterGroup;
 }
 
-// Create basal cavity (attachment area)
-function createBasalCavity(group) {
-    // Create basal cavity geometry - simplified shape with fewer points
-    const shape = new THREE.Shape();
-    shape.moveTo(-0.6, 0);
-    shape.bezierCurveTo(-0.4, -0.1, 0.4, -0.1, 0.6, 0);
-    shape.bezierCurveTo(0.4, 0.05, -0.4, 0.05, -0.6, 0);
-    
-    const extrudeSettings = {
-        depth: 0.1,
-        bevelEnabled: false,
-        steps: 1 // Reduced steps for extrusion
-    };
-    
-    const geometry = new THREE.ExtrudeGeometry(shape, extrudeSettings);
-    
-    // Apply material
-    const material = new THREE.MeshStandardMaterial({
-        color: 0x908880,
-        side: THREE.DoubleSide
-    });
-    
-    // Create mesh and add to group
+// Create basal cavity (attachment area): a shallow pit under the cusp, widened under a platform
+function createBasalCavity(processes, values, material) {
+    const geometry = new THREE.SphereGeometry(1, 16, 6, 0, Math.PI * 2, Math.PI / 2, Math.PI / 2);
+
+    const platform = processes.find(process => process.platform);
+    const longest = processes.reduce((best, process) => (process.length > best.length ? process : best));
+    const length = Math.min(0.3, longest.length * 0.4);
+    const width = platform ? Math.max(0.05, platformHalfWidth(platform, values, platform.length * 0.4) * 0.8) : 0.05;
+
     const basalCavity = new THREE.Mesh(geometry, material);
-    basalCavity.position.set(0, -0.05, -0.05);
-    basalCavity.rotation.x = Math.PI / 2;
-    group.add(basalCavity);
-    
-    // Store component data for UI controls
-    const component = {
-        name: 'basalCavity',
-        displayName: 'Basal Cavity',
-        mesh: basalCavity,
-        visible: true
-    };
-    
-    group.userData.components.push(component);
-    
-    // Add label
-    if (typeof addLabel === 'function') {
-        const labelsArray = window.labels || [];
-        addLabel(group, labelsArray, 'Basal Cavity', new THREE.Vector3(0, -0.2, 0.3), component);
+    basalCavity.position.y = 0.005;
+    basalCavity.scale.set(length, 0.06, width);
+    // Elongated along the main axis of the element, or under the platform
+    const direction = (platform || longest).tangentAt(0);
+    basalCavity.rotation.y = -Math.atan2(direction.z, direction.x);
+    if (platform) {
+        basalCavity.position.add(platform.pointAt(length * 0.5).setY(0.005));
     }
-    
+
     return basalCavity;
 }
 
-// Add growth lines to the conodont element - new function
-function createGrowthLines(group) {
-    const growthLinesGroup = new THREE.Group();
-    
-    // Material for growth lines
-    const material = new THREE.MeshBasicMaterial({
-        color: 0x605040,
-        transparent: true,
-        opacity: 0.5,
-        side: THREE.DoubleSide
+// Add growth lines to the conodont element: lamellae traced along both sides of each blade
+function createGrowthLines(processes, material) {
+    const tubes = [];
+
+    processes.forEach(process => {
+        [1, -1].forEach(side => {
+            [0.3, 0.5, 0.7].forEach(fraction => {
+                const points = [];
+                for (let i = 0; i <= 8; i++) {
+                    const s = 0.05 + (process.length - 0.05) * (i / 8);
+                    const point = process.pointAt(s).addScaledVector(process.sideAt(s), side * (process.thickness(s) / 2 + 0.004));
+                    point.y += process.height(s) * fraction;
+                    points.push(point);
+                }
+                tubes.push(new THREE.TubeGeometry(new THREE.CatmullRomCurve3(points), 16, 0.004, 3, false));
+            });
+        });
     });
-    
-    // Create growth lines on the element body
-    const numLines = 6; // Keep low for performance
-    
-    for (let i = 0; i < numLines; i++) {
-        // Create a thin ring to represent a growth line
-        const radius = 0.06 + (i * 0.01);
-        const height = 0.005;
-        const position = -0.8 + (i * 0.25);
-        
-        // Use low-poly ring for better performance
-        const ringGeometry = new THREE.TorusGeometry(radius, height, 4, 8);
-        const ring = new THREE.Mesh(ringGeometry, material);
-        
-        ring.position.set(position, 0.1, 0);
-        ring.rotation.y = Math.PI / 2;
-        
-        growthLinesGroup.add(ring);
-    }
-    
-    group.add(growthLinesGroup);
-    
-    // Store component data for UI controls
-    const component = {
-        name: 'growthLines',
-        displayName: 'Growth Lines',
-        group: growthLinesGroup,
-        visible: true
-    };
-    
-    group.userData.components.push(component);
-    
-    // Add label
-    if (typeof addLabel === 'function') {
-        const labelsArray = window.labels || [];
-        addLabel(group, labelsArray, 'Growth Lines', new THREE.Vector3(0.2, 0.2, 0.5), component);
-    }
-    
-    return growthLinesGroup;
+
+    const geometry = mergeGeometries(tubes);
+    tubes.forEach(tube => tube.dispose());
+
+    return new THREE.Mesh(geometry, material);
 }
 
-// Return information about conodonts
-export function getConodontInfo() {
-    return `
-        <h3>Conodont</h3>
-        <p>Conodonts were early vertebrates that existed from the late Cambrian to the end of the Triassic (~500-200 MYA). Though the soft-bodied animal (conodont animal) was rarely preserved, their tooth-like elements composed of calcium phosphate are abundant microfossils.</p>
-        
-        <h4>Key Features:</h4>
-        <ul>
-            <li><strong>Element Body:</strong> Composed of calcium phosphate (apatite: Ca₅(PO₄)₃(OH,F,Cl)) with a distinctive white matter core in advanced forms</li>
-            <li><strong>Denticles:</strong> Tooth-like projections with growth lamellae of 2-5μm thickness, revealing incremental formation</li>
-            <li><strong>Main Cusp:</strong> The largest denticle, often with internal growth lines and a basal cavity</li>
-            <li><strong>Apparatus:</strong> Complete conodont apparatus typically contains 15-19 elements organized in a bilateral arrangement</li>
-            <li><strong>Preservation:</strong> Conodont elements change color progressively with heating (Conodont Alteration Index: CAI 1-5)</li>
-        </ul>
-        
-        <h4>Geological Significance:</h4>
-        <p>Conodonts are among the most important index fossils for Paleozoic and Triassic rocks due to their rapid evolution and widespread distribution. The Conodont Alteration Index (CAI) serves as a geothermometer, indicating the thermal maturity of host rocks - crucial information for hydrocarbon exploration. Their extinction at the Triassic-Jurassic boundary (~201.3 MYA) marks a significant biostratigraphic datum.</p>
-        
-        <h4>Taxonomy & Classification:</h4>
-        <p>Domain: Eukaryota | Kingdom: Animalia | Phylum: Chordata | Class: Conodonta | Orders include: Ozarkodinida, Prioniodinida</p>
-        
-        <p><em>Data sourced from the Paleobiology Database and The Conodont Page (Jim Barrick, Texas Tech)</em></p>
-    `;
-} 
\ No newline at end of file
+// Information about conodonts for the info panel and component popovers (format in fossilInfo.js)
+export const conodontInfo = {
+    title: 'Conodont',
+    overview: 'Conodonts were early vertebrates that existed from the late Cambrian to the end of the Triassic (~500-200 MYA). Though the soft-bodied animal (conodont animal) was rarely preserved, their tooth-like elements composed of calcium phosphate are abundant microfossils.',
+    ageRange: { from: 'Cambrian', to: 'Triassic', startMa: 500, endMa: 201 },
+    features: [
+        { name: 'Element Body', description: 'Composed of calcium phosphate (apatite: Ca₅(PO₄)₃(OH,F,Cl)) with a distinctive white matter core in advanced forms' },
+        { name: 'Denticles', description: 'Tooth-like projections with growth lamellae of 2-5μm thickness, revealing incremental formation' },
+        { name: 'Main Cusp', description: 'The largest denticle, often with internal growth lines and a basal cavity' },
+        { name: 'Apparatus', description: 'Complete conodont apparatus typically contains 15-19 elements organized in a bilateral arrangement' },
+        { name: 'Preservation', description: 'Conodont elements change color progressively with heating (Conodont Alteration Index: CAI 1-5)' }
+    ],
+    significance: 'Conodonts are among the most important index fossils for Paleozoic and Triassic rocks due to their rapid evolution and widespread distribution. The Conodont Alteration Index (CAI) serves as a geothermometer, indicating the thermal maturity of host rocks - crucial information for hydrocarbon exploration. Their extinction at the Triassic-Jurassic boundary (~201.3 MYA) marks a significant biostratigraphic datum.',
+    taxonomy: {
+        ranks: [
+            { rank: 'Domain', name: 'Eukaryota' },
+            { rank: 'Kingdom', name: 'Animalia' },
+            { rank: 'Phylum', name: 'Chordata' },
+            { rank: 'Class', name: 'Conodonta' },
+            { rank: 'Orders include', name: 'Ozarkodinida, Prioniodinida' }
+        ]
+    },
+    references: [
+        { citation: 'Paleobiology Database' },
+        { citation: 'The Conodont Page (Jim Barrick, Texas Tech)' }
+    ],
+    // Short descriptions shown when a component is picked in the viewer
+    components: {
+        body: 'The main element body of phosphatic (apatite) crown tissue, one of several elements of the feeding apparatus.',
+        denticles: 'Tooth-like projections along the process. Their number, shape and fusion are used to tell species apart.',
+        whiteMatter: 'Opaque, cellular crown tissue in the denticles, possibly analogous to vertebrate bone or enamel.',
+        cusp: 'The largest denticle, above the basal cavity, used as a reference point when orienting elements.',
+        basalCavity: 'The cavity beneath the element where the basal body attached and where growth began.',
+        growthLines: 'Incremental lamellae added as the element grew. Their colour (the CAI index) records burial temperature.',
+        p1: 'The P1 (Pa) pair at the back of the apparatus. Their oral surfaces met across the midline to slice and crush food; they are the elements most used in biostratigraphy.',
+        p2: 'The angulate P2 (Pb) pair in front of the P1 elements, which also worked against each other.',
+        s0: 'The single, symmetrical S0 (Sa) element on the midline of the grasping array at the front of the mouth.',
+        s1: 'The S1 pair beside the S0: asymmetrical elements with two lateral processes.',
+        s2: 'The S2 pair, more asymmetrical than the S1 and further from the midline.',
+        s3: 'The S3 pair: bipennate elements with a long posterior process and a short anterior one.',
+        s4: 'The S4 pair, the outermost bipennate elements of the S array.',
+        m: 'The pick-shaped M pair with large cusps, at the dorsal edge of the S array.'
+    }
+};
+
+registerFossil({
+    id: 'conodont',
+    displayName: 'Conodont',
+    createModel: createConodontModel,
+    info: conodontInfo,
+    camera: { position: [0, 0, 5], target: [0, 0, 0] },
+    tour: 'data/tours/conodont.json',
+    // The P1 element is about 2 units long; typical elements are about 1 mm
+    micronsPerUnit: MICRONS_PER_UNIT,
+    // Generator parameters and apparatus presets for the parameter panel
+    parameters: conodontParameters,
+    presets: conodontPresets,
+    // Exploded view: internal tissues and growth lines separate from the element body; in the
+    // apparatus the P elements move back, the S array forward and the M elements up
+    explodeAxes: {
+        denticles: { axis: [0, 1, 0], distance: 0.5 },
+        cusp: { axis: [-1, 1, 0], distance: 0.7 },
+        whiteMatter: { axis: [-1, 1, 0], distance: 1.2 },
+        basalCavity: { axis: [0, -1, 0], distance: 0.5 },
+        growthLines: { axis: [0, -1, 0], distance: 0.9 },
+        p1: { axis: [-1, 0, 0], distance: 1 },
+        p2: { axis: [-1, 0, 0], distance: 0.4 },
+        s0: { axis: [1, -0.5, 0], distance: 0.3 },
+        s1: { axis: [1, -0.5, 0], distance: 0.6 },
+        s2: { axis: [1, -0.5, 0], distance: 0.9 },
+        s3: { axis: [1, -0.5, 0], distance: 1.2 },
+        s4: { axis: [1, -0.5, 0], distance: 1.5 },
+        m: { axis: [0, 1, 0], distance: 0.8 }
+    },
+    // Element length along x; the apparatus is bilaterally symmetrical across z
+    sectionAxes: {
+        axial: [0, 1, 0],
+        sagittal: [0, 0, 1],
+        equatorial: [1, 0, 0]
+    },
+    metadata: {
+        group: 'Conodonta',
+        range: 'Cambrian–Triassic',
+        composition: 'apatite'
+    }
+});
@@ -1,43 +1,118 @@
 import * as THREE from 'three';
 import { addLabel } from '../labelUtils.js';
+import { registerFossil } from '../fossilRegistry.js';
+
+// Diatom frustule generator
+// The frustule is a pillbox of two thecae: the epitheca, whose valve and girdle bands fit over
+// those of the slightly smaller hypotheca. Both valves share one outline, round in centric diatoms
+// and elongated along the apical axis (x) in pennate ones; the pervalvar axis is y. Areolae are
+// laid out in striae at the given densities: radial rows in centric valves, rows across the apical
+// axis on either side of an axial area in pennate valves, where the raphe runs along that axis.
+
+// Scale of the model, used to convert the valve size and the stria and areola densities
+const MICRONS_PER_UNIT = 30;
+
+// Thickness of the silica wall, thinner in the narrowest valves
+const WALL_THICKNESS = 0.4 / MICRONS_PER_UNIT;
+
+// Points around the valve outline and rings from the centre of the valve face to its rim
+const OUTLINE_SEGMENTS = 128;
+const FACE_ROWS = 8;
+
+// Areolae stop short of the rim, leaving a plain margin where the face turns into the mantle
+const AREOLA_MARGIN = 0.9;
+
+// Radius of the raphe slit and of the rows of radial striae at the centre of a centric valve
+const RAPHE_RADIUS = 0.25 / MICRONS_PER_UNIT;
+const CENTRAL_STRIAE = 6;
+
+// Generator parameters, shown in the model parameter panel (see parameterPanel.js)
+export const diatomParameters = {
+    form: {
+        label: 'Form',
+        options: { centric: 'Centric (radial)', pennate: 'Pennate (bilateral)' },
+        value: 'pennate'
+    },
+    length: { label: 'Valve length or diameter', min: 10, max: 80, step: 1, value: 48, unit: ' µm' },
+    widthRatio: { label: 'Width / length (pennate)', min: 0.1, max: 0.6, step: 0.01, value: 0.25 },
+    outline: {
+        label: 'Valve outline (pennate)',
+        options: { lanceolate: 'Lanceolate', elliptical: 'Elliptical', linear: 'Linear' },
+        value: 'lanceolate'
+    },
+    striaeDensity: { label: 'Striae in 10 µm', min: 4, max: 30, step: 1, value: 14 },
+    areolaeDensity: { label: 'Areolae in 10 µm of stria', min: 4, max: 30, step: 1, value: 25 },
+    girdleBands: { label: 'Girdle bands per theca', min: 0, max: 6, step: 1, value: 2 },
+    raphe: {
+        label: 'Raphe (pennate)',
+        options: { present: 'Present (raphid)', absent: 'Absent (araphid)' },
+        value: 'present'
+    },
+    chloroplasts: { label: 'Chloroplasts', min: 1, max: 40, step: 1, value: 2 }
+};
+
+// Typical values of some well-known genera
+export const diatomPresets = {
+    coscinodiscus: {
+        name: 'Coscinodiscus',
+        description: 'A large disc-shaped centric diatom with coarse areolae in radial rows and many small discoid chloroplasts.',
+        values: { form: 'centric', length: 80, striaeDensity: 6, areolaeDensity: 6, girdleBands: 3, chloroplasts: 30 }
+    },
+    thalassiosira: {
+        name: 'Thalassiosira',
+        description: 'A small centric diatom with fine radial rows of areolae and a deep girdle of many bands; cells often form chains.',
+        values: { form: 'centric', length: 20, striaeDensity: 16, areolaeDensity: 16, girdleBands: 5, chloroplasts: 8 }
+    },
+    navicula: {
+        name: 'Navicula',
+        description: 'A boat-shaped raphid pennate with fine lineolate striae and two plate-like chloroplasts along the girdle.',
+        values: { form: 'pennate', length: 48, widthRatio: 0.25, outline: 'lanceolate', striaeDensity: 14, areolaeDensity: 25, girdleBands: 2, raphe: 'present', chloroplasts: 2 }
+    },
+    pinnularia: {
+        name: 'Pinnularia',
+        description: 'A large linear raphid pennate with broadly rounded ends and coarse striae.',
+        values: { form: 'pennate', length: 80, widthRatio: 0.17, outline: 'linear', striaeDensity: 8, areolaeDensity: 30, girdleBands: 2, raphe: 'present', chloroplasts: 2 }
+    },
+    fragilaria: {
+        name: 'Fragilaria',
+        description: 'A narrow araphid pennate: the striae meet a plain central sternum instead of a raphe.',
+        values: { form: 'pennate', length: 40, widthRatio: 0.12, outline: 'linear', striaeDensity: 15, areolaeDensity: 20, girdleBands: 3, raphe: 'absent', chloroplasts: 2 }
+    }
+};
+
+// Create and return a diatom fossil model for a set of generator parameters
+export function createDiatomModel(scene, parameters = {}) {
+    const values = {};
+    Object.keys(diatomParameters).forEach(name => {
+        values[name] = parameters[name] !== undefined ? parameters[name] : diatomParameters[name].value;
+    });
+
+    const shape = createFrustuleShape(values);
+    const hasRaphe = values.form === 'pennate' && values.raphe === 'present';
 
-// Create and return a diatom fossil model
-export function createDiatomModel(scene) {
     // Create a group to hold all components
     const diatomGroup = new THREE.Group();
     diatomGroup.userData = {
         components: [] // Will store all components for UI controls
     };
 
-    // Create a simple placeholder model - reduced segments
-    const geometry = new THREE.CylinderGeometry(0.8, 0.8, 0.3, 24); // Reduced from 32
-    const material = new THREE.MeshPhysicalMaterial({
-        color: 0xe0e0c0,
-        transparent: true,
-        opacity: 0.8,
-        roughness: 0.3
-    });
-    
-    const diatom = new THREE.Mesh(geometry, material);
-    diatomGroup.add(diatom);
-    
-    // Add ornaments to represent the diatom's patterned surface
-    const ornamentGroup = createOrnaments();
+    // Both thecae and their girdle bands
+    const frustuleGroup = createFrustule(shape);
+    diatomGroup.add(frustuleGroup);
+
+    // Areolae in striae on both valves
+    const ornamentGroup = createOrnaments(shape, values, hasRaphe);
     diatomGroup.add(ornamentGroup);
-    
-    // Add new components
-    const chloroplastGroup = createChloroplasts();
+
+    const chloroplastGroup = createChloroplasts(shape, values);
     diatomGroup.add(chloroplastGroup);
-    
-    const rapheGroup = createRaphe();
-    diatomGroup.add(rapheGroup);
-    
+
     // Store components for UI controls
     diatomGroup.userData.components = [
         {
             name: 'frustule',
             displayName: 'Frustule (Shell)',
-            mesh: diatom,
+            group: frustuleGroup,
             visible: true
         },
         {
@@ -51,167 +126,470 @@ export function createDiatomModel(scene) {
             displayName: 'Chloroplasts',
             group: chloroplastGroup,
             visible: true
-        },
-        {
+        }
+    ];
+
+    // Centric and araphid pennate diatoms have no raphe
+    if (hasRaphe) {
+        const rapheGroup = createRaphe(shape);
+        diatomGroup.add(rapheGroup);
+        diatomGroup.userData.components.push({
             name: 'raphe',
             displayName: 'Raphe System',
             group: rapheGroup,
             visible: true
-        }
-    ];
+        });
+    }
 
     // Add labels
     if (typeof addLabel === 'function') {
         const labelsArray = window.labels || [];
-        addLabel(diatomGroup, labelsArray, 'Frustule', new THREE.Vector3(0, 0.4, 0.9), diatomGroup.userData.components[0]);
-        addLabel(diatomGroup, labelsArray, 'Surface Ornaments', new THREE.Vector3(0.9, 0.2, 0), diatomGroup.userData.components[1]);
-        addLabel(diatomGroup, labelsArray, 'Chloroplasts', new THREE.Vector3(-0.9, 0, 0.2), diatomGroup.userData.components[2]);
-        addLabel(diatomGroup, labelsArray, 'Raphe', new THREE.Vector3(0, 0.3, -0.9), diatomGroup.userData.components[3]);
+        const [frustule, ornaments, chloroplasts, raphe] = diatomGroup.userData.components;
+        const edge = (angle, y) => shape.pointAt(angle, 0).multiplyScalar(1.15).setY(y);
+
+        addLabel(diatomGroup, labelsArray, 'Frustule', edge(Math.PI * 0.75, shape.top + shape.dome), frustule);
+        addLabel(diatomGroup, labelsArray, 'Epitheca', edge(Math.PI * 0.25, shape.top - shape.mantle / 2), frustule);
+        addLabel(diatomGroup, labelsArray, 'Hypotheca', edge(Math.PI * 0.25, -shape.top + shape.mantle / 2), frustule);
+        if (values.girdleBands > 0) {
+            addLabel(diatomGroup, labelsArray, 'Girdle Bands', edge(Math.PI * 0.6, 0), frustule);
+        }
+
+        const face = shape.pointAt(Math.PI * 0.3, 0).multiplyScalar(0.6);
+        addLabel(diatomGroup, labelsArray, 'Surface Ornaments', face.setY(shape.faceHeight(face.x, face.z) + 0.1), ornaments);
+        addLabel(diatomGroup, labelsArray, 'Chloroplasts', shape.pointAt(Math.PI, 0).multiplyScalar(0.6), chloroplasts);
+        if (raphe) {
+            addLabel(diatomGroup, labelsArray, 'Raphe', new THREE.Vector3(-shape.a * 0.7, shape.faceHeight(-shape.a * 0.7, 0) + 0.1, 0), raphe);
+        }
     }
 
     return diatomGroup;
 }
 
-// Create surface ornaments
-function createOrnaments() {
+// Dimensions and outline of the frustule, in model units
+function createFrustuleShape(values) {
+    const a = values.length / 2 / MICRONS_PER_UNIT;
+    const b = values.form === 'centric' ? a : a * values.widthRatio;
+    const outline = values.form === 'centric' ? 'elliptical' : values.outline;
+
+    // Half the width of the valve across the apical axis, at a distance x along it
+    const halfWidth = x => {
+        const u = Math.min(Math.abs(x) / a, 1);
+        if (outline === 'lanceolate') return b * (1 - u * u);
+        if (outline === 'linear') {
+            const end = Math.abs(x) - (a - b);
+            return end <= 0 ? b : Math.sqrt(Math.max(0, b * b - end * end));
+        }
+        return b * Math.sqrt(1 - u * u);
+    };
+
+    // Point on the outline, shrunk by an inset along its normal for parts that fit inside others
+    const pointAt = (angle, inset) => {
+        const x = a * Math.cos(angle);
+        const point = new THREE.Vector3(x, 0, halfWidth(x) * Math.sign(Math.sin(angle)));
+        if (inset > 0) {
+            const step = 1e-3;
+            const before = new THREE.Vector3(a * Math.cos(angle - step), 0, 0);
+            before.z = halfWidth(before.x) * Math.sign(Math.sin(angle - step));
+            const after = new THREE.Vector3(a * Math.cos(angle + step), 0, 0);
+            after.z = halfWidth(after.x) * Math.sign(Math.sin(angle + step));
+            const tangent = after.sub(before);
+            point.add(new THREE.Vector3(-tangent.z, 0, tangent.x).normalize().multiplyScalar(inset));
+        }
+        return point;
+    };
+
+    // Fraction of the outline size at which a scaled copy of it passes through a point of the valve face
+    const scaleAt = (x, z) => {
+        let low = 0;
+        let high = 2;
+        for (let i = 0; i < 24; i++) {
+            const scale = (low + high) / 2;
+            const inside = Math.abs(x) <= a * scale && Math.abs(z) <= halfWidth(x / scale) * scale;
+            if (inside) {
+                high = scale;
+            } else {
+                low = scale;
+            }
+        }
+        return high;
+    };
+
+    // Mantle depth and band height grow with the size of the valve; the valve face is slightly domed
+    const size = (a + b) / 2;
+    const mantle = 0.12 * size;
+    const band = 0.09 * size;
+    const dome = 0.08 * b;
+
+    // Each part of the frustule steps inwards from the one it fits inside: epivalve, epicingulum,
+    // hypovalve, hypocingulum
+    const wall = Math.min(WALL_THICKNESS, b * 0.06);
+    const fit = wall * 1.2;
+
+    // The last epicingulum band covers the last hypocingulum band
+    const bands = values.girdleBands;
+    const extent = bands > 0 ? mantle / 2 + bands * band : mantle;
+    const overlap = bands > 0 ? band : mantle / 2;
+    const top = extent - overlap / 2;
+
+    return {
+        a,
+        b,
+        mantle,
+        band,
+        bands,
+        dome,
+        wall,
+        fit,
+        top,
+        halfWidth,
+        pointAt,
+        scaleAt,
+        // Height of the epivalve face above a point; the hypovalve is its mirror image
+        faceHeight: (x, z) => {
+            const scale = Math.min(scaleAt(x, z), 1);
+            return top + dome * (1 - scale * scale);
+        }
+    };
+}
+
+// Closed wall of even thickness that follows the valve outline through a profile of rows
+// Each row is { scale, y, drop }: the outline scaled about the pervalvar axis at height y, with the
+// inner surface lowered by drop. The outer and inner surfaces are joined at the first and last rows.
+function createWallGeometry(shape, inset, rows, flip) {
+    const outer = [];
+    const inner = [];
+    for (let i = 0; i < OUTLINE_SEGMENTS; i++) {
+        const angle = (i / OUTLINE_SEGMENTS) * Math.PI * 2;
+        outer.push(shape.pointAt(angle, inset));
+        inner.push(shape.pointAt(angle, inset + shape.wall));
+    }
+
+    const positions = [];
+    const indices = [];
+    const addRing = (points, scale, y) => {
+        const start = positions.length / 3;
+        points.forEach(point => positions.push(point.x * scale, y, point.z * scale));
+        return start;
+    };
+    const addStrip = (first, second) => {
+        for (let i = 0; i < OUTLINE_SEGMENTS; i++) {
+            const next = (i + 1) % OUTLINE_SEGMENTS;
+            const quad = [first + i, first + next, second + next, second + i];
+            if (flip) quad.reverse();
+            indices.push(quad[0], quad[1], quad[3], quad[1], quad[2], quad[3]);
+        }
+    };
+
+    // Outer surface, then the inner one facing the other way
+    const outerRings = rows.map(row => addRing(outer, row.scale, row.y));
+    const innerRings = rows.map(row => addRing(inner, row.scale, row.y - (row.drop || 0)));
+    for (let r = 1; r < rows.length; r++) {
+        addStrip(outerRings[r - 1], outerRings[r]);
+        addStrip(innerRings[r], innerRings[r - 1]);
+    }
+
+    // Rims at both ends, with their own vertices so the edges stay sharp
+    const first = rows[0];
+    const last = rows[rows.length - 1];
+    addStrip(addRing(inner, first.scale, first.y - (first.drop || 0)), addRing(outer, first.scale, first.y));
+    addStrip(addRing(outer, last.scale, last.y), addRing(inner, last.scale, last.y - (last.drop || 0)));
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setIndex(indices);
+    geometry.computeVertexNormals();
+    return geometry;
+}
+
+// Create the frustule: the epitheca and, fitting inside it, the hypotheca
+function createFrustule(shape) {
     const group = new THREE.Group();
-    
-    // Create a pattern of small holes on the diatom surface
-    const radius = 0.8;
-    const height = 0.3;
-    const numRows = 4; // Reduced from 5
-    const holesPerRow = 12; // Reduced from 16
-    
-    for (let row = 0; row < numRows; row++) {
-        const y = (row / (numRows - 1) - 0.5) * height;
-        
-        for (let i = 0; i < holesPerRow; i++) {
-            const angle = (i / holesPerRow) * Math.PI * 2;
-            const x = radius * Math.cos(angle);
-            const z = radius * Math.sin(angle);
-            
-            // Reduced segments
-            const holeGeometry = new THREE.CylinderGeometry(0.03, 0.03, 0.1, 5); // Reduced from 6
-            const holeMaterial = new THREE.MeshBasicMaterial({ color: 0x303030 });
-            const hole = new THREE.Mesh(holeGeometry, holeMaterial);
-            
-            hole.position.set(x, y, z);
-            hole.rotation.x = Math.PI / 2;
-            hole.lookAt(0, y, 0);
-            
-            group.add(hole);
+
+    const material = new THREE.MeshPhysicalMaterial({
+        color: 0xe0e0c0,
+        transparent: true,
+        opacity: 0.8,
+        roughness: 0.3
+    });
+
+    // Each theca is built downwards from its valve face and mirrored for the hypotheca
+    const thecae = [
+        { name: 'epitheca', sign: 1, inset: 0 },
+        { name: 'hypotheca', sign: -1, inset: shape.fit * 2 }
+    ];
+    thecae.forEach(({ name, sign, inset }) => {
+        const theca = new THREE.Group();
+        theca.name = name;
+
+        // Valve: the domed face from its centre to the rim, then the mantle
+        const rows = [];
+        for (let k = 0; k <= FACE_ROWS; k++) {
+            const scale = k / FACE_ROWS;
+            rows.push({ scale, y: sign * (shape.top + shape.dome * (1 - scale * scale)), drop: sign * shape.wall });
+        }
+        rows.push({ scale: 1, y: sign * (shape.top - shape.mantle) });
+        theca.add(new THREE.Mesh(createWallGeometry(shape, inset, rows, sign < 0), material));
+
+        // Girdle bands, hoops that start inside the valve mantle
+        for (let j = 0; j < shape.bands; j++) {
+            const bandTop = shape.top - shape.mantle / 2 - j * shape.band;
+            const bandRows = [
+                { scale: 1, y: sign * bandTop },
+                { scale: 1, y: sign * (bandTop - shape.band) }
+            ];
+            theca.add(new THREE.Mesh(createWallGeometry(shape, inset + shape.fit, bandRows, sign < 0), material));
+        }
+
+        group.add(theca);
+    });
+
+    return group;
+}
+
+// Positions and sizes of the areolae on the epivalve, in striae laid out at the given densities
+function arrangeAreolae(shape, values, hasRaphe) {
+    const striaSpacing = 10 / values.striaeDensity / MICRONS_PER_UNIT;
+    const areolaSpacing = 10 / values.areolaeDensity / MICRONS_PER_UNIT;
+    const areolae = [];
+    const onFace = (x, z) => shape.scaleAt(x, z) <= AREOLA_MARGIN;
+
+    if (values.form === 'centric') {
+        // Radial striae from a central areola; the number of rows doubles outwards to keep their spacing
+        areolae.push({ x: 0, z: 0, angle: 0, radial: areolaSpacing * 0.5, across: areolaSpacing * 0.5 });
+        for (let radius = areolaSpacing; radius / shape.a <= AREOLA_MARGIN; radius += areolaSpacing) {
+            let rows = CENTRAL_STRIAE;
+            while (rows * 2 <= (2 * Math.PI * radius) / striaSpacing) {
+                rows *= 2;
+            }
+            const across = Math.min((2 * Math.PI * radius) / rows, areolaSpacing * 1.5) * 0.4;
+            for (let j = 0; j < rows; j++) {
+                const angle = (j / rows) * Math.PI * 2;
+                areolae.push({ x: radius * Math.cos(angle), z: radius * Math.sin(angle), angle, radial: areolaSpacing * 0.4, across });
+            }
         }
+        return areolae;
     }
-    
+
+    // Transverse striae on either side of the axial area, which is wider around the raphe
+    const axial = shape.b * (hasRaphe ? 0.1 : 0.07);
+    const rows = Math.floor(shape.a / striaSpacing);
+    for (let j = -rows; j <= rows; j++) {
+        const x = j * striaSpacing;
+        [1, -1].forEach(side => {
+            for (let k = 0; ; k++) {
+                const z = side * (axial + (k + 0.5) * areolaSpacing);
+                if (!onFace(x, z)) break;
+                // Raphid valves keep a small plain central area around the central nodule
+                if (hasRaphe && Math.pow(x / (striaSpacing * 2), 2) + Math.pow(z / (shape.b * 0.45), 2) < 1) continue;
+                areolae.push({ x, z, angle: 0, radial: striaSpacing * 0.3, across: areolaSpacing * 0.35 });
+            }
+        });
+    }
+    return areolae;
+}
+
+// Create the surface ornaments: areolae on both valves, each lying on the domed face
+function createOrnaments(shape, values, hasRaphe) {
+    const group = new THREE.Group();
+
+    const areolae = arrangeAreolae(shape, values, hasRaphe);
+
+    // Hexagonal openings facing up, stretched along and across each stria; the hypovalve's face down
+    const geometry = new THREE.CircleGeometry(1, 6);
+    geometry.rotateX(-Math.PI / 2);
+    const material = new THREE.MeshBasicMaterial({ color: 0x303030, side: THREE.DoubleSide });
+    const instancedMesh = new THREE.InstancedMesh(geometry, material, areolae.length * 2);
+
+    const up = new THREE.Vector3(0, 1, 0);
+    const mirror = new THREE.Matrix4().makeScale(1, -1, 1);
+    const step = 1e-3;
+    areolae.forEach((areola, i) => {
+        // Surface normal from the slope of the dome
+        const height = shape.faceHeight(areola.x, areola.z);
+        const normal = new THREE.Vector3(
+            height - shape.faceHeight(areola.x + step, areola.z),
+            step,
+            height - shape.faceHeight(areola.x, areola.z + step)
+        ).normalize();
+
+        const quaternion = new THREE.Quaternion().setFromUnitVectors(up, normal)
+            .multiply(new THREE.Quaternion().setFromAxisAngle(up, -areola.angle));
+        const position = new THREE.Vector3(areola.x, height, areola.z).addScaledVector(normal, 0.003);
+        const matrix = new THREE.Matrix4().compose(position, quaternion, new THREE.Vector3(areola.radial, 1, areola.across));
+
+        instancedMesh.setMatrixAt(i * 2, matrix);
+        instancedMesh.setMatrixAt(i * 2 + 1, mirror.clone().multiply(matrix));
+    });
+
+    group.add(instancedMesh);
+
     return group;
 }
 
 // Create chloroplasts (photosynthetic organelles)
-function createChloroplasts() {
+// Up to four are plates lying against the girdle, as in most pennate diatoms; more are small
+// discs spread under both valves, as in most centric diatoms
+function createChloroplasts(shape, values) {
     const group = new THREE.Group();
-    
-    // Create several plate-like chloroplasts in golden-brown color
+
+    // Golden-brown plastids
     const material = new THREE.MeshPhysicalMaterial({
         color: 0xc2a035, // Golden-brown color typical of diatom chloroplasts
         transparent: true,
         opacity: 0.7,
         roughness: 0.3
     });
-    
-    // Use instanced mesh for better performance
-    const chloroplastGeometry = new THREE.BoxGeometry(0.2, 0.05, 0.15);
-    chloroplastGeometry.translate(0, 0, 0.1); // Position slightly away from center
-    
-    const numChloroplasts = 8; // Keep number low for performance
-    const instancedMesh = new THREE.InstancedMesh(chloroplastGeometry, material, numChloroplasts);
-    
-    const dummy = new THREE.Object3D();
-    
-    for (let i = 0; i < numChloroplasts; i++) {
-        const angle = (i / numChloroplasts) * Math.PI * 2;
-        const radius = 0.5;
-        
-        dummy.position.set(
-            radius * Math.cos(angle),
-            (Math.random() - 0.5) * 0.2,
-            radius * Math.sin(angle)
-        );
-        
-        dummy.lookAt(0, 0, 0);
-        
-        // Add slight random rotation
-        dummy.rotation.z = Math.random() * Math.PI * 0.3;
-        
-        dummy.updateMatrix();
-        instancedMesh.setMatrixAt(i, dummy.matrix);
+
+    const count = values.chloroplasts;
+    const geometry = new THREE.SphereGeometry(1, 12, 8);
+    const instancedMesh = new THREE.InstancedMesh(geometry, material, count);
+    const up = new THREE.Vector3(0, 1, 0);
+
+    if (count <= 4) {
+        // Plates centred on the sides of the cell, along the outline
+        const perimeter = shape.a * 2 + shape.b * 2 + Math.PI * Math.min(shape.a, shape.b);
+        for (let i = 0; i < count; i++) {
+            const angle = Math.PI / 2 + (i / count) * Math.PI * 2;
+            const position = shape.pointAt(angle, 0).multiplyScalar(0.6);
+            const tangent = shape.pointAt(angle + 0.01, 0).sub(shape.pointAt(angle - 0.01, 0)).normalize();
+            const normal = new THREE.Vector3().crossVectors(tangent, up);
+            const rotation = new THREE.Matrix4().makeBasis(tangent, up, normal);
+
+            // Shorten plates that would reach the wall where the valve narrows
+            let length = Math.min(shape.a * 0.55, (perimeter * 0.3) / count);
+            while (length > 0.01 && [1, -1].some(end => {
+                const point = position.clone().addScaledVector(tangent, end * length);
+                return shape.scaleAt(point.x, point.z) > 0.9;
+            })) {
+                length *= 0.9;
+            }
+            const scale = new THREE.Vector3(length, (shape.top - shape.wall * 2) * 0.6, Math.min(shape.b * 0.15, 0.08));
+            instancedMesh.setMatrixAt(i, new THREE.Matrix4().compose(position, new THREE.Quaternion().setFromRotationMatrix(rotation), scale));
+        }
+    } else {
+        // Discs in a sunflower pattern under each valve in turn, kept inside the outline
+        const perValve = Math.ceil(count / 2);
+        const radius = Math.min(0.35 * Math.sqrt((Math.PI * shape.a * shape.b) / perValve), shape.b * 0.2);
+        for (let i = 0; i < count; i++) {
+            const side = i % 2 === 0 ? 1 : -1;
+            const index = Math.floor(i / 2);
+            const distance = 0.75 * Math.sqrt((index + 0.5) / perValve);
+            const angle = index * Math.PI * (3 - Math.sqrt(5)) + (side < 0 ? Math.PI / perValve : 0);
+            const position = new THREE.Vector3(shape.a * distance * Math.cos(angle), 0, shape.b * distance * Math.sin(angle));
+            const scale = shape.scaleAt(position.x, position.z);
+            if (scale > 0.75) {
+                position.multiplyScalar(0.75 / scale);
+            }
+            position.y = side * Math.max(shape.top - shape.wall * 2 - radius * 0.3, 0);
+            instancedMesh.setMatrixAt(i, new THREE.Matrix4().compose(position, new THREE.Quaternion(), new THREE.Vector3(radius, radius * 0.25, radius)));
+        }
     }
-    
+
     group.add(instancedMesh);
-    
+
     return group;
 }
 
 // Create raphe system (slit in pennate diatoms for movement)
-function createRaphe() {
+// Two branches run along the apical axis of each valve from the central nodule, past the polar
+// nodules, into terminal fissures that hook to one side
+function createRaphe(shape) {
     const group = new THREE.Group();
-    
-    // Create raphe as a slightly curved line along one side
-    const curve = new THREE.QuadraticBezierCurve3(
-        new THREE.Vector3(0, -0.15, -0.79),  // Start at bottom edge
-        new THREE.Vector3(0, 0, -0.81),      // Control point slightly curved out
-        new THREE.Vector3(0, 0.15, -0.79)    // End at top edge
-    );
-    
-    // Create tube with minimal segments
-    const tubeGeometry = new THREE.TubeGeometry(curve, 8, 0.01, 4, false);
     const material = new THREE.MeshBasicMaterial({ color: 0x303030 });
-    const rapheTube = new THREE.Mesh(tubeGeometry, material);
-    
-    group.add(rapheTube);
-    
-    // Add a central nodule
-    const noduleGeometry = new THREE.SphereGeometry(0.02, 6, 4); // Very low poly
-    const nodule = new THREE.Mesh(noduleGeometry, material);
-    nodule.position.set(0, 0, -0.81);
-    
-    group.add(nodule);
-    
-    // Add polar nodules (ends of raphe)
-    const polarNodule1 = nodule.clone();
-    polarNodule1.position.set(0, 0.15, -0.79);
-    polarNodule1.scale.set(0.8, 0.8, 0.8);
-    
-    const polarNodule2 = nodule.clone();
-    polarNodule2.position.set(0, -0.15, -0.79);
-    polarNodule2.scale.set(0.8, 0.8, 0.8);
-    
-    group.add(polarNodule1);
-    group.add(polarNodule2);
-    
+
+    const central = shape.a * 0.04;
+    const end = shape.a * 0.92;
+    const hookStart = shape.a * 0.84;
+
+    const noduleGeometry = new THREE.SphereGeometry(1, 8, 6);
+    [1, -1].forEach(sign => {
+        // Each branch follows the valve face, just above it
+        [1, -1].forEach(direction => {
+            const points = [];
+            for (let i = 0; i <= 24; i++) {
+                const x = direction * THREE.MathUtils.lerp(central, end, i / 24);
+                const hook = Math.abs(x) > hookStart ? Math.pow((Math.abs(x) - hookStart) / (end - hookStart), 2) : 0;
+                const z = hook * shape.halfWidth(x) * 0.4;
+                points.push(new THREE.Vector3(x, sign * (shape.faceHeight(x, z) + RAPHE_RADIUS * 0.5), z));
+            }
+            const tubeGeometry = new THREE.TubeGeometry(new THREE.CatmullRomCurve3(points), 32, RAPHE_RADIUS, 4, false);
+            group.add(new THREE.Mesh(tubeGeometry, material));
+        });
+
+        // Central nodule between the branches and polar nodules at their ends
+        const centralNodule = new THREE.Mesh(noduleGeometry, material);
+        centralNodule.position.set(0, sign * shape.faceHeight(0, 0), 0);
+        centralNodule.scale.set(central * 1.5, RAPHE_RADIUS * 1.5, Math.min(shape.b * 0.15, central * 3));
+        group.add(centralNodule);
+
+        [1, -1].forEach(direction => {
+            const polarNodule = new THREE.Mesh(noduleGeometry, material);
+            polarNodule.position.set(direction * hookStart, sign * shape.faceHeight(direction * hookStart, 0), 0);
+            polarNodule.scale.setScalar(RAPHE_RADIUS * 2);
+            group.add(polarNodule);
+        });
+    });
+
     return group;
 }
 
-// Return information about diatoms
-export function getDiatomInfo() {
-    return `
-        <h3>Diatom</h3>
-        <p>Diatoms are photosynthetic microalgae belonging to the class Bacillariophyceae. These unicellular organisms first appeared in the Jurassic period (~185 MYA) and diversified significantly during the Cretaceous. Today, diatoms are responsible for approximately 20-25% of global primary productivity.</p>
-        
-        <h4>Key Features:</h4>
-        <ul>
-            <li><strong>Frustule:</strong> Cell wall composed of hydrated amorphous silica (SiO₂·nH₂O) with two overlapping halves (epitheca and hypotheca)</li>
-            <li><strong>Surface Ornaments:</strong> Species-specific patterns of pores (areolae) arranged in striae, with 10-40 striae per 10μm in many species</li>
-            <li><strong>Morphology:</strong> Two major groups - centric (radial symmetry) and pennate (bilateral symmetry); some pennate forms possess a raphe for motility</li>
-            <li><strong>Chloroplasts:</strong> Typically golden-brown due to fucoxanthin pigments, 1-2 per cell in pennate forms, numerous in centric forms</li>
-            <li><strong>Size:</strong> 2-200 micrometers, with most species in the 10-50μm range</li>
-        </ul>
-        
-        <h4>Geological Significance:</h4>
-        <p>Diatom frustules accumulate in marine and freshwater settings, forming diatomaceous earth (diatomite) used in filtration, insulation, and abrasives. Their short life cycles and sensitivity to environmental conditions make them excellent ecological indicators. The distribution of fossil diatoms helps reconstruct past climate and environmental conditions, especially in the Cenozoic Era.</p>
-        
-        <h4>Taxonomy & Classification:</h4>
-        <p>Domain: Eukaryota | Kingdom: Chromista | Phylum: Bacillariophyta | Class: Bacillariophyceae | Orders include: Centrales, Pennales, Thalassiosirales</p>
-        
-        <p><em>Data sourced from the Diatom Herbarium Database, DiatomBase, and AlgaeBase</em></p>
-    `;
-} 
\ No newline at end of file
+// Information about diatoms for the info panel and component popovers (format in fossilInfo.js)
+export const diatomInfo = {
+    title: 'Diatom',
+    overview: 'Diatoms are photosynthetic microalgae belonging to the class Bacillariophyceae. These unicellular organisms first appeared in the Jurassic period (~185 MYA) and diversified significantly during the Cretaceous. Today, diatoms are responsible for approximately 20-25% of global primary productivity.',
+    ageRange: { from: 'Jurassic', to: 'Recent', startMa: 185, endMa: 0 },
+    features: [
+        { name: 'Frustule', description: 'Cell wall composed of hydrated amorphous silica (SiO₂·nH₂O) with two overlapping halves (epitheca and hypotheca)' },
+        { name: 'Surface Ornaments', description: 'Species-specific patterns of pores (areolae) arranged in striae, with 10-40 striae per 10μm in many species' },
+        { name: 'Morphology', description: 'Two major groups - centric (radial symmetry) and pennate (bilateral symmetry); some pennate forms possess a raphe for motility' },
+        { name: 'Chloroplasts', description: 'Typically golden-brown due to fucoxanthin pigments, 1-2 per cell in pennate forms, numerous in centric forms' },
+        { name: 'Size', description: '2-200 micrometers, with most species in the 10-50μm range' }
+    ],
+    significance: 'Diatom frustules accumulate in marine and freshwater settings, forming diatomaceous earth (diatomite) used in filtration, insulation, and abrasives. Their short life cycles and sensitivity to environmental conditions make them excellent ecological indicators. The distribution of fossil diatoms helps reconstruct past climate and environmental conditions, especially in the Cenozoic Era.',
+    taxonomy: {
+        ranks: [
+            { rank: 'Domain', name: 'Eukaryota' },
+            { rank: 'Kingdom', name: 'Chromista' },
+            { rank: 'Phylum', name: 'Bacillariophyta' },
+            { rank: 'Class', name: 'Bacillariophyceae' },
+            { rank: 'Orders include', name: 'Centrales, Pennales, Thalassiosirales' }
+        ]
+    },
+    references: [
+        { citation: 'Diatom Herbarium Database' },
+        { citation: 'DiatomBase' },
+        { citation: 'AlgaeBase' }
+    ],
+    // Short descriptions shown when a component is picked in the viewer
+    components: {
+        frustule: 'The two-part silica cell wall: the larger epitheca overlaps the hypotheca like the lid of a pillbox.',
+        ornaments: 'Areolae, costae and other wall ornaments that add strength and control exchange with the water.',
+        chloroplasts: 'Golden-brown plastids containing fucoxanthin; diatoms produce roughly a fifth of the oxygen made on Earth.',
+        raphe: 'A slit through the valve of pennate diatoms. Mucilage secreted through it lets the cell glide over surfaces.'
+    }
+};
+
+registerFossil({
+    id: 'diatom',
+    displayName: 'Diatom',
+    createModel: createDiatomModel,
+    info: diatomInfo,
+    camera: { position: [0, 0, 5], target: [0, 0, 0] },
+    tour: 'data/tours/diatom.json',
+    // A 48 μm valve is 1.6 units long; most species are 10–50 μm
+    micronsPerUnit: MICRONS_PER_UNIT,
+    // Generator parameters and genus presets for the parameter panel
+    parameters: diatomParameters,
+    presets: diatomPresets,
+    // Exploded view: ornaments and the raphe lift off the valves, chloroplasts drop below
+    explodeAxes: {
+        ornaments: { axis: [0, 1, 0], distance: 0.6 },
+        chloroplasts: { axis: [0, -1, 0], distance: 0.7 },
+        raphe: { axis: [0, 1, 0], distance: 1 }
+    },
+    metadata: {
+        group: 'Bacillariophyceae',
+        range: 'Jurassic–Recent',
+        composition: 'silica'
+    }
+});
@@ -1,28 +1,233 @@
 import * as THREE from 'three';
 import { addLabel } from '../labelUtils.js';
+import { registerFossil } from '../fossilRegistry.js';
+
+// Chamber arrangement engine
+// Chambers are placed one after another in the spirit of Raup's coiling models: each chamber is
+// larger than the last by the expansion rate, turns about the coiling axis (y) by the rotation
+// angle and moves along it by the translation. The distance from the axis follows from these so
+// that successive chambers overlap, which covers planispiral and trochospiral coils as well as
+// serial forms (rotation 0°, 180° or 120° with a large translation) and milioline tests.
+
+// Largest dimension of the test; the arrangement is scaled to it whatever the parameters
+const TEST_SIZE = 2.1;
+
+// Distance between successive chamber centres, as a fraction of the sum of their radii
+const CHAMBER_OVERLAP = 0.8;
+
+// Limit on the distance of chamber centres from the axis, in chamber radii, for nearly straight coils
+const MAX_AXIS_DISTANCE = 3;
+
+// Wall thickness around each chamber, as a scale of the chamber
+const WALL_SCALE = 1.12;
+
+// Highest chamber count, which sets the growth stages listed in the descriptor
+const MAX_CHAMBERS = 16;
+
+// Chamber proportions along the radial direction, the coiling axis and the direction of coiling
+const CHAMBER_SHAPES = {
+    globular: [1, 1, 1],
+    compressed: [1, 0.7, 0.9],
+    flattened: [1.2, 0.65, 0.9],
+    // Milioline chambers are long tubes laid parallel to the axis of the test
+    tubular: [0.75, 2.4, 0.8]
+};
+
+// Generator parameters, shown in the model parameter panel (see parameterPanel.js)
+export const foraminiferaParameters = {
+    chambers: { label: 'Chambers', min: 3, max: MAX_CHAMBERS, step: 1, value: 11 },
+    expansion: { label: 'Chamber expansion rate', min: 1.02, max: 1.5, step: 0.01, value: 1.25, unit: '×' },
+    rotation: { label: 'Rotation between chambers', min: 0, max: 180, step: 1, value: 100, unit: '°' },
+    translation: { label: 'Translation along the axis', min: 0, max: 2, step: 0.05, value: 0.35, unit: '×' },
+    coiling: {
+        label: 'Coiling direction',
+        options: { dextral: 'Dextral', sinistral: 'Sinistral' },
+        value: 'dextral'
+    },
+    chamberShape: {
+        label: 'Chamber shape',
+        options: { globular: 'Globular', compressed: 'Compressed', flattened: 'Broad and low', tubular: 'Tubular' },
+        value: 'globular'
+    }
+};
+
+// Typical values of the major test architectures
+export const foraminiferaPresets = {
+    planispiral: {
+        name: 'Planispiral',
+        description: 'Chambers coiled in one plane, symmetrical on both sides, as in Elphidium and Nonion.',
+        values: { chambers: 12, expansion: 1.15, rotation: 60, translation: 0, chamberShape: 'compressed' }
+    },
+    trochospiral: {
+        name: 'Trochospiral',
+        description: 'A low conical coil with all whorls seen on the spiral side and only the last whorl on the umbilical side, as in Globigerina.',
+        values: { chambers: 11, expansion: 1.25, rotation: 100, translation: 0.35, chamberShape: 'globular' }
+    },
+    uniserial: {
+        name: 'Uniserial',
+        description: 'Chambers added in a single straight row, as in Nodosaria.',
+        values: { chambers: 7, expansion: 1.12, rotation: 0, translation: 1.7, chamberShape: 'globular' }
+    },
+    biserial: {
+        name: 'Biserial',
+        description: 'Two alternating rows of chambers, as in Textularia.',
+        values: { chambers: 12, expansion: 1.12, rotation: 180, translation: 0.6, chamberShape: 'flattened' }
+    },
+    triserial: {
+        name: 'Triserial',
+        description: 'Three chambers to each whorl of a high spire, as in Bulimina and Uvigerina.',
+        values: { chambers: 13, expansion: 1.12, rotation: 120, translation: 0.45, chamberShape: 'globular' }
+    },
+    milioline: {
+        name: 'Milioline',
+        description: 'Tubular chambers, each half a coil long, added in planes 144° apart, as in Quinqueloculina.',
+        values: { chambers: 7, expansion: 1.12, rotation: 144, translation: 0, chamberShape: 'tubular' }
+    }
+};
+
+// Create and return a foraminifera fossil model for a set of generator parameters
+export function createForaminiferaModel(scene, parameters = {}) {
+    const values = {};
+    Object.keys(foraminiferaParameters).forEach(name => {
+        values[name] = parameters[name] !== undefined ? parameters[name] : foraminiferaParameters[name].value;
+    });
+
+    const chambers = arrangeChambers(values);
+    const aperture = findAperture(chambers, values);
+    turnApertureForward(chambers, aperture);
 
-// Create and return a foraminifera fossil model
-export function createForaminiferaModel(scene) {
     // Create a group to hold all components
     const foramGroup = new THREE.Group();
     foramGroup.userData = {
-        components: [] // Will store all components for UI controls
+        components: [], // Will store all components for UI controls
+        // Growth stages of this test: one per chamber, then the aperture and the pores (indices into growthStages)
+        growthStages: [...chambers.map((chamber, index) => index), MAX_CHAMBERS, MAX_CHAMBERS + 1]
     };
 
     // Add components to the model
-    createTest(foramGroup);
-    createChambers(foramGroup);
-    createAperture(foramGroup);
-    createPseudopodia(foramGroup);
-    createSymbioticAlgae(foramGroup);
-    createPoreSystem(foramGroup);
+    createTest(foramGroup, chambers);
+    createChambers(foramGroup, chambers);
+    createAperture(foramGroup, chambers, aperture);
+    createPseudopodia(foramGroup, chambers, aperture);
+    createSymbioticAlgae(foramGroup, chambers);
+    createPoreSystem(foramGroup, chambers);
 
     return foramGroup;
 }
 
-// Create the test (shell)
-function createTest(group) {
-    // Create a spiral arrangement of chambers for the test
+// Place the chambers: centre, radius, orientation and proportions of each, proloculus first
+function arrangeChambers(values) {
+    const expansion = values.expansion;
+    const rotation = THREE.MathUtils.degToRad(values.rotation);
+    const shape = CHAMBER_SHAPES[values.chamberShape] || CHAMBER_SHAPES.globular;
+
+    // Seen from the spiral side (+y, where the earliest chambers lie), dextral tests add their
+    // chambers clockwise and sinistral ones anticlockwise
+    const direction = values.coiling === 'sinistral' ? -1 : 1;
+
+    // Distance from the axis, in chamber radii, that keeps successive chambers overlapping:
+    // whatever the translation does not cover is made up by the turn about the axis
+    const spacing = CHAMBER_OVERLAP * (1 + 1 / expansion);
+    const radialSpacing = Math.sqrt(Math.max(spacing * spacing - values.translation * values.translation, 0));
+    const chord = Math.sqrt(Math.max(1 + 1 / (expansion * expansion) - 2 * Math.cos(rotation) / expansion, 0));
+    const axisDistance = chord > 0 ? Math.min(radialSpacing / chord, MAX_AXIS_DISTANCE) : 0;
+
+    const chambers = [];
+    let height = 0;
+    for (let i = 0; i < values.chambers; i++) {
+        const radius = Math.pow(expansion, i);
+        const angle = direction * i * rotation;
+        if (i > 0) {
+            height -= values.translation * radius;
+        }
+
+        const radial = new THREE.Vector3(Math.cos(angle), 0, Math.sin(angle));
+        chambers.push({
+            position: radial.clone().multiplyScalar(axisDistance * radius).setY(height),
+            radius,
+            shape,
+            quaternion: new THREE.Quaternion().setFromRotationMatrix(
+                new THREE.Matrix4().makeBasis(radial, new THREE.Vector3(0, 1, 0), radial.clone().cross(new THREE.Vector3(0, 1, 0)))
+            )
+        });
+    }
+
+    // Centre the test on the origin and scale it to TEST_SIZE
+    const box = new THREE.Box3();
+    chambers.forEach(chamber => {
+        const extent = chamber.radius * WALL_SCALE * Math.max(...chamber.shape);
+        box.expandByPoint(chamber.position.clone().addScalar(extent));
+        box.expandByPoint(chamber.position.clone().addScalar(-extent));
+    });
+    const center = box.getCenter(new THREE.Vector3());
+    const size = box.getSize(new THREE.Vector3());
+    const scale = TEST_SIZE / Math.max(size.x, size.y, size.z);
+
+    chambers.forEach(chamber => {
+        chamber.position.sub(center).multiplyScalar(scale);
+        chamber.radius *= scale;
+    });
+
+    return chambers;
+}
+
+// Transform from a unit sphere to the surface of a chamber, or of its wall when scaled
+function chamberMatrix(chamber, scale = 1) {
+    const size = new THREE.Vector3(...chamber.shape).multiplyScalar(chamber.radius * scale);
+    return new THREE.Matrix4().compose(chamber.position, chamber.quaternion, size);
+}
+
+// Whether a point lies inside the wall of a chamber
+function insideWall(chamber, point) {
+    const local = point.clone().applyMatrix4(chamberMatrix(chamber, WALL_SCALE).invert());
+    return local.lengthSq() < 1;
+}
+
+// Point where a ray from the centre of a chamber leaves its wall
+function wallPoint(chamber, direction) {
+    const local = direction.clone().applyQuaternion(chamber.quaternion.clone().invert());
+    const [a, b, c] = chamber.shape.map(value => value * chamber.radius * WALL_SCALE);
+    const distance = 1 / Math.sqrt((local.x / a) ** 2 + (local.y / b) ** 2 + (local.z / c) ** 2);
+    return chamber.position.clone().addScaledVector(direction, distance);
+}
+
+// Position and facing of the aperture on the final chamber
+// It opens in the direction of growth, away from the previous chamber; milioline apertures
+// alternate between the two ends of the test, one chamber to each end
+function findAperture(chambers, values) {
+    const last = chambers[chambers.length - 1];
+    const previous = chambers[chambers.length - 2];
+    const direction = new THREE.Vector3();
+
+    if (values.chamberShape === 'tubular') {
+        direction.set(0, chambers.length % 2 === 0 ? 1 : -1, 0);
+    } else {
+        direction.subVectors(last.position, previous.position);
+    }
+    if (direction.lengthSq() < 1e-8) {
+        direction.set(0, -1, 0);
+    }
+    direction.normalize();
+
+    return { position: wallPoint(last, direction), direction, size: last.radius * 0.3 };
+}
+
+// Turn the test about its axis so the aperture faces +x, towards the usual viewpoints
+function turnApertureForward(chambers, aperture) {
+    const { x, z } = aperture.direction;
+    if (x * x + z * z < 1e-6) return;
+
+    const turn = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.atan2(z, x));
+    chambers.forEach(chamber => {
+        chamber.position.applyQuaternion(turn);
+        chamber.quaternion.premultiply(turn);
+    });
+    aperture.position.applyQuaternion(turn);
+    aperture.direction.applyQuaternion(turn);
+}
+
+// Create the test (shell): the wall secreted around each chamber as it was added
+function createTest(group, chambers) {
     const testGroup = new THREE.Group();
     
     // Material for the test shell
@@ -34,12 +239,13 @@ function createTest(group) {
         metalness: 0.1
     });
     
-    // Create outer surface of the test - reduced segments
-    const geometry = new THREE.SphereGeometry(1.05, 24, 16); // Reduced from 32, 24
-    geometry.scale(1, 0.6, 1);
-    
-    const testSurface = new THREE.Mesh(geometry, material);
-    testGroup.add(testSurface);
+    const geometry = new THREE.SphereGeometry(1, 24, 16);
+    chambers.forEach((chamber, index) => {
+        const wall = new THREE.Mesh(geometry, material);
+        chamberMatrix(chamber, WALL_SCALE).decompose(wall.position, wall.quaternion, wall.scale);
+        wall.userData.growthStage = index; // Each wall forms with its chamber
+        testGroup.add(wall);
+    });
     
     group.add(testGroup);
     
@@ -53,17 +259,18 @@ function createTest(group) {
     
     group.userData.components.push(component);
     
-    // Add label
+    // Add label above the last chamber
     if (typeof addLabel === 'function') {
         const labelsArray = window.labels || [];
-        addLabel(group, labelsArray, 'Test (Shell)', new THREE.Vector3(0, 1, 0), component);
+        const top = wallPoint(chambers[chambers.length - 1], new THREE.Vector3(0, 1, 0));
+        addLabel(group, labelsArray, 'Test (Shell)', top.add(new THREE.Vector3(0, 0.3, 0)), component);
     }
     
     return testGroup;
 }
 
 // Create chambers
-function createChambers(group) {
+function createChambers(group, chambers) {
     const chamberGroup = new THREE.Group();
     
     // Material for the chambers
@@ -74,28 +281,16 @@ function createChambers(group) {
         roughness: 0.2
     });
     
-    // Create a spiral arrangement of chambers - same number but reduced segments
-    const numChambers = 8; 
-    const startRadius = 0.3;
-    const growthRate = 0.12;
-    const rotationIncrement = Math.PI * 0.6;
-    
-    for (let i = 0; i < numChambers; i++) {
-        const angle = i * rotationIncrement;
-        const radius = startRadius + (i * growthRate);
-        const size = 0.2 + (i * 0.05);
-        
-        // Create chamber geometry with reduced segments
-        const geometry = new THREE.SphereGeometry(size, 12, 8); // Reduced from 16, 12
-        const chamber = new THREE.Mesh(geometry, material);
+    const geometry = new THREE.SphereGeometry(1, 16, 12);
+    chambers.forEach((chamber, index) => {
+        const mesh = new THREE.Mesh(geometry, material);
+        chamberMatrix(chamber).decompose(mesh.position, mesh.quaternion, mesh.scale);
         
-        // Position the chamber in a spiral
-        chamber.position.x = radius * Math.cos(angle);
-        chamber.position.z = radius * Math.sin(angle);
-        chamber.position.y = 0;
+        // The proloculus forms first, then each chamber in turn
+        mesh.userData.growthStage = index;
         
-        chamberGroup.add(chamber);
-    }
+        chamberGroup.add(mesh);
+    });
     
     group.add(chamberGroup);
     
@@ -109,19 +304,19 @@ function createChambers(group) {
     
     group.userData.components.push(component);
     
-    // Add label
+    // Add label on one of the middle chambers
     if (typeof addLabel === 'function') {
         const labelsArray = window.labels || [];
-        addLabel(group, labelsArray, 'Chambers', new THREE.Vector3(-0.5, 0, 0.5), component);
+        const chamber = chambers[Math.floor(chambers.length / 2)];
+        addLabel(group, labelsArray, 'Chambers', chamber.position.clone().add(new THREE.Vector3(0, 0, chamber.radius)), component);
     }
     
     return chamberGroup;
 }
 
-// Create aperture (opening)
-function createAperture(group) {
-    // Create aperture geometry with reduced segments
-    const geometry = new THREE.TorusGeometry(0.15, 0.05, 12, 18); // Reduced from 16, 24
+// Create aperture (opening) on the final chamber, facing the direction of growth
+function createAperture(group, chambers, aperture) {
+    const geometry = new THREE.TorusGeometry(aperture.size, aperture.size / 3, 12, 18);
     
     // Apply material
     const material = new THREE.MeshStandardMaterial({
@@ -129,17 +324,18 @@ function createAperture(group) {
         side: THREE.DoubleSide
     });
     
-    // Create mesh and add to group
-    const aperture = new THREE.Mesh(geometry, material);
-    aperture.position.set(0.85, 0, 0);
-    aperture.rotation.y = Math.PI / 2;
-    group.add(aperture);
+    // Create mesh and add to group; the torus lies across the direction of growth
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.position.copy(aperture.position);
+    mesh.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), aperture.direction);
+    mesh.userData.growthStage = chambers.length;
+    group.add(mesh);
     
     // Store component data for UI controls
     const component = {
         name: 'aperture',
         displayName: 'Aperture (Opening)',
-        mesh: aperture,
+        mesh,
         visible: true
     };
     
@@ -148,14 +344,14 @@ function createAperture(group) {
     // Add label
     if (typeof addLabel === 'function') {
         const labelsArray = window.labels || [];
-        addLabel(group, labelsArray, 'Aperture', new THREE.Vector3(1.1, 0.3, 0), component);
+        addLabel(group, labelsArray, 'Aperture', aperture.position.clone().addScaledVector(aperture.direction, 0.3), component);
     }
     
-    return aperture;
+    return mesh;
 }
 
-// Create pseudopodia (temporary extensions)
-function createPseudopodia(group) {
+// Create pseudopodia (temporary extensions) streaming out of the aperture
+function createPseudopodia(group, chambers, aperture) {
     const pseudopodiaGroup = new THREE.Group();
     
     // Material for pseudopodia
@@ -166,22 +362,35 @@ function createPseudopodia(group) {
         roughness: 0.1
     });
     
-    // Create several pseudopodia extending from the aperture - reduced count
-    const numPseudopodia = 5; // Reduced from 7
-    const baseX = 0.9;
+    // Two directions across the aperture to spread the pseudopodia
+    const forward = aperture.direction;
+    const side = new THREE.Vector3(0, 1, 0).cross(forward);
+    if (side.lengthSq() < 1e-6) side.set(1, 0, 0);
+    side.normalize();
+    const up = forward.clone().cross(side);
+    
+    const numPseudopodia = 5;
+    const tips = [];
     
     for (let i = 0; i < numPseudopodia; i++) {
+        const spread = i - (numPseudopodia - 1) / 2;
+        const point = (along, across, lift) => aperture.position.clone()
+            .addScaledVector(forward, along)
+            .addScaledVector(side, across)
+            .addScaledVector(up, lift);
+
         // Create a curved path for each pseudopodium
         const curve = new THREE.CubicBezierCurve3(
-            new THREE.Vector3(baseX, 0, 0),
-            new THREE.Vector3(baseX + 0.3, 0.1 + (i * 0.05), 0.1),
-            new THREE.Vector3(baseX + 0.6, 0.2 - (i * 0.04), 0.2),
-            new THREE.Vector3(baseX + 0.9, (i - numPseudopodia/2) * 0.1, (i - numPseudopodia/2) * 0.1)
+            point(0, 0, 0),
+            point(0.3, 0.05 * spread, 0.1),
+            point(0.6, 0.1 * spread, 0.15 - i * 0.04),
+            point(0.9, 0.2 * spread, 0.1 * spread)
         );
+        tips.push(curve.getPoint(1));
         
-        // Reduced tubular segments and radial segments
-        const tubeGeometry = new THREE.TubeGeometry(curve, 16, 0.02, 6, false); // Reduced from 20, 8
+        const tubeGeometry = new THREE.TubeGeometry(curve, 16, 0.02, 6, false);
         const pseudopod = new THREE.Mesh(tubeGeometry, material);
+        pseudopod.userData.growthStage = chambers.length; // Extend from the aperture
         
         pseudopodiaGroup.add(pseudopod);
     }
@@ -201,14 +410,14 @@ function createPseudopodia(group) {
     // Add label
     if (typeof addLabel === 'function') {
         const labelsArray = window.labels || [];
-        addLabel(group, labelsArray, 'Pseudopodia', new THREE.Vector3(1.6, 0.5, 0.3), component);
+        addLabel(group, labelsArray, 'Pseudopodia', tips[numPseudopodia - 1].clone().addScaledVector(up, 0.2), component);
     }
     
     return pseudopodiaGroup;
 }
 
 // New function to create symbiotic algae (dinoflagellates)
-function createSymbioticAlgae(group) {
+function createSymbioticAlgae(group, chambers) {
     const algaeGroup = new THREE.Group();
     
     // Material for algae with golden-brown color (dinoflagellate color)
@@ -219,27 +428,34 @@ function createSymbioticAlgae(group) {
         roughness: 0.3
     });
     
-    // Create several small algae cells distributed mainly in the chambers
+    // Create several small algae cells in the last chambers, where most of the cytoplasm lies
     const numAlgae = 12; // Small number to keep lightweight
+    const hosts = chambers.slice(-4);
     
     // Create a single geometry to be reused
     const algaeGeometry = new THREE.SphereGeometry(0.05, 6, 4); // Very low poly count
     
     for (let i = 0; i < numAlgae; i++) {
-        // Calculate algae positions - mostly in outer chambers of the spiral
-        const angle = (i / numAlgae) * Math.PI * 2;
-        const radius = 0.3 + (i % 5) * 0.12;
-        const x = radius * Math.cos(angle);
-        const z = radius * Math.sin(angle);
-        const y = (Math.random() - 0.5) * 0.3;
+        const hostIndex = i % hosts.length;
+        const host = hosts[hostIndex];
+        
+        // Spread the cells through the chamber along a golden-angle spiral, so the
+        // pattern stays the same each time the model is regenerated
+        const t = (i + 0.5) / numAlgae;
+        const polar = Math.acos(1 - 2 * t);
+        const azimuth = i * Math.PI * (3 - Math.sqrt(5));
+        const offset = new THREE.Vector3(Math.sin(polar) * Math.cos(azimuth), Math.cos(polar), Math.sin(polar) * Math.sin(azimuth)).multiplyScalar(0.5);
         
         const algaeCell = new THREE.Mesh(algaeGeometry, material);
-        algaeCell.position.set(x, y, z);
+        algaeCell.position.copy(offset).applyMatrix4(chamberMatrix(host));
         
-        // Add slight random scale variation
-        const scale = 0.8 + Math.random() * 0.4;
+        // Add slight scale variation
+        const scale = 0.8 + ((i * 7) % 5) * 0.1;
         algaeCell.scale.set(scale, scale, scale);
         
+        // Algae move into their chamber once it has formed
+        algaeCell.userData.growthStage = chambers.length - hosts.length + hostIndex;
+        
         algaeGroup.add(algaeCell);
     }
     
@@ -258,14 +474,14 @@ function createSymbioticAlgae(group) {
     // Add label
     if (typeof addLabel === 'function') {
         const labelsArray = window.labels || [];
-        addLabel(group, labelsArray, 'Symbiotic Algae', new THREE.Vector3(0.5, 0.2, 0.5), component);
+        addLabel(group, labelsArray, 'Symbiotic Algae', algaeGroup.children[0].position.clone(), component);
     }
     
     return algaeGroup;
 }
 
 // New function to create pore system
-function createPoreSystem(group) {
+function createPoreSystem(group, chambers) {
     const poreGroup = new THREE.Group();
     
     // Material for pores
@@ -274,31 +490,35 @@ function createPoreSystem(group) {
         side: THREE.DoubleSide
     });
     
-    // Use instanced mesh for better performance
-    const poreGeometry = new THREE.CircleGeometry(0.01, 4); // Extremely low poly
-    const poreMesh = new THREE.InstancedMesh(poreGeometry, material, 50); // Limit to 50 pores
-    
+    // Spread pores over each chamber wall with a Fibonacci distribution for even spacing,
+    // keeping only those on the outer surface of the test (not covered by another chamber)
     const dummy = new THREE.Object3D();
+    const pores = [];
+    chambers.forEach((chamber, index) => {
+        // Larger chambers carry more pores
+        const count = Math.max(4, Math.round(300 * chamber.radius * chamber.radius));
+        const wall = chamberMatrix(chamber, WALL_SCALE);
+        for (let i = 0; i < count; i++) {
+            const phi = Math.acos(-1 + (2 * i + 1) / count);
+            const theta = Math.PI * (1 + Math.sqrt(5)) * (i + index);
+            const point = new THREE.Vector3(Math.sin(phi) * Math.cos(theta), Math.cos(phi), Math.sin(phi) * Math.sin(theta)).applyMatrix4(wall);
+            
+            if (chambers.some(other => other !== chamber && insideWall(other, point))) continue;
+            
+            // Orient normal to surface
+            dummy.position.copy(point);
+            dummy.lookAt(chamber.position);
+            dummy.updateMatrix();
+            pores.push(dummy.matrix.clone());
+        }
+    });
     
-    // Create pores on surface of test with Fibonacci distribution for even spacing
-    for (let i = 0; i < 50; i++) {
-        const phi = Math.acos(-1 + (2 * i) / 50);
-        const theta = Math.PI * (1 + Math.sqrt(5)) * i;
-        
-        // Calculate position on surface of the test
-        const x = 1.05 * Math.sin(phi) * Math.cos(theta);
-        const y = 0.65 * Math.cos(phi); // Adjusted for the flattened sphere shape
-        const z = 1.05 * Math.sin(phi) * Math.sin(theta);
-        
-        dummy.position.set(x, y, z);
-        
-        // Orient normal to surface
-        dummy.lookAt(0, 0, 0);
-        
-        dummy.updateMatrix();
-        poreMesh.setMatrixAt(i, dummy.matrix);
-    }
+    // Use instanced mesh for better performance
+    const poreGeometry = new THREE.CircleGeometry(0.01, 4); // Extremely low poly
+    const poreMesh = new THREE.InstancedMesh(poreGeometry, material, pores.length);
+    pores.forEach((matrix, index) => poreMesh.setMatrixAt(index, matrix));
     
+    poreMesh.userData.growthStage = chambers.length + 1;
     poreGroup.add(poreMesh);
     group.add(poreGroup);
     
@@ -315,33 +535,84 @@ function createPoreSystem(group) {
     // Add label
     if (typeof addLabel === 'function') {
         const labelsArray = window.labels || [];
-        addLabel(group, labelsArray, 'Pore System', new THREE.Vector3(0, -0.8, 0.5), component);
+        const position = new THREE.Vector3();
+        if (pores.length > 0) {
+            position.setFromMatrixPosition(pores[Math.floor(pores.length / 2)]);
+        }
+        addLabel(group, labelsArray, 'Pore System', position, component);
     }
     
     return poreGroup;
 }
 
-// Return information about foraminifera
-export function getForaminiferaInfo() {
-    return `
-        <h3>Foraminifera</h3>
-        <p>Foraminifera (forams) are marine protists belonging to the Order Foraminiferida (phylum Retaria). These single-celled organisms have existed since the Cambrian period (541 MYA) and remain abundant in modern oceans.</p>
-        
-        <h4>Key Features:</h4>
-        <ul>
-            <li><strong>Test (Shell):</strong> Composed of calcium carbonate (CaCO₃) in the form of calcite or aragonite, or agglutinated sediment particles</li>
-            <li><strong>Chambers:</strong> Arranged in various patterns (planispiral, trochospiral, biserial, uniserial) with up to 3-5 chambers per whorl in many species</li>
-            <li><strong>Aperture:</strong> Primary opening in the final chamber, allowing communication with the environment</li>
-            <li><strong>Pseudopodia:</strong> Granuloreticulose extensions of cytoplasm used for locomotion, feeding, and test formation</li>
-            <li><strong>Size:</strong> 100μm-1mm (benthic forms), with some planktonic species reaching 20mm</li>
-        </ul>
-        
-        <h4>Geological Significance:</h4>
-        <p>Foraminifera are abundant in the fossil record and serve as valuable biostratigraphic markers. The ratio of stable oxygen isotopes (¹⁸O/¹⁶O) in their calcite tests provides a record of past ocean temperatures and global ice volume. The extinction patterns of large foraminifera mark major boundaries in the Cenozoic Era.</p>
-        
-        <h4>Taxonomy & Classification:</h4>
-        <p>Domain: Eukaryota | Kingdom: Rhizaria | Phylum: Retaria | Class: Foraminifera | Order: Foraminiferida</p>
-        
-        <p><em>Data sourced from the World Foraminifera Database and Ocean Micropaleontology Database</em></p>
-    `;
-} 
\ No newline at end of file
+// Information about foraminifera for the info panel and component popovers (format in fossilInfo.js)
+export const foraminiferaInfo = {
+    title: 'Foraminifera',
+    overview: 'Foraminifera (forams) are marine protists belonging to the Order Foraminiferida (phylum Retaria). These single-celled organisms have existed since the Cambrian period (541 MYA) and remain abundant in modern oceans.',
+    ageRange: { from: 'Cambrian', to: 'Recent', startMa: 541, endMa: 0 },
+    features: [
+        { name: 'Test (Shell)', description: 'Composed of calcium carbonate (CaCO₃) in the form of calcite or aragonite, or agglutinated sediment particles' },
+        { name: 'Chambers', description: 'Arranged in various patterns (planispiral, trochospiral, biserial, uniserial) with up to 3-5 chambers per whorl in many species' },
+        { name: 'Aperture', description: 'Primary opening in the final chamber, allowing communication with the environment' },
+        { name: 'Pseudopodia', description: 'Granuloreticulose extensions of cytoplasm used for locomotion, feeding, and test formation' },
+        { name: 'Size', description: '100μm-1mm (benthic forms), with some planktonic species reaching 20mm' }
+    ],
+    significance: 'Foraminifera are abundant in the fossil record and serve as valuable biostratigraphic markers. The ratio of stable oxygen isotopes (¹⁸O/¹⁶O) in their calcite tests provides a record of past ocean temperatures and global ice volume. The extinction patterns of large foraminifera mark major boundaries in the Cenozoic Era.',
+    taxonomy: {
+        ranks: [
+            { rank: 'Domain', name: 'Eukaryota' },
+            { rank: 'Kingdom', name: 'Rhizaria' },
+            { rank: 'Phylum', name: 'Retaria' },
+            { rank: 'Class', name: 'Foraminifera' },
+            { rank: 'Order', name: 'Foraminiferida' }
+        ]
+    },
+    references: [
+        { citation: 'World Foraminifera Database' },
+        { citation: 'Ocean Micropaleontology Database' }
+    ],
+    // Short descriptions shown when a component is picked in the viewer
+    components: {
+        test: 'The calcareous shell secreted by the cell. Wall structure (hyaline, porcelaneous or agglutinated) is a primary basis for classification.',
+        chambers: 'Chambers added in a spiral as the cell grows, starting from the first chamber (proloculus). Chamber arrangement defines many genera.',
+        aperture: 'The main opening of the final chamber, through which pseudopodia extend.',
+        pseudopodia: 'Granular reticulopodia that extend from the aperture and pores for feeding, movement and test construction.',
+        symbiotic_algae: 'Photosynthetic symbionts, such as dinoflagellates or diatoms, carried by many planktonic and larger benthic forams.',
+        pore_system: 'Fine pores through the test wall that let gases and cytoplasm pass. Pore density tracks the water environment.'
+    }
+};
+
+registerFossil({
+    id: 'foraminifera',
+    displayName: 'Foraminifera',
+    createModel: createForaminiferaModel,
+    info: foraminiferaInfo,
+    camera: { position: [0, 0, 5], target: [0, 0, 0] },
+    tour: 'data/tours/foraminifera.json',
+    // Test is 2.1 units across whatever its arrangement; typical benthic tests are about 0.5 mm
+    micronsPerUnit: 250,
+    // Order in which the parts of the model form during growth (see userData.growthStage);
+    // a generated test shows only the chambers it has (see userData.growthStages)
+    growthStages: [
+        'Proloculus',
+        ...Array.from({ length: MAX_CHAMBERS - 1 }, (value, index) => `Chamber ${index + 2}`),
+        'Aperture and pseudopodia',
+        'Pores'
+    ],
+    // Generator parameters and test architecture presets for the parameter panel
+    parameters: foraminiferaParameters,
+    presets: foraminiferaPresets,
+    // Exploded view: the chambers rise out of the test, with the soft parts moved aside
+    explodeAxes: {
+        chambers: { axis: [0, 1, 0], distance: 1.4 },
+        aperture: { axis: [1, 0, 0], distance: 0.6 },
+        pseudopodia: { axis: [1, 0, 0], distance: 0.9 },
+        symbiotic_algae: { axis: [0, -1, 0], distance: 1.2 }
+    },
+    metadata: {
+        group: 'Foraminifera',
+        range: 'Cambrian–Recent',
+        composition: 'calcite',
+        wallFabric: 'radial'
+    }
+});
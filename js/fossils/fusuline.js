@@ -1,48 +1,325 @@
 import * as THREE from 'three';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
 import { addLabel } from '../labelUtils.js';
+import { registerFossil } from '../fossilRegistry.js';
+
+// Parametric fusuline generator
+// The test is built around a planispiral coil about the x axis: each whorl is a spindle whose
+// equatorial radius grows geometrically from the proloculus to the final width, while its
+// length grows towards the chosen form ratio. Septa, tunnel, chomata, cuniculi and pores are
+// all placed along that coil, so changing a parameter rebuilds a consistent test.
+
+const TWO_PI = Math.PI * 2;
+
+// Equatorial radius of the final whorl; the length follows from the form ratio
+const TEST_RADIUS = 0.8;
+
+// Scale of the model, also used to size the proloculus
+const MICRONS_PER_UNIT = 2000;
+
+// Profile exponent of the spindle: 0.5 would give an ellipsoid, larger values sharper poles
+const SPINDLE_SHAPE = 0.75;
+
+// Growth stage of the outer wall in growthStages: after the proloculus and up to eight whorls
+const FINAL_STAGE = 9;
+
+// Septal folds from pole to pole, and the share of the chamber height taken by the tunnel
+const FOLD_COUNT = 5;
+const TUNNEL_HEIGHT = 0.35;
+
+// Septal fluting above which folds of neighbouring septa meet and form cuniculi
+const CUNICULUS_FLUTING = 0.5;
+
+// Resolution of the generated surfaces
+const SEPTUM_U_STEPS = 24;
+const SEPTUM_V_STEPS = 6;
+const SWEEP_STEPS = 48;
+
+// Where pores sit on each septum, as [pole-to-pole position, height above the floor]
+const PORE_PATTERN = [[-0.6, 0.45], [-0.35, 0.75], [-0.35, 0.45], [-0.6, 0.75], [0.35, 0.45], [0.6, 0.75], [0.6, 0.45], [0.35, 0.75]];
+
+// Spirotheca (wall) structure
+const WALL_TYPES = {
+    // Schwagerinid wall: a thin tectum over a thick keriotheca with honeycomb-like alveoli
+    keriotheca: { thickness: 0.06, color: 0xcdbf9f, opacity: 0.8, roughness: 0.8, alveoli: true },
+    // Fusulinid wall: a thin tectum over a light, translucent diaphanotheca
+    diaphanotheca: { thickness: 0.035, color: 0xd8d8d0, opacity: 0.6, roughness: 0.3, alveoli: false }
+};
+
+// Generator parameters, shown in the model parameter panel (see parameterPanel.js)
+export const fusulineParameters = {
+    formRatio: { label: 'Form ratio (length : width)', min: 1.2, max: 4.5, step: 0.1, value: 2.4 },
+    whorls: { label: 'Whorls', min: 2, max: 8, step: 1, value: 6 },
+    proloculus: { label: 'Proloculus diameter', min: 50, max: 500, step: 10, value: 180, unit: ' µm' },
+    fluting: { label: 'Septal fluting', min: 0, max: 100, step: 5, value: 35, unit: '%' },
+    chomataHeight: { label: 'Chomata height', min: 0, max: 100, step: 5, value: 50, unit: '%' },
+    tunnelAngle: { label: 'Tunnel angle', min: 10, max: 60, step: 1, value: 30, unit: '°' },
+    wallType: {
+        label: 'Wall type',
+        options: { keriotheca: 'Keriotheca', diaphanotheca: 'Diaphanotheca' },
+        value: 'keriotheca'
+    }
+};
+
+// Typical values of some well-known genera
+export const fusulinePresets = {
+    fusulinella: {
+        name: 'Fusulinella',
+        description: 'Small, inflated test with plane septa fluted only at the poles, massive chomata and a diaphanotheca.',
+        values: { formRatio: 2, whorls: 5, proloculus: 100, fluting: 20, chomataHeight: 70, tunnelAngle: 22, wallType: 'diaphanotheca' }
+    },
+    fusulina: {
+        name: 'Fusulina',
+        description: 'Elongate test with septa fluted throughout, moderate chomata and a diaphanotheca.',
+        values: { formRatio: 2.8, whorls: 6, proloculus: 150, fluting: 60, chomataHeight: 45, tunnelAngle: 28, wallType: 'diaphanotheca' }
+    },
+    triticites: {
+        name: 'Triticites',
+        description: 'Fusiform test with weakly fluted septa, well-developed chomata and a keriothecal wall.',
+        values: { formRatio: 2.4, whorls: 6, proloculus: 180, fluting: 35, chomataHeight: 50, tunnelAngle: 30, wallType: 'keriotheca' }
+    },
+    schwagerina: {
+        name: 'Schwagerina',
+        description: 'Large, inflated test with intensely fluted septa forming cuniculi, a large proloculus and chomata reduced to the inner whorls.',
+        values: { formRatio: 2.8, whorls: 6, proloculus: 320, fluting: 90, chomataHeight: 10, tunnelAngle: 36, wallType: 'keriotheca' }
+    },
+    parafusulina: {
+        name: 'Parafusulina',
+        description: 'Very elongate test with strongly fluted septa, well-developed cuniculi and almost no chomata.',
+        values: { formRatio: 4, whorls: 7, proloculus: 380, fluting: 100, chomataHeight: 5, tunnelAngle: 40, wallType: 'keriotheca' }
+    }
+};
+
+// Create and return a fusuline fossil model for a set of generator parameters
+export function createFusulineModel(scene, parameters = {}) {
+    const values = {};
+    Object.keys(fusulineParameters).forEach(name => {
+        values[name] = parameters[name] !== undefined ? parameters[name] : fusulineParameters[name].value;
+    });
+
+    const spiral = createSpiral(values);
 
-// Create and return a fusuline fossil model
-export function createFusulineModel(scene) {
     // Create a group to hold all components
     const fusulineGroup = new THREE.Group();
     fusulineGroup.userData = {
-        components: [] // Will store all components for UI controls
+        components: [], // Will store all components for UI controls
+        // Growth stages of this test: the proloculus, one per whorl and the outer wall (indices into growthStages)
+        growthStages: [0, ...Array.from({ length: values.whorls }, (value, index) => index + 1), FINAL_STAGE]
     };
 
     // Add components to the model
-    createShell(fusulineGroup);
-    createSepta(fusulineGroup);
-    createAperture(fusulineGroup);
-    createChambers(fusulineGroup);
-    
-    // Add new components based on the diagram
-    createChomata(fusulineGroup);
-    createTunnel(fusulineGroup);
-    createCuniculus(fusulineGroup);
-    createSeptalPores(fusulineGroup);
+    createShell(fusulineGroup, spiral, values);
+    createSepta(fusulineGroup, spiral, values);
+    createAperture(fusulineGroup, spiral, values);
+    createChambers(fusulineGroup, spiral, values);
+    createChomata(fusulineGroup, spiral, values);
+    createTunnel(fusulineGroup, spiral, values);
+    createCuniculus(fusulineGroup, spiral, values);
+    createSeptalPores(fusulineGroup, spiral, values);
 
     return fusulineGroup;
 }
 
-// Create the outer shell
-function createShell(group) {
-    // Create outer shell geometry (elongated ellipsoid)
-    const geometry = new THREE.SphereGeometry(1, 32, 24);
-    geometry.scale(1.5, 0.8, 0.8);
-    
+// The coil: equatorial radius and half-length of the test after turning through an angle
+function createSpiral(values) {
+    const proloculusRadius = values.proloculus / 2 / MICRONS_PER_UNIT;
+    const end = values.whorls * TWO_PI;
+
+    return {
+        whorls: values.whorls,
+        end,
+        proloculus: { radius: proloculusRadius, halfLength: proloculusRadius },
+        at(phi) {
+            if (phi <= 0) return this.proloculus;
+
+            const s = Math.min(phi / end, 1);
+            const radius = proloculusRadius * Math.pow(TEST_RADIUS / proloculusRadius, s);
+
+            // Inner whorls are nearly spherical; the form ratio is reached in the last whorl
+            const ratio = 1 + (values.formRatio - 1) * Math.sqrt(s);
+            return { radius, halfLength: radius * ratio };
+        },
+        // Outline of whorl k (1-based), as reached at the end of that whorl
+        whorl(k) {
+            return this.at(k * TWO_PI);
+        }
+    };
+}
+
+// Distance from the coiling axis of a whorl outline at axial position x
+function profileRadius(outline, x) {
+    const u = Math.abs(x) / outline.halfLength;
+    if (u >= 1) return 0;
+
+    const shape = outline.halfLength > outline.radius ? SPINDLE_SHAPE : 0.5;
+    return outline.radius * Math.pow(1 - u * u, shape);
+}
+
+// Points of a whorl outline from pole to pole, as lathe profile points (radius, axial position)
+function profilePoints(outline, steps) {
+    const points = [];
+    for (let i = 0; i <= steps; i++) {
+        const x = -outline.halfLength + (2 * outline.halfLength * i) / steps;
+        points.push(new THREE.Vector2(profileRadius(outline, x), x));
+    }
+    return points;
+}
+
+// Closed spindle surface around the x axis
+function createSpindleGeometry(outline) {
+    const geometry = new THREE.LatheGeometry(profilePoints(outline, 48), 48);
+    geometry.rotateZ(-Math.PI / 2);
+    return geometry;
+}
+
+// Chamber floor and roof, tunnel half-width and chamber height at an angle of the coil
+function chamberAt(spiral, values, phi) {
+    const floor = profileRadius(spiral.at(phi - TWO_PI), 0);
+    const roof = profileRadius(spiral.at(phi), 0);
+    const tunnelAngle = THREE.MathUtils.degToRad(values.tunnelAngle);
+
+    return {
+        floor,
+        height: Math.max(roof - floor, 0),
+        halfWidth: Math.max(floor * Math.tan(tunnelAngle / 2), 0.01)
+    };
+}
+
+// Angles of the septa of whorl k; the number of septa grows outwards as in real tests
+function septumAngles(k) {
+    const count = 8 + 3 * k;
+    return Array.from({ length: count }, (value, index) => (k - 1 + (index + 1) / count) * TWO_PI);
+}
+
+// Point on the septum at angle phi; u runs from pole to pole (-1 to 1), v from the floor (0) to the roof (1)
+// Folds deepen towards the poles and the septal base, and reach the next septum at full fluting
+function septumPoint(spiral, values, phi, spacing, u, v) {
+    const roof = spiral.at(phi);
+    const floor = spiral.at(phi - TWO_PI);
+    const x = u * roof.halfLength;
+    const radius = THREE.MathUtils.lerp(profileRadius(floor, x), profileRadius(roof, x), v);
+
+    const fluting = values.fluting / 100;
+    const fold = fluting * 0.45 * spacing * Math.sin(FOLD_COUNT * Math.PI * u) * (1 - 0.5 * v) * (0.35 + 0.65 * Math.abs(u));
+    const angle = phi + fold;
+
+    return new THREE.Vector3(x, radius * Math.cos(angle), radius * Math.sin(angle));
+}
+
+// Sweep a cross-section along the coil between two angles into a closed tube
+// section(phi) returns the outline as [axial position, distance from the axis] pairs, anticlockwise
+function createSweepGeometry(section, phiStart, phiEnd) {
+    const positions = [];
+    const indices = [];
+    let sides = 0;
+
+    for (let i = 0; i <= SWEEP_STEPS; i++) {
+        const phi = THREE.MathUtils.lerp(phiStart, phiEnd, i / SWEEP_STEPS);
+        const outline = section(phi);
+        sides = outline.length;
+        outline.forEach(([x, radius]) => {
+            positions.push(x, radius * Math.cos(phi), radius * Math.sin(phi));
+        });
+    }
+
+    for (let i = 0; i < SWEEP_STEPS; i++) {
+        for (let j = 0; j < sides; j++) {
+            const a = i * sides + j;
+            const b = i * sides + (j + 1) % sides;
+            const c = (i + 1) * sides + (j + 1) % sides;
+            const d = (i + 1) * sides + j;
+            indices.push(a, b, c, a, c, d);
+        }
+    }
+
+    // Close both ends with a fan around the centre of the section
+    [[0, -1], [SWEEP_STEPS, 1]].forEach(([ring, direction]) => {
+        const center = positions.length / 3;
+        const centroid = new THREE.Vector3();
+        for (let j = 0; j < sides; j++) {
+            const index = (ring * sides + j) * 3;
+            centroid.x += positions[index] / sides;
+            centroid.y += positions[index + 1] / sides;
+            centroid.z += positions[index + 2] / sides;
+        }
+        positions.push(centroid.x, centroid.y, centroid.z);
+
+        for (let j = 0; j < sides; j++) {
+            const a = ring * sides + j;
+            const b = ring * sides + (j + 1) % sides;
+            if (direction > 0) {
+                indices.push(center, a, b);
+            } else {
+                indices.push(center, b, a);
+            }
+        }
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setIndex(indices);
+    geometry.computeVertexNormals();
+    return geometry;
+}
+
+// Bump map of small round alveoli for the keriotheca
+function createAlveoliTexture() {
+    const size = 32;
+    const data = new Uint8Array(size * size * 4);
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            // Distance to the nearest cell centre of a staggered grid
+            const row = Math.round(y / (size / 2));
+            const offset = row % 2 === 0 ? 0 : size / 4;
+            const cellX = ((x - offset) % (size / 2) + size / 2) % (size / 2) - size / 4;
+            const cellY = y - row * (size / 2);
+            const distance = Math.hypot(cellX, cellY) / (size / 4);
+            const value = Math.round(255 * THREE.MathUtils.smoothstep(distance, 0.5, 0.9));
+
+            const index = (y * size + x) * 4;
+            data[index] = data[index + 1] = data[index + 2] = value;
+            data[index + 3] = 255;
+        }
+    }
+
+    const texture = new THREE.DataTexture(data, size, size, THREE.RGBAFormat);
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.repeat.set(48, 16);
+    texture.needsUpdate = true;
+    return texture;
+}
+
+// Create the outer wall (spirotheca of the final whorl)
+function createShell(group, spiral, values) {
+    const wall = WALL_TYPES[values.wallType] || WALL_TYPES.keriotheca;
+    const outer = spiral.whorl(spiral.whorls);
+    const inner = { radius: outer.radius - wall.thickness, halfLength: outer.halfLength - wall.thickness };
+
+    // Outer surface from pole to pole and back along the inner surface, so the wall is a closed solid
+    const points = [...profilePoints(outer, 48), ...profilePoints(inner, 48).reverse()];
+    const geometry = new THREE.LatheGeometry(points, 64);
+    geometry.rotateZ(-Math.PI / 2);
+
     // Apply material with slight transparency
     const material = new THREE.MeshPhysicalMaterial({
-        color: 0xd0d0d0,
+        color: wall.color,
         transparent: true,
-        opacity: 0.7,
-        roughness: 0.3,
+        opacity: wall.opacity,
+        roughness: wall.roughness,
         metalness: 0.1
     });
-    
+    if (wall.alveoli) {
+        material.bumpMap = createAlveoliTexture();
+        material.bumpScale = 2;
+    }
+
     // Create mesh and add to group
     const shell = new THREE.Mesh(geometry, material);
+    shell.userData.growthStage = spiral.whorls + 1;
     group.add(shell);
-    
+
     // Store component data for UI controls
     const component = {
         name: 'shell',
@@ -50,77 +327,75 @@ function createShell(group) {
         mesh: shell,
         visible: true
     };
-    
+
     group.userData.components.push(component);
-    
+
     // Add label
     if (typeof addLabel === 'function') {
         // Using global window.labels if it exists, otherwise use an empty array
         const labelsArray = window.labels || [];
-        addLabel(group, labelsArray, 'Outer Shell (Test)', new THREE.Vector3(1.7, 0, 0), component);
+        addLabel(group, labelsArray, 'Outer Shell (Test)', new THREE.Vector3(outer.halfLength + 0.2, 0, 0), component);
     }
-    
+
     return shell;
 }
 
-// Create internal septa (walls between chambers)
-function createSepta(group) {
+// Create the septa (walls between chambers), one merged surface per whorl
+function createSepta(group, spiral, values) {
     const septaGroup = new THREE.Group();
-    
+
     // Create material for septa
     const material = new THREE.MeshStandardMaterial({
         color: 0xa0a0a0,
         side: THREE.DoubleSide
     });
-    
-    // Create spiral-arranged septa inside the shell following fusuline anatomy
-    // Shell dimensions (shell is 1.5 in x-axis, 0.8 in y and z)
-    const shellRadiusX = 1.5;
-    const shellRadiusZ = 0.8;
-    
-    // Create spiral septa that divide the internal space into chambers
-    const numChambers = 8;
-    const maxRadius = 0.65; // Keep septa inside the shell
-    
-    // Calculate spiral points for the septa
-    for (let i = 0; i < numChambers; i++) {
-        // Create a spiral pattern - each septum rotates and gets slightly larger
-        const angle = (i / numChambers) * Math.PI * 6; // Multiple turns of spiral
-        const ratio = i / numChambers;
-        const radius = maxRadius * (0.3 + ratio * 0.7); // Growing radius for spiral effect
-        
-        // Calculate position inside the shell
-        const posX = radius * Math.cos(angle);
-        const posZ = radius * Math.sin(angle);
-        
-        // Create the septum shape - make it a curved wall shape
-        const shape = new THREE.Shape();
-        
-        // Define the internal wall shape
-        const wallHeight = 0.4 - ratio * 0.1; // Slightly smaller toward center
-        shape.moveTo(0, -wallHeight);
-        shape.quadraticCurveTo(0.2, 0, 0, wallHeight);
-        shape.lineTo(radius * 0.6, wallHeight * 0.8);
-        shape.quadraticCurveTo(radius * 0.7, 0, radius * 0.6, -wallHeight * 0.8);
-        shape.lineTo(0, -wallHeight);
-        
-        const geometry = new THREE.ShapeGeometry(shape);
-        const septum = new THREE.Mesh(geometry, material);
-        
-        // Position and orient the septum within the shell
-        septum.position.set(posX, 0, posZ);
-        
-        // Orient to align with spiral pattern
-        const nextAngle = ((i + 0.5) / numChambers) * Math.PI * 6;
-        const nextPosX = radius * Math.cos(nextAngle);
-        const nextPosZ = radius * Math.sin(nextAngle);
-        septum.lookAt(nextPosX, 0, nextPosZ);
-        
-        septaGroup.add(septum);
+
+    for (let k = 1; k <= spiral.whorls; k++) {
+        const angles = septumAngles(k);
+        const spacing = TWO_PI / angles.length;
+        const positions = [];
+        const indices = [];
+
+        angles.forEach(phi => {
+            const base = positions.length / 3;
+            const chamber = chamberAt(spiral, values, phi);
+            const halfLength = spiral.at(phi).halfLength;
+
+            for (let j = 0; j <= SEPTUM_V_STEPS; j++) {
+                for (let i = 0; i <= SEPTUM_U_STEPS; i++) {
+                    const point = septumPoint(spiral, values, phi, spacing, -1 + (2 * i) / SEPTUM_U_STEPS, j / SEPTUM_V_STEPS);
+                    positions.push(point.x, point.y, point.z);
+                }
+            }
+
+            // Leave the tunnel open at the base of the septum
+            for (let j = 0; j < SEPTUM_V_STEPS; j++) {
+                for (let i = 0; i < SEPTUM_U_STEPS; i++) {
+                    const x = (-1 + (2 * i + 1) / SEPTUM_U_STEPS) * halfLength;
+                    const v = (j + 0.5) / SEPTUM_V_STEPS;
+                    if (Math.abs(x) < chamber.halfWidth && v < TUNNEL_HEIGHT) continue;
+
+                    const a = base + j * (SEPTUM_U_STEPS + 1) + i;
+                    const b = a + 1;
+                    const c = a + SEPTUM_U_STEPS + 2;
+                    const d = a + SEPTUM_U_STEPS + 1;
+                    indices.push(a, b, c, a, c, d);
+                }
+            }
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setIndex(indices);
+        geometry.computeVertexNormals();
+
+        const septa = new THREE.Mesh(geometry, material);
+        septa.userData.growthStage = k;
+        septaGroup.add(septa);
     }
-    
+
     group.add(septaGroup);
-    
+
     // Store component data for UI controls
     const component = {
         name: 'septa',
@@ -128,35 +403,46 @@ function createSepta(group) {
         group: septaGroup,
         visible: true
     };
-    
+
     group.userData.components.push(component);
-    
-    // Add label for the internal septa
+
+    // Add label on one of the last septa
     if (typeof addLabel === 'function') {
         const labelsArray = window.labels || [];
-        addLabel(group, labelsArray, 'Septa', new THREE.Vector3(0.5, 0.2, 0.5), component);
+        const angles = septumAngles(spiral.whorls);
+        const phi = angles[Math.floor(angles.length / 4)];
+        const position = septumPoint(spiral, values, phi, TWO_PI / angles.length, 0.5, 0.8);
+        addLabel(group, labelsArray, 'Septa', position, component);
     }
-    
+
     return septaGroup;
 }
 
-// Create aperture (opening)
-function createAperture(group) {
-    // Create aperture geometry (small tube)
-    const geometry = new THREE.CylinderGeometry(0.15, 0.15, 0.2, 16);
-    
+// Create the aperture, a low opening at the base of the final septum
+function createAperture(group, spiral, values) {
+    const phi = spiral.end;
+    const chamber = chamberAt(spiral, values, phi);
+    const halfHeight = Math.max(chamber.height * TUNNEL_HEIGHT / 2, 0.02);
+
+    // Create aperture geometry (short elliptical tube through the septum)
+    const geometry = new THREE.CylinderGeometry(1, 1, 0.05, 16);
+    geometry.scale(Math.max(chamber.halfWidth, 0.03), 1, halfHeight);
+
     // Apply material
     const material = new THREE.MeshStandardMaterial({
         color: 0x505050,
         side: THREE.DoubleSide
     });
-    
-    // Create mesh and add to group
+
+    // Create mesh and add to group; the tube runs along the coil, its width along the axis
     const aperture = new THREE.Mesh(geometry, material);
-    aperture.position.set(1.5, 0, 0);
-    aperture.rotation.z = Math.PI / 2;
+    const radial = new THREE.Vector3(0, Math.cos(phi), Math.sin(phi));
+    const tangent = new THREE.Vector3(0, -Math.sin(phi), Math.cos(phi));
+    aperture.position.copy(radial).multiplyScalar(chamber.floor + halfHeight);
+    aperture.quaternion.setFromRotationMatrix(new THREE.Matrix4().makeBasis(new THREE.Vector3(1, 0, 0), tangent, radial.clone().negate()));
+    aperture.userData.growthStage = spiral.whorls + 1;
     group.add(aperture);
-    
+
     // Store component data for UI controls
     const component = {
         name: 'aperture',
@@ -164,45 +450,48 @@ function createAperture(group) {
         mesh: aperture,
         visible: true
     };
-    
+
     group.userData.components.push(component);
-    
+
     // Add label
     if (typeof addLabel === 'function') {
         const labelsArray = window.labels || [];
-        addLabel(group, labelsArray, 'Aperture', new THREE.Vector3(1.7, 0.3, 0), component);
+        addLabel(group, labelsArray, 'Aperture', aperture.position.clone().add(radial.multiplyScalar(0.35)), component);
     }
-    
+
     return aperture;
 }
 
-// Create internal chambers
-function createChambers(group) {
+// Create the chambers: the proloculus and the outline of each whorl
+function createChambers(group, spiral, values) {
     const chamberGroup = new THREE.Group();
-    
+    const wall = WALL_TYPES[values.wallType] || WALL_TYPES.keriotheca;
+
     // Create material for chambers
     const material = new THREE.MeshStandardMaterial({
         color: 0xbbaa90,
         transparent: true,
-        opacity: 0.6
+        opacity: 0.45
     });
-    
-    // Create several chambers with decreasing size
-    const numChambers = 5;
-    for (let i = 0; i < numChambers; i++) {
-        const scale = 0.85 - (i * 0.15);
-        
-        // Create chamber geometry (ellipsoid)
-        const geometry = new THREE.SphereGeometry(scale, 24, 16);
-        geometry.scale(1.5, 0.8, 0.8);
-        
+
+    // The proloculus is the first, spherical chamber
+    const proloculus = new THREE.Mesh(new THREE.SphereGeometry(spiral.proloculus.radius, 24, 16), material);
+    proloculus.userData.growthStage = 0;
+    chamberGroup.add(proloculus);
+
+    // Each later whorl encloses the previous ones; the last stays inside the outer wall
+    for (let k = 1; k <= spiral.whorls; k++) {
+        const outline = spiral.whorl(k);
+        const inset = k === spiral.whorls ? wall.thickness * 1.5 : 0;
+        const geometry = createSpindleGeometry({ radius: outline.radius - inset, halfLength: outline.halfLength - inset });
+
         const chamber = new THREE.Mesh(geometry, material);
-        chamber.position.set(-(i * 0.2), 0, 0);
+        chamber.userData.growthStage = k;
         chamberGroup.add(chamber);
     }
-    
+
     group.add(chamberGroup);
-    
+
     // Store component data for UI controls
     const component = {
         name: 'chambers',
@@ -210,85 +499,62 @@ function createChambers(group) {
         group: chamberGroup,
         visible: true
     };
-    
+
     group.userData.components.push(component);
-    
+
     // Add label
     if (typeof addLabel === 'function') {
         const labelsArray = window.labels || [];
-        addLabel(group, labelsArray, 'Chambers', new THREE.Vector3(-0.5, 0.5, 0.5), component);
+        const outline = spiral.whorl(spiral.whorls);
+        const x = -0.35 * outline.halfLength;
+        const radius = 0.7 * profileRadius(outline, x);
+        addLabel(group, labelsArray, 'Chambers', new THREE.Vector3(x, radius * Math.SQRT1_2, radius * Math.SQRT1_2), component);
     }
-    
+
     return chamberGroup;
 }
 
-// Create chomata (ridge-like structures)
-function createChomata(group) {
+// Create chomata (ridges of secondary calcite on both sides of the tunnel)
+function createChomata(group, spiral, values) {
     const chomataGroup = new THREE.Group();
-    
+
     // Material for chomata - more accurate calcite-like appearance
     const material = new THREE.MeshStandardMaterial({
         color: 0xd8c8a0,
         roughness: 0.5,
         metalness: 0.1
     });
-    
-    // Based on scientific references, chomata are secondary deposits along the tunnel
-    // that appear as thickenings on the floor of chambers adjacent to the tunnel
-    // Create a series of chomata along the central axis on each side of the tunnel
-    const numChomata = 6;
-    const chomataSpacing = 0.4;  // Spacing along the x-axis
-    
-    for (let i = 0; i < numChomata; i++) {
-        const xPos = -0.8 + (i * chomataSpacing);
-        
-        // Create left chomata (more organic/curved shape)
-        const leftShape = new THREE.Shape();
-        leftShape.moveTo(0, 0);
-        leftShape.quadraticCurveTo(0.05, 0.08, 0.1, 0.06);
-        leftShape.lineTo(0.15, 0);
-        leftShape.quadraticCurveTo(0.08, -0.04, 0, 0);
-        
-        const leftExtrudeSettings = {
-            steps: 1,
-            depth: 0.15,
-            bevelEnabled: true,
-            bevelThickness: 0.02,
-            bevelSize: 0.02,
-            bevelSegments: 3
-        };
-        
-        const leftGeometry = new THREE.ExtrudeGeometry(leftShape, leftExtrudeSettings);
-        const leftChomata = new THREE.Mesh(leftGeometry, material);
-        leftChomata.position.set(xPos, 0.05, 0.15);
-        leftChomata.rotation.set(Math.PI/2, 0, 0);
-        chomataGroup.add(leftChomata);
-        
-        // Create right chomata
-        const rightShape = new THREE.Shape();
-        rightShape.moveTo(0, 0);
-        rightShape.quadraticCurveTo(0.05, 0.08, 0.1, 0.06);
-        rightShape.lineTo(0.15, 0);
-        rightShape.quadraticCurveTo(0.08, -0.04, 0, 0);
-        
-        const rightExtrudeSettings = {
-            steps: 1,
-            depth: 0.15,
-            bevelEnabled: true,
-            bevelThickness: 0.02,
-            bevelSize: 0.02,
-            bevelSegments: 3
-        };
-        
-        const rightGeometry = new THREE.ExtrudeGeometry(rightShape, rightExtrudeSettings);
-        const rightChomata = new THREE.Mesh(rightGeometry, material);
-        rightChomata.position.set(xPos, 0.05, -0.15);
-        rightChomata.rotation.set(Math.PI/2, 0, Math.PI);
-        chomataGroup.add(rightChomata);
+
+    // Steep on the tunnel side and sloping away from it, as seen in axial sections
+    const height = values.chomataHeight / 100;
+    const ridge = side => phi => {
+        const chamber = chamberAt(spiral, values, phi);
+        const inner = chamber.halfWidth;
+        const width = inner * 0.8 + 0.01;
+        const top = chamber.floor + chamber.height * height * 0.8;
+        const outline = [
+            [inner, chamber.floor],
+            [inner + width, chamber.floor],
+            [inner + width * 0.3, top],
+            [inner, top - (top - chamber.floor) * 0.1]
+        ];
+
+        // Mirroring reverses the winding, so the far side is listed backwards
+        return side > 0 ? outline : outline.map(([x, radius]) => [-x, radius]).reverse();
+    };
+
+    if (height > 0) {
+        for (let k = 1; k <= spiral.whorls; k++) {
+            [1, -1].forEach(side => {
+                const chomata = new THREE.Mesh(createSweepGeometry(ridge(side), (k - 1) * TWO_PI, k * TWO_PI), material);
+                chomata.userData.growthStage = k;
+                chomataGroup.add(chomata);
+            });
+        }
     }
-    
+
     group.add(chomataGroup);
-    
+
     // Store component data for UI controls
     const component = {
         name: 'chomata',
@@ -296,24 +562,27 @@ function createChomata(group) {
         group: chomataGroup,
         visible: true
     };
-    
+
     group.userData.components.push(component);
-    
-    // Add label
+
+    // Add label beside the tunnel in the last whorl
     if (typeof addLabel === 'function') {
         const labelsArray = window.labels || [];
-        addLabel(group, labelsArray, 'Chomata', new THREE.Vector3(-0.4, 0.3, 0.3), component);
+        const phi = spiral.end - TWO_PI * 0.75;
+        const chamber = chamberAt(spiral, values, phi);
+        const radius = chamber.floor + chamber.height * Math.max(height, 0.2) * 0.8;
+        addLabel(group, labelsArray, 'Chomata', new THREE.Vector3(chamber.halfWidth * 1.4, radius * Math.cos(phi), radius * Math.sin(phi)), component);
     }
-    
+
     return chomataGroup;
 }
 
-// Create tunnel (opening along the axis)
-function createTunnel(group) {
-    // In fusulines, the tunnel is a low passage through successive septa along the
-    // axis of coiling, created by resorption of parts of septa
+// Create the tunnel (low passage through the septal bases along the coil)
+function createTunnel(group, spiral, values) {
+    // In fusulines, the tunnel is a low passage through successive septa, created by
+    // resorption of the septal bases; its width is given by the tunnel angle
     const tunnelGroup = new THREE.Group();
-    
+
     // Accurate material for the tunnel - appears as a void in fossils
     const material = new THREE.MeshBasicMaterial({
         color: 0x202020,
@@ -321,30 +590,26 @@ function createTunnel(group) {
         transparent: true,
         opacity: 0.8
     });
-    
-    // Create a series of aligned tunnel segments to better represent
-    // how tunnels pass through successive septa
-    const numSegments = 8;
-    const segmentSpacing = 0.3;
-    const tunnelWidth = 0.2;
-    const tunnelHeight = 0.12; // Lower height for more realistic appearance
-    
-    for (let i = 0; i < numSegments; i++) {
-        const xPos = -1 + (i * segmentSpacing);
-        
-        // Create a custom shape for the tunnel segment (more oval than circular)
-        const segment = new THREE.Mesh(
-            new THREE.CylinderGeometry(tunnelWidth/2, tunnelWidth/2, tunnelHeight, 12, 1, true),
-            material
-        );
-        segment.rotation.z = Math.PI / 2; // Orient along x-axis
-        segment.position.set(xPos, 0, 0);
-        
+
+    const section = phi => {
+        const chamber = chamberAt(spiral, values, phi);
+        const top = chamber.floor + chamber.height * TUNNEL_HEIGHT;
+        return [
+            [-chamber.halfWidth, chamber.floor],
+            [chamber.halfWidth, chamber.floor],
+            [chamber.halfWidth, top],
+            [-chamber.halfWidth, top]
+        ];
+    };
+
+    for (let k = 1; k <= spiral.whorls; k++) {
+        const segment = new THREE.Mesh(createSweepGeometry(section, (k - 1) * TWO_PI, k * TWO_PI), material);
+        segment.userData.growthStage = k;
         tunnelGroup.add(segment);
     }
-    
+
     group.add(tunnelGroup);
-    
+
     // Store component data for UI controls
     const component = {
         name: 'tunnel',
@@ -352,24 +617,27 @@ function createTunnel(group) {
         group: tunnelGroup,
         visible: true
     };
-    
+
     group.userData.components.push(component);
-    
+
     // Add label
     if (typeof addLabel === 'function') {
         const labelsArray = window.labels || [];
-        addLabel(group, labelsArray, 'Tunnel', new THREE.Vector3(0, 0.2, 0), component);
+        const phi = spiral.end - TWO_PI * 0.25;
+        const chamber = chamberAt(spiral, values, phi);
+        const radius = chamber.floor + chamber.height * TUNNEL_HEIGHT;
+        addLabel(group, labelsArray, 'Tunnel', new THREE.Vector3(0, radius * Math.cos(phi), radius * Math.sin(phi)), component);
     }
-    
+
     return tunnelGroup;
 }
 
-// Create cuniculi (small passages through septa)
-function createCuniculus(group) {
-    // Cuniculi are small tubular passages connecting adjacent chambers,
-    // often in patterns that bypass the main tunnel
+// Create cuniculi (spiral passages where the septal folds meet)
+function createCuniculus(group, spiral, values) {
+    // Cuniculi only form in strongly fluted tests, where the folds of successive septa
+    // meet near their bases; they run along the coil below each fold crest
     const cuniculusGroup = new THREE.Group();
-    
+
     // Material for cuniculi
     const material = new THREE.MeshStandardMaterial({
         color: 0x505050,
@@ -377,58 +645,43 @@ function createCuniculus(group) {
         transparent: true,
         opacity: 0.8
     });
-    
-    // Based on scientific literature, cuniculi form networks of passages
-    // Create a more accurate representation of these networks
-    const radius = 0.04; // Smaller radius for more realistic scale
-    
-    // Create cuniculi along specific paths between septa
-    // These should form a mesh-like network across chamber boundaries
-    const cunicularPaths = [
-        // Each path defined by start and end points at different chambers
-        [new THREE.Vector3(-0.9, 0.2, 0.3), new THREE.Vector3(-0.7, 0.3, 0.2)],
-        [new THREE.Vector3(-0.7, 0.3, 0.2), new THREE.Vector3(-0.5, 0.25, 0.3)],
-        [new THREE.Vector3(-0.5, 0.25, 0.3), new THREE.Vector3(-0.3, 0.2, 0.35)],
-        
-        [new THREE.Vector3(-0.8, 0.3, -0.2), new THREE.Vector3(-0.6, 0.25, -0.25)],
-        [new THREE.Vector3(-0.6, 0.25, -0.25), new THREE.Vector3(-0.4, 0.2, -0.3)],
-        
-        [new THREE.Vector3(-0.2, 0.2, 0.4), new THREE.Vector3(0, 0.25, 0.4)],
-        [new THREE.Vector3(0, 0.25, 0.4), new THREE.Vector3(0.2, 0.3, 0.35)],
-        
-        [new THREE.Vector3(-0.3, 0.25, -0.4), new THREE.Vector3(0, 0.2, -0.4)],
-        [new THREE.Vector3(0, 0.2, -0.4), new THREE.Vector3(0.3, 0.25, -0.35)],
-        
-        [new THREE.Vector3(0.4, 0.2, 0.3), new THREE.Vector3(0.6, 0.25, 0.3)],
-        [new THREE.Vector3(0.6, 0.25, 0.3), new THREE.Vector3(0.8, 0.2, 0.25)],
-        
-        [new THREE.Vector3(0.5, 0.25, -0.3), new THREE.Vector3(0.7, 0.2, -0.25)],
-        [new THREE.Vector3(0.7, 0.2, -0.25), new THREE.Vector3(0.9, 0.25, -0.2)]
-    ];
-    
-    cunicularPaths.forEach(path => {
-        const [start, end] = path;
-        
-        // Create a curve for the cuniculus
-        const curve = new THREE.CatmullRomCurve3([
-            start,
-            new THREE.Vector3(
-                (start.x + end.x) / 2,
-                (start.y + end.y) / 2 + 0.03, // Slight curve upward
-                (start.z + end.z) / 2
-            ),
-            end
-        ]);
-        
-        // Create tube geometry along curve
-        const tubeGeometry = new THREE.TubeGeometry(curve, 8, radius, 6, false);
-        const cuniculus = new THREE.Mesh(tubeGeometry, material);
-        
-        cuniculusGroup.add(cuniculus);
-    });
-    
+
+    const fluting = values.fluting / 100;
+    const strength = (fluting - CUNICULUS_FLUTING) / (1 - CUNICULUS_FLUTING);
+
+    // Fold crests between the tunnel region and the poles
+    const crests = [];
+    for (let m = 0; m < FOLD_COUNT; m++) {
+        const u = (2 * m + 1) / FOLD_COUNT - 1;
+        if (Math.abs(u) > 0.2 && Math.abs(u) < 0.8) crests.push(u);
+    }
+
+    let labelPosition = null;
+    if (strength > 0) {
+        const radius = 0.008 + 0.012 * strength;
+
+        // The inner whorls are too small to show them
+        for (let k = 2; k <= spiral.whorls; k++) {
+            const tubes = crests.map(u => {
+                const points = [];
+                for (let i = 0; i <= 24; i++) {
+                    const phi = (k - 1 + i / 24) * TWO_PI;
+                    points.push(septumPoint(spiral, { ...values, fluting: 0 }, phi, 0, u, 0.2));
+                }
+                return new THREE.TubeGeometry(new THREE.CatmullRomCurve3(points), 48, radius, 6, false);
+            });
+
+            const cuniculus = new THREE.Mesh(mergeGeometries(tubes), material);
+            tubes.forEach(tube => tube.dispose());
+            cuniculus.userData.growthStage = k;
+            cuniculusGroup.add(cuniculus);
+        }
+
+        labelPosition = septumPoint(spiral, { ...values, fluting: 0 }, spiral.end - TWO_PI * 0.6, 0, crests[0], 0.2);
+    }
+
     group.add(cuniculusGroup);
-    
+
     // Store component data for UI controls
     const component = {
         name: 'cuniculus',
@@ -436,75 +689,60 @@ function createCuniculus(group) {
         group: cuniculusGroup,
         visible: true
     };
-    
+
     group.userData.components.push(component);
-    
+
     // Add label
     if (typeof addLabel === 'function') {
         const labelsArray = window.labels || [];
-        addLabel(group, labelsArray, 'Cuniculi', new THREE.Vector3(-0.6, 0.4, 0.3), component);
+        const outline = spiral.whorl(spiral.whorls);
+        addLabel(group, labelsArray, 'Cuniculi', labelPosition || new THREE.Vector3(-0.5 * outline.halfLength, 0.4 * outline.radius, 0.3), component);
     }
-    
+
     return cuniculusGroup;
 }
 
 // Create septal pores (small openings in septa)
-function createSeptalPores(group) {
+function createSeptalPores(group, spiral, values) {
     // Septal pores are small rounded openings in the septa,
     // allowing communication between chambers
     const poresGroup = new THREE.Group();
-    
+
     // Material for pores - dark to show the opening
     const material = new THREE.MeshBasicMaterial({
         color: 0x000000,
         side: THREE.DoubleSide
     });
-    
-    // Based on paleontological studies, septal pores have specific patterns
-    // on the septa walls, often in regular arrangements
-    const numSepta = 8; // Should match the number in createSepta
-    const poreRadius = 0.02; // Smaller for more realistic scale
-    
-    // Create pore arrangement based on scientific references
-    for (let i = 0; i < numSepta; i++) {
-        const angle = (i / numSepta) * Math.PI * 2;
-        const septumRadius = 0.7; // Should match septa radius
-        
-        // Define pore patterns for this septum - more accurate pattern
-        // based on actual fossils
-        const porePattern = [
-            // Each array is [radialPosition, heightPosition]
-            [0.4, -0.1],
-            [0.5, 0],
-            [0.6, 0.1],
-            [0.7, 0.2],
-            [0.5, -0.2],
-            [0.6, -0.1],
-            [0.7, 0],
-            [0.8, 0.1]
-        ];
-        
-        porePattern.forEach(([radial, height]) => {
-            const poreX = septumRadius * Math.cos(angle) * radial;
-            const poreY = height;
-            const poreZ = septumRadius * Math.sin(angle) * radial;
-            
-            const geometry = new THREE.CircleGeometry(poreRadius, 8);
-            const pore = new THREE.Mesh(geometry, material);
-            
-            // Position the pore
-            pore.position.set(poreX, poreY, poreZ);
-            
-            // Orient the pore perpendicular to radius for correct appearance
-            const center = new THREE.Vector3(0, poreY, 0);
-            pore.lookAt(center);
-            
-            poresGroup.add(pore);
+
+    const geometry = new THREE.CircleGeometry(0.015, 8);
+    const dummy = new THREE.Object3D();
+    const tangent = new THREE.Vector3();
+
+    for (let k = 1; k <= spiral.whorls; k++) {
+        const angles = septumAngles(k);
+        const spacing = TWO_PI / angles.length;
+        const pores = new THREE.InstancedMesh(geometry, material, angles.length * PORE_PATTERN.length);
+
+        angles.forEach((phi, septumIndex) => {
+            PORE_PATTERN.forEach(([u, v], poreIndex) => {
+                // Face along the coil, just in front of the septum so the pore is not hidden by it
+                const point = septumPoint(spiral, values, phi, spacing, u, v);
+                const angle = Math.atan2(point.z, point.y);
+                tangent.set(0, -Math.sin(angle), Math.cos(angle));
+
+                dummy.position.copy(point).addScaledVector(tangent, 0.004);
+                dummy.lookAt(dummy.position.clone().add(tangent));
+                dummy.updateMatrix();
+                pores.setMatrixAt(septumIndex * PORE_PATTERN.length + poreIndex, dummy.matrix);
+            });
         });
+
+        pores.userData.growthStage = k;
+        poresGroup.add(pores);
     }
-    
+
     group.add(poresGroup);
-    
+
     // Store component data for UI controls
     const component = {
         name: 'septalPores',
@@ -512,37 +750,84 @@ function createSeptalPores(group) {
         group: poresGroup,
         visible: true
     };
-    
+
     group.userData.components.push(component);
-    
+
     // Add label
     if (typeof addLabel === 'function') {
         const labelsArray = window.labels || [];
-        addLabel(group, labelsArray, 'Septal Pores', new THREE.Vector3(0.4, 0, 0.6), component);
+        const angles = septumAngles(spiral.whorls);
+        const phi = angles[Math.floor(angles.length / 2)];
+        addLabel(group, labelsArray, 'Septal Pores', septumPoint(spiral, values, phi, TWO_PI / angles.length, 0.35, 0.6), component);
     }
-    
+
     return poresGroup;
 }
 
-// Update the information section with more scientifically accurate descriptions
-export function getFusulineInfo() {
-    return `
-        <h3>Fusuline</h3>
-        <p>Fusulines are an extinct group of marine organisms (Foraminifera) that were abundant during the late Paleozoic era, particularly in the Carboniferous and Permian periods (358-252 million years ago).</p>
-        
-        <h4>Key Features:</h4>
-        <ul>
-            <li><strong>Shape:</strong> Elongated, fusiform (spindle-shaped) test, typically 3-15mm in length</li>
-            <li><strong>Composition:</strong> Calcareous test made of calcite</li>
-            <li><strong>Interior:</strong> Divided into numerous chambers by walls (septa) arranged in a planispiral pattern</li>
-            <li><strong>Growth Pattern:</strong> Coiled structure that expands with growth, with each whorl enveloping previous ones</li>
-            <li><strong>Chomata:</strong> Secondary deposits along the tunnel margins that appear as thickenings on the floor of chambers</li>
-            <li><strong>Tunnel:</strong> A low passage through successive septa along the axis of coiling, formed by resorption</li>
-            <li><strong>Cuniculi:</strong> Small tubular passages connecting adjacent chambers, often forming networks that bypass the main tunnel</li>
-            <li><strong>Septal Pores:</strong> Small rounded openings in the septa that allow communication between chambers</li>
-        </ul>
-        
-        <h4>Geological Significance:</h4>
-        <p>Fusulines evolved rapidly during the late Paleozoic, making them excellent index fossils used to date and correlate rock layers. Different species have distinctive morphologies that indicate specific time periods, making them valuable biostratigraphic markers in limestone formations worldwide.</p>
-    `;
-} 
\ No newline at end of file
+// Information about fusulines for the info panel and component popovers (format in fossilInfo.js)
+export const fusulineInfo = {
+    title: 'Fusuline',
+    overview: 'Fusulines are an extinct group of marine organisms (Foraminifera) that were abundant during the late Paleozoic era, particularly in the Carboniferous and Permian periods (358-252 million years ago).',
+    ageRange: { from: 'Carboniferous', to: 'Permian', startMa: 358, endMa: 252 },
+    features: [
+        { name: 'Shape', description: 'Elongated, fusiform (spindle-shaped) test, typically 3-15mm in length' },
+        { name: 'Composition', description: 'Calcareous test made of calcite' },
+        { name: 'Interior', description: 'Divided into numerous chambers by walls (septa) arranged in a planispiral pattern' },
+        { name: 'Growth Pattern', description: 'Coiled structure that expands with growth, with each whorl enveloping previous ones' },
+        { name: 'Chomata', description: 'Secondary deposits along the tunnel margins that appear as thickenings on the floor of chambers' },
+        { name: 'Tunnel', description: 'A low passage through successive septa along the axis of coiling, formed by resorption' },
+        { name: 'Cuniculi', description: 'Small tubular passages connecting adjacent chambers, often forming networks that bypass the main tunnel' },
+        { name: 'Septal Pores', description: 'Small rounded openings in the septa that allow communication between chambers' }
+    ],
+    significance: 'Fusulines evolved rapidly during the late Paleozoic, making them excellent index fossils used to date and correlate rock layers. Different species have distinctive morphologies that indicate specific time periods, making them valuable biostratigraphic markers in limestone formations worldwide.',
+    // Short descriptions shown when a component is picked in the viewer
+    components: {
+        shell: 'The spiral wall (spirotheca) of the fusiform test, built of microgranular calcite. In advanced genera it shows a keriothecal layer with fine alveoli.',
+        septa: 'Transverse walls dividing each whorl into chambers. Septal fluting, from planar to intensely folded, is a key character for separating genera.',
+        aperture: 'The opening at the base of the final septum through which cytoplasm reached the outside of the test.',
+        chambers: 'The spaces between successive septa, added as the organism grew and coiled around the long axis.',
+        chomata: 'Ridges of secondary calcite deposited along the tunnel floor. They guided cytoplasm flow and are best seen in axial sections.',
+        tunnel: 'The low opening cut through the septal bases along the equatorial plane, linking chambers in each whorl.',
+        cuniculus: 'Spiral passages formed where septal folds meet, typical of advanced fusulines such as Schwagerinidae.',
+        septalPores: 'Small openings through the septa that connected adjacent chambers.'
+    }
+};
+
+registerFossil({
+    id: 'fusuline',
+    displayName: 'Fusuline',
+    createModel: createFusulineModel,
+    info: fusulineInfo,
+    camera: { position: [0, 0, 5], target: [0, 0, 0] },
+    tour: 'data/tours/fusuline.json',
+    // The default test is about 4 units long; typical tests are 3-15 mm
+    micronsPerUnit: MICRONS_PER_UNIT,
+    // Order in which the parts of the model form during growth (see userData.growthStage);
+    // a generated test shows only the whorls it has (see userData.growthStages)
+    growthStages: ['Proloculus', 'Whorl 1', 'Whorl 2', 'Whorl 3', 'Whorl 4', 'Whorl 5', 'Whorl 6', 'Whorl 7', 'Whorl 8', 'Outer wall and aperture'],
+    // Generator parameters and genus presets for the parameter panel
+    parameters: fusulineParameters,
+    presets: fusulinePresets,
+    // Exploded view: internal structures lift out of the shell, which stays in place
+    explodeAxes: {
+        aperture: { axis: [1, 0, 0], distance: 0.8 },
+        chambers: { axis: [0, 0, -1], distance: 2.0 },
+        septa: { axis: [0, 0, 1], distance: 2.0 },
+        chomata: { axis: [0, 1, 0], distance: 1.3 },
+        tunnel: { axis: [0, 1, 0], distance: 2.0 },
+        cuniculus: { axis: [0, -1, 0], distance: 1.4 },
+        septalPores: { axis: [0, -1, 0], distance: 2.2 }
+    },
+    // Coiling axis runs along x
+    sectionAxes: {
+        axial: [0, 0, 1],
+        sagittal: [0, 1, 0],
+        equatorial: [1, 0, 0]
+    },
+    metadata: {
+        group: 'Fusulinida (Foraminifera)',
+        range: 'Carboniferous–Permian',
+        composition: 'calcite',
+        wallFabric: 'microgranular'
+    }
+});
@@ -0,0 +1,21 @@
+// Built-in fossil modules - each one registers itself with the fossil registry
+// Selector order follows the import order below
+import './fusuline.js';
+import './radiolarian.js';
+import './foraminifera.js';
+import './diatom.js';
+import './conodont.js';
+import './ostracod.js';
+import './acritarch.js';
+
+// Additional taxa can be registered lazily so their module is only fetched when selected:
+//
+// import { registerFossil } from '../fossilRegistry.js';
+// registerFossil({
+//     id: 'nummulite',
+//     displayName: 'Nummulite',
+//     load: () => import('./nummulite.js')
+// });
+//
+// The lazily loaded module then calls registerFossil() with the same id (or default-exports
+// a descriptor) to supply createModel, info, camera and metadata.
@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import { addLabel } from '../labelUtils.js';
+import { registerFossil } from '../fossilRegistry.js';
 
 // Create and return an ostracod fossil model
 export function createOstracodModel(scene) {
@@ -360,27 +361,70 @@ function createEyeSpots(group) {
     return eyeGroup;
 }
 
-// Return information about ostracods
-export function getOstracodInfo() {
-    return `
-        <h3>Ostracod</h3>
-        <p>Ostracods are small bivalved crustaceans (Class Ostracoda) that have existed since the early Ordovician (~485 MYA). With over 33,000 described species (living and fossil), they represent one of the most diverse groups of crustaceans and have successfully colonized marine, freshwater, and even semi-terrestrial environments.</p>
-        
-        <h4>Key Features:</h4>
-        <ul>
-            <li><strong>Carapace:</strong> Bivalved shell composed of low-magnesium calcite (CaCO₃), with hingement types including adont, lophodont, and heterodont</li>
-            <li><strong>Ornamentation:</strong> Shell surface may bear distinctive ridges, reticulation, or tubercles with taxonomic significance</li>
-            <li><strong>Appendages:</strong> Up to 7 pairs (antennae, mandibles, maxillae, and limbs), rarely preserved in fossils but vital for classification</li>
-            <li><strong>Dimorphism:</strong> Many taxa exhibit sexual dimorphism, with females often possessing brood pouches (loculi) for egg incubation</li>
-            <li><strong>Size:</strong> Typically 0.5-2mm, with Paleozoic forms (Leperditicopida) reaching up to 80mm</li>
-        </ul>
-        
-        <h4>Geological Significance:</h4>
-        <p>Ostracods serve as important paleoecological indicators due to their sensitivity to water chemistry, temperature, and depth. Their calcified carapaces preserve well in the fossil record, making them valuable for biostratigraphy, especially in non-marine deposits where other index fossils may be absent. The oxygen isotope composition (δ¹⁸O) of ostracod valves is widely used in paleoclimate reconstructions to determine ancient water temperatures and salinity.</p>
-        
-        <h4>Taxonomy & Classification:</h4>
-        <p>Domain: Eukaryota | Kingdom: Animalia | Phylum: Arthropoda | Subphylum: Crustacea | Class: Ostracoda | Major orders: Podocopida, Myodocopida, Palaeocopida</p>
-        
-        <p><em>Data sourced from the World Ostracoda Database and Kempf Ostracod Database</em></p>
-    `;
-} 
\ No newline at end of file
+// Information about ostracods for the info panel and component popovers (format in fossilInfo.js)
+export const ostracodInfo = {
+    title: 'Ostracod',
+    overview: 'Ostracods are small bivalved crustaceans (Class Ostracoda) that have existed since the early Ordovician (~485 MYA). With over 33,000 described species (living and fossil), they represent one of the most diverse groups of crustaceans and have successfully colonized marine, freshwater, and even semi-terrestrial environments.',
+    ageRange: { from: 'Ordovician', to: 'Recent', startMa: 485, endMa: 0 },
+    features: [
+        { name: 'Carapace', description: 'Bivalved shell composed of low-magnesium calcite (CaCO₃), with hingement types including adont, lophodont, and heterodont' },
+        { name: 'Ornamentation', description: 'Shell surface may bear distinctive ridges, reticulation, or tubercles with taxonomic significance' },
+        { name: 'Appendages', description: 'Up to 7 pairs (antennae, mandibles, maxillae, and limbs), rarely preserved in fossils but vital for classification' },
+        { name: 'Dimorphism', description: 'Many taxa exhibit sexual dimorphism, with females often possessing brood pouches (loculi) for egg incubation' },
+        { name: 'Size', description: 'Typically 0.5-2mm, with Paleozoic forms (Leperditicopida) reaching up to 80mm' }
+    ],
+    significance: 'Ostracods serve as important paleoecological indicators due to their sensitivity to water chemistry, temperature, and depth. Their calcified carapaces preserve well in the fossil record, making them valuable for biostratigraphy, especially in non-marine deposits where other index fossils may be absent. The oxygen isotope composition (δ¹⁸O) of ostracod valves is widely used in paleoclimate reconstructions to determine ancient water temperatures and salinity.',
+    taxonomy: {
+        ranks: [
+            { rank: 'Domain', name: 'Eukaryota' },
+            { rank: 'Kingdom', name: 'Animalia' },
+            { rank: 'Phylum', name: 'Arthropoda' },
+            { rank: 'Subphylum', name: 'Crustacea' },
+            { rank: 'Class', name: 'Ostracoda' },
+            { rank: 'Major orders', name: 'Podocopida, Myodocopida, Palaeocopida' }
+        ]
+    },
+    references: [
+        { citation: 'World Ostracoda Database' },
+        { citation: 'Kempf Ostracod Database' }
+    ],
+    // Short descriptions shown when a component is picked in the viewer
+    components: {
+        carapace: 'Two calcified valves hinged dorsally that enclose the whole body. Valve outline and ornament are the basis of ostracod taxonomy.',
+        hinge: 'The dorsal articulation of teeth and sockets that holds the two valves together.',
+        appendages: 'Paired limbs used for swimming, walking, feeding and sensing. They are rarely preserved in fossils.',
+        body: 'The soft body, which is not divided into segments and sits within the carapace.',
+        muscleScars: 'Attachment points of the adductor muscles that close the valves. Their pattern is diagnostic at family level.',
+        eyeSpots: 'Eye tubercles on the valve surface above the naupliar eye, present in many shallow-water species.'
+    }
+};
+
+registerFossil({
+    id: 'ostracod',
+    displayName: 'Ostracod',
+    createModel: createOstracodModel,
+    info: ostracodInfo,
+    camera: { position: [0, 0, 5], target: [0, 0, 0] },
+    tour: 'data/tours/ostracod.json',
+    // Carapace is 1.6 units long; typical carapaces are about 1 mm
+    micronsPerUnit: 600,
+    // Exploded view: the soft body and appendages come out from between the valves
+    explodeAxes: {
+        hinge: { axis: [0, 1, 0], distance: 0.5 },
+        body: { axis: [0, 0, 1], distance: 1.0 },
+        appendages: { axis: [0, -1, 0], distance: 0.7 },
+        muscleScars: { axis: [0, 0, 1], distance: 0.4 },
+        eyeSpots: { axis: [1, 0, 0], distance: 0.5 }
+    },
+    // Valves meet along the sagittal (xy) plane
+    sectionAxes: {
+        axial: [0, 1, 0],
+        sagittal: [0, 0, 1],
+        equatorial: [1, 0, 0]
+    },
+    metadata: {
+        group: 'Ostracoda',
+        range: 'Ordovician–Recent',
+        composition: 'calcite'
+    }
+});
@@ -1,8 +1,115 @@
 import * as THREE from 'three';
+import { ConvexHull } from 'three/addons/math/ConvexHull.js';
 import { addLabel } from '../labelUtils.js';
+import { registerFossil } from '../fossilRegistry.js';
+
+// Radiolarian lattice generator
+// The lattice is the Voronoi diagram of a set of pore centres on the sphere: each pore is a
+// Voronoi cell and the bars are the cell edges. It is found as the dual of the convex hull of the
+// pore centres, whose face normals are the cell corners. Geodesic centres give hexagonal pores
+// (with twelve pentagons), jittered ones the irregular pores of many genera. Spumellarian shells
+// are concentric spheres; nassellarian tests map the same lattice onto a segmented cone.
+
+// Radius of the outer spumellarian shell
+const OUTER_RADIUS = 0.8;
+
+// Each concentric shell is this fraction of the size of the one around it
+const SHELL_RATIO = 0.62;
+
+// Fewest pores on any shell, so that small medullary shells keep a lattice
+const MIN_PORES = 12;
+
+// Length of the spumellarian radial spines and of the nassellarian feet
+const SPINE_LENGTH = 1.8;
+const FOOT_LENGTH = 0.5;
+
+// Scale of the model, used to convert bar thickness and horn length
+const MICRONS_PER_UNIT = 100;
+
+// Directions of the radial spines (and beams between shells) for each symmetry
+const SPINE_DIRECTIONS = {
+    none: [],
+    bipolar: [[0, 1, 0], [0, -1, 0]],
+    tetrahedral: [[1, 1, 1], [1, -1, -1], [-1, 1, -1], [-1, -1, 1]],
+    octahedral: [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]],
+    icosahedral: icosahedronVertices()
+};
+
+// Outline of a nassellarian test from the apex down, as [height, radius] pairs per segment:
+// the domed cephalis, the bell-shaped thorax and the broad abdomen, open at the base
+const SEGMENT_PROFILES = [
+    [[0.56, 0.1], [0.5, 0.16], [0.42, 0.2], [0.32, 0.2], [0.22, 0.16]],
+    [[0.08, 0.3], [-0.12, 0.42], [-0.32, 0.5], [-0.42, 0.48]],
+    [[-0.55, 0.55], [-0.8, 0.6], [-1.0, 0.58]]
+];
+
+// Generator parameters, shown in the model parameter panel (see parameterPanel.js)
+export const radiolarianParameters = {
+    form: {
+        label: 'Form',
+        options: { spumellarian: 'Spumellarian (spherical)', nassellarian: 'Nassellarian (conical)' },
+        value: 'spumellarian'
+    },
+    shells: { label: 'Concentric shells (Spumellaria)', min: 1, max: 4, step: 1, value: 3 },
+    segments: { label: 'Segments (Nassellaria)', min: 1, max: 3, step: 1, value: 3 },
+    poreCount: { label: 'Pores on the outer shell', min: 30, max: 600, step: 10, value: 150 },
+    porePattern: {
+        label: 'Pore pattern',
+        options: { hexagonal: 'Hexagonal', voronoi: 'Irregular (Voronoi)' },
+        value: 'hexagonal'
+    },
+    barThickness: { label: 'Bar thickness', min: 1, max: 8, step: 0.5, value: 3, unit: ' µm' },
+    spineSymmetry: {
+        label: 'Spine symmetry (Spumellaria)',
+        options: { none: 'None', bipolar: 'Bipolar (2)', tetrahedral: 'Tetrahedral (4)', octahedral: 'Octahedral (6)', icosahedral: 'Icosahedral (12)' },
+        value: 'octahedral'
+    },
+    hornLength: { label: 'Apical horn (Nassellaria)', min: 0, max: 150, step: 5, value: 60, unit: ' µm' }
+};
+
+// Typical values of some well-known genera
+export const radiolarianPresets = {
+    cenosphaera: {
+        name: 'Cenosphaera',
+        description: 'A single lattice sphere with irregular pores and no spines.',
+        values: { form: 'spumellarian', shells: 1, poreCount: 200, porePattern: 'voronoi', barThickness: 2.5, spineSymmetry: 'none' }
+    },
+    stylosphaera: {
+        name: 'Stylosphaera',
+        description: 'A cortical shell around a medullary shell, with two polar spines.',
+        values: { form: 'spumellarian', shells: 2, poreCount: 120, porePattern: 'hexagonal', barThickness: 3, spineSymmetry: 'bipolar' }
+    },
+    hexacontium: {
+        name: 'Hexacontium',
+        description: 'Three concentric shells joined by six radial beams that continue as spines along three perpendicular axes.',
+        values: { form: 'spumellarian', shells: 3, poreCount: 150, porePattern: 'hexagonal', barThickness: 3, spineSymmetry: 'octahedral' }
+    },
+    actinomma: {
+        name: 'Actinomma',
+        description: 'Three or more concentric shells with many radial spines.',
+        values: { form: 'spumellarian', shells: 4, poreCount: 250, porePattern: 'voronoi', barThickness: 2, spineSymmetry: 'icosahedral' }
+    },
+    lithomelissa: {
+        name: 'Lithomelissa',
+        description: 'A two-segmented nassellarian: a cephalis with an apical horn above a thorax with three feet.',
+        values: { form: 'nassellarian', segments: 2, poreCount: 120, porePattern: 'voronoi', barThickness: 2.5, hornLength: 80 }
+    },
+    theocorys: {
+        name: 'Theocorys',
+        description: 'A three-segmented nassellarian with cephalis, thorax and abdomen and a short apical horn.',
+        values: { form: 'nassellarian', segments: 3, poreCount: 200, porePattern: 'hexagonal', barThickness: 3, hornLength: 40 }
+    }
+};
+
+// Create and return a radiolarian fossil model for a set of generator parameters
+export function createRadiolarianModel(scene, parameters = {}) {
+    const values = {};
+    Object.keys(radiolarianParameters).forEach(name => {
+        values[name] = parameters[name] !== undefined ? parameters[name] : radiolarianParameters[name].value;
+    });
+
+    const test = values.form === 'nassellarian' ? createNassellarianTest(values) : createSpumellarianTest(values);
 
-// Create and return a radiolarian fossil model
-export function createRadiolarianModel(scene) {
     // Create a group to hold all components
     const radGroup = new THREE.Group();
     radGroup.userData = {
@@ -10,90 +117,275 @@ export function createRadiolarianModel(scene) {
     };
 
     // Add components to the model
-    createSiliceousSkeleton(radGroup);
-    createCentralCapsule(radGroup);
-    createSpines(radGroup);
-    createAxopods(radGroup);
+    createSiliceousSkeleton(radGroup, test, values);
+    createCentralCapsule(radGroup, test);
+    createSpines(radGroup, test, values);
+    createAxopods(radGroup, test);
 
     return radGroup;
 }
 
+function icosahedronVertices() {
+    const geometry = new THREE.IcosahedronGeometry(1, 0);
+    const vertices = uniquePoints(geometry).map(point => point.toArray());
+    geometry.dispose();
+    return vertices;
+}
+
+// Distinct vertices of a non-indexed geometry
+function uniquePoints(geometry) {
+    const position = geometry.attributes.position;
+    const points = new Map();
+    for (let i = 0; i < position.count; i++) {
+        const point = new THREE.Vector3().fromBufferAttribute(position, i).normalize();
+        points.set(point.toArray().map(value => Math.round(value * 1e4)).join(','), point);
+    }
+    return [...points.values()];
+}
+
+// Small deterministic random generator, so a lattice looks the same each time it is generated
+function createRandom(seed) {
+    return () => {
+        seed = (seed + 0x6d2b79f5) | 0;
+        let value = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        value = (value + Math.imul(value ^ (value >>> 7), 61 | value)) ^ value;
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Pore centres on the unit sphere
+function poreCentres(count, pattern) {
+    if (pattern === 'voronoi') {
+        // Fibonacci points shaken by up to half their spacing
+        const random = createRandom(count);
+        const jitter = Math.sqrt(4 * Math.PI / count) * 0.5;
+        const points = [];
+        for (let i = 0; i < count; i++) {
+            const polar = Math.acos(1 - (2 * (i + 0.5)) / count);
+            const azimuth = i * Math.PI * (3 - Math.sqrt(5));
+            points.push(new THREE.Vector3().setFromSphericalCoords(1, polar + (random() - 0.5) * jitter, azimuth + (random() - 0.5) * jitter / Math.max(Math.sin(polar), 0.2)));
+        }
+        return points;
+    }
+
+    // A geodesic sphere with 10 f² + 2 vertices
+    const frequency = Math.max(1, Math.round(Math.sqrt((count - 2) / 10)));
+    const geometry = new THREE.IcosahedronGeometry(1, frequency - 1);
+    const points = uniquePoints(geometry);
+    geometry.dispose();
+    return points;
+}
+
+// Voronoi cells of pore centres on the unit sphere: cell corners and the edges between them
+function sphericalVoronoi(centres) {
+    const hull = new ConvexHull().setFromPoints(centres);
+    const corners = hull.faces.map(face => face.normal.clone());
+    const faceIndex = new Map(hull.faces.map((face, index) => [face, index]));
+    const edges = [];
+
+    hull.faces.forEach((face, index) => {
+        let edge = face.edge;
+        do {
+            const neighbour = faceIndex.get(edge.twin.face);
+            if (neighbour > index) {
+                edges.push([index, neighbour]);
+            }
+            edge = edge.next;
+        } while (edge !== face.edge);
+    });
+
+    return { corners, edges };
+}
+
+// Concentric lattice spheres around the central capsule
+function createSpumellarianTest(values) {
+    const shells = [];
+    for (let k = 0; k < values.shells; k++) {
+        const radius = OUTER_RADIUS * Math.pow(SHELL_RATIO, k);
+        const count = Math.max(MIN_PORES, Math.round(values.poreCount * Math.pow(SHELL_RATIO, 2 * k)));
+        shells.push({ radius, count, place: direction => direction.clone().multiplyScalar(radius) });
+    }
+
+    const spines = SPINE_DIRECTIONS[values.spineSymmetry] || [];
+    const spineDirections = spines.map(direction => new THREE.Vector3(...direction).normalize());
+
+    return {
+        shells,
+        rings: [],
+        spines: spineDirections.map(direction => ({
+            base: direction.clone().multiplyScalar(OUTER_RADIUS),
+            direction,
+            length: SPINE_LENGTH
+        })),
+        // Radial beams run between the shells along the spines, or the three axes without spines
+        beams: values.shells > 1 ? (spineDirections.length > 0 ? spineDirections : SPINE_DIRECTIONS.octahedral.map(direction => new THREE.Vector3(...direction))) : [],
+        capsule: { position: new THREE.Vector3(), radius: 0.4 },
+        outerRadius: OUTER_RADIUS
+    };
+}
+
+// A cephalis, thorax and abdomen under an apical horn
+function createNassellarianTest(values) {
+    const segments = THREE.MathUtils.clamp(values.segments, 1, SEGMENT_PROFILES.length);
+
+    // Profile from the apex down; a lone cephalis is closed below
+    const profile = [[0.58, 0]];
+    SEGMENT_PROFILES.slice(0, segments).forEach(points => profile.push(...points));
+    if (segments === 1) {
+        profile.push([0.08, 0.1], [0.02, 0]);
+    }
+    const top = profile[0][0];
+    const bottom = profile[profile.length - 1][0];
+    const centre = new THREE.Vector3(0, (top + bottom) / 2, 0);
+
+    // Radius of the test at a height, or null above the apex and below the base
+    const radiusAt = height => {
+        if (height > top || height < bottom) return null;
+        for (let i = 1; i < profile.length; i++) {
+            const [y0, r0] = profile[i - 1];
+            const [y1, r1] = profile[i];
+            if (height >= y1) {
+                return THREE.MathUtils.lerp(r0, r1, y0 === y1 ? 0 : (y0 - height) / (y0 - y1));
+            }
+        }
+        return null;
+    };
+
+    // Where a ray from the centre of the test meets the wall, or null where it leaves through the open base
+    const place = direction => {
+        const horizontal = Math.hypot(direction.x, direction.z);
+        const step = 0.01;
+        let previous = 0;
+        for (let t = step; t < 3; t += step) {
+            const radius = radiusAt(centre.y + direction.y * t);
+            if (radius === null) return null;
+            if (radius <= horizontal * t) {
+                // Refine between the last two steps
+                let low = previous;
+                let high = t;
+                for (let i = 0; i < 12; i++) {
+                    const middle = (low + high) / 2;
+                    const inside = radiusAt(centre.y + direction.y * middle);
+                    if (inside !== null && inside > horizontal * middle) {
+                        low = middle;
+                    } else {
+                        high = middle;
+                    }
+                }
+                return centre.clone().addScaledVector(direction, (low + high) / 2);
+            }
+            previous = t;
+        }
+        return null;
+    };
+
+    // Strictures between the segments are marked by internal rings, and the open base by a rim
+    const rings = [];
+    for (let i = 1; i < segments; i++) {
+        const [height, radius] = SEGMENT_PROFILES[i - 1][SEGMENT_PROFILES[i - 1].length - 1];
+        rings.push({ height, radius });
+    }
+    if (segments > 1) {
+        rings.push({ height: bottom, radius: profile[profile.length - 1][1] });
+    }
+
+    // Three feet leave the base of the last segment, spreading outwards
+    const spines = [];
+    if (values.hornLength > 0) {
+        spines.push({ base: new THREE.Vector3(0, top, 0), direction: new THREE.Vector3(0, 1, 0), length: values.hornLength / MICRONS_PER_UNIT });
+    }
+    const baseRadius = segments === 1 ? 0.12 : profile[profile.length - 1][1];
+    const baseHeight = segments === 1 ? 0.06 : bottom;
+    for (let i = 0; i < 3; i++) {
+        const angle = (i / 3) * Math.PI * 2 + Math.PI / 2;
+        const outward = new THREE.Vector3(Math.cos(angle), 0, Math.sin(angle));
+        spines.push({
+            base: outward.clone().multiplyScalar(baseRadius).setY(baseHeight),
+            direction: outward.multiplyScalar(0.6).setY(-1).normalize(),
+            length: FOOT_LENGTH
+        });
+    }
+
+    return {
+        shells: [{ radius: OUTER_RADIUS, count: values.poreCount, place }],
+        rings,
+        spines,
+        beams: [],
+        // The central capsule fills the cephalis and the top of the thorax
+        capsule: { position: new THREE.Vector3(0, segments === 1 ? 0.3 : 0.15, 0), radius: segments === 1 ? 0.2 : 0.28 },
+        outerRadius: 0.6
+    };
+}
+
+// Instance matrix of a unit cylinder or cone running from a point along a direction
+function strutMatrix(start, direction, length, width) {
+    const quaternion = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), direction);
+    const position = start.clone().addScaledVector(direction, length / 2);
+    return new THREE.Matrix4().compose(position, quaternion, new THREE.Vector3(width, length, width));
+}
+
 // Create the siliceous skeleton
-function createSiliceousSkeleton(group) {
-    // Create a scientifically accurate but lighter representation of the siliceous skeleton
+function createSiliceousSkeleton(group, test, values) {
     const skeletonGroup = new THREE.Group();
+    const barRadius = values.barThickness / 2 / MICRONS_PER_UNIT;
     
-    // Material properties for opaline silica - adjusted for better visibility
+    // Material properties for opaline silica
     const latticeMaterial = new THREE.MeshPhysicalMaterial({
         color: 0xCCDDEE, // Light blue-gray color for better visibility
         transparent: true,
-        opacity: 0.9, // Increased opacity
+        opacity: 0.9,
         roughness: 0.2,
-        metalness: 0.2 // Slight increase in metalness for highlight reflection
+        metalness: 0.2 // Slight metalness for highlight reflection
     });
     
-    // Create a simplified but recognizable lattice structure
-    // Use a wireframe icosahedron with visible lines for the main structure
-    const outerGeometry = new THREE.IcosahedronGeometry(0.8, 1);
-    const outerSkeleton = new THREE.Mesh(
-        outerGeometry,
-        new THREE.MeshBasicMaterial({
-            color: 0xB0C4DE, // Light steel blue for better visibility
-            transparent: true,
-            opacity: 0.9, // Increased opacity
-            wireframe: true,
-            wireframeLinewidth: 2
-        })
-    );
-    skeletonGroup.add(outerSkeleton);
-    
-    // Create inner framework with better visibility
-    const innerGeometry = new THREE.IcosahedronGeometry(0.6, 1);
-    const innerSkeleton = new THREE.Mesh(
-        innerGeometry,
-        new THREE.MeshBasicMaterial({
-            color: 0xA0B8D0, // Slightly darker blue for contrast
-            transparent: true,
-            opacity: 0.7,
-            wireframe: true,
-            wireframeLinewidth: 1
-        })
-    );
-    skeletonGroup.add(innerSkeleton);
-    
-    // Add a few key structural bars for visual interest instead of full lattice
-    // Use just 12 strategic bars representing main structural elements
-    const keyPositions = [
-        [0, 1, 0],
-        [0, -1, 0],
-        [1, 0, 0],
-        [-1, 0, 0],
-        [0, 0, 1],
-        [0, 0, -1]
-    ];
-    
-    keyPositions.forEach(pos => {
-        const normalizedPos = new THREE.Vector3(pos[0], pos[1], pos[2]).normalize();
-        const outerPoint = normalizedPos.clone().multiplyScalar(0.8);
-        const innerPoint = normalizedPos.clone().multiplyScalar(0.6);
-        
-        // Create a connecting bar between layers
-        const direction = new THREE.Vector3().subVectors(outerPoint, innerPoint);
-        const length = direction.length();
+    const barGeometry = new THREE.CylinderGeometry(1, 1, 1, 6, 1);
+    const nodeGeometry = new THREE.SphereGeometry(1, 8, 6);
+    
+    // One lattice per shell: bars along the cell edges, rounded off by a node at each corner
+    let labelPosition = null;
+    test.shells.forEach((shell, index) => {
+        const { corners, edges } = sphericalVoronoi(poreCentres(shell.count, values.porePattern));
+        const points = corners.map(corner => shell.place(corner));
         
-        const barGeometry = new THREE.CylinderGeometry(0.025, 0.025, length, 6, 1); // Slightly thicker
-        const bar = new THREE.Mesh(barGeometry, latticeMaterial);
+        // Inner shells are built more finely
+        const width = barRadius * (index === 0 ? 1 : 0.75);
+        const bars = [];
+        edges.forEach(([a, b]) => {
+            if (!points[a] || !points[b]) return;
+            const direction = new THREE.Vector3().subVectors(points[b], points[a]);
+            // Four pore centres on one circle give two corners in the same place
+            const length = direction.length();
+            if (length < 1e-3) return;
+            bars.push(strutMatrix(points[a], direction.divideScalar(length), length, width));
+        });
+        const nodes = points.filter(Boolean).map(point => new THREE.Matrix4().compose(point, new THREE.Quaternion(), new THREE.Vector3(width, width, width).multiplyScalar(1.3)));
         
-        // Position at midpoint
-        bar.position.copy(innerPoint).add(outerPoint).multiplyScalar(0.5);
+        const barMesh = new THREE.InstancedMesh(barGeometry, latticeMaterial, bars.length);
+        bars.forEach((matrix, i) => barMesh.setMatrixAt(i, matrix));
+        const nodeMesh = new THREE.InstancedMesh(nodeGeometry, latticeMaterial, nodes.length);
+        nodes.forEach((matrix, i) => nodeMesh.setMatrixAt(i, matrix));
+        skeletonGroup.add(barMesh, nodeMesh);
         
-        // Orient correctly
-        bar.quaternion.setFromUnitVectors(
-            new THREE.Vector3(0, 1, 0),
-            direction.normalize()
-        );
-        
-        skeletonGroup.add(bar);
+        if (index === 0) {
+            labelPosition = shell.place(new THREE.Vector3(1, 0.5, 0).normalize());
+        }
+    });
+    
+    // Radial beams joining the concentric shells
+    if (test.beams.length > 0) {
+        const inner = test.shells[test.shells.length - 1].radius;
+        const beams = test.beams.map(direction => strutMatrix(direction.clone().multiplyScalar(inner), direction, OUTER_RADIUS - inner, barRadius * 1.2));
+        const beamMesh = new THREE.InstancedMesh(barGeometry, latticeMaterial, beams.length);
+        beams.forEach((matrix, i) => beamMesh.setMatrixAt(i, matrix));
+        skeletonGroup.add(beamMesh);
+    }
+    
+    // Rings at the strictures between nassellarian segments
+    test.rings.forEach(ring => {
+        const mesh = new THREE.Mesh(new THREE.TorusGeometry(ring.radius, barRadius * 1.5, 6, 48), latticeMaterial);
+        mesh.rotation.x = Math.PI / 2;
+        mesh.position.y = ring.height;
+        skeletonGroup.add(mesh);
     });
     
     group.add(skeletonGroup);
@@ -111,16 +403,16 @@ function createSiliceousSkeleton(group) {
     // Add label
     if (typeof addLabel === 'function') {
         const labelsArray = window.labels || [];
-        addLabel(group, labelsArray, 'Siliceous Skeleton', new THREE.Vector3(1.0, 0.5, 0), component);
+        addLabel(group, labelsArray, 'Siliceous Skeleton', (labelPosition || new THREE.Vector3(0.8, 0.4, 0)).clone().multiplyScalar(1.25), component);
     }
     
     return skeletonGroup;
 }
 
 // Create central capsule
-function createCentralCapsule(group) {
-    // Create a lighter but still accurate central capsule
+function createCentralCapsule(group, test) {
     const capsuleGroup = new THREE.Group();
+    const { position, radius } = test.capsule;
     
     // Outer membrane material - golden-yellow as shown in the reference image
     const membraneMaterial = new THREE.MeshPhysicalMaterial({
@@ -130,19 +422,20 @@ function createCentralCapsule(group) {
         roughness: 0.3
     });
     
-    // Create the central capsule with fewer segments
-    const capsuleGeometry = new THREE.SphereGeometry(0.4, 16, 12); // Reduced geometry
+    const capsuleGeometry = new THREE.SphereGeometry(radius, 16, 12);
     const capsule = new THREE.Mesh(capsuleGeometry, membraneMaterial);
+    capsule.position.copy(position);
     capsuleGroup.add(capsule);
     
-    // Add nucleus with fewer segments
+    // Add nucleus
     const nucleusMaterial = new THREE.MeshStandardMaterial({
         color: 0xe8c080,
         roughness: 0.4
     });
     
-    const nucleusGeometry = new THREE.SphereGeometry(0.2, 8, 6); // Significantly reduced
+    const nucleusGeometry = new THREE.SphereGeometry(radius / 2, 8, 6);
     const nucleus = new THREE.Mesh(nucleusGeometry, nucleusMaterial);
+    nucleus.position.copy(position);
     capsuleGroup.add(nucleus);
     
     group.add(capsuleGroup);
@@ -160,15 +453,14 @@ function createCentralCapsule(group) {
     // Add label
     if (typeof addLabel === 'function') {
         const labelsArray = window.labels || [];
-        addLabel(group, labelsArray, 'Central Capsule', new THREE.Vector3(0.2, -0.6, 0.2), component);
+        addLabel(group, labelsArray, 'Central Capsule', position.clone().add(new THREE.Vector3(0.5, -1.5, 0.5).multiplyScalar(radius)), component);
     }
     
     return capsuleGroup;
 }
 
-// Create spines
-function createSpines(group) {
-    // Create scientifically accurate but optimized radial spines
+// Create spines: radial spines, or the apical horn and feet of a nassellarian
+function createSpines(group, test, values) {
     const spineGroup = new THREE.Group();
     
     // Material for spines - siliceous like the skeleton
@@ -178,55 +470,13 @@ function createSpines(group) {
         metalness: 0.1
     });
     
-    // Use fewer spines for better performance
-    const primarySpinePositions = [
-        new THREE.Vector3(0, 1, 0),
-        new THREE.Vector3(0, -1, 0),
-        new THREE.Vector3(1, 0, 0),
-        new THREE.Vector3(-1, 0, 0),
-        new THREE.Vector3(0, 0, 1),
-        new THREE.Vector3(0, 0, -1),
-        // Just a few diagonal spines
-        new THREE.Vector3(0.7, 0.7, 0),
-        new THREE.Vector3(-0.7, -0.7, 0),
-        new THREE.Vector3(0, 0.7, -0.7)
-    ];
-    
-    // Create an instanced mesh for better performance
-        const spineGeometry = new THREE.CylinderGeometry(
-            0.01, // Tip width
-        0.05, // Base width
-        1.8,  // Length
-        5,    // Even fewer radial segments
-        1     // Height segments
-    );
-    
-    const instancedSpines = new THREE.InstancedMesh(
-        spineGeometry,
-        material,
-        primarySpinePositions.length
-    );
-    
-    const dummy = new THREE.Object3D();
+    // Unit cone, stretched to each spine; spines thicken with the bars they grow from
+    const spineGeometry = new THREE.CylinderGeometry(0.2, 1, 1, 5, 1);
+    const width = Math.max(0.03, values.barThickness * 1.5 / MICRONS_PER_UNIT);
     
-    primarySpinePositions.forEach((position, index) => {
-        const normalizedPos = position.clone().normalize();
-        
-        // Position with base at the skeleton surface (0.8 radius) and extending outward
-        const surfacePoint = normalizedPos.clone().multiplyScalar(0.8);
-        dummy.position.copy(surfacePoint);
-        
-        // Align spine to point outward
-        dummy.quaternion.setFromUnitVectors(
-            new THREE.Vector3(0, 1, 0),
-            normalizedPos
-        );
-        
-        // Move the spine so that it extends outward from the surface
-        dummy.translateY(1.8 / 2);
-        
-        dummy.updateMatrix();
-        instancedSpines.setMatrixAt(index, dummy.matrix);
+    const instancedSpines = new THREE.InstancedMesh(spineGeometry, material, test.spines.length);
+    test.spines.forEach((spine, index) => {
+        instancedSpines.setMatrixAt(index, strutMatrix(spine.base, spine.direction, spine.length, width));
     });
     
     spineGroup.add(instancedSpines);
@@ -242,19 +492,21 @@ function createSpines(group) {
     
     group.userData.components.push(component);
     
-    // Add label
+    // Add label halfway along the uppermost spine
     if (typeof addLabel === 'function') {
         const labelsArray = window.labels || [];
-        addLabel(group, labelsArray, 'Radial Spines', new THREE.Vector3(0, 1.8, 0), component);
+        const spine = test.spines.reduce((best, candidate) => (!best || candidate.direction.y > best.direction.y ? candidate : best), null);
+        const position = spine ? spine.base.clone().addScaledVector(spine.direction, spine.length / 2).add(new THREE.Vector3(0.15, 0, 0)) : new THREE.Vector3(0, test.outerRadius + 0.3, 0);
+        addLabel(group, labelsArray, 'Radial Spines', position, component);
     }
     
     return spineGroup;
 }
 
 // Create axopods (extensions)
-function createAxopods(group) {
-    // Create lightweight axopods
+function createAxopods(group, test) {
     const axopodGroup = new THREE.Group();
+    const { position, radius } = test.capsule;
     
     // Material for axopods
     const material = new THREE.MeshPhysicalMaterial({
@@ -264,8 +516,7 @@ function createAxopods(group) {
         roughness: 0.2
     });
     
-    // Significantly reduce the number of axopods
-    const numAxopods = 6; // Much fewer
+    const numAxopods = 6;
     
     // Use simpler geometry and instancing for better performance
     const axopodGeometry = new THREE.CylinderGeometry(0.01, 0.015, 0.8, 4, 1);
@@ -287,8 +538,7 @@ function createAxopods(group) {
         direction.setFromSphericalCoords(1, phi, theta);
         
         // Position starting at central capsule going outward
-        const startPoint = direction.clone().multiplyScalar(0.4);
-        dummy.position.copy(startPoint);
+        dummy.position.copy(position).addScaledVector(direction, radius);
         
         // Orient along the radial direction
         dummy.quaternion.setFromUnitVectors(
@@ -319,33 +569,67 @@ function createAxopods(group) {
     // Add label
     if (typeof addLabel === 'function') {
         const labelsArray = window.labels || [];
-        addLabel(group, labelsArray, 'Axopods', new THREE.Vector3(1.0, -0.3, 0.8), component);
+        addLabel(group, labelsArray, 'Axopods', position.clone().add(new THREE.Vector3(1.0, -0.3, 0.8).multiplyScalar(radius / 0.4)), component);
     }
     
     return axopodGroup;
 }
 
-// Update the information section with scientifically accurate descriptions
-export function getRadiolarianInfo() {
-    return `
-        <h3>Radiolarian</h3>
-        <p>Radiolarians are single-celled marine protists belonging to the supergroup Rhizaria, with a fossil record extending back to the early Cambrian (approximately 541 MYA). These planktonic organisms are characterized by their intricate mineral skeletons and complex cellular organization.</p>
-        
-        <h4>Key Features:</h4>
-        <ul>
-            <li><strong>Skeleton:</strong> Siliceous (opaline silica, SiO₂·nH₂O) with geometric, lattice-like structures formed according to precise radial symmetry laws (Müller's law)</li>
-            <li><strong>Central Capsule:</strong> Perforated membranous structure dividing the cell into endo- and ectoplasm, containing the nucleus (often 1 in Spumellaria, multiple in Nassellaria)</li>
-            <li><strong>Radial Spines:</strong> Primary (radial beams) and secondary spines that provide structural support and buoyancy; up to 20 primary spines in many species</li>
-            <li><strong>Axopods:</strong> Thin pseudopodia reinforced by axial microtubules, extending 100-500μm, used for prey capture and buoyancy</li>
-            <li><strong>Size:</strong> 30-300 micrometers (0.03-0.3mm), with some species reaching 1-2mm</li>
-        </ul>
-        
-        <h4>Geological Significance:</h4>
-        <p>Radiolarian fossils form siliceous deposits (radiolarites) in deep marine settings. Their rapid evolution makes them valuable biostratigraphic markers, especially for Mesozoic and Cenozoic marine strata. The Permian-Triassic boundary (~252 MYA) is marked by a major radiolarian extinction event, with over 95% of species disappearing.</p>
-        
-        <h4>Taxonomy & Classification:</h4>
-        <p>Domain: Eukaryota | Kingdom: Rhizaria | Phylum: Retaria | Class: Polycystinea | Orders: Spumellaria, Nassellaria, Collodaria</p>
-        
-        <p><em>Data sourced from the Radiolarian Database of Benson and the Mesozoic Planktonic Microfossil Database</em></p>
-    `;
-} 
\ No newline at end of file
+// Information about radiolarians for the info panel and component popovers (format in fossilInfo.js)
+export const radiolarianInfo = {
+    title: 'Radiolarian',
+    overview: 'Radiolarians are single-celled marine protists belonging to the supergroup Rhizaria, with a fossil record extending back to the early Cambrian (approximately 541 MYA). These planktonic organisms are characterized by their intricate mineral skeletons and complex cellular organization.',
+    ageRange: { from: 'Cambrian', to: 'Recent', startMa: 541, endMa: 0 },
+    features: [
+        { name: 'Skeleton', description: 'Siliceous (opaline silica, SiO₂·nH₂O) with geometric, lattice-like structures formed according to precise radial symmetry laws (Müller\'s law)' },
+        { name: 'Central Capsule', description: 'Perforated membranous structure dividing the cell into endo- and ectoplasm, containing the nucleus (often 1 in Spumellaria, multiple in Nassellaria)' },
+        { name: 'Radial Spines', description: 'Primary (radial beams) and secondary spines that provide structural support and buoyancy; up to 20 primary spines in many species' },
+        { name: 'Axopods', description: 'Thin pseudopodia reinforced by axial microtubules, extending 100-500μm, used for prey capture and buoyancy' },
+        { name: 'Size', description: '30-300 micrometers (0.03-0.3mm), with some species reaching 1-2mm' }
+    ],
+    significance: 'Radiolarian fossils form siliceous deposits (radiolarites) in deep marine settings. Their rapid evolution makes them valuable biostratigraphic markers, especially for Mesozoic and Cenozoic marine strata. The Permian-Triassic boundary (~252 MYA) is marked by a major radiolarian extinction event, with over 95% of species disappearing.',
+    taxonomy: {
+        ranks: [
+            { rank: 'Domain', name: 'Eukaryota' },
+            { rank: 'Kingdom', name: 'Rhizaria' },
+            { rank: 'Phylum', name: 'Retaria' },
+            { rank: 'Class', name: 'Polycystinea' },
+            { rank: 'Orders', name: 'Spumellaria, Nassellaria, Collodaria' }
+        ]
+    },
+    references: [
+        { citation: 'Radiolarian Database of Benson' },
+        { citation: 'Mesozoic Planktonic Microfossil Database' }
+    ],
+    // Short descriptions shown when a component is picked in the viewer
+    components: {
+        skeleton: 'Latticed shell of opaline silica. Pore shape and the arrangement of concentric shells are used to classify radiolarians.',
+        capsule: 'Organic central capsule that separates the inner endoplasm, containing the nucleus, from the outer ectoplasm.',
+        spines: 'Radial spines of silica projecting from the lattice. They support the axopods and help keep the cell afloat.',
+        axopods: 'Thin cytoplasmic extensions stiffened by microtubules, used to capture prey and to control buoyancy.'
+    }
+};
+
+registerFossil({
+    id: 'radiolarian',
+    displayName: 'Radiolarian',
+    createModel: createRadiolarianModel,
+    info: radiolarianInfo,
+    camera: { position: [0, 0, 5], target: [0, 0, 0] },
+    tour: 'data/tours/radiolarian.json',
+    // Skeleton is 1.6 units across; typical shells are about 160 μm
+    micronsPerUnit: MICRONS_PER_UNIT,
+    // Generator parameters and genus presets for the parameter panel
+    parameters: radiolarianParameters,
+    presets: radiolarianPresets,
+    // Exploded view: the central capsule and axopods move out of the skeleton
+    explodeAxes: {
+        capsule: { axis: [-1, 0, 0], distance: 3.2 },
+        axopods: { axis: [1, 0, 0], distance: 3.2 }
+    },
+    metadata: {
+        group: 'Polycystinea (Radiolaria)',
+        range: 'Cambrian–Recent',
+        composition: 'silica'
+    }
+});
@@ -0,0 +1,212 @@
+// Translations of the interface and of fossil content
+//
+// Locale files (locales/<code>.json) look like:
+// {
+//     "ui": {
+//         "quiz.start": "Empezar",
+//         "quiz.progress": "Pregunta {current} de {total}"    // {name} is replaced by t() parameters
+//     },
+//     "fossils": {
+//         "fusuline": {
+//             "displayName": "Fusulina",
+//             "componentNames": { "shell": "Concha externa" },            // keyed by component name
+//             "labels": { "Outer Shell (Test)": "Concha externa (testa)" }, // keyed by the English label
+//             "growthStages": ["Proloculus", "Vuelta 1"],
+//             "info": { "overview": "…", "features": [{ "name": "Forma", "description": "…" }] }
+//         }
+//     }
+// }
+//
+// English fossil content stays in the fossil modules; a translation only replaces the fields it has,
+// so missing entries fall back to English. locales/en.json lists every interface string.
+// Elements in index.html are translated through data-i18n (text), data-i18n-placeholder,
+// data-i18n-title and data-i18n-aria-label attributes holding a key of "ui".
+
+export const LOCALES = [
+    { code: 'en', name: 'English' },
+    { code: 'es', name: 'Español' },
+    { code: 'ko', name: '한국어' }
+];
+
+const DEFAULT_LOCALE = 'en';
+const STORAGE_KEY = 'microfossil-viewer-locale';
+
+const ATTRIBUTES = [
+    ['i18n', null],
+    ['i18nPlaceholder', 'placeholder'],
+    ['i18nTitle', 'title'],
+    ['i18nAriaLabel', 'aria-label']
+];
+
+const loaded = new Map();
+const listeners = [];
+let locale = DEFAULT_LOCALE;
+let strings = {};
+let fallback = {};
+
+// Load the saved or browser language and bind the language switcher; never rejects
+export async function initI18n() {
+    const select = document.getElementById('locale-select');
+    LOCALES.forEach(({ code, name }) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = name;
+        select.appendChild(option);
+    });
+    select.addEventListener('change', () => setLocale(select.value));
+
+    fallback = (await loadLocale(DEFAULT_LOCALE)) || {};
+    await setLocale(getPreferredLocale());
+}
+
+// Switch the interface language, falling back to English if the locale file cannot be loaded
+export async function setLocale(code) {
+    const data = LOCALES.some(entry => entry.code === code) ? await loadLocale(code) : null;
+    locale = data ? code : DEFAULT_LOCALE;
+    strings = data || fallback;
+
+    try {
+        localStorage.setItem(STORAGE_KEY, locale);
+    } catch (error) {
+        // Storage may be unavailable (e.g. private browsing); the choice then lasts for this page only
+    }
+
+    document.documentElement.lang = locale;
+    document.getElementById('locale-select').value = locale;
+    applyTranslations();
+    listeners.forEach(listener => listener(locale));
+}
+
+// Current locale code
+export function getLocale() {
+    return locale;
+}
+
+// Subscribe to language changes, e.g. to re-render text built in code
+export function onLocaleChange(listener) {
+    listeners.push(listener);
+}
+
+// Interface string for a key, with {name} placeholders filled from params
+export function t(key, params = {}) {
+    const text = lookup(strings.ui, key) || lookup(fallback.ui, key) || key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+// Translate the elements under root that carry data-i18n attributes
+export function applyTranslations(root = document) {
+    ATTRIBUTES.forEach(([dataKey, attribute]) => {
+        const selector = `[data-${dataKey.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}]`;
+        root.querySelectorAll(selector).forEach(element => {
+            const text = t(element.dataset[dataKey]);
+            if (attribute) {
+                element.setAttribute(attribute, text);
+            } else {
+                element.textContent = text;
+            }
+        });
+    });
+}
+
+// A descriptor field (displayName, growthStages, …) in the current language
+export function translateFossil(descriptor, field, value = descriptor[field]) {
+    return mergeTranslation(value, getFossilTranslation(descriptor)[field]);
+}
+
+// Display name of a fossil in the current language
+export function getFossilName(descriptor) {
+    return translateFossil(descriptor, 'displayName');
+}
+
+// Info panel content in the current language
+export function getFossilInfo(descriptor) {
+    return translateFossil(descriptor, 'info', descriptor.getInfo());
+}
+
+// Component descriptions in the current language, keyed by component name
+export function getComponentDescriptions(descriptor) {
+    const info = getFossilTranslation(descriptor).info;
+    return mergeTranslation(descriptor.componentDescriptions || {}, info && info.components);
+}
+
+// Rename a model's components and labels into the current language; safe to call again after a change
+export function localizeModel(model, descriptor) {
+    const translation = getFossilTranslation(descriptor);
+    const names = translation.componentNames || {};
+    const labels = translation.labels || {};
+
+    (model.userData.components || []).forEach(component => {
+        if (component.sourceDisplayName === undefined) {
+            component.sourceDisplayName = component.displayName || component.name;
+        }
+        component.displayName = names[component.name] || component.sourceDisplayName;
+
+        (component.labels || []).forEach(label => {
+            if (label.element.dataset.sourceText === undefined) {
+                label.element.dataset.sourceText = label.element.textContent;
+            }
+            label.element.textContent = labels[label.element.dataset.sourceText] || label.element.dataset.sourceText;
+        });
+    });
+}
+
+function getFossilTranslation(descriptor) {
+    return (descriptor && strings.fossils && strings.fossils[descriptor.id]) || {};
+}
+
+// Replace the strings of value that the translation provides, keeping its structure and other fields
+function mergeTranslation(value, translation) {
+    if (translation === undefined || translation === null) return value;
+
+    if (typeof value === 'string') {
+        return typeof translation === 'string' ? translation : value;
+    }
+    if (Array.isArray(value)) {
+        return value.map((item, index) => mergeTranslation(item, Array.isArray(translation) ? translation[index] : undefined));
+    }
+    if (value && typeof value === 'object') {
+        const result = {};
+        Object.keys(value).forEach(key => {
+            result[key] = mergeTranslation(value[key], translation[key]);
+        });
+        return result;
+    }
+    return value;
+}
+
+function lookup(table, key) {
+    return table && typeof table[key] === 'string' ? table[key] : undefined;
+}
+
+async function loadLocale(code) {
+    if (!loaded.has(code)) {
+        loaded.set(code, fetch(`locales/${code}.json`)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .catch(error => {
+                console.error(`Failed to load locale "${code}":`, error);
+                loaded.delete(code);
+                return null;
+            }));
+    }
+    return loaded.get(code);
+}
+
+// Saved choice, else the first browser language we have, else English
+function getPreferredLocale() {
+    let saved = null;
+    try {
+        saved = localStorage.getItem(STORAGE_KEY);
+    } catch (error) {
+        saved = null;
+    }
+    if (saved && LOCALES.some(entry => entry.code === saved)) return saved;
+
+    const languages = navigator.languages || [navigator.language || DEFAULT_LOCALE];
+    const match = languages
+        .map(language => language.toLowerCase().split('-')[0])
+        .find(code => LOCALES.some(entry => entry.code === code));
+    return match || DEFAULT_LOCALE;
+}
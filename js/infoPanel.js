@@ -0,0 +1,143 @@
+import { formatAgeRange } from './fossilInfo.js';
+import { t } from './i18n.js';
+
+// Tabs of the information panel, in display order; tab titles are 'info.tab.<id>' strings
+// and, where heading is set, tabs start with an 'info.heading.<id>' title
+const SECTIONS = [
+    { id: 'overview' },
+    { id: 'features', heading: true },
+    { id: 'significance', heading: true },
+    { id: 'taxonomy', heading: true },
+    { id: 'references', heading: true }
+];
+
+// Fill an information panel with a fossil's structured info (see fossilInfo.js), split into tabs
+// onTabSelected is called with the tab id when the user switches tabs
+export function renderFossilInfo(fossilInfoDiv, info, onTabSelected) {
+    fossilInfoDiv.innerHTML = '';
+    if (!info) return;
+
+    const content = getInfoSections(info);
+    fossilInfoDiv.appendChild(content.title);
+
+    const tabBar = createElement('div', 'info-tabs');
+    fossilInfoDiv.appendChild(tabBar);
+
+    content.sections.forEach((section, index) => {
+        const tab = createElement('div', index === 0 ? 'info-tab active' : 'info-tab', section.title);
+        tab.setAttribute('data-tab', section.id);
+        tab.addEventListener('click', () => {
+            activateInfoTab(fossilInfoDiv, section.id);
+            if (onTabSelected) {
+                onTabSelected(section.id);
+            }
+        });
+        tabBar.appendChild(tab);
+
+        const panel = createElement('div', index === 0 ? 'info-content active' : 'info-content');
+        panel.setAttribute('data-tab', section.id);
+        section.nodes.forEach(node => panel.appendChild(node));
+        fossilInfoDiv.appendChild(panel);
+    });
+}
+
+// Build the tab contents of structured info; all text is inserted as text, never as HTML
+function getInfoSections(info) {
+    const sections = [];
+    const addSection = (id, nodes) => {
+        const section = SECTIONS.find(entry => entry.id === id);
+        if (section.heading) {
+            nodes.unshift(createElement('h4', '', t(`info.heading.${id}`)));
+        }
+        sections.push({ id, title: t(`info.tab.${id}`), nodes });
+    };
+
+    const overview = [createElement('p', '', info.overview)];
+    if (info.ageRange) {
+        const age = createElement('p', 'info-age');
+        age.appendChild(createElement('strong', '', `${t('info.ageRange')} `));
+        age.appendChild(document.createTextNode(formatAgeRange(info.ageRange)));
+        overview.push(age);
+    }
+    addSection('overview', overview);
+
+    if (info.features && info.features.length > 0) {
+        addSection('features', [createList(info.features.map(feature => [feature.name, feature.description]))]);
+    }
+
+    if (info.significance) {
+        addSection('significance', [createElement('p', '', info.significance)]);
+    }
+
+    if (info.taxonomy) {
+        const nodes = info.taxonomy.note ? [createElement('p', '', info.taxonomy.note)] : [];
+        nodes.push(createList(info.taxonomy.ranks.map(entry => [entry.rank, entry.name])));
+        addSection('taxonomy', nodes);
+    }
+
+    if (info.references && info.references.length > 0) {
+        const list = createElement('ul');
+        info.references.forEach(reference => {
+            const item = createElement('li');
+            if (reference.url) {
+                const link = createElement('a', '', reference.citation);
+                link.href = reference.url;
+                link.target = '_blank';
+                link.rel = 'noopener';
+                item.appendChild(link);
+            } else {
+                item.textContent = reference.citation;
+            }
+            list.appendChild(item);
+        });
+        addSection('references', [list]);
+    }
+
+    return { title: createElement('h3', '', info.title), sections };
+}
+
+function createList(entries) {
+    const list = createElement('ul');
+    entries.forEach(([name, description]) => {
+        const item = createElement('li');
+        item.appendChild(createElement('strong', '', description ? `${name}:` : name));
+        if (description) {
+            item.appendChild(document.createTextNode(` ${description}`));
+        }
+        list.appendChild(item);
+    });
+    return list;
+}
+
+function createElement(tagName, className = '', text = '') {
+    const element = document.createElement(tagName);
+    if (className) element.className = className;
+    if (text) element.textContent = text;
+    return element;
+}
+
+// Show a plain message, such as a loading error, in place of a fossil's info
+export function renderInfoMessage(fossilInfoDiv, message) {
+    fossilInfoDiv.innerHTML = '';
+    fossilInfoDiv.appendChild(createElement('p', '', message));
+}
+
+// Show one tab of an information panel
+export function activateInfoTab(fossilInfoDiv, tabId) {
+    const tab = Array.from(fossilInfoDiv.querySelectorAll('.info-tab')).find(t => t.getAttribute('data-tab') === tabId);
+    if (!tab) return;
+
+    // Update active tab
+    fossilInfoDiv.querySelectorAll('.info-tab').forEach(t => t.classList.remove('active'));
+    tab.classList.add('active');
+
+    // Update active content
+    fossilInfoDiv.querySelectorAll('.info-content').forEach(content => content.classList.remove('active'));
+    fossilInfoDiv.querySelector(`.info-content[data-tab="${tabId}"]`).classList.add('active');
+}
+
+// Id of the tab shown in an information panel, or null
+export function getActiveInfoTab(fossilInfoDiv) {
+    const activeTab = fossilInfoDiv.querySelector('.info-tab.active');
+    return activeTab ? activeTab.getAttribute('data-tab') : null;
+}
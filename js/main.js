@@ -1,22 +1,44 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { createLabelRenderer, updateLabels, removeAllLabels } from './labelUtils.js';
-import { setupControls, updateComponentToggles } from './controls.js';
-
-// Import fossil models
-import { createFusulineModel, getFusulineInfo } from './fossils/fusuline.js';
-import { createRadiolarianModel, getRadiolarianInfo } from './fossils/radiolarian.js';
-import { createForaminiferaModel, getForaminiferaInfo } from './fossils/foraminifera.js';
-import { createDiatomModel, getDiatomInfo } from './fossils/diatom.js';
-import { createConodontModel, getConodontInfo } from './fossils/conodont.js';
-import { createOstracodModel, getOstracodInfo } from './fossils/ostracod.js';
-import { createAcritarchModel, getAcritarchInfo } from './fossils/acritarch.js';
+import { getFossil, getFossils, resolveFossil, onFossilRegistered } from './fossilRegistry.js';
+import { setupControls, updateComponentToggles, updateFossilSelector, setComponentVisibility, onComponentVisibilityChange } from './controls.js';
+import { initCrossSection, attachCrossSection, toggleCrossSection, updateCrossSection, getCrossSectionState, setCrossSectionState, onCrossSectionChange } from './crossSection.js';
+import { initThinSection, openThinSection, closeThinSection } from './thinSection.js';
+import { initModelExport, setExportModel } from './modelExport.js';
+import { initSpecimenImport } from './specimenImport.js';
+import { initVolumeRenderer, updateVolume, refreshVolumeLayout, getVolumeObject } from './volumeRenderer.js';
+import { initUrlState, restoreUrlState, recordUrlState } from './urlState.js';
+import { initPicking, attachPicking, updatePicking } from './picking.js';
+import { initMeasurement, setMeasurementScale } from './measurement.js';
+import { initScaleBar, setScaleBarScale, updateScaleBar } from './scaleBar.js';
+import { initOntogeny, attachOntogeny, updateOntogeny } from './ontogeny.js';
+import { initComparison, updateComparison, setComparisonReference, setComparisonLabelsVisible } from './comparison.js';
+import { renderFossilInfo, renderInfoMessage, activateInfoTab, getActiveInfoTab } from './infoPanel.js';
+import { initExplodedView, attachExplodedView, updateExplodedView, setExplodeAmount, getExplodeAmount, onExplodeChange } from './explodedView.js';
+import { initScreenshot, setScreenshotFossil } from './screenshot.js';
+import { initRecorder, setRecorderFossil } from './recorder.js';
+import { initTours, attachTour, updateTours } from './tours.js';
+import { initQuiz } from './quiz.js';
+import { initAccessibility, attachAccessibility } from './accessibility.js';
+import { initI18n, onLocaleChange, t, getFossilName, getFossilInfo, localizeModel } from './i18n.js';
+import { initRenderLoop, requestRender } from './renderLoop.js';
+import { initParameterPanel, attachParameterPanel, getParameterValues, getChangedParameters, resolveParameters, onParametersCommitted } from './parameterPanel.js';
+import { disposeObject } from './disposeUtils.js';
+
+// Register built-in fossil models
+import './fossils/index.js';
+
+// Fossil shown at start-up and in place of unknown ids
+const DEFAULT_FOSSIL = 'fusuline';
 
 // Global variables
 let scene, camera, renderer, controls, labelRenderer;
 let currentModel = null;
-let crossSectionEnabled = false;
-let fossilType = 'fusuline';
+let currentFossil = null;
+let fossilType = DEFAULT_FOSSIL;
+let loadCounter = 0;
+let labelsVisible = true;
 
 // Make labels globally accessible for all fossil modules
 window.labels = [];
@@ -62,6 +84,7 @@ function init() {
     controls = new OrbitControls(camera, renderer.domElement);
     controls.enableDamping = true;
     controls.dampingFactor = 0.05;
+    controls.addEventListener('change', requestRender);
 
     // Create label renderer
     labelRenderer = createLabelRenderer(getContainerWidth(), getContainerHeight());
@@ -71,18 +94,61 @@ function init() {
     // Add lights
     addLights();
 
-    // Set up user interface controls
-    setupControls(resetView, toggleLabels, toggleCrossSection);
+    // Set up the sectioning tool (plane presets, gizmo and solid caps)
+    initCrossSection(scene, camera, renderer, controls);
+    initThinSection();
+    initModelExport();
+    initSpecimenImport(showFossil);
+    initVolumeRenderer(scene, () => currentModel);
+    initPicking(scene, camera, renderer);
+    initMeasurement(scene, camera, renderer);
+    initScaleBar(camera, controls, renderer);
+    initOntogeny();
+    initExplodedView();
+    initParameterPanel(regenerateModel);
+    initComparison(scene, camera, controls, onWindowResize);
+    initScreenshot(scene, camera, renderer, () => labelsVisible);
+    initRecorder(camera, renderer, controls, renderFrame);
+    initTours(camera, controls);
+    initQuiz(loadQuizFossil, () => currentModel);
+    initAccessibility(camera, controls, renderer, resetView, toggleLabels, () => labelsVisible);
 
-    // Load initial fossil
-    loadFossil(fossilType);
+    // Set up user interface controls
+    setupControls(resetView, toggleLabels, toggleCrossSection, showThinSection);
+
+    // Build the fossil selector from the registry and keep it in sync with late registrations
+    fossilType = getDefaultFossil();
+    updateFossilSelector(getFossils(), fossilType);
+    onFossilRegistered(() => updateFossilSelector(getFossils(), fossilType));
+
+    // Re-render text built in code when the language changes
+    onLocaleChange(onLocaleChanged);
+
+    // Keep the URL in sync with the view so it can be shared, and restore a shared view on load
+    initUrlState(getViewerState, applyViewerState);
+    controls.addEventListener('change', () => recordUrlState('replace'));
+    controls.addEventListener('end', () => recordUrlState('push'));
+    onComponentVisibilityChange(() => {
+        setLabelsVisible(labelsVisible);
+        recordUrlState('push');
+    });
+    onCrossSectionChange(() => recordUrlState('push'));
+    onExplodeChange(() => recordUrlState('push'));
+    onParametersCommitted(() => recordUrlState('push'));
+
+    // Load the fossil from the URL, or the initial fossil
+    restoreUrlState().then(restored => {
+        if (!restored) {
+            showFossil(fossilType).then(() => recordUrlState('replace'));
+        }
+    });
 
     // Set up event listeners
     window.addEventListener('resize', onWindowResize);
     document.getElementById('fossil-select').addEventListener('change', onFossilChange);
 
-    // Start animation loop
-    animate();
+    // Draw whenever something changes
+    initRenderLoop(renderFrame);
 }
 
 // Add lights to the scene
@@ -98,245 +164,283 @@ function addLights() {
     scene.add(hemisphereLight);
 }
 
-// Animation loop
-function animate() {
-    requestAnimationFrame(animate);
-    controls.update();
+// Update every tool and draw one frame of the viewer
+// Returns true while something is animating (camera damping, tours, growth, exploding)
+function renderFrame() {
+    let animating = controls.update();
     
     if (window.labels && window.labels.length > 0) {
         updateLabels(window.labels, camera);
     }
     
+    animating = updateTours() || animating;
+    animating = updateOntogeny() || animating;
+    animating = updateExplodedView() || animating;
+    updateCrossSection();
+    updateVolume();
+    updatePicking();
+    updateScaleBar();
+    animating = updateComparison() || animating;
     renderer.render(scene, camera);
     if (labelRenderer) labelRenderer.render(scene, camera);
+    return animating;
 }
 
-// Load a fossil model
-function loadFossil(type) {
-    // Clear previous model
+// Load a fossil model, built from the given generator parameters if it has any
+async function loadFossil(type, parameters = {}) {
+    // Resolve the descriptor first, which may fetch a lazily registered module
+    const loadId = ++loadCounter;
+    const descriptor = await resolveFossil(type);
+
+    // A newer selection was made while this one was loading
+    if (loadId !== loadCounter) {
+        return;
+    }
+
+    fossilType = type;
+    currentFossil = descriptor;
+    replaceModel(attachParameterPanel(descriptor, parameters));
+    resetView();
+    requestRender();
+}
+
+// Build the current fossil's model from parameter values in place of the shown one
+function replaceModel(values) {
+    const descriptor = currentFossil;
+
+    // Check the info text before anything is torn down, so a bad getInfo() cannot leave an empty viewer
+    const info = readFossilInfo(descriptor);
+
+    // Clear previous model and free its geometries, materials and textures
     if (currentModel) {
         scene.remove(currentModel);
+        disposeObject(currentModel);
     }
     
     // Clear all previous labels
     removeAllLabels(scene);
+    closeThinSection();
     
-    // Reset cross-section
-    crossSectionEnabled = false;
-    renderer.clippingPlanes = [];
-
-    // Load new model based on type
-    fossilType = type;
-    let components = [];
-    let info = '';
-
-    switch (type) {
-        case 'fusuline':
-            currentModel = createFusulineModel(scene);
-            components = currentModel.userData.components;
-            info = getFusulineInfo();
-            break;
-        case 'radiolarian':
-            currentModel = createRadiolarianModel(scene);
-            components = currentModel.userData.components;
-            info = getRadiolarianInfo();
-            break;
-        case 'foraminifera':
-            currentModel = createForaminiferaModel(scene);
-            components = currentModel.userData.components;
-            info = getForaminiferaInfo();
-            break;
-        case 'diatom':
-            currentModel = createDiatomModel(scene);
-            components = currentModel.userData.components;
-            info = getDiatomInfo();
-            break;
-        case 'conodont':
-            currentModel = createConodontModel(scene);
-            components = currentModel.userData.components;
-            info = getConodontInfo();
-            break;
-        case 'ostracod':
-            currentModel = createOstracodModel(scene);
-            components = currentModel.userData.components;
-            info = getOstracodInfo();
-            break;
-        case 'acritarch':
-            currentModel = createAcritarchModel(scene);
-            components = currentModel.userData.components;
-            info = getAcritarchInfo();
-            break;
-    }
+    // Load new model from its descriptor
+    currentModel = descriptor.createModel(scene, values);
+    localizeModel(currentModel, descriptor);
+    const components = currentModel.userData.components || [];
 
     // Setup model and update UI
     scene.add(currentModel);
+    attachCrossSection(currentModel, descriptor);
+    setExportModel(currentModel, descriptor);
+    attachPicking(currentModel, descriptor);
+    setMeasurementScale(descriptor);
+    setScaleBarScale(descriptor);
+    attachOntogeny(currentModel, descriptor);
+    attachExplodedView(currentModel, descriptor);
+    setComparisonReference(descriptor);
+    setScreenshotFossil(descriptor);
+    setRecorderFossil(descriptor);
+    attachTour(currentModel, descriptor);
+    attachAccessibility(currentModel, descriptor);
+    refreshVolumeLayout();
     updateComponentToggles(components);
-    updateFossilInfo(info);
-    resetView();
+    updateFossilInfo(info, descriptor);
+    setLabelsVisible(labelsVisible);
 }
 
-// Update fossil information panel
-function updateFossilInfo(info) {
-    const fossilInfoDiv = document.getElementById('fossil-info');
-    
-    // Helper function to create tabbed content
-    function createTabbedContent(htmlContent) {
-        // Parse the HTML content
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(htmlContent, 'text/html');
-        
-        // Extract the main title (h3)
-        const title = doc.querySelector('h3') ? doc.querySelector('h3').outerHTML : '';
-        
-        // Create the tabbed interface
-        let result = title;
-        result += '<div class="info-tabs">';
-        
-        // Add tabs for each section
-        const sections = [];
-        
-        // Add Overview tab (first paragraph after h3)
-        if (doc.querySelector('h3 + p')) {
-            const overviewContent = doc.querySelector('h3 + p').outerHTML;
-            sections.push({
-                id: 'overview',
-                title: 'Overview',
-                content: overviewContent
-            });
-        }
-        
-        // Add Key Features tab
-        const featuresH4 = Array.from(doc.querySelectorAll('h4')).find(h => h.textContent.includes('Key Features'));
-        if (featuresH4) {
-            let featuresContent = featuresH4.outerHTML;
-            let nextElement = featuresH4.nextElementSibling;
-            while (nextElement && nextElement.tagName !== 'H4') {
-                featuresContent += nextElement.outerHTML;
-                nextElement = nextElement.nextElementSibling;
-            }
-            sections.push({
-                id: 'features',
-                title: 'Features',
-                content: featuresContent
-            });
-        }
-        
-        // Add Geological Significance tab
-        const geoH4 = Array.from(doc.querySelectorAll('h4')).find(h => h.textContent.includes('Geological Significance'));
-        if (geoH4) {
-            let geoContent = geoH4.outerHTML;
-            let nextElement = geoH4.nextElementSibling;
-            while (nextElement && nextElement.tagName !== 'H4') {
-                geoContent += nextElement.outerHTML;
-                nextElement = nextElement.nextElementSibling;
-            }
-            sections.push({
-                id: 'significance',
-                title: 'Significance',
-                content: geoContent
-            });
-        }
-        
-        // Add Taxonomy tab
-        const taxH4 = Array.from(doc.querySelectorAll('h4')).find(h => h.textContent.includes('Taxonomy'));
-        if (taxH4) {
-            let taxContent = taxH4.outerHTML;
-            let nextElement = taxH4.nextElementSibling;
-            while (nextElement && nextElement.tagName !== 'H4') {
-                taxContent += nextElement.outerHTML;
-                nextElement = nextElement.nextElementSibling;
-            }
-            sections.push({
-                id: 'taxonomy',
-                title: 'Taxonomy',
-                content: taxContent
-            });
-        }
-        
-        // Add source information to the taxonomy tab or create a new tab if needed
-        const sourceEm = doc.querySelector('em');
-        if (sourceEm && sections.length > 0) {
-            if (sections[sections.length - 1].id === 'taxonomy') {
-                sections[sections.length - 1].content += sourceEm.outerHTML;
-            } else {
-                sections.push({
-                    id: 'source',
-                    title: 'Source',
-                    content: sourceEm.outerHTML
-                });
-            }
-        }
-        
-        // Create tab buttons
-        sections.forEach((section, index) => {
-            result += `<div class="info-tab ${index === 0 ? 'active' : ''}" data-tab="${section.id}">${section.title}</div>`;
-        });
-        
-        result += '</div>';
-        
-        // Create tab content
-        sections.forEach((section, index) => {
-            result += `<div class="info-content ${index === 0 ? 'active' : ''}" id="tab-${section.id}">${section.content}</div>`;
-        });
-        
-        return result;
+// Rebuild the model after a parameter change, keeping the view, hidden components, section and exploded view
+function regenerateModel(values) {
+    if (!currentModel) return;
+
+    const hidden = (currentModel.userData.components || []).filter(component => !component.visible).map(component => component.name);
+    const section = getCrossSectionState();
+    const explode = getExplodeAmount();
+    const infoDiv = document.getElementById('fossil-info');
+    const activeTab = getActiveInfoTab(infoDiv);
+
+    replaceModel(values);
+
+    hidden.forEach(name => setComponentVisibility(name, false));
+    setLabelsVisible(labelsVisible);
+    setCrossSectionState(section);
+    setExplodeAmount(explode, { immediate: true });
+    if (activeTab) {
+        activateInfoTab(infoDiv, activeTab);
     }
-    
-    // If it's just a simple message, don't create tabs
-    if (info.trim().length < 50 || !info.includes('<h3>')) {
-        fossilInfoDiv.innerHTML = info;
+    requestRender();
+    recordUrlState('replace');
+}
+
+// Open the simulated thin section of the current model
+function showThinSection() {
+    if (currentModel) {
+        openThinSection(currentModel, currentFossil);
+    }
+}
+
+// Describe the current view: fossil, camera, hidden components, labels, cross section, exploded view and info tab
+function getViewerState() {
+    const components = currentModel ? currentModel.userData.components || [] : [];
+
+    return {
+        fossil: fossilType,
+        camera: {
+            position: camera.position.toArray(),
+            target: controls.target.toArray()
+        },
+        hidden: components.filter(component => !component.visible).map(component => component.name),
+        labels: labelsVisible,
+        section: getCrossSectionState(),
+        explode: getExplodeAmount(),
+        parameters: getChangedParameters(),
+        tab: getActiveInfoTab(document.getElementById('fossil-info'))
+    };
+}
+
+// Restore a view described by getViewerState(), loading its fossil first if needed
+async function applyViewerState(state) {
+    // A stale link or mistyped id shows the default fossil instead; false has the address rewritten
+    if (!getFossil(state.fossil)) {
+        console.warn(`Unknown fossil "${state.fossil}" in the address; showing the default fossil`);
+        await showFossil(getDefaultFossil());
+        return false;
+    }
+
+    const parameters = state.parameters || {};
+    const descriptor = getFossil(state.fossil);
+    const parametersChanged = descriptor.parameters &&
+        JSON.stringify(resolveParameters(descriptor, parameters)) !== JSON.stringify(getParameterValues());
+
+    if (state.fossil !== fossilType || !currentModel || parametersChanged) {
+        await showFossil(state.fossil, parameters);
+    }
+    // The failed load is reported in the info panel; the address is kept so reloading tries again
+    if (!currentModel || fossilType !== state.fossil) return true;
+
+    (currentModel.userData.components || []).forEach(component => {
+        setComponentVisibility(component.name, !state.hidden.includes(component.name));
+    });
+
+    labelsVisible = state.labels;
+    setLabelsVisible(labelsVisible);
+    setCrossSectionState(state.section);
+    setExplodeAmount(state.explode);
+
+    if (state.camera) {
+        controls.target.fromArray(state.camera.target);
+        camera.position.fromArray(state.camera.position);
+        controls.update();
     } else {
-        fossilInfoDiv.innerHTML = createTabbedContent(info);
-        
-        // Add event listeners to tabs
-        const tabs = fossilInfoDiv.querySelectorAll('.info-tab');
-        tabs.forEach(tab => {
-            tab.addEventListener('click', () => {
-                // Update active tab
-                tabs.forEach(t => t.classList.remove('active'));
-                tab.classList.add('active');
-                
-                // Update active content
-                const tabContents = fossilInfoDiv.querySelectorAll('.info-content');
-                tabContents.forEach(content => content.classList.remove('active'));
-                
-                const tabId = tab.getAttribute('data-tab');
-                document.getElementById(`tab-${tabId}`).classList.add('active');
-            });
-        });
+        resetView();
+    }
+
+    if (state.tab) {
+        activateInfoTab(document.getElementById('fossil-info'), state.tab);
+    }
+    return true;
+}
+
+// DEFAULT_FOSSIL, or the first registered fossil if it is not available
+function getDefaultFossil() {
+    if (getFossil(DEFAULT_FOSSIL) || getFossils().length === 0) return DEFAULT_FOSSIL;
+    return getFossils()[0].id;
+}
+
+// Load a fossil and report failures in the info panel
+function showFossil(type, parameters) {
+    document.getElementById('fossil-select').value = type;
+
+    return loadFossil(type, parameters).catch(error => {
+        console.error(`Failed to load fossil "${type}":`, error);
+        const name = getFossil(type) ? getFossilName(getFossil(type)) : type;
+        renderInfoMessage(document.getElementById('fossil-info'), t('info.loadFailed', { name }));
+    });
+}
+
+// Load a fossil for the quiz, which handles a failure itself by moving on to another fossil
+function loadQuizFossil(type) {
+    document.getElementById('fossil-select').value = type;
+    return loadFossil(type);
+}
+
+// Translated info for a descriptor, or null when its getInfo() result is invalid
+function readFossilInfo(descriptor) {
+    try {
+        return getFossilInfo(descriptor);
+    } catch (error) {
+        console.error(`Invalid info for fossil "${descriptor.id}":`, error);
+        return null;
+    }
+}
+
+// Update fossil information panel
+// A missing info means the descriptor's text failed validation, which is reported in its place
+function updateFossilInfo(info, descriptor) {
+    const infoDiv = document.getElementById('fossil-info');
+    if (!info) {
+        renderInfoMessage(infoDiv, t('info.loadFailed', { name: getFossilName(descriptor) }));
+        return;
+    }
+    renderFossilInfo(infoDiv, info, () => recordUrlState('push'));
+}
+
+// Show the selector, component names, labels and info panel in the new language
+function onLocaleChanged() {
+    updateFossilSelector(getFossils(), fossilType);
+    if (!currentModel) return;
+
+    const infoDiv = document.getElementById('fossil-info');
+    const activeTab = getActiveInfoTab(infoDiv);
+    localizeModel(currentModel, currentFossil);
+    updateComponentToggles(currentModel.userData.components || []);
+    updateFossilInfo(readFossilInfo(currentFossil), currentFossil);
+    if (activeTab) {
+        activateInfoTab(infoDiv, activeTab);
     }
 }
 
 // Handle fossil selection change
 function onFossilChange(event) {
-    loadFossil(event.target.value);
+    showFossil(event.target.value).then(() => recordUrlState('push'));
 }
 
 // Reset camera view
 function resetView() {
-    camera.position.set(0, 0, 5);
+    const { position, target } = currentFossil ? currentFossil.camera : { position: [0, 0, 5], target: [0, 0, 0] };
     controls.reset();
+    controls.target.fromArray(target);
+    camera.position.fromArray(position);
+
+    // Frame a micro-CT volume shown beside the model as well
+    const volume = getVolumeObject();
+    if (volume && currentModel) {
+        const box = new THREE.Box3().setFromObject(currentModel).union(new THREE.Box3().setFromObject(volume));
+        const center = box.getCenter(new THREE.Vector3());
+        const offset = camera.position.clone().sub(controls.target);
+        const fit = Math.max(1, box.getSize(new THREE.Vector3()).length() / 4);
+        controls.target.copy(center);
+        camera.position.copy(center).add(offset.multiplyScalar(fit));
+    }
+
+    controls.update();
 }
 
 // Toggle the visibility of labels
 function toggleLabels() {
+    labelsVisible = !labelsVisible;
+    setLabelsVisible(labelsVisible);
+    recordUrlState('push');
+}
+
+// Show or hide all labels; labels of hidden components stay hidden
+function setLabelsVisible(isVisible) {
     if (window.labels) {
         window.labels.forEach(label => {
             if (label.element) {
-                label.element.style.display = 
-                    label.element.style.display === 'none' ? 'block' : 'none';
+                const componentVisible = !label.component || label.component.visible !== false;
+                label.element.style.display = isVisible && componentVisible ? 'block' : 'none';
             }
         });
     }
-}
-
-// Toggle cross-section view
-function toggleCrossSection() {
-    crossSectionEnabled = !crossSectionEnabled;
-    if (currentModel) {
-        const clippingPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), crossSectionEnabled ? 0 : 5);
-        renderer.clippingPlanes = crossSectionEnabled ? [clippingPlane] : [];
-    }
+    setComparisonLabelsVisible(isVisible);
 }
 
 // Handle window resize
@@ -347,6 +451,7 @@ function onWindowResize() {
     if (labelRenderer) {
         labelRenderer.setSize(getContainerWidth(), getContainerHeight());
     }
+    requestRender();
 }
 
 // Helper functions for dimensions
@@ -362,5 +467,5 @@ function getAspectRatio() {
     return getContainerWidth() / getContainerHeight();
 }
 
-// Initialize when the page is loaded
-window.addEventListener('load', init); 
\ No newline at end of file
+// Initialize when the page is loaded, once the interface language is known
+window.addEventListener('load', () => initI18n().then(init)); 
\ No newline at end of file
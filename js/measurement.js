@@ -0,0 +1,302 @@
+import * as THREE from 'three';
+import { CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
+import { pickComponent, setPickingEnabled } from './picking.js';
+import { formatLength } from './units.js';
+import { t, onLocaleChange } from './i18n.js';
+import { requestRender } from './renderLoop.js';
+
+// Number of points needed to complete each tool; surface paths are open-ended
+const REQUIRED_POINTS = {
+    distance: 2,
+    angle: 3,
+    path: Infinity
+};
+
+// Straight segments of a surface path are resampled this often (in model units) and projected onto the surface
+const PATH_SAMPLE_SPACING = 0.02;
+
+const CLICK_TOLERANCE = 5;
+const MARKER_COLOR = 0xff006e;
+
+let scene, camera, domElement;
+let micronsPerUnit = null;
+let tool = null;
+let measureGroup = null;
+let activePoints = [];
+let activeSegments = [];
+let activeObjects = [];
+let measurements = [];
+let pointerDown = null;
+
+const markerGeometry = new THREE.SphereGeometry(0.025, 12, 8);
+const markerMaterial = new THREE.MeshBasicMaterial({ color: MARKER_COLOR, depthTest: false });
+const lineMaterial = new THREE.LineBasicMaterial({ color: MARKER_COLOR, depthTest: false });
+
+// Set up the measure card and pointer handling on the renderer's canvas
+export function initMeasurement(sceneRef, cameraRef, rendererRef) {
+    scene = sceneRef;
+    camera = cameraRef;
+    domElement = rendererRef.domElement;
+
+    measureGroup = new THREE.Group();
+    measureGroup.name = 'measurements';
+    scene.add(measureGroup);
+
+    domElement.addEventListener('pointerdown', event => {
+        pointerDown = { x: event.clientX, y: event.clientY };
+    });
+    domElement.addEventListener('pointerup', onPointerUp);
+    domElement.addEventListener('dblclick', () => {
+        if (tool === 'path') finishMeasurement();
+    });
+
+    document.querySelectorAll('#measure-tools button[data-tool]').forEach(button => {
+        button.addEventListener('click', () => setMeasureTool(tool === button.dataset.tool ? null : button.dataset.tool));
+    });
+    document.getElementById('measure-finish').addEventListener('click', finishMeasurement);
+    document.getElementById('measure-clear').addEventListener('click', clearMeasurements);
+
+    document.addEventListener('keydown', event => {
+        if (!tool) return;
+        if (event.key === 'Escape') setMeasureTool(null);
+        if (event.key === 'Enter' && tool === 'path') finishMeasurement();
+    });
+
+    onLocaleChange(() => {
+        updateResults();
+        updateHint();
+    });
+}
+
+// Use the scale of a newly loaded fossil and drop measurements of the previous one
+export function setMeasurementScale(descriptor) {
+    micronsPerUnit = descriptor ? descriptor.micronsPerUnit || null : null;
+    clearMeasurements();
+}
+
+// Activate a tool ('distance', 'angle', 'path') or pass null to stop measuring
+export function setMeasureTool(name) {
+    discardActive();
+    tool = name && REQUIRED_POINTS[name] ? name : null;
+
+    // Clicks place points instead of selecting components while a tool is active
+    setPickingEnabled(!tool);
+
+    document.querySelectorAll('#measure-tools button[data-tool]').forEach(button => {
+        button.classList.toggle('active', button.dataset.tool === tool);
+    });
+    document.getElementById('measure-finish').hidden = tool !== 'path';
+    updateHint();
+}
+
+// Remove every measurement from the scene
+export function clearMeasurements() {
+    discardActive();
+    measurements.forEach(removeMeasurementObjects);
+    measurements = [];
+    updateResults();
+}
+
+// Measured values in micrometres (or model units when the fossil has no scale)
+export function getMeasurements() {
+    return measurements.map(({ type, value, unit }) => ({ type, value, unit }));
+}
+
+function onPointerUp(event) {
+    if (!tool || !pointerDown || event.button !== 0) return;
+
+    const moved = Math.hypot(event.clientX - pointerDown.x, event.clientY - pointerDown.y);
+    pointerDown = null;
+    if (moved > CLICK_TOLERANCE) return;
+
+    const hit = pickAtClient(event.clientX, event.clientY);
+    if (!hit) return;
+
+    addPoint(hit.point.clone());
+}
+
+function addPoint(point) {
+    // Double-clicking to finish a path also fires two clicks on the same spot
+    const last = activePoints[activePoints.length - 1];
+    if (last && last.distanceTo(point) < 1e-4) return;
+
+    activePoints.push(point);
+
+    const marker = new THREE.Mesh(markerGeometry, markerMaterial);
+    marker.position.copy(point);
+    marker.renderOrder = 20;
+    addActiveObject(marker);
+
+    if (activePoints.length > 1) {
+        const previous = activePoints[activePoints.length - 2];
+        const segment = tool === 'path' ? projectSegment(previous, point) : [previous, point];
+        activeSegments.push(segment);
+        addActiveObject(createLine(segment));
+    }
+
+    if (activePoints.length >= REQUIRED_POINTS[tool]) {
+        finishMeasurement();
+    } else {
+        updateHint();
+    }
+}
+
+// Complete the measurement in progress and label it
+function finishMeasurement() {
+    if (!tool || activePoints.length < 2 || (tool === 'angle' && activePoints.length < 3)) return;
+
+    const points = activePoints;
+    let value;
+    let text;
+    let labelPosition;
+
+    if (tool === 'angle') {
+        const a = points[0].clone().sub(points[1]);
+        const b = points[2].clone().sub(points[1]);
+        value = THREE.MathUtils.radToDeg(a.angleTo(b));
+        text = `${value.toFixed(1)}°`;
+        labelPosition = points[1];
+    } else {
+        let length = 0;
+        activeSegments.forEach(segment => {
+            for (let i = 1; i < segment.length; i++) {
+                length += segment[i].distanceTo(segment[i - 1]);
+            }
+        });
+        value = micronsPerUnit ? length * micronsPerUnit : length;
+        text = formatLength(length, micronsPerUnit);
+        labelPosition = tool === 'distance' ? points[0].clone().lerp(points[1], 0.5) : points[points.length - 1];
+    }
+
+    const label = createMeasureLabel(text, labelPosition);
+    addActiveObject(label);
+
+    measurements.push({
+        type: tool,
+        value,
+        unit: tool === 'angle' ? '°' : micronsPerUnit ? 'μm' : 'units',
+        text,
+        objects: activeObjects
+    });
+
+    activePoints = [];
+    activeSegments = [];
+    activeObjects = [];
+    updateResults();
+    updateHint();
+}
+
+// Follow the surface between two points by projecting resampled chord points through the camera
+function projectSegment(start, end) {
+    const steps = Math.max(1, Math.ceil(start.distanceTo(end) / PATH_SAMPLE_SPACING));
+    const points = [start];
+    const screen = new THREE.Vector3();
+
+    for (let i = 1; i < steps; i++) {
+        const sample = start.clone().lerp(end, i / steps);
+        screen.copy(sample).project(camera);
+        const hit = pickComponent(screen.x, screen.y);
+
+        // Keep the chord point where no surface is hit near it (e.g. across a gap)
+        points.push(hit && hit.point.distanceTo(sample) < start.distanceTo(end) ? hit.point.clone() : sample);
+    }
+
+    points.push(end);
+    return points;
+}
+
+function createLine(points) {
+    const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), lineMaterial);
+    line.renderOrder = 20;
+    return line;
+}
+
+function createMeasureLabel(text, position) {
+    const element = document.createElement('div');
+    element.className = 'fossil-label measure-label';
+    element.textContent = text;
+
+    const label = new CSS2DObject(element);
+    label.position.copy(position);
+    return label;
+}
+
+function addActiveObject(object) {
+    measureGroup.add(object);
+    activeObjects.push(object);
+    requestRender();
+}
+
+// Drop a measurement that was started but not finished
+function discardActive() {
+    removeMeasurementObjects({ objects: activeObjects });
+    activePoints = [];
+    activeSegments = [];
+    activeObjects = [];
+}
+
+function removeMeasurementObjects(measurement) {
+    measurement.objects.forEach(object => {
+        measureGroup.remove(object);
+        if (object.isLine) object.geometry.dispose();
+        if (object.element && object.element.parentNode) object.element.parentNode.removeChild(object.element);
+    });
+    requestRender();
+}
+
+function pickAtClient(clientX, clientY) {
+    const rect = domElement.getBoundingClientRect();
+    return pickComponent(
+        ((clientX - rect.left) / rect.width) * 2 - 1,
+        -((clientY - rect.top) / rect.height) * 2 + 1
+    );
+}
+
+// List results, with the ratio of the last two distances (e.g. form ratio = length / width)
+function updateResults() {
+    const list = document.getElementById('measure-results');
+    list.innerHTML = '';
+
+    measurements.forEach((measurement, index) => {
+        const item = document.createElement('li');
+        item.textContent = `${t(`measure.result.${measurement.type}`)}: ${measurement.text}`;
+
+        const remove = document.createElement('button');
+        remove.textContent = '×';
+        remove.setAttribute('aria-label', t(`measure.remove.${measurement.type}`));
+        remove.addEventListener('click', () => {
+            removeMeasurementObjects(measurement);
+            measurements.splice(index, 1);
+            updateResults();
+        });
+
+        item.appendChild(remove);
+        list.appendChild(item);
+    });
+
+    const distances = measurements.filter(measurement => measurement.type === 'distance');
+    const ratio = document.getElementById('measure-ratio');
+    if (distances.length >= 2) {
+        const [a, b] = distances.slice(-2);
+        ratio.textContent = t('measure.ratio', { ratio: (Math.max(a.value, b.value) / Math.min(a.value, b.value)).toFixed(2) });
+        ratio.hidden = false;
+    } else {
+        ratio.hidden = true;
+    }
+}
+
+function updateHint() {
+    const hint = document.getElementById('measure-hint');
+    const remaining = {
+        distance: ['measure.hint.firstPoint', 'measure.hint.secondPoint'],
+        angle: ['measure.hint.firstArm', 'measure.hint.vertex', 'measure.hint.secondArm']
+    };
+
+    if (!tool) {
+        hint.textContent = t(micronsPerUnit ? 'measure.hint.realUnits' : 'measure.hint.modelUnits');
+    } else if (tool === 'path') {
+        hint.textContent = t('measure.hint.path');
+    } else {
+        hint.textContent = t(remaining[tool][activePoints.length]);
+    }
+}
@@ -0,0 +1,217 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { STLExporter } from 'three/addons/exporters/STLExporter.js';
+import { OBJExporter } from 'three/addons/exporters/OBJExporter.js';
+import { mergeGeometries, mergeVertices } from 'three/addons/utils/BufferGeometryUtils.js';
+import { downloadBlob, toFileName } from './downloadUtils.js';
+import { t } from './i18n.js';
+
+export const EXPORT_FORMATS = ['glb', 'stl', 'obj'];
+
+let currentModel = null;
+let currentDescriptor = null;
+
+// Set up the export card in the sidebar
+export function initModelExport() {
+    const button = document.getElementById('export-model');
+    const status = document.getElementById('export-status');
+
+    button.addEventListener('click', () => {
+        const format = document.getElementById('export-format').value;
+        const scale = format === 'glb' ? 1 : parseFloat(document.getElementById('export-scale').value) || 1;
+
+        button.disabled = true;
+        status.textContent = t('export.exporting');
+
+        exportModel(format, { scale })
+            .then(() => { status.textContent = ''; })
+            .catch(error => {
+                console.error('Export failed:', error);
+                status.textContent = t('export.failed');
+            })
+            .finally(() => { button.disabled = false; });
+    });
+
+    document.getElementById('export-format').addEventListener('change', updateScaleVisibility);
+    updateScaleVisibility();
+}
+
+// Remember the model that the export command applies to
+export function setExportModel(model, descriptor) {
+    currentModel = model;
+    currentDescriptor = descriptor;
+}
+
+// Serialize the current model and download it in the given format
+export async function exportModel(format, options = {}) {
+    if (!currentModel) {
+        throw new Error('No model loaded');
+    }
+
+    const baseName = toFileName(currentDescriptor ? currentDescriptor.id : currentModel.name);
+    const blob = await exportToBlob(currentModel, format, options);
+    downloadBlob(blob, `${baseName}.${format}`);
+    return blob;
+}
+
+// Serialize a model to a Blob; scale converts model units to file units (e.g. mm for printing)
+export async function exportToBlob(model, format, { scale = 1 } = {}) {
+    // Printable formats are welded so slicers see closed surfaces where the source is closed
+    const exportRoot = buildExportScene(model, { weld: format !== 'glb' });
+    exportRoot.scale.setScalar(scale);
+    exportRoot.updateMatrixWorld(true);
+
+    if (format === 'glb') {
+        const exporter = new GLTFExporter();
+        const result = await exporter.parseAsync(exportRoot, { binary: true });
+        return new Blob([result], { type: 'model/gltf-binary' });
+    }
+
+    if (format === 'stl') {
+        const result = new STLExporter().parse(exportRoot, { binary: true });
+        return new Blob([result], { type: 'model/stl' });
+    }
+
+    if (format === 'obj') {
+        const result = new OBJExporter().parse(exportRoot);
+        return new Blob([result], { type: 'model/obj' });
+    }
+
+    throw new Error(`Unknown export format "${format}"`);
+}
+
+// Build a standalone tree of the visible components with baked transforms and instances
+export function buildExportScene(model, { weld = false } = {}) {
+    const root = new THREE.Group();
+    root.name = model.name || 'fossil';
+
+    model.updateMatrixWorld(true);
+    const toModelSpace = new THREE.Matrix4().copy(model.matrixWorld).invert();
+    const components = model.userData.components || [];
+
+    if (components.length === 0) {
+        addMeshes(model, root, toModelSpace, weld);
+        return root;
+    }
+
+    components.forEach(component => {
+        const object = component.mesh || component.group;
+        if (!object || !component.visible || !object.visible) return;
+
+        // Component names become node names so they survive in GLB/OBJ
+        const node = new THREE.Group();
+        node.name = component.name;
+        addMeshes(object, node, toModelSpace, weld);
+
+        if (node.children.length > 0) {
+            root.add(node);
+        }
+    });
+
+    return root;
+}
+
+// Copy the visible meshes under an object into a node, transformed into model space
+function addMeshes(object, node, toModelSpace, weld) {
+    object.traverseVisible(child => {
+        if (!child.isMesh || !child.geometry || !child.geometry.attributes.position) return;
+
+        // Parts that have not formed yet in the growth animation
+        if (child.userData.growthHidden) return;
+
+        const matrix = new THREE.Matrix4().multiplyMatrices(toModelSpace, child.matrixWorld);
+        let geometry = bakeGeometry(child, matrix);
+        if (!geometry) return;
+
+        if (weld) {
+            geometry = weldGeometry(geometry);
+        }
+
+        const mesh = new THREE.Mesh(geometry, createExportMaterial(child.material));
+        mesh.name = child.name || node.name;
+        node.add(mesh);
+    });
+}
+
+// Apply the world transform, expanding instanced meshes into one merged geometry
+function bakeGeometry(mesh, matrix) {
+    if (!mesh.isInstancedMesh) {
+        return normalizeGeometry(mesh.geometry).applyMatrix4(matrix);
+    }
+
+    if (mesh.count === 0) return null;
+
+    const instanceMatrix = new THREE.Matrix4();
+    const parts = [];
+    for (let i = 0; i < mesh.count; i++) {
+        mesh.getMatrixAt(i, instanceMatrix);
+        const part = normalizeGeometry(mesh.geometry);
+        part.applyMatrix4(new THREE.Matrix4().multiplyMatrices(matrix, instanceMatrix));
+        parts.push(part);
+    }
+
+    return mergeGeometries(parts, false);
+}
+
+// Copy a geometry keeping only the attributes every exporter understands
+function normalizeGeometry(source) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', source.attributes.position.clone());
+
+    if (source.index) {
+        geometry.setIndex(source.index.clone());
+    }
+
+    if (source.attributes.normal) {
+        geometry.setAttribute('normal', source.attributes.normal.clone());
+    } else {
+        geometry.computeVertexNormals();
+    }
+
+    // Only export the drawn range of the geometry
+    if (source.drawRange.count !== Infinity || source.drawRange.start !== 0) {
+        const nonIndexed = geometry.index ? geometry.toNonIndexed() : geometry;
+        const start = source.drawRange.start;
+        const count = Math.min(source.drawRange.count, nonIndexed.attributes.position.count - start);
+        const trimmed = new THREE.BufferGeometry();
+        Object.keys(nonIndexed.attributes).forEach(name => {
+            const attribute = nonIndexed.attributes[name];
+            const array = attribute.array.slice(start * attribute.itemSize, (start + count) * attribute.itemSize);
+            trimmed.setAttribute(name, new THREE.BufferAttribute(array, attribute.itemSize));
+        });
+        return trimmed;
+    }
+
+    return geometry;
+}
+
+// Merge duplicate vertices so seams between faces are shared
+function weldGeometry(geometry) {
+    const positionsOnly = new THREE.BufferGeometry();
+    positionsOnly.setAttribute('position', geometry.attributes.position);
+    if (geometry.index) positionsOnly.setIndex(geometry.index);
+
+    const welded = mergeVertices(positionsOnly, 1e-5);
+    welded.computeVertexNormals();
+    return welded;
+}
+
+// Plain material carrying the colour and opacity of the viewer material
+function createExportMaterial(source) {
+    const material = Array.isArray(source) ? source[0] : source;
+    const exportMaterial = new THREE.MeshStandardMaterial({ color: 0xcccccc });
+    if (!material) return exportMaterial;
+
+    if (material.color) exportMaterial.color.copy(material.color);
+    exportMaterial.opacity = material.opacity;
+    exportMaterial.transparent = material.transparent;
+    exportMaterial.side = material.side;
+    exportMaterial.name = material.name;
+    return exportMaterial;
+}
+
+// The scale only matters for the printable formats
+function updateScaleVisibility() {
+    const format = document.getElementById('export-format').value;
+    document.getElementById('export-scale-row').hidden = format === 'glb';
+}
@@ -0,0 +1,201 @@
+import * as THREE from 'three';
+import { t, onLocaleChange, translateFossil } from './i18n.js';
+import { requestRender } from './renderLoop.js';
+
+// Growth (ontogeny) playback for chambered taxa
+// Fossil descriptors list their stages in growthStages, and the meshes that form in each
+// stage carry userData.growthStage (an index into that list). Untagged meshes are always shown.
+// Generated models that show only some of the stages list their indices in userData.growthStages,
+// and their meshes are then tagged with positions in that shorter list.
+
+// Seconds taken by each stage during playback
+const STAGE_DURATION = 1.2;
+
+// Objects of a stage that has not started are shrunk to this scale instead of zero,
+// which would leave a singular matrix
+const HIDDEN_SCALE = 1e-4;
+
+let currentDescriptor = null;
+let stageIndices = null;
+let stages = [];
+let entries = [];
+let components = [];
+let progress = 0;
+let playing = false;
+let lastTime = null;
+
+// Bind the growth card controls
+export function initOntogeny() {
+    const slider = document.getElementById('growth-timeline');
+    slider.addEventListener('input', () => {
+        pauseGrowth();
+        setGrowthProgress(parseFloat(slider.value));
+    });
+
+    document.getElementById('growth-play').addEventListener('click', () => {
+        if (playing) {
+            pauseGrowth();
+        } else {
+            playGrowth();
+        }
+    });
+    document.getElementById('growth-step-back').addEventListener('click', () => stepGrowth(-1));
+    document.getElementById('growth-step-forward').addEventListener('click', () => stepGrowth(1));
+
+    onLocaleChange(() => {
+        if (currentDescriptor) {
+            stages = getStageNames(currentDescriptor);
+        }
+        updateGrowthControls();
+    });
+}
+
+// Collect the growth stages of a newly loaded model; it starts fully grown
+export function attachOntogeny(model, descriptor) {
+    pauseGrowth();
+    currentDescriptor = descriptor;
+    stageIndices = model.userData.growthStages || null;
+    stages = descriptor ? getStageNames(descriptor) : [];
+    components = model.userData.components || [];
+    entries = [];
+
+    if (stages.length > 0) {
+        model.traverse(object => {
+            if (typeof object.userData.growthStage !== 'number') return;
+            entries.push({
+                object,
+                stage: object.userData.growthStage,
+                scale: object.scale.clone(),
+                count: object.isInstancedMesh ? object.count : null
+            });
+        });
+    }
+
+    progress = stages.length;
+    applyGrowth();
+    updateGrowthControls();
+}
+
+// Names of the stages of the current model in the current language
+function getStageNames(descriptor) {
+    const names = translateFossil(descriptor, 'growthStages') || [];
+    return stageIndices ? stageIndices.map(index => names[index]).filter(name => name !== undefined) : names;
+}
+
+// Whether the current model can be grown
+export function hasGrowthStages() {
+    return stages.length > 0 && entries.length > 0;
+}
+
+// Show the model at a point of its growth, from 0 (nothing) to the number of stages (complete)
+// Fractional values show the objects of the current stage partly grown
+export function setGrowthProgress(value) {
+    if (!hasGrowthStages()) return;
+
+    progress = THREE.MathUtils.clamp(value, 0, stages.length);
+    applyGrowth();
+    updateGrowthControls();
+    requestRender();
+}
+
+export function getGrowthProgress() {
+    return progress;
+}
+
+// Play from the current point, restarting from the proloculus when already complete
+export function playGrowth() {
+    if (!hasGrowthStages()) return;
+
+    if (progress >= stages.length) {
+        setGrowthProgress(0);
+    }
+    playing = true;
+    lastTime = null;
+    updateGrowthControls();
+    requestRender();
+}
+
+export function pauseGrowth() {
+    playing = false;
+    updateGrowthControls();
+}
+
+// Step to the previous or next completed stage
+export function stepGrowth(direction) {
+    pauseGrowth();
+    const target = direction > 0 ? Math.floor(progress) + 1 : Math.ceil(progress) - 1;
+    setGrowthProgress(target);
+}
+
+// Advance playback; call once per frame. Returns true while playing
+export function updateOntogeny(time = performance.now()) {
+    if (!playing) return false;
+
+    if (lastTime !== null) {
+        const elapsed = (time - lastTime) / 1000;
+        setGrowthProgress(progress + elapsed / STAGE_DURATION);
+    }
+    lastTime = time;
+
+    if (progress >= stages.length) {
+        pauseGrowth();
+    }
+    return playing;
+}
+
+// Scale each object by how far its stage has grown; instanced meshes reveal their instances in turn
+function applyGrowth() {
+    entries.forEach(entry => {
+        const amount = THREE.MathUtils.clamp(progress - entry.stage, 0, 1);
+        entry.object.userData.growthHidden = amount === 0;
+
+        if (entry.count !== null) {
+            entry.object.count = Math.ceil(entry.count * amount);
+            entry.object.scale.copy(entry.scale);
+        } else {
+            // Ease out so new chambers inflate quickly and settle into place
+            const grown = 1 - Math.pow(1 - amount, 3);
+            entry.object.scale.copy(entry.scale).multiplyScalar(Math.max(grown, HIDDEN_SCALE));
+        }
+    });
+
+    updatePendingLabels();
+}
+
+// Hide the labels of components that have not started growing
+function updatePendingLabels() {
+    components.forEach(component => {
+        const object = component.mesh || component.group;
+        if (!object || !component.labels) return;
+
+        let staged = false;
+        let grown = false;
+        object.traverse(child => {
+            if (typeof child.userData.growthStage !== 'number') return;
+            staged = true;
+            grown = grown || !child.userData.growthHidden;
+        });
+
+        component.labels.forEach(label => {
+            label.element.classList.toggle('label-pending', staged && !grown);
+        });
+    });
+}
+
+// Reflect the current stage in the growth card
+function updateGrowthControls() {
+    const panel = document.getElementById('growth-controls');
+    if (!panel) return;
+
+    panel.hidden = !hasGrowthStages();
+    if (panel.hidden) return;
+
+    const slider = document.getElementById('growth-timeline');
+    slider.max = stages.length;
+    slider.value = progress;
+
+    // The stage being formed, or the last one formed when between stages
+    const current = Math.ceil(progress) - 1;
+    document.getElementById('growth-stage-name').textContent = current < 0 ? t('growth.notStarted') : `${current + 1}. ${stages[current]}`;
+    document.getElementById('growth-play').textContent = t(playing ? 'growth.pause' : 'growth.play');
+}
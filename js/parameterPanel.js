@@ -0,0 +1,231 @@
+import * as THREE from 'three';
+import { t, onLocaleChange, translateFossil } from './i18n.js';
+
+// Model parameter panel for generated fossils
+// Descriptors with a parameters table build their model from its values: createModel(scene, values).
+// Each entry is either numeric ({ label, min, max, step, value, unit }) or a choice
+// ({ label, options: { key: label }, value }). Optional presets are { name, description, values }
+// sets of typical values, e.g. for genera. Moving a slider regenerates the model on the next frame.
+
+let currentDescriptor = null;
+let values = {};
+let onParametersChanged = null;
+let frameRequested = false;
+const commitListeners = [];
+
+// Bind the parameter card; parametersChanged(values) is called when the model should be regenerated
+export function initParameterPanel(parametersChanged) {
+    onParametersChanged = parametersChanged;
+
+    document.getElementById('parameter-preset').addEventListener('change', event => {
+        const preset = currentDescriptor && currentDescriptor.presets && currentDescriptor.presets[event.target.value];
+        if (!preset) return;
+
+        setValues({ ...getDefaults(currentDescriptor), ...preset.values });
+    });
+
+    document.getElementById('parameter-reset').addEventListener('click', () => {
+        if (currentDescriptor) {
+            setValues(getDefaults(currentDescriptor));
+        }
+    });
+
+    onLocaleChange(() => renderPanel());
+}
+
+// Show the parameters of a newly loaded fossil; returns the values its model should be built with
+export function attachParameterPanel(descriptor, requested = {}) {
+    currentDescriptor = descriptor && descriptor.parameters ? descriptor : null;
+    values = currentDescriptor ? resolveParameters(currentDescriptor, requested) : {};
+    renderPanel();
+    return { ...values };
+}
+
+// Current parameter values of the shown fossil
+export function getParameterValues() {
+    return { ...values };
+}
+
+// Parameters that differ from their defaults, as kept in shared links
+export function getChangedParameters() {
+    if (!currentDescriptor) return {};
+
+    const defaults = getDefaults(currentDescriptor);
+    const changed = {};
+    Object.keys(values).forEach(name => {
+        if (values[name] !== defaults[name]) {
+            changed[name] = values[name];
+        }
+    });
+    return changed;
+}
+
+// Complete a set of parameter values with defaults; numbers are clamped to their range and
+// snapped to their step, unknown options and names are dropped (values may be strings from a URL)
+export function resolveParameters(descriptor, requested = {}) {
+    const resolved = {};
+
+    Object.entries(descriptor.parameters || {}).forEach(([name, parameter]) => {
+        const value = requested[name];
+
+        if (parameter.options) {
+            resolved[name] = Object.prototype.hasOwnProperty.call(parameter.options, value) ? value : parameter.value;
+            return;
+        }
+
+        const number = parseFloat(value);
+        if (!Number.isFinite(number)) {
+            resolved[name] = parameter.value;
+            return;
+        }
+
+        const step = parameter.step || 1;
+        const snapped = parameter.min + Math.round((number - parameter.min) / step) * step;
+        // Round away floating-point noise from the step arithmetic
+        resolved[name] = parseFloat(THREE.MathUtils.clamp(snapped, parameter.min, parameter.max).toPrecision(10));
+    });
+
+    return resolved;
+}
+
+// Register a listener called when the user finishes a change (slider released, preset or option picked)
+export function onParametersCommitted(listener) {
+    commitListeners.push(listener);
+}
+
+function getDefaults(descriptor) {
+    return resolveParameters(descriptor, {});
+}
+
+// Apply a complete set of values from a preset or reset
+function setValues(next) {
+    values = resolveParameters(currentDescriptor, next);
+    renderPanel();
+    regenerate();
+    notifyCommitted();
+}
+
+// Change one parameter from its control
+function setValue(name, value) {
+    values = resolveParameters(currentDescriptor, { ...values, [name]: value });
+    updatePanelState();
+    scheduleRegenerate();
+}
+
+// Regenerate at most once per frame while a slider is dragged
+function scheduleRegenerate() {
+    if (frameRequested) return;
+
+    frameRequested = true;
+    requestAnimationFrame(() => {
+        frameRequested = false;
+        regenerate();
+    });
+}
+
+function regenerate() {
+    if (onParametersChanged && currentDescriptor) {
+        onParametersChanged({ ...values });
+    }
+}
+
+function notifyCommitted() {
+    commitListeners.forEach(listener => listener({ ...values }));
+}
+
+// Build one control per parameter in the current language
+function renderPanel() {
+    const panel = document.getElementById('parameter-controls');
+    if (!panel) return;
+
+    panel.hidden = !currentDescriptor;
+    const list = document.getElementById('parameter-list');
+    list.innerHTML = '';
+    if (!currentDescriptor) return;
+
+    const parameters = translateFossil(currentDescriptor, 'parameters');
+    Object.entries(parameters).forEach(([name, parameter]) => {
+        const id = `parameter-${name}`;
+        const row = document.createElement('div');
+        row.className = 'control-row';
+
+        const label = document.createElement('label');
+        label.htmlFor = id;
+        label.textContent = parameter.label;
+        row.appendChild(label);
+        list.appendChild(row);
+
+        if (parameter.options) {
+            const select = document.createElement('select');
+            select.id = id;
+            Object.entries(parameter.options).forEach(([key, text]) => {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = text;
+                select.appendChild(option);
+            });
+            select.value = values[name];
+            select.addEventListener('change', () => {
+                setValue(name, select.value);
+                notifyCommitted();
+            });
+            list.appendChild(select);
+            return;
+        }
+
+        const output = document.createElement('span');
+        output.id = `${id}-value`;
+        row.appendChild(output);
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.id = id;
+        slider.min = parameter.min;
+        slider.max = parameter.max;
+        slider.step = parameter.step || 1;
+        slider.value = values[name];
+        slider.addEventListener('input', () => setValue(name, slider.value));
+        slider.addEventListener('change', notifyCommitted);
+        list.appendChild(slider);
+    });
+
+    const presetSelect = document.getElementById('parameter-preset');
+    presetSelect.innerHTML = '';
+    const presets = translateFossil(currentDescriptor, 'presets') || {};
+    presetSelect.parentNode.hidden = Object.keys(presets).length === 0;
+
+    const custom = document.createElement('option');
+    custom.value = '';
+    custom.textContent = t('parameters.custom');
+    presetSelect.appendChild(custom);
+    Object.entries(presets).forEach(([key, preset]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = preset.name;
+        presetSelect.appendChild(option);
+    });
+
+    updatePanelState();
+}
+
+// Show the current values and the preset they match, if any
+function updatePanelState() {
+    if (!currentDescriptor) return;
+
+    Object.entries(currentDescriptor.parameters).forEach(([name, parameter]) => {
+        const output = document.getElementById(`parameter-${name}-value`);
+        if (output) {
+            output.textContent = `${values[name]}${parameter.unit || ''}`;
+        }
+    });
+
+    const presets = translateFossil(currentDescriptor, 'presets') || {};
+    const defaults = getDefaults(currentDescriptor);
+    const match = Object.keys(presets).find(key => {
+        const preset = resolveParameters(currentDescriptor, { ...defaults, ...presets[key].values });
+        return Object.keys(values).every(name => preset[name] === values[name]);
+    });
+
+    document.getElementById('parameter-preset').value = match || '';
+    document.getElementById('parameter-preset-note').textContent = match ? presets[match].description : '';
+}
@@ -0,0 +1,353 @@
+import * as THREE from 'three';
+import { getSectionPlane } from './crossSection.js';
+import { t, getComponentDescriptions } from './i18n.js';
+import { requestRender } from './renderLoop.js';
+
+// Outline colours for the hovered and the selected component
+const HOVER_COLOR = 0x3a86ff;
+const SELECT_COLOR = 0xff9f1c;
+
+// Outline thickness in model units
+const OUTLINE_THICKNESS = 0.02;
+
+// A pointer that moves less than this (in pixels) between press and release is a click
+const CLICK_TOLERANCE = 5;
+
+let scene, camera, domElement;
+let currentModel = null;
+let currentDescriptor = null;
+let enabled = true;
+let namesShown = true;
+
+const raycaster = new THREE.Raycaster();
+const pointer = new THREE.Vector2();
+let pointerDown = null;
+let pendingMove = null;
+
+// Meshes of the current model mapped to the component they belong to
+let meshComponents = new Map();
+
+// Outline meshes follow their source meshes from a separate group so they never become part of the model
+let outlineGroup = null;
+let hovered = null;
+let selected = null;
+const selectListeners = [];
+
+// Set up picking on the renderer's canvas
+export function initPicking(sceneRef, cameraRef, rendererRef) {
+    scene = sceneRef;
+    camera = cameraRef;
+    domElement = rendererRef.domElement;
+
+    outlineGroup = new THREE.Group();
+    outlineGroup.name = 'pickOutlines';
+    scene.add(outlineGroup);
+
+    domElement.addEventListener('pointermove', onPointerMove);
+    domElement.addEventListener('pointerdown', onPointerDown);
+    domElement.addEventListener('pointerup', onPointerUp);
+    domElement.addEventListener('pointerleave', () => setHovered(null));
+
+    document.getElementById('component-popover-close').addEventListener('click', () => selectComponent(null));
+}
+
+// Pick from a newly loaded model
+export function attachPicking(model, descriptor) {
+    setHovered(null);
+    selectComponent(null);
+
+    currentModel = model;
+    currentDescriptor = descriptor;
+    meshComponents = new Map();
+
+    (model.userData.components || []).forEach(component => {
+        const object = component.mesh || component.group;
+        if (!object) return;
+        object.traverse(child => {
+            if (child.isMesh) meshComponents.set(child, component);
+        });
+    });
+}
+
+// Turn picking off while another tool (e.g. measuring) uses the pointer
+export function setPickingEnabled(value) {
+    enabled = value;
+    if (!enabled) {
+        setHovered(null);
+    }
+}
+
+// Hide component names in the hover tooltip and the click popover (used by the quiz)
+export function setPickingNamesShown(value) {
+    namesShown = value;
+    if (!namesShown) {
+        document.getElementById('pick-tooltip').hidden = true;
+        document.getElementById('component-popover').hidden = true;
+    }
+}
+
+// Whether component names may be shown (false while the quiz hides them)
+export function areNamesShown() {
+    return namesShown;
+}
+
+// The currently selected component, if any
+export function getSelectedComponent() {
+    return selected ? selected.component : null;
+}
+
+// Subscribe to selection changes; the listener receives the component or null
+export function onComponentSelected(listener) {
+    selectListeners.push(listener);
+}
+
+// Select a component (or null to clear), outlining it and, unless popover is false, showing its description
+export function selectComponent(component, { popover = true } = {}) {
+    if (selected && selected.component === component) return;
+
+    clearOutline(selected);
+    selected = component ? { component, outlines: createOutlines(component, SELECT_COLOR) } : null;
+
+    // The hover outline would hide the selection outline of the same component
+    if (hovered && component && hovered.component === component) {
+        clearOutline(hovered);
+        hovered = null;
+    }
+
+    highlightToggle(component);
+    showPopover(popover ? component : null);
+    selectListeners.forEach(listener => listener(component));
+    requestRender();
+}
+
+// Outline a component as if the pointer were over it (keyboard navigation), or pass null to clear
+export function focusComponent(component) {
+    setHovered(component);
+}
+
+// Place the popover next to a component's centre on screen, for selections made without the pointer
+export function placePopoverNear(component) {
+    const object = component.mesh || component.group;
+    if (!object) return;
+
+    const center = new THREE.Box3().setFromObject(object).getCenter(new THREE.Vector3()).project(camera);
+    const rect = domElement.getBoundingClientRect();
+    positionPopover(rect.left + ((center.x + 1) / 2) * rect.width, rect.top + ((1 - center.y) / 2) * rect.height);
+}
+
+// Keep outlines on top of their moving source meshes and process the latest pointer move
+export function updatePicking() {
+    if (pendingMove) {
+        pickAt(pendingMove);
+        pendingMove = null;
+    }
+
+    [hovered, selected].forEach(entry => {
+        if (!entry) return;
+        entry.outlines.forEach(({ outline, source }) => {
+            outline.matrix.copy(source.matrixWorld);
+            outline.visible = isEffectivelyVisible(source);
+            if (source.isInstancedMesh) outline.count = source.count;
+        });
+    });
+}
+
+// Find the component under a point in normalized device coordinates
+export function pickComponent(x, y) {
+    if (!currentModel) return null;
+
+    pointer.set(x, y);
+    raycaster.setFromCamera(pointer, camera);
+
+    const meshes = Array.from(meshComponents.keys()).filter(isEffectivelyVisible);
+    const sectionPlane = getSectionPlane();
+
+    for (const hit of raycaster.intersectObjects(meshes, false)) {
+        // Ignore the part of the model removed by the cross section
+        if (sectionPlane && sectionPlane.distanceToPoint(hit.point) < 0) continue;
+
+        const component = meshComponents.get(hit.object);
+        if (component && component.visible !== false) {
+            return { component, instanceId: hit.instanceId, point: hit.point };
+        }
+    }
+
+    return null;
+}
+
+function onPointerMove(event) {
+    if (!enabled || event.buttons !== 0) return;
+
+    // Raycast once per frame at most, in the next frame drawn
+    pendingMove = { clientX: event.clientX, clientY: event.clientY };
+    requestRender();
+}
+
+function onPointerDown(event) {
+    pointerDown = { x: event.clientX, y: event.clientY };
+}
+
+function onPointerUp(event) {
+    if (!enabled || !pointerDown || event.button !== 0) return;
+
+    const moved = Math.hypot(event.clientX - pointerDown.x, event.clientY - pointerDown.y);
+    pointerDown = null;
+    if (moved > CLICK_TOLERANCE) return;
+
+    const hit = pickAtClient(event.clientX, event.clientY);
+    selectComponent(hit ? hit.component : null, { popover: namesShown });
+    if (hit) positionPopover(event.clientX, event.clientY);
+}
+
+function pickAt({ clientX, clientY }) {
+    const hit = pickAtClient(clientX, clientY);
+    setHovered(hit ? hit.component : null);
+
+    const tooltip = document.getElementById('pick-tooltip');
+    if (!hit) {
+        tooltip.hidden = true;
+        domElement.style.cursor = '';
+        return;
+    }
+
+    domElement.style.cursor = 'pointer';
+    if (!namesShown) return;
+
+    const rect = getOverlayRect();
+    const suffix = hit.instanceId !== undefined ? ` #${hit.instanceId + 1}` : '';
+    tooltip.textContent = (hit.component.displayName || hit.component.name) + suffix;
+    tooltip.style.left = `${clientX - rect.left + 14}px`;
+    tooltip.style.top = `${clientY - rect.top + 14}px`;
+    tooltip.hidden = false;
+}
+
+function pickAtClient(clientX, clientY) {
+    const rect = domElement.getBoundingClientRect();
+    const x = ((clientX - rect.left) / rect.width) * 2 - 1;
+    const y = -((clientY - rect.top) / rect.height) * 2 + 1;
+    return pickComponent(x, y);
+}
+
+function setHovered(component) {
+    if (hovered && hovered.component === component) return;
+
+    clearOutline(hovered);
+    hovered = null;
+
+    if (component && !(selected && selected.component === component)) {
+        hovered = { component, outlines: createOutlines(component, HOVER_COLOR) };
+    }
+
+    if (!component) {
+        const tooltip = document.getElementById('pick-tooltip');
+        if (tooltip) tooltip.hidden = true;
+    }
+    requestRender();
+}
+
+// Inverted-hull outline: back faces of each mesh pushed out along their normals
+function createOutlines(component, color) {
+    const outlines = [];
+    meshComponents.forEach((owner, source) => {
+        if (owner !== component) return;
+
+        const material = createOutlineMaterial(color, source.material);
+        const outline = source.isInstancedMesh
+            ? new THREE.InstancedMesh(source.geometry, material, source.count)
+            : new THREE.Mesh(source.geometry, material);
+
+        if (source.isInstancedMesh) {
+            outline.instanceMatrix = source.instanceMatrix;
+        }
+
+        outline.matrixAutoUpdate = false;
+        outline.matrix.copy(source.matrixWorld);
+        outline.raycast = () => {};
+        outlineGroup.add(outline);
+        outlines.push({ outline, source });
+    });
+    return outlines;
+}
+
+function createOutlineMaterial(color, sourceMaterial) {
+    const source = Array.isArray(sourceMaterial) ? sourceMaterial[0] : sourceMaterial;
+    const material = new THREE.MeshBasicMaterial({
+        color,
+        side: THREE.BackSide,
+        wireframe: Boolean(source && source.wireframe),
+        clippingPlanes: source ? source.clippingPlanes : null
+    });
+
+    material.onBeforeCompile = shader => {
+        shader.vertexShader = shader.vertexShader.replace(
+            '#include <begin_vertex>',
+            `#include <begin_vertex>\n    transformed += normalize(objectNormal) * ${OUTLINE_THICKNESS.toFixed(3)};`
+        );
+    };
+    return material;
+}
+
+function clearOutline(entry) {
+    if (!entry) return;
+    entry.outlines.forEach(({ outline }) => {
+        outlineGroup.remove(outline);
+        outline.material.dispose();
+    });
+}
+
+// Mark the component's checkbox and bring it into view
+function highlightToggle(component) {
+    document.querySelectorAll('.component-toggle.selected').forEach(toggle => toggle.classList.remove('selected'));
+    if (!component) return;
+
+    const checkbox = document.getElementById(`toggle-${component.name}`);
+    if (checkbox) {
+        const toggle = checkbox.closest('.component-toggle');
+        toggle.classList.add('selected');
+        toggle.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+}
+
+function showPopover(component) {
+    const popover = document.getElementById('component-popover');
+    if (!component) {
+        popover.hidden = true;
+        return;
+    }
+
+    const descriptions = currentDescriptor ? getComponentDescriptions(currentDescriptor) : {};
+    document.getElementById('component-popover-title').textContent = component.displayName || component.name;
+    document.getElementById('component-popover-text').textContent =
+        descriptions[component.name] || t('popover.noDescription');
+    popover.hidden = false;
+}
+
+// Place the popover next to the click, kept inside the viewer
+function positionPopover(clientX, clientY) {
+    const popover = document.getElementById('component-popover');
+    const container = getOverlayRect();
+    const width = popover.offsetWidth;
+    const height = popover.offsetHeight;
+
+    const left = Math.min(clientX - container.left + 16, container.width - width - 10);
+    const top = Math.min(clientY - container.top + 16, container.height - height - 10);
+    popover.style.left = `${Math.max(10, left)}px`;
+    popover.style.top = `${Math.max(10, top)}px`;
+}
+
+// Tooltip and popover are positioned inside the viewer container
+function getOverlayRect() {
+    return domElement.closest('.viewer-container').getBoundingClientRect();
+}
+
+function isEffectivelyVisible(object) {
+    // Not yet formed in the growth animation
+    if (object.userData.growthHidden) return false;
+
+    let current = object;
+    while (current) {
+        if (!current.visible) return false;
+        current = current.parent;
+    }
+    return true;
+}
@@ -0,0 +1,314 @@
+import { getFossils } from './fossilRegistry.js';
+import { selectComponent, onComponentSelected, setPickingNamesShown } from './picking.js';
+import { downloadBlob, toFileName } from './downloadUtils.js';
+import { t, getFossilName } from './i18n.js';
+import { suspendUrlState, resumeUrlState } from './urlState.js';
+
+// Self-assessment quiz with three kinds of question:
+// 'name'   - a component is outlined and the student picks its name
+// 'find'   - a component is named and the student clicks it on the model
+// 'fossil' - a random fossil is loaded with its name hidden and the student identifies it
+// Labels, component names and (for 'fossil') the selector and info panel are hidden meanwhile
+
+// Answer buttons offered per question
+const CHOICE_COUNT = 4;
+
+let loadFossil = null;
+let getModel = null;
+
+let quiz = null;
+let question = null;
+
+// Bind the quiz card; loadFossilCallback(id) loads a fossil (rejecting if it cannot) and getModelCallback()
+// returns the current model
+export function initQuiz(loadFossilCallback, getModelCallback) {
+    loadFossil = loadFossilCallback;
+    getModel = getModelCallback;
+
+    document.getElementById('quiz-start').addEventListener('click', () => {
+        startQuiz({
+            mode: document.getElementById('quiz-mode').value,
+            length: parseInt(document.getElementById('quiz-length').value, 10) || 10,
+            student: document.getElementById('quiz-student').value.trim()
+        });
+    });
+    document.getElementById('quiz-stop').addEventListener('click', finishQuiz);
+    document.getElementById('quiz-next').addEventListener('click', nextQuestion);
+    document.getElementById('quiz-export-json').addEventListener('click', () => exportResults('json'));
+    document.getElementById('quiz-export-csv').addEventListener('click', () => exportResults('csv'));
+
+    onComponentSelected(component => {
+        if (question && question.type === 'find' && !question.answered && component) {
+            answerQuestion(component.displayName || component.name);
+        }
+    });
+}
+
+function isQuizActive() {
+    return quiz !== null && !quiz.finishedAt;
+}
+
+// Start a new quiz, discarding any previous results
+export function startQuiz({ mode = 'name', length = 10, student = '' } = {}) {
+    quiz = {
+        mode,
+        length: Math.max(1, length),
+        student,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        answers: [],
+        // Fossils that failed to load are not asked about again
+        unavailable: []
+    };
+
+    // The address would name each fossil as it is loaded
+    suspendUrlState();
+    setQuizUi(true);
+    document.getElementById('quiz-results').hidden = true;
+    nextQuestion();
+}
+
+// End the quiz early or after the last question and show the results
+export function finishQuiz() {
+    if (!isQuizActive()) return;
+
+    quiz.finishedAt = new Date().toISOString();
+    question = null;
+    selectComponent(null);
+    setQuizUi(false);
+    resumeUrlState();
+    showResults();
+}
+
+// Score and answers of the current or last quiz
+export function getQuizResults() {
+    if (!quiz) return null;
+
+    return {
+        student: quiz.student,
+        mode: quiz.mode,
+        startedAt: quiz.startedAt,
+        finishedAt: quiz.finishedAt,
+        score: quiz.answers.filter(answer => answer.correct).length,
+        total: quiz.answers.length,
+        answers: quiz.answers.map(answer => ({ ...answer }))
+    };
+}
+
+async function nextQuestion() {
+    if (!isQuizActive()) return;
+    if (quiz.answers.length >= quiz.length) {
+        finishQuiz();
+        return;
+    }
+
+    selectComponent(null);
+    document.getElementById('quiz-feedback').textContent = '';
+    document.getElementById('quiz-next').hidden = true;
+
+    question = quiz.mode === 'fossil' ? await createFossilQuestion() : createComponentQuestion(quiz.mode);
+    if (!isQuizActive()) return;
+
+    if (!question) {
+        document.getElementById('quiz-prompt').textContent = t(quiz.mode === 'fossil' ? 'quiz.needFossils' : 'quiz.needComponents');
+        document.getElementById('quiz-choices').innerHTML = '';
+        return;
+    }
+
+    document.getElementById('quiz-progress').textContent = t('quiz.progress', { current: quiz.answers.length + 1, total: quiz.length });
+    document.getElementById('quiz-prompt').textContent = question.prompt;
+    renderChoices(question.choices);
+}
+
+// Outline a random component ('name') or ask for one to be clicked ('find')
+function createComponentQuestion(type) {
+    const model = getModel();
+    const components = (model && model.userData.components || []).filter(component => component.visible !== false);
+    if (components.length < 2) return null;
+
+    // Avoid asking about the same component twice in a row
+    const previous = quiz.answers.length > 0 ? quiz.answers[quiz.answers.length - 1].expected : null;
+    const candidates = components.filter(component => getName(component) !== previous);
+    const component = pickRandom(candidates.length > 0 ? candidates : components);
+    const expected = getName(component);
+
+    if (type === 'name') {
+        selectComponent(component, { popover: false });
+        return {
+            type,
+            expected,
+            prompt: t('quiz.promptName'),
+            choices: makeChoices(expected, components.map(getName))
+        };
+    }
+
+    return {
+        type,
+        expected,
+        prompt: t('quiz.promptFind', { name: expected }),
+        choices: [],
+        component
+    };
+}
+
+// Load a random fossil under a hidden name
+async function createFossilQuestion() {
+    const fossils = getFossils().filter(fossil => !quiz.unavailable.includes(fossil.id));
+    if (fossils.length < 2) return null;
+
+    const previous = quiz.answers.length > 0 ? quiz.answers[quiz.answers.length - 1].fossil : null;
+    const candidates = fossils.filter(fossil => fossil.id !== previous);
+    const fossil = pickRandom(candidates);
+
+    document.getElementById('quiz-prompt').textContent = t('quiz.loading');
+    try {
+        await loadFossil(fossil.id);
+    } catch (error) {
+        console.error(`Quiz could not load fossil "${fossil.id}":`, error);
+        quiz.unavailable.push(fossil.id);
+        return createFossilQuestion();
+    }
+
+    return {
+        type: 'fossil',
+        expected: getFossilName(fossil),
+        fossil: fossil.id,
+        prompt: t('quiz.promptFossil'),
+        choices: makeChoices(getFossilName(fossil), fossils.map(getFossilName))
+    };
+}
+
+function answerQuestion(answer) {
+    if (!question || question.answered) return;
+    question.answered = true;
+
+    const correct = answer === question.expected;
+    quiz.answers.push({
+        question: quiz.answers.length + 1,
+        type: question.type,
+        fossil: question.fossil || currentFossilId(),
+        prompt: question.prompt,
+        expected: question.expected,
+        answer,
+        correct,
+        answeredAt: new Date().toISOString()
+    });
+
+    // Show where the named structure really is
+    if (question.type === 'find') {
+        selectComponent(question.component, { popover: false });
+    }
+
+    document.querySelectorAll('#quiz-choices button').forEach(button => {
+        button.disabled = true;
+        button.classList.toggle('correct', button.textContent === question.expected);
+        button.classList.toggle('wrong', button.textContent === answer && !correct);
+    });
+
+    const feedback = document.getElementById('quiz-feedback');
+    feedback.textContent = correct ? t('quiz.correct') : t('quiz.wrong', { answer: question.expected });
+    feedback.className = correct ? 'quiz-feedback correct' : 'quiz-feedback wrong';
+
+    document.getElementById('quiz-score').textContent = t('quiz.score', { score: quiz.answers.filter(entry => entry.correct).length, total: quiz.answers.length });
+    const next = document.getElementById('quiz-next');
+    next.textContent = t(quiz.answers.length >= quiz.length ? 'quiz.seeResults' : 'quiz.next');
+    next.hidden = false;
+}
+
+function renderChoices(choices) {
+    const container = document.getElementById('quiz-choices');
+    container.innerHTML = '';
+
+    choices.forEach(choice => {
+        const button = document.createElement('button');
+        button.textContent = choice;
+        button.addEventListener('click', () => answerQuestion(choice));
+        container.appendChild(button);
+    });
+}
+
+function showResults() {
+    const results = getQuizResults();
+    const percent = results.total > 0 ? Math.round((results.score / results.total) * 100) : 0;
+    document.getElementById('quiz-summary').textContent =
+        t('quiz.summary', { score: results.score, total: results.total, percent });
+
+    const list = document.getElementById('quiz-mistakes');
+    list.innerHTML = '';
+    results.answers.filter(answer => !answer.correct).forEach(answer => {
+        const item = document.createElement('li');
+        item.textContent = t('quiz.mistake', { question: answer.question, answer: answer.answer, expected: answer.expected });
+        list.appendChild(item);
+    });
+    document.getElementById('quiz-mistakes-title').hidden = list.children.length === 0;
+
+    document.getElementById('quiz-results').hidden = false;
+}
+
+// Download the results for an instructor
+function exportResults(format) {
+    const results = getQuizResults();
+    if (!results) return;
+
+    const baseName = ['quiz', results.student && toFileName(results.student), results.startedAt.slice(0, 10)].filter(Boolean).join('-');
+    if (format === 'csv') {
+        downloadBlob(new Blob([toCsv(results)], { type: 'text/csv' }), `${baseName}.csv`);
+    } else {
+        downloadBlob(new Blob([JSON.stringify(results, null, 2)], { type: 'application/json' }), `${baseName}.json`);
+    }
+}
+
+// One row per answer; the student and timestamps repeat so rows from several files can be merged
+function toCsv(results) {
+    const columns = ['student', 'question', 'type', 'fossil', 'expected', 'answer', 'correct', 'answeredAt'];
+    const rows = results.answers.map(answer => columns.map(column =>
+        column === 'student' ? results.student : answer[column]
+    ));
+
+    return [columns, ...rows].map(row => row.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function toCsvField(value) {
+    const text = String(value === undefined || value === null ? '' : value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Hide everything that would give the answers away while a quiz runs
+function setQuizUi(active) {
+    document.body.classList.toggle('quiz-active', active);
+    document.body.classList.toggle('quiz-fossil-mode', active && quiz.mode === 'fossil');
+    setPickingNamesShown(!active);
+
+    document.getElementById('quiz-setup').hidden = active;
+    document.getElementById('quiz-question').hidden = !active;
+    if (active) {
+        document.getElementById('quiz-score').textContent = t('quiz.score', { score: 0, total: 0 });
+    }
+}
+
+// The correct answer plus distinct wrong ones, in random order
+function makeChoices(expected, names) {
+    const others = shuffle([...new Set(names)].filter(name => name !== expected));
+    return shuffle([expected, ...others.slice(0, CHOICE_COUNT - 1)]);
+}
+
+function currentFossilId() {
+    const select = document.getElementById('fossil-select');
+    return select ? select.value : '';
+}
+
+function getName(component) {
+    return component.displayName || component.name;
+}
+
+function pickRandom(items) {
+    return items[Math.floor(Math.random() * items.length)];
+}
+
+function shuffle(items) {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+}
@@ -0,0 +1,320 @@
+import * as THREE from 'three';
+import { drawOverlays } from './screenshot.js';
+import { getCrossSectionState, setCrossSectionState, getSectionRange } from './crossSection.js';
+import { createZip } from './zipWriter.js';
+import { interpolateView, viewFromArrays } from './cameraPath.js';
+import { downloadBlob, canvasToBlob, toFileName } from './downloadUtils.js';
+import { t, onLocaleChange } from './i18n.js';
+import { requestRender } from './renderLoop.js';
+
+// Animation recorder: moves the camera around a turntable or through saved viewpoints,
+// optionally sweeping the cross section, and captures each frame with its labels
+// Frames go to WebM through the browser's own MediaRecorder or to a ZIP of numbered PNGs
+
+const VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+let camera, renderer, controls;
+let renderFrame = null;
+let fossilName = 'fossil';
+
+let keyframes = [];
+let recording = false;
+let cancelled = false;
+
+// Bind the recording card; renderFrame draws one complete frame of the main viewer
+export function initRecorder(cameraRef, rendererRef, controlsRef, renderFrameCallback) {
+    camera = cameraRef;
+    renderer = rendererRef;
+    controls = controlsRef;
+    renderFrame = renderFrameCallback;
+
+    const pathSelect = document.getElementById('record-path');
+    pathSelect.addEventListener('change', () => {
+        document.getElementById('record-keyframes').hidden = pathSelect.value !== 'keyframes';
+    });
+
+    document.getElementById('record-add-keyframe').addEventListener('click', addKeyframe);
+    document.getElementById('record-clear-keyframes').addEventListener('click', () => {
+        keyframes = [];
+        updateKeyframeList();
+    });
+
+    // Browsers without MediaRecorder can still export image sequences
+    if (!getVideoType()) {
+        const webmOption = document.querySelector('#record-format option[value="webm"]');
+        webmOption.disabled = true;
+        document.getElementById('record-format').value = 'png';
+    }
+
+    document.getElementById('record-start').addEventListener('click', () => {
+        if (recording) {
+            cancelled = true;
+        } else {
+            startRecording();
+        }
+    });
+
+    updateKeyframeList();
+    onLocaleChange(() => {
+        updateKeyframeList();
+        setRecordingUi(recording);
+    });
+}
+
+// Name recordings after the current fossil; saved viewpoints belong to the previous one
+export function setRecorderFossil(descriptor) {
+    fossilName = descriptor ? descriptor.displayName : 'fossil';
+    keyframes = [];
+    updateKeyframeList();
+}
+
+// Record with the options chosen in the card
+async function startRecording() {
+    const options = {
+        path: document.getElementById('record-path').value,
+        duration: parseFloat(document.getElementById('record-duration').value) || 8,
+        fps: parseInt(document.getElementById('record-fps').value, 10) || 30,
+        format: document.getElementById('record-format').value,
+        labels: document.getElementById('record-labels').checked,
+        sectionSweep: document.getElementById('record-section-sweep').checked
+    };
+
+    try {
+        await recordAnimation(options);
+    } catch (error) {
+        console.error('Recording failed:', error);
+        setStatus(t('record.failed'));
+    }
+}
+
+// Drive the camera through the chosen path and capture every frame
+export async function recordAnimation({ path = 'turntable', duration = 8, fps = 30, format = 'webm', labels = true, sectionSweep = false } = {}) {
+    if (recording) return;
+
+    const cameraPath = path === 'keyframes' ? createKeyframePath() : createTurntablePath();
+    if (!cameraPath) {
+        setStatus(t('record.needKeyframes'));
+        return;
+    }
+
+    const frameCount = Math.max(2, Math.round(duration * fps));
+    const sectionState = getCrossSectionState();
+    const sectionRange = getSectionRange();
+
+    // Even dimensions keep video encoders happy
+    const canvas = document.createElement('canvas');
+    canvas.width = renderer.domElement.width - (renderer.domElement.width % 2);
+    canvas.height = renderer.domElement.height - (renderer.domElement.height % 2);
+    const context = canvas.getContext('2d');
+
+    const writer = format === 'png' ? createFrameSequence(canvas) : createVideo(canvas, fps);
+
+    recording = true;
+    cancelled = false;
+    controls.enabled = false;
+    setRecordingUi(true);
+
+    try {
+        for (let i = 0; i < frameCount && !cancelled; i++) {
+            // A turntable loops, so its last frame stops one step short of the first
+            const progress = cameraPath.loop ? i / frameCount : i / (frameCount - 1);
+            cameraPath.apply(progress);
+
+            if (sectionSweep) {
+                setCrossSectionState({ ...sectionState, enabled: true, offset: sectionRange * (1 - 2 * progress) });
+            }
+
+            renderFrame();
+            context.drawImage(renderer.domElement, 0, 0, canvas.width, canvas.height);
+            drawOverlays(context, canvas.width, canvas.height, { labels, scaleBar: labels });
+
+            await writer.addFrame(i);
+            setStatus(t('record.progress', { current: i + 1, total: frameCount }));
+        }
+
+        if (cancelled) {
+            writer.cancel();
+            setStatus(t('record.cancelled'));
+            return;
+        }
+
+        setStatus(t('record.encoding'));
+        const blob = await writer.finish();
+        const extension = format === 'png' ? 'zip' : 'webm';
+        downloadBlob(blob, `${toFileName(fossilName)}-${path}.${extension}`);
+        setStatus(t('record.saved', { count: frameCount }));
+    } catch (error) {
+        // Stop the stream so a failed recording does not keep capturing in the background
+        writer.cancel();
+        console.error('Recording failed:', error);
+        setStatus(t('record.failed'));
+    } finally {
+        // Leave a turntable facing the way it started
+        if (cameraPath.loop) {
+            cameraPath.apply(0);
+        }
+        if (sectionSweep) {
+            setCrossSectionState(sectionState);
+        }
+        controls.enabled = true;
+        recording = false;
+        setRecordingUi(false);
+        requestRender();
+    }
+}
+
+// Full turn around the vertical axis through the orbit target, starting from the current view
+function createTurntablePath() {
+    const target = controls.target.clone();
+    const offset = camera.position.clone().sub(target);
+    const axis = camera.up.clone().normalize();
+
+    return {
+        loop: true,
+        apply(progress) {
+            camera.position.copy(target).add(offset.clone().applyAxisAngle(axis, progress * Math.PI * 2));
+            camera.lookAt(target);
+        }
+    };
+}
+
+// Move through the saved viewpoints, easing in and out of each one
+function createKeyframePath() {
+    if (keyframes.length < 2) return null;
+
+    const views = keyframes.map(viewFromArrays);
+    const target = new THREE.Vector3();
+
+    return {
+        loop: false,
+        apply(progress) {
+            const segment = Math.min(Math.floor(progress * (views.length - 1)), views.length - 2);
+            const local = THREE.MathUtils.smoothstep(progress * (views.length - 1) - segment, 0, 1);
+
+            interpolateView(views[segment], views[segment + 1], local, camera.position, target);
+            controls.target.copy(target);
+            camera.lookAt(target);
+        }
+    };
+}
+
+// Real-time WebM capture: each frame is pushed to the stream and held for one frame period
+function createVideo(canvas, fps) {
+    const stream = canvas.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const mediaRecorder = new MediaRecorder(stream, { mimeType: getVideoType(), videoBitsPerSecond: 8000000 });
+    const chunks = [];
+    const frameTime = 1000 / fps;
+    let nextFrameAt = performance.now();
+
+    mediaRecorder.addEventListener('dataavailable', event => {
+        if (event.data.size > 0) chunks.push(event.data);
+    });
+    mediaRecorder.start();
+
+    return {
+        addFrame() {
+            track.requestFrame();
+            nextFrameAt += frameTime;
+            return new Promise(resolve => setTimeout(resolve, Math.max(0, nextFrameAt - performance.now())));
+        },
+        finish() {
+            return new Promise(resolve => {
+                mediaRecorder.addEventListener('stop', () => {
+                    track.stop();
+                    resolve(new Blob(chunks, { type: 'video/webm' }));
+                });
+                mediaRecorder.stop();
+            });
+        },
+        cancel() {
+            if (mediaRecorder.state !== 'inactive') {
+                mediaRecorder.stop();
+            }
+            track.stop();
+        }
+    };
+}
+
+// Numbered PNG frames collected into a ZIP archive
+function createFrameSequence(canvas) {
+    const files = [];
+    const baseName = toFileName(fossilName);
+
+    return {
+        async addFrame(index) {
+            const blob = await canvasToBlob(canvas);
+            files.push({
+                name: `${baseName}-${String(index + 1).padStart(4, '0')}.png`,
+                data: new Uint8Array(await blob.arrayBuffer())
+            });
+        },
+        finish() {
+            return Promise.resolve(createZip(files));
+        },
+        cancel() {
+            files.length = 0;
+        }
+    };
+}
+
+function getVideoType() {
+    if (typeof MediaRecorder === 'undefined') return null;
+    return VIDEO_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+// Save the current camera as a viewpoint
+function addKeyframe() {
+    keyframes.push({
+        position: camera.position.toArray(),
+        target: controls.target.toArray()
+    });
+    updateKeyframeList();
+}
+
+function updateKeyframeList() {
+    const list = document.getElementById('record-keyframe-list');
+    list.innerHTML = '';
+
+    keyframes.forEach((keyframe, index) => {
+        const item = document.createElement('li');
+
+        const goButton = document.createElement('button');
+        goButton.className = 'record-keyframe-go';
+        goButton.textContent = t('record.keyframe', { number: index + 1 });
+        goButton.title = t('record.goToKeyframe');
+        goButton.addEventListener('click', () => {
+            camera.position.fromArray(keyframe.position);
+            controls.target.fromArray(keyframe.target);
+            controls.update();
+        });
+
+        const removeButton = document.createElement('button');
+        removeButton.className = 'record-keyframe-remove';
+        removeButton.textContent = '×';
+        removeButton.title = t('record.removeKeyframe');
+        removeButton.addEventListener('click', () => {
+            keyframes.splice(index, 1);
+            updateKeyframeList();
+        });
+
+        item.appendChild(goButton);
+        item.appendChild(removeButton);
+        list.appendChild(item);
+    });
+
+    document.getElementById('record-clear-keyframes').disabled = keyframes.length === 0;
+}
+
+function setRecordingUi(isRecording) {
+    const button = document.getElementById('record-start');
+    button.textContent = t(isRecording ? 'record.stop' : 'record.start');
+    button.classList.toggle('active', isRecording);
+    document.querySelectorAll('.record-controls select, .record-controls input').forEach(input => {
+        input.disabled = isRecording;
+    });
+}
+
+function setStatus(text) {
+    document.getElementById('record-status').textContent = text;
+}
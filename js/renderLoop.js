@@ -0,0 +1,27 @@
+// Render on demand
+// Nothing is drawn while the view is still. Modules call requestRender() after changing anything
+// visible (camera, materials, visibility, labels, …) and one frame is drawn on the next animation
+// frame; several requests in the same frame are merged. The render callback returns true while an
+// animation (camera damping, a tour transition, growth playback, …) needs further frames.
+
+let render = null;
+let frameRequested = false;
+
+// Start drawing with the given callback, which returns true to keep animating
+export function initRenderLoop(renderCallback) {
+    render = renderCallback;
+    requestRender();
+}
+
+// Draw a frame soon
+export function requestRender() {
+    if (frameRequested || !render) return;
+
+    frameRequested = true;
+    requestAnimationFrame(() => {
+        frameRequested = false;
+        if (render()) {
+            requestRender();
+        }
+    });
+}
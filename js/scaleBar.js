@@ -0,0 +1,52 @@
+import { niceNumber, formatLength } from './units.js';
+
+// Preferred on-screen length of the bar in pixels
+const TARGET_WIDTH = 120;
+
+let camera, controls, domElement;
+let micronsPerUnit = null;
+let lastText = '';
+let lastWidth = 0;
+
+// Set up the scale bar overlay for a perspective camera orbiting controls.target
+export function initScaleBar(cameraRef, controlsRef, rendererRef) {
+    camera = cameraRef;
+    controls = controlsRef;
+    domElement = rendererRef.domElement;
+}
+
+// Use the scale of the current fossil
+export function setScaleBarScale(descriptor) {
+    micronsPerUnit = descriptor ? descriptor.micronsPerUnit || null : null;
+    lastText = '';
+}
+
+// Resize the bar to the scale at the orbit target; call once per frame
+export function updateScaleBar() {
+    const bar = document.getElementById('scale-bar');
+    if (!bar || !camera || domElement.clientHeight === 0) return;
+
+    const { width, text } = measureScaleBar(domElement.clientHeight);
+    if (text === lastText && width === lastWidth) return;
+    lastText = text;
+    lastWidth = width;
+
+    bar.querySelector('.scale-bar-line').style.width = `${width}px`;
+    bar.querySelector('.scale-bar-label').textContent = text;
+}
+
+// Length and label of a scale bar for an image of the given height in pixels
+// pixelScale enlarges the bar for images rendered above screen resolution
+export function measureScaleBar(imageHeight, pixelScale = 1) {
+    // Model units covered by one pixel at the distance of the orbit target
+    const distance = camera.position.distanceTo(controls.target);
+    const visibleHeight = 2 * distance * Math.tan((camera.fov * Math.PI) / 360) / camera.zoom;
+    const unitsPerPixel = visibleHeight / imageHeight;
+
+    const realPerPixel = unitsPerPixel * (micronsPerUnit || 1);
+    const length = niceNumber(realPerPixel * TARGET_WIDTH * pixelScale);
+    return {
+        width: Math.round(length / realPerPixel),
+        text: formatLength(length / (micronsPerUnit || 1), micronsPerUnit)
+    };
+}
@@ -0,0 +1,320 @@
+import * as THREE from 'three';
+import { CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
+import { measureScaleBar } from './scaleBar.js';
+import { downloadCanvas, toFileName } from './downloadUtils.js';
+import { t } from './i18n.js';
+
+// Figure export: renders the scene at a multiple of the viewport size and draws the labels
+// (which are DOM overlays) and the scale bar into the image
+
+// Vertices sampled per mesh when looking for the point a leader line should touch
+const LEADER_SAMPLES = 2000;
+
+// Interaction aids of the viewer that are hidden while a figure is rendered
+const VIEWER_AIDS = ['sectionGizmo', 'sectionPlane', 'pickOutlines'];
+
+let scene, camera, renderer;
+let getLabelsVisible = () => true;
+let fossilName = 'fossil';
+let exporting = false;
+
+// Bind the image export card; labelsVisible() returns the viewer's label toggle
+export function initScreenshot(sceneRef, cameraRef, rendererRef, labelsVisible) {
+    scene = sceneRef;
+    camera = cameraRef;
+    renderer = rendererRef;
+    if (labelsVisible) getLabelsVisible = labelsVisible;
+
+    document.getElementById('export-screenshot').addEventListener('click', () => {
+        exportScreenshot({
+            scale: parseFloat(document.getElementById('screenshot-scale').value) || 1,
+            transparent: document.getElementById('screenshot-transparent').checked,
+            labels: document.getElementById('screenshot-labels').checked,
+            scaleBar: document.getElementById('screenshot-scale-bar').checked
+        });
+    });
+
+    document.getElementById('screenshot-scale').addEventListener('change', updateScreenshotSize);
+    window.addEventListener('resize', updateScreenshotSize);
+    updateScreenshotSize();
+}
+
+// Name exported images after the current fossil
+export function setScreenshotFossil(descriptor) {
+    fossilName = descriptor ? descriptor.displayName : 'fossil';
+}
+
+// Render a figure and download it as PNG
+export async function exportScreenshot(options = {}) {
+    if (exporting) return;
+    exporting = true;
+    const status = document.getElementById('screenshot-status');
+    status.textContent = t('screenshot.rendering');
+
+    try {
+        const canvas = captureScreenshot(options);
+        await downloadCanvas(canvas, `${toFileName(fossilName)}-figure.png`);
+        status.textContent = t('screenshot.saved', { width: canvas.width, height: canvas.height });
+    } catch (error) {
+        console.error('Screenshot export failed:', error);
+        status.textContent = t('export.failed');
+    } finally {
+        exporting = false;
+    }
+}
+
+// Render the current view to a canvas scaled from the viewport size
+export function captureScreenshot({ scale = 2, transparent = false, labels = true, scaleBar = true } = {}) {
+    const { width, height } = getOutputSize(scale);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+
+    context.drawImage(renderScene(width, height, transparent), 0, 0);
+    drawOverlays(context, width, height, { labels, scaleBar });
+    return canvas;
+}
+
+// Draw the labels and scale bar over an image of the viewport rendered at any size
+export function drawOverlays(context, width, height, { labels = true, scaleBar = true } = {}) {
+    const factor = width / renderer.domElement.clientWidth;
+
+    if (labels) {
+        drawLabels(context, width, height, factor);
+    }
+    if (scaleBar) {
+        drawScaleBar(context, width, height, factor);
+    }
+}
+
+// Output size for a scale factor, limited to what the GPU can render
+function getOutputSize(scale) {
+    const viewportWidth = renderer.domElement.clientWidth;
+    const viewportHeight = renderer.domElement.clientHeight;
+    const maxSize = renderer.capabilities.maxTextureSize;
+    const fit = Math.min(scale, maxSize / viewportWidth, maxSize / viewportHeight);
+
+    return {
+        width: Math.round(viewportWidth * fit),
+        height: Math.round(viewportHeight * fit)
+    };
+}
+
+// Draw the scene with a separate renderer so the on-screen canvas is not disturbed
+function renderScene(width, height, transparent) {
+    const offscreen = new THREE.WebGLRenderer({ antialias: true, alpha: true, preserveDrawingBuffer: true });
+    offscreen.setPixelRatio(1);
+    offscreen.setSize(width, height, false);
+    offscreen.localClippingEnabled = renderer.localClippingEnabled;
+    offscreen.outputColorSpace = renderer.outputColorSpace;
+    offscreen.toneMapping = renderer.toneMapping;
+
+    const background = scene.background;
+    const aids = VIEWER_AIDS.map(name => scene.getObjectByName(name)).filter(Boolean);
+    const aidsVisible = aids.map(aid => aid.visible);
+    aids.forEach(aid => {
+        aid.visible = false;
+    });
+    if (transparent) {
+        scene.background = null;
+        offscreen.setClearColor(0x000000, 0);
+    }
+
+    try {
+        offscreen.render(scene, camera);
+
+        // Copy out before the context is released
+        const image = document.createElement('canvas');
+        image.width = width;
+        image.height = height;
+        image.getContext('2d').drawImage(offscreen.domElement, 0, 0);
+        return image;
+    } finally {
+        scene.background = background;
+        aids.forEach((aid, index) => {
+            aid.visible = aidsVisible[index];
+        });
+        offscreen.dispose();
+        offscreen.forceContextLoss();
+    }
+}
+
+// Draw each visible label as a box, with a leader line to the nearest point of its component
+function drawLabels(context, width, height, factor) {
+    const labels = [];
+    scene.traverseVisible(object => {
+        if (object instanceof CSS2DObject && isLabelShown(object)) {
+            labels.push(object);
+        }
+    });
+
+    const position = new THREE.Vector3();
+    labels.forEach(label => {
+        label.getWorldPosition(position);
+        const screen = toScreen(position, width, height);
+        if (!screen) return;
+
+        const style = window.getComputedStyle(label.element);
+        const component = label.userData.component;
+
+        if (component) {
+            const anchor = findAnchor(component, position);
+            const anchorScreen = anchor && toScreen(anchor, width, height);
+            if (anchorScreen) {
+                drawLeader(context, screen, anchorScreen, style, factor);
+            }
+        }
+
+        drawLabelBox(context, label.element.textContent, screen, style, factor);
+    });
+}
+
+// Labels the user has turned off, labels of hidden components and labels of chambers the growth
+// animation has not reached are left out
+function isLabelShown(label) {
+    if (!getLabelsVisible() || label.element.classList.contains('label-pending')) return false;
+
+    const component = label.userData.component;
+    return !component || component.visible !== false;
+}
+
+function toScreen(position, width, height) {
+    const ndc = position.clone().project(camera);
+    if (ndc.z < -1 || ndc.z > 1) return null;
+    return { x: (ndc.x + 1) / 2 * width, y: (1 - ndc.y) / 2 * height };
+}
+
+// Closest sampled vertex of a component to its label
+function findAnchor(component, labelPosition) {
+    const object = component.mesh || component.group;
+    if (!object) return null;
+
+    let best = null;
+    let bestDistance = Infinity;
+    const point = new THREE.Vector3();
+    const instanceMatrix = new THREE.Matrix4();
+
+    object.traverseVisible(child => {
+        if (!child.isMesh || child.userData.growthHidden || !child.geometry.attributes.position) return;
+
+        if (child.isInstancedMesh) {
+            for (let i = 0; i < child.count; i++) {
+                child.getMatrixAt(i, instanceMatrix);
+                point.setFromMatrixPosition(instanceMatrix).applyMatrix4(child.matrixWorld);
+                consider(point);
+            }
+            return;
+        }
+
+        const positions = child.geometry.attributes.position;
+        const step = Math.max(1, Math.floor(positions.count / LEADER_SAMPLES));
+        for (let i = 0; i < positions.count; i += step) {
+            point.fromBufferAttribute(positions, i).applyMatrix4(child.matrixWorld);
+            consider(point);
+        }
+    });
+
+    function consider(candidate) {
+        const distance = candidate.distanceToSquared(labelPosition);
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = candidate.clone();
+        }
+    }
+
+    return best;
+}
+
+function drawLeader(context, from, to, style, factor) {
+    // Too short to be worth drawing; the label already sits on its component
+    if (Math.hypot(to.x - from.x, to.y - from.y) < 12 * factor) return;
+
+    context.save();
+    context.strokeStyle = style.backgroundColor;
+    context.fillStyle = style.backgroundColor;
+    context.lineWidth = 1.5 * factor;
+    context.beginPath();
+    context.moveTo(from.x, from.y);
+    context.lineTo(to.x, to.y);
+    context.stroke();
+    context.beginPath();
+    context.arc(to.x, to.y, 2.5 * factor, 0, Math.PI * 2);
+    context.fill();
+    context.restore();
+}
+
+// Rounded box centred on the label position, matching the label's CSS
+function drawLabelBox(context, text, center, style, factor) {
+    const fontSize = (parseFloat(style.fontSize) || 12) * factor;
+    const paddingX = (parseFloat(style.paddingLeft) || 8) * factor;
+    const paddingY = (parseFloat(style.paddingTop) || 5) * factor;
+    const radius = (parseFloat(style.borderTopLeftRadius) || 6) * factor;
+
+    context.save();
+    context.font = `${style.fontWeight || 500} ${fontSize}px ${style.fontFamily || 'sans-serif'}`;
+    const boxWidth = context.measureText(text).width + paddingX * 2;
+    const boxHeight = fontSize * 1.2 + paddingY * 2;
+    const x = center.x - boxWidth / 2;
+    const y = center.y - boxHeight / 2;
+
+    context.fillStyle = style.backgroundColor || 'rgba(0, 0, 0, 0.7)';
+    context.beginPath();
+    context.roundRect(x, y, boxWidth, boxHeight, radius);
+    context.fill();
+
+    context.fillStyle = style.color || 'white';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(text, center.x, center.y);
+    context.restore();
+}
+
+// Scale bar in the bottom-left corner, as on screen
+function drawScaleBar(context, width, height, factor) {
+    const bar = measureScaleBar(height, factor);
+    const margin = 15 * factor;
+    const padding = 6 * factor;
+    const fontSize = 12 * factor;
+
+    context.save();
+    context.font = `500 ${fontSize}px sans-serif`;
+    const boxWidth = Math.max(bar.width, context.measureText(bar.text).width) + padding * 2;
+    const boxHeight = 8 * factor + fontSize * 1.4 + padding * 2;
+    const x = margin;
+    const y = height - margin - boxHeight;
+
+    context.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    context.beginPath();
+    context.roundRect(x, y, boxWidth, boxHeight, 6 * factor);
+    context.fill();
+
+    // Bracket-shaped bar: a base line with end ticks
+    const barX = x + (boxWidth - bar.width) / 2;
+    const barY = y + padding + 6 * factor;
+    context.strokeStyle = '#212529';
+    context.lineWidth = 2 * factor;
+    context.beginPath();
+    context.moveTo(barX, barY - 6 * factor);
+    context.lineTo(barX, barY);
+    context.lineTo(barX + bar.width, barY);
+    context.lineTo(barX + bar.width, barY - 6 * factor);
+    context.stroke();
+
+    context.fillStyle = '#212529';
+    context.textAlign = 'center';
+    context.textBaseline = 'top';
+    context.fillText(bar.text, x + boxWidth / 2, barY + 4 * factor);
+    context.restore();
+}
+
+// Show the pixel size of the image that will be exported
+function updateScreenshotSize() {
+    const select = document.getElementById('screenshot-scale');
+    const sizeLabel = document.getElementById('screenshot-size');
+    if (!renderer.domElement.clientWidth) return;
+
+    const { width, height } = getOutputSize(parseFloat(select.value) || 1);
+    sizeLabel.textContent = `${width} × ${height} px`;
+}
@@ -0,0 +1,461 @@
+import * as THREE from 'three';
+import { PLYLoader } from 'three/addons/loaders/PLYLoader.js';
+import { STLLoader } from 'three/addons/loaders/STLLoader.js';
+import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { addLabel } from './labelUtils.js';
+import { registerFossil, getFossil } from './fossilRegistry.js';
+import { toFileName } from './downloadUtils.js';
+import { t } from './i18n.js';
+
+export const MESH_EXTENSIONS = ['ply', 'stl', 'obj', 'glb', 'gltf'];
+export const INFO_EXTENSIONS = ['md', 'markdown', 'html', 'htm'];
+
+// Imported specimens are scaled so their largest dimension matches the built-in models
+const TARGET_SIZE = 3;
+
+// Length of one file unit in micrometres
+const FILE_UNITS = {
+    um: 1,
+    mm: 1000
+};
+
+const DEFAULT_COLORS = [0xd9c9a8, 0x8ecae6, 0xffb703, 0x90be6d, 0xe76f51, 0xb5838d];
+
+// Note sections with these headings become the reference list
+const REFERENCE_HEADING = /reference|source|literature|bibliograph/i;
+
+let onImported = null;
+
+// Set up the import button, file picker and drag-and-drop on the viewer
+// onSpecimenImported receives the id of the newly registered fossil
+export function initSpecimenImport(onSpecimenImported) {
+    onImported = onSpecimenImported;
+
+    const input = document.getElementById('specimen-file');
+    document.getElementById('import-specimen').addEventListener('click', () => input.click());
+    input.addEventListener('change', () => {
+        importFiles(Array.from(input.files));
+        input.value = '';
+    });
+
+    const container = document.getElementById('model-container');
+    container.addEventListener('dragover', event => {
+        event.preventDefault();
+        container.classList.add('drop-active');
+    });
+    container.addEventListener('dragleave', () => container.classList.remove('drop-active'));
+    container.addEventListener('drop', event => {
+        event.preventDefault();
+        container.classList.remove('drop-active');
+        importFiles(Array.from(event.dataTransfer.files));
+    });
+}
+
+// Import a mesh file, optionally with an info file, and register it as a fossil
+export async function importFiles(files) {
+    const status = document.getElementById('import-status');
+    const meshFile = files.find(file => MESH_EXTENSIONS.includes(getExtension(file.name)));
+    const infoFile = files.find(file => INFO_EXTENSIONS.includes(getExtension(file.name)));
+
+    if (!meshFile) {
+        status.textContent = t('import.chooseMesh', { formats: MESH_EXTENSIONS.join(', ').toUpperCase() });
+        return null;
+    }
+
+    status.textContent = t('import.loading', { file: meshFile.name });
+
+    try {
+        const units = document.getElementById('specimen-units').value;
+        const infoText = infoFile ? await infoFile.text() : null;
+        const descriptor = await createSpecimenDescriptor(meshFile, { units, infoText, infoFile: infoFile && infoFile.name });
+
+        registerFossil(descriptor);
+        status.textContent = '';
+
+        if (onImported) {
+            onImported(descriptor.id);
+        }
+        return descriptor;
+    } catch (error) {
+        console.error(`Failed to import ${meshFile.name}:`, error);
+        status.textContent = t('import.failed', { file: meshFile.name });
+        return null;
+    }
+}
+
+// Parse a mesh file into a fossil descriptor
+export async function createSpecimenDescriptor(file, { units = 'none', infoText = null, infoFile = null } = {}) {
+    const extension = getExtension(file.name);
+    const object = await parseMesh(file, extension);
+    const baseName = file.name.replace(/\.[^.]+$/, '');
+
+    const { template, scale } = normalizeSpecimen(object);
+    const componentSpecs = findComponents(template);
+    const triangleCount = countTriangles(template);
+
+    // A file imported again under the same name gets its own entry instead of reusing the old one
+    const baseId = `specimen-${toFileName(baseName)}`;
+    let copy = 1;
+    while (getFossil(copy > 1 ? `${baseId}-${copy}` : baseId)) copy++;
+
+    const descriptor = {
+        id: copy > 1 ? `${baseId}-${copy}` : baseId,
+        displayName: copy > 1 ? `${baseName} (imported ${copy})` : `${baseName} (imported)`,
+        createModel: () => createSpecimenModel(template, componentSpecs),
+        camera: { position: [0, 0, 5], target: [0, 0, 0] },
+        metadata: {
+            group: 'Imported specimen',
+            range: '',
+            sourceFile: file.name
+        }
+    };
+
+    // Notes supplied with the mesh are read as text into the info format; otherwise describe the file
+    if (infoText) {
+        descriptor.info = parseSpecimenNotes(infoText, {
+            html: isHtmlFile(infoFile),
+            title: baseName,
+            overview: `Specimen mesh imported from ${file.name}.`
+        });
+    } else {
+        descriptor.info = getDefaultInfo(baseName, file.name, componentSpecs, triangleCount);
+    }
+
+    // Record the real-world scale when the file units are known
+    if (FILE_UNITS[units]) {
+        descriptor.micronsPerUnit = FILE_UNITS[units] / scale;
+    }
+
+    return descriptor;
+}
+
+// Read a file with the three.js loader matching its extension
+async function parseMesh(file, extension) {
+    if (extension === 'ply' || extension === 'stl') {
+        const loader = extension === 'ply' ? new PLYLoader() : new STLLoader();
+        const geometry = loader.parse(await file.arrayBuffer());
+        if (!geometry.attributes.normal) {
+            geometry.computeVertexNormals();
+        }
+        return new THREE.Mesh(geometry, createDefaultMaterial(geometry, 0));
+    }
+
+    if (extension === 'obj') {
+        return new OBJLoader().parse(await file.text());
+    }
+
+    const gltf = await new GLTFLoader().parseAsync(
+        extension === 'gltf' ? await file.text() : await file.arrayBuffer(), '');
+    return gltf.scene;
+}
+
+// Centre the specimen on the origin and scale it to the size of the built-in models
+function normalizeSpecimen(object) {
+    const template = new THREE.Group();
+    template.add(object);
+    template.updateMatrixWorld(true);
+
+    const box = new THREE.Box3().setFromObject(object);
+    const size = box.getSize(new THREE.Vector3());
+    const center = box.getCenter(new THREE.Vector3());
+    const scale = TARGET_SIZE / Math.max(size.x, size.y, size.z, 1e-9);
+
+    object.position.sub(center).multiplyScalar(scale);
+    object.scale.multiplyScalar(scale);
+
+    splitMaterialGroups(object);
+    return { template, scale };
+}
+
+// Meshes with several materials become one child mesh per material so each can be a component
+function splitMaterialGroups(object) {
+    const multiMaterialMeshes = [];
+    object.traverse(child => {
+        if (child.isMesh && Array.isArray(child.material) && child.geometry.groups.length > 1) {
+            multiMaterialMeshes.push(child);
+        }
+    });
+
+    multiMaterialMeshes.forEach(mesh => {
+        const parent = new THREE.Group();
+        parent.name = mesh.name;
+        parent.position.copy(mesh.position);
+        parent.quaternion.copy(mesh.quaternion);
+        parent.scale.copy(mesh.scale);
+
+        mesh.geometry.groups.forEach((group, index) => {
+            const geometry = extractGroup(mesh.geometry, group);
+            const material = mesh.material[group.materialIndex] || mesh.material[0];
+            const part = new THREE.Mesh(geometry, material);
+            part.name = material.name || `${mesh.name || 'part'} ${index + 1}`;
+            parent.add(part);
+        });
+
+        // Keep the part in its original place so component order follows the file
+        const siblings = mesh.parent.children;
+        siblings[siblings.indexOf(mesh)] = parent;
+        parent.parent = mesh.parent;
+        mesh.parent = null;
+    });
+}
+
+// Copy the triangles of one geometry group into a new geometry
+function extractGroup(geometry, group) {
+    const source = geometry.index ? geometry.toNonIndexed() : geometry;
+    const result = new THREE.BufferGeometry();
+
+    Object.keys(source.attributes).forEach(name => {
+        const attribute = source.attributes[name];
+        const array = attribute.array.slice(group.start * attribute.itemSize, (group.start + group.count) * attribute.itemSize);
+        result.setAttribute(name, new THREE.BufferAttribute(array, attribute.itemSize, attribute.normalized));
+    });
+
+    return result;
+}
+
+// Components are the named parts of the file: top-level children below any single-child wrappers
+function findComponents(template) {
+    let root = template.children[0];
+    const path = [0];
+    while (root.children.length === 1 && !root.isMesh) {
+        root = root.children[0];
+        path.push(0);
+    }
+
+    if (!root.isMesh) {
+        groupPartsByName(root);
+    }
+
+    const parts = root.isMesh || root.children.length === 0 ? [{ object: root, path }] :
+        root.children.map((child, index) => ({ object: child, path: [...path, index] }));
+
+    const usedNames = new Set();
+    return parts.map(({ object, path: objectPath }, index) => {
+        const displayName = object.name || (parts.length === 1 ? 'Specimen' : `Part ${index + 1}`);
+        let name = toFileName(displayName).replace(/-/g, '_');
+        while (usedNames.has(name)) name += '_';
+        usedNames.add(name);
+
+        return { name, displayName, path: objectPath };
+    });
+}
+
+// Files such as OBJ repeat an object name for each material; gather those siblings into one part
+function groupPartsByName(parent) {
+    const byName = new Map();
+    parent.children.forEach(child => {
+        if (!child.name) return;
+        if (!byName.has(child.name)) byName.set(child.name, []);
+        byName.get(child.name).push(child);
+    });
+
+    byName.forEach((siblings, name) => {
+        if (siblings.length < 2) return;
+
+        const group = new THREE.Group();
+        group.name = name;
+        parent.children.splice(parent.children.indexOf(siblings[0]), 0, group);
+        group.parent = parent;
+        siblings.forEach(sibling => group.add(sibling));
+    });
+}
+
+// Build a model instance from the template, with components and labels like the built-in fossils
+function createSpecimenModel(template, componentSpecs) {
+    const group = template.clone();
+    group.name = 'importedSpecimen';
+
+    // Geometry is shared with the template, but each model (main viewer, comparison) clips
+    // and disposes its own materials
+    group.traverse(object => {
+        if (!object.material) return;
+        object.material = Array.isArray(object.material) ? object.material.map(material => material.clone()) : object.material.clone();
+    });
+    group.userData.components = [];
+
+    const labelsArray = window.labels || [];
+    group.updateMatrixWorld(true);
+    const size = new THREE.Box3().setFromObject(group).getSize(new THREE.Vector3());
+
+    componentSpecs.forEach(spec => {
+        const object = spec.path.reduce((parent, index) => parent.children[index], group);
+        const component = {
+            name: spec.name,
+            displayName: spec.displayName,
+            visible: true
+        };
+        if (object.isMesh) {
+            component.mesh = object;
+        } else {
+            component.group = object;
+        }
+        group.userData.components.push(component);
+
+        // Label sits just above the part
+        const box = new THREE.Box3().setFromObject(object);
+        const position = box.getCenter(new THREE.Vector3());
+        position.y = box.max.y + size.y * 0.05;
+        addLabel(group, labelsArray, spec.displayName, position, component);
+    });
+
+    return group;
+}
+
+function createDefaultMaterial(geometry, index) {
+    const hasColors = Boolean(geometry && geometry.attributes.color);
+    return new THREE.MeshPhongMaterial({
+        color: hasColors ? 0xffffff : DEFAULT_COLORS[index % DEFAULT_COLORS.length],
+        vertexColors: hasColors,
+        shininess: 30
+    });
+}
+
+function countTriangles(object) {
+    let count = 0;
+    object.traverse(child => {
+        if (child.isMesh) {
+            const geometry = child.geometry;
+            count += (geometry.index ? geometry.index.count : geometry.attributes.position.count) / 3;
+        }
+    });
+    return Math.round(count);
+}
+
+function getDefaultInfo(baseName, fileName, componentSpecs, triangleCount) {
+    return {
+        title: baseName,
+        overview: `Specimen mesh imported from ${fileName} (${triangleCount.toLocaleString()} triangles). ` +
+            'Attach a Markdown or HTML file when importing to replace this description.',
+        features: componentSpecs.map(spec => ({ name: spec.displayName }))
+    };
+}
+
+// Read specimen notes (Markdown or HTML) into structured info; only their text is kept
+// The first heading is the title and the text before the next heading the overview. List items
+// become features ("Name: description"), paragraphs under a heading become a feature named after
+// it, and items under a References heading become the reference list
+export function parseSpecimenNotes(text, { html = false, title = 'Specimen', overview = '' } = {}) {
+    const blocks = html ? readHtmlBlocks(text) : readMarkdownBlocks(text);
+    const info = { title, overview: '', features: [], references: [] };
+    const overviewText = [];
+    let hasTitle = false;
+    let section = null;
+    let sectionFeature = null;
+
+    blocks.forEach(block => {
+        if (block.type === 'heading') {
+            if (!hasTitle && section === null && overviewText.length === 0) {
+                info.title = block.text;
+                hasTitle = true;
+            } else {
+                section = block.text.replace(/:$/, '');
+                sectionFeature = null;
+            }
+            return;
+        }
+
+        if (section !== null && REFERENCE_HEADING.test(section)) {
+            info.references.push(block.url ? { citation: block.text, url: block.url } : { citation: block.text });
+        } else if (block.type === 'item') {
+            info.features.push(splitFeature(block.text));
+        } else if (section === null) {
+            overviewText.push(block.text);
+        } else if (sectionFeature) {
+            sectionFeature.description += ` ${block.text}`;
+        } else {
+            sectionFeature = { name: section, description: block.text };
+            info.features.push(sectionFeature);
+        }
+    });
+
+    info.overview = overviewText.join(' ') || overview || info.title;
+    if (info.features.length === 0) delete info.features;
+    if (info.references.length === 0) delete info.references;
+    return info;
+}
+
+// Headings, list items and paragraphs of Markdown notes, with inline formatting removed
+function readMarkdownBlocks(markdown) {
+    const blocks = [];
+    let paragraph = [];
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            blocks.push({ type: 'paragraph', ...readInline(paragraph.join(' ')) });
+            paragraph = [];
+        }
+    };
+
+    markdown.replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+        const heading = line.match(/^#{1,6}\s+(.*)$/);
+        const listItem = line.match(/^\s*(?:[-*+]|\d+\.)\s+(.*)$/);
+
+        if (heading || listItem) {
+            flushParagraph();
+            blocks.push({ type: heading ? 'heading' : 'item', ...readInline((heading || listItem)[1]) });
+        } else if (line.trim() === '') {
+            flushParagraph();
+        } else {
+            paragraph.push(line.trim());
+        }
+    });
+
+    flushParagraph();
+    return blocks.filter(block => block.text);
+}
+
+// Plain text of a Markdown line, and the address of its first link
+function readInline(text) {
+    const link = text.match(/\[[^\]]+\]\((https?:[^)\s]+)\)/);
+    return {
+        text: text
+            .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+            .replace(/\*\*(.+?)\*\*/g, '$1')
+            .replace(/\*(.+?)\*/g, '$1')
+            .replace(/`(.+?)`/g, '$1')
+            .trim(),
+        url: link ? link[1] : null
+    };
+}
+
+// Headings, list items and paragraphs of HTML notes; the file is parsed without running
+// scripts or loading resources, and nothing of it is inserted into the page
+function readHtmlBlocks(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const blocks = [];
+    doc.body.querySelectorAll('script, style, template, noscript').forEach(element => element.remove());
+
+    doc.body.querySelectorAll('h1, h2, h3, h4, h5, h6, p, li').forEach(element => {
+        // Paragraphs inside list items are part of the item
+        if (element.parentElement.closest('p, li')) return;
+
+        const text = element.textContent.replace(/\s+/g, ' ').trim();
+        if (!text) return;
+
+        const link = element.querySelector('a[href^="http"]');
+        let type = 'paragraph';
+        if (/^H\d$/.test(element.tagName)) {
+            type = 'heading';
+        } else if (element.tagName === 'LI') {
+            type = 'item';
+        }
+        blocks.push({ type, text, url: link ? link.getAttribute('href') : null });
+    });
+
+    return blocks;
+}
+
+// "Name: description" list items become a named feature
+function splitFeature(text) {
+    const match = text.match(/^([^:]{1,60}):\s+(.+)$/);
+    return match ? { name: match[1].trim(), description: match[2] } : { name: text };
+}
+
+function isHtmlFile(fileName) {
+    return ['html', 'htm'].includes(getExtension(fileName || ''));
+}
+
+function getExtension(fileName) {
+    return fileName.split('.').pop().toLowerCase();
+}
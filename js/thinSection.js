@@ -0,0 +1,425 @@
+import * as THREE from 'three';
+import { getSectionOrientations, getPresetPlane, getSectionPlane } from './crossSection.js';
+import { downloadCanvas, toFileName } from './downloadUtils.js';
+import { niceNumber, formatMicrons } from './units.js';
+import { t, onLocaleChange, getFossilName } from './i18n.js';
+
+// Appearance of wall materials under plane-polarized (ppl) and cross-polarized (xpl) light
+// xpl colours are the fully illuminated (non-extinct) interference colour
+const WALL_APPEARANCE = {
+    calcite: { ppl: [74, 58, 42], xpl: [238, 228, 206] },   // high-order white
+    silica: { ppl: [150, 165, 170], xpl: [22, 22, 24] },    // opal is isotropic
+    apatite: { ppl: [176, 124, 58], xpl: [150, 150, 146] }, // first-order grey
+    organic: { ppl: [98, 56, 20], xpl: [30, 20, 14] }       // opaque to isotropic
+};
+
+// Mounting medium seen between the walls
+const BACKGROUND = {
+    ppl: [239, 232, 214],
+    xpl: [8, 8, 10]
+};
+
+// Number of parallel slices sampled through the section thickness
+const SLICE_COUNT = 7;
+const IMAGE_SIZE = 1024;
+
+let currentModel = null;
+let currentDescriptor = null;
+let canvas = null;
+
+// Thin section settings, in model units and degrees
+const settings = {
+    orientation: 'axial',
+    offset: 0,
+    thickness: 0.06,
+    light: 'ppl',
+    stageRotation: 0
+};
+
+// Set up the thin-section panel
+export function initThinSection() {
+    canvas = document.getElementById('thin-section-canvas');
+    canvas.width = IMAGE_SIZE;
+    canvas.height = IMAGE_SIZE;
+
+    document.getElementById('thin-section-close').addEventListener('click', closeThinSection);
+    document.getElementById('thin-section-export').addEventListener('click', exportThinSection);
+
+    const orientationSelect = document.getElementById('thin-section-orientation');
+    orientationSelect.addEventListener('change', () => {
+        settings.orientation = orientationSelect.value;
+        renderThinSection();
+    });
+
+    bindSlider('thin-section-offset', value => { settings.offset = value; });
+    bindSlider('thin-section-thickness', value => { settings.thickness = value; });
+    bindSlider('thin-section-rotation', value => { settings.stageRotation = value; });
+
+    document.querySelectorAll('input[name="thin-section-light"]').forEach(radio => {
+        radio.addEventListener('change', () => {
+            settings.light = radio.value;
+            renderThinSection();
+        });
+    });
+
+    onLocaleChange(() => {
+        if (document.getElementById('thin-section-panel').hidden) return;
+        updateOrientationOptions();
+        renderThinSection();
+    });
+}
+
+// Open the panel for a model and render its section
+export function openThinSection(model, descriptor) {
+    currentModel = model;
+    currentDescriptor = descriptor;
+
+    updateOrientationOptions();
+
+    const radius = getModelRadius(model);
+    const offsetSlider = document.getElementById('thin-section-offset');
+    offsetSlider.min = (-radius).toFixed(2);
+    offsetSlider.max = radius.toFixed(2);
+    offsetSlider.value = Math.min(Math.max(settings.offset, -radius), radius);
+    settings.offset = parseFloat(offsetSlider.value);
+    document.getElementById('thin-section-offset-value').textContent = offsetSlider.value;
+
+    document.getElementById('thin-section-panel').hidden = false;
+    renderThinSection();
+}
+
+export function closeThinSection() {
+    document.getElementById('thin-section-panel').hidden = true;
+}
+
+// Slice the model and draw a microscope-style image of the section
+export function renderThinSection() {
+    if (!currentModel || !canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    const size = canvas.width;
+    const plane = getThinSectionPlane();
+    const radius = getModelRadius(currentModel) * 1.05;
+    const light = settings.light;
+    const composition = (currentDescriptor && currentDescriptor.metadata.composition) || 'calcite';
+    const fabric = (currentDescriptor && currentDescriptor.metadata.wallFabric) || 'radial';
+
+    // Image axes lie in the section plane
+    const basis = getPlaneBasis(plane.normal);
+    const toPixel = (point) => [
+        size / 2 + (point.dot(basis.u) / radius) * (size / 2),
+        size / 2 - (point.dot(basis.v) / radius) * (size / 2)
+    ];
+
+    // Mounting medium
+    ctx.fillStyle = rgb(BACKGROUND[light]);
+    ctx.fillRect(0, 0, size, size);
+
+    // Accumulate walls from several slices through the thickness, like a real 30μm section
+    currentModel.updateMatrixWorld(true);
+    const baseWidth = Math.max(1.5, size / 380);
+    const slicePlane = plane.clone();
+
+    for (let i = 0; i < SLICE_COUNT; i++) {
+        const depth = settings.thickness * ((i + 0.5) / SLICE_COUNT - 0.5);
+        slicePlane.constant = plane.constant - depth;
+
+        const segments = sliceModel(currentModel, slicePlane);
+
+        segments.forEach(({ start, end, point }) => {
+            const color = point
+                ? getWallColor(composition, fabric, light, point, point, basis)
+                : getWallColor(composition, fabric, light, start, end, basis);
+            ctx.globalAlpha = light === 'ppl' ? 0.35 : 0.45;
+
+            if (point) {
+                // Bars seen end-on (e.g. wireframe lattices) appear as dots
+                const [x, y] = toPixel(point);
+                ctx.fillStyle = rgb(color);
+                ctx.beginPath();
+                ctx.arc(x, y, baseWidth * 1.6, 0, Math.PI * 2);
+                ctx.fill();
+                return;
+            }
+
+            const [x1, y1] = toPixel(start);
+            const [x2, y2] = toPixel(end);
+            ctx.strokeStyle = rgb(color);
+            ctx.lineWidth = baseWidth;
+            ctx.lineCap = 'round';
+            ctx.beginPath();
+            ctx.moveTo(x1, y1);
+            ctx.lineTo(x2, y2);
+            ctx.stroke();
+        });
+    }
+    ctx.globalAlpha = 1;
+
+    addGrain(ctx, size, light);
+    drawFieldStop(ctx, size);
+    drawScaleBar(ctx, size, radius, light);
+    drawCaption(ctx, size, light);
+}
+
+// Export the current image as a PNG for handouts
+export async function exportThinSection() {
+    if (!canvas) return;
+
+    const status = document.getElementById('thin-section-status');
+    status.textContent = '';
+    const name = currentDescriptor && !isNameHidden() ? currentDescriptor.id : 'fossil';
+    try {
+        await downloadCanvas(canvas, `${toFileName(name)}-thin-section-${settings.orientation}-${settings.light}.png`);
+    } catch (error) {
+        console.error('Thin section export failed:', error);
+        status.textContent = t('export.failed');
+    }
+}
+
+// Plane for the current settings; 'current' follows the live cross-section tool
+function getThinSectionPlane() {
+    if (settings.orientation === 'current') {
+        const sectionPlane = getSectionPlane();
+        if (sectionPlane) return sectionPlane.clone();
+    }
+    return getPresetPlane(settings.orientation === 'current' ? 'axial' : settings.orientation, settings.offset);
+}
+
+// Intersect every visible mesh with a plane, returning line segments in world space
+function sliceModel(model, plane) {
+    const segments = [];
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    const c = new THREE.Vector3();
+    const instanceMatrix = new THREE.Matrix4();
+    const worldMatrix = new THREE.Matrix4();
+
+    model.traverseVisible(object => {
+        if (!object.isMesh || !object.geometry || !object.geometry.attributes.position) return;
+        if (object.userData.growthHidden) return;
+
+        const material = Array.isArray(object.material) ? object.material[0] : object.material;
+        const wireframe = material && material.wireframe;
+        const instanceCount = object.isInstancedMesh ? object.count : 1;
+
+        for (let instance = 0; instance < instanceCount; instance++) {
+            worldMatrix.copy(object.matrixWorld);
+            if (object.isInstancedMesh) {
+                object.getMatrixAt(instance, instanceMatrix);
+                worldMatrix.multiply(instanceMatrix);
+            }
+
+            forEachTriangle(object.geometry, (ia, ib, ic, position) => {
+                a.fromBufferAttribute(position, ia).applyMatrix4(worldMatrix);
+                b.fromBufferAttribute(position, ib).applyMatrix4(worldMatrix);
+                c.fromBufferAttribute(position, ic).applyMatrix4(worldMatrix);
+
+                if (wireframe) {
+                    intersectEdges(plane, [a, b, c], segments);
+                } else {
+                    intersectTriangle(plane, a, b, c, segments);
+                }
+            });
+        }
+    });
+
+    return segments;
+}
+
+// Call back with the vertex indices of each triangle in a geometry
+function forEachTriangle(geometry, callback) {
+    const position = geometry.attributes.position;
+    const index = geometry.index;
+
+    if (index) {
+        for (let i = 0; i + 2 < index.count; i += 3) {
+            callback(index.getX(i), index.getX(i + 1), index.getX(i + 2), position);
+        }
+    } else {
+        for (let i = 0; i + 2 < position.count; i += 3) {
+            callback(i, i + 1, i + 2, position);
+        }
+    }
+}
+
+// Add the segment where a triangle crosses the plane
+function intersectTriangle(plane, a, b, c, segments) {
+    const da = plane.distanceToPoint(a);
+    const db = plane.distanceToPoint(b);
+    const dc = plane.distanceToPoint(c);
+
+    const points = [];
+    addCrossing(a, b, da, db, points);
+    addCrossing(b, c, db, dc, points);
+    addCrossing(c, a, dc, da, points);
+
+    if (points.length >= 2) {
+        segments.push({ start: points[0], end: points[1] });
+    }
+}
+
+// Wireframe edges crossing the plane become single points
+function intersectEdges(plane, vertices, segments) {
+    for (let i = 0; i < 3; i++) {
+        const p = vertices[i];
+        const q = vertices[(i + 1) % 3];
+        const points = [];
+        addCrossing(p, q, plane.distanceToPoint(p), plane.distanceToPoint(q), points);
+        if (points.length === 1) {
+            segments.push({ point: points[0] });
+        }
+    }
+}
+
+function addCrossing(p, q, dp, dq, points) {
+    if ((dp > 0 && dq > 0) || (dp < 0 && dq < 0) || dp === dq) return;
+    const t = dp / (dp - dq);
+    points.push(new THREE.Vector3().lerpVectors(p, q, t));
+}
+
+// Colour of a wall segment for the chosen light, including extinction under crossed polars
+function getWallColor(composition, fabric, light, start, end, basis) {
+    const appearance = WALL_APPEARANCE[composition] || WALL_APPEARANCE.calcite;
+    if (light === 'ppl') return appearance.ppl;
+
+    // Radial (hyaline) walls have c-axes normal to the wall, producing an extinction cross
+    // that rotates with the stage; microgranular walls and bars cut end-on are speckled instead
+    let brightness;
+    if (fabric === 'microgranular' || start.equals(end)) {
+        const seed = Math.sin(start.x * 127.1 + start.y * 311.7 + start.z * 74.7) * 43758.5453;
+        brightness = 0.35 + 0.5 * (seed - Math.floor(seed));
+    } else {
+        const du = end.dot(basis.u) - start.dot(basis.u);
+        const dv = end.dot(basis.v) - start.dot(basis.v);
+        const wallNormalAngle = Math.atan2(du, -dv);
+        const stage = THREE.MathUtils.degToRad(settings.stageRotation);
+        brightness = 0.12 + 0.88 * Math.abs(Math.sin(2 * (wallNormalAngle - stage)));
+    }
+
+    return appearance.xpl.map(channel => Math.round(channel * brightness));
+}
+
+// Orthonormal image axes for a plane normal, keeping model "up" upright where possible
+function getPlaneBasis(normal) {
+    const up = Math.abs(normal.y) < 0.99 ? new THREE.Vector3(0, 1, 0) : new THREE.Vector3(0, 0, -1);
+    const u = new THREE.Vector3().crossVectors(up, normal).normalize();
+    const v = new THREE.Vector3().crossVectors(normal, u).normalize();
+    return { u, v };
+}
+
+// Fine noise so the image reads as a photograph rather than a diagram
+function addGrain(ctx, size, light) {
+    const image = ctx.getImageData(0, 0, size, size);
+    const data = image.data;
+    const amount = light === 'ppl' ? 10 : 6;
+
+    for (let i = 0; i < data.length; i += 4) {
+        const noise = (Math.random() - 0.5) * amount;
+        data[i] = Math.min(255, Math.max(0, data[i] + noise));
+        data[i + 1] = Math.min(255, Math.max(0, data[i + 1] + noise));
+        data[i + 2] = Math.min(255, Math.max(0, data[i + 2] + noise));
+    }
+
+    ctx.putImageData(image, 0, 0);
+}
+
+// Circular field of view of the microscope
+function drawFieldStop(ctx, size) {
+    ctx.save();
+    ctx.fillStyle = '#000';
+    ctx.beginPath();
+    ctx.rect(0, 0, size, size);
+    ctx.arc(size / 2, size / 2, size * 0.49, 0, Math.PI * 2, true);
+    ctx.fill('evenodd');
+
+    // Soft vignette toward the edge of the field
+    const vignette = ctx.createRadialGradient(size / 2, size / 2, size * 0.3, size / 2, size / 2, size * 0.49);
+    vignette.addColorStop(0, 'rgba(0, 0, 0, 0)');
+    vignette.addColorStop(1, 'rgba(0, 0, 0, 0.35)');
+    ctx.fillStyle = vignette;
+    ctx.beginPath();
+    ctx.arc(size / 2, size / 2, size * 0.49, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+}
+
+// Scale bar in micrometres when the fossil defines a scale, otherwise in model units
+function drawScaleBar(ctx, size, radius, light) {
+    const micronsPerUnit = currentDescriptor && currentDescriptor.micronsPerUnit;
+    const unitsPerPixel = (radius * 2) / size;
+    const realPerPixel = micronsPerUnit ? unitsPerPixel * micronsPerUnit : unitsPerPixel;
+
+    const length = niceNumber(realPerPixel * size * 0.2);
+    const pixels = length / realPerPixel;
+    const label = micronsPerUnit ? formatMicrons(length) : t('units.model', { value: length });
+
+    const x = size * 0.72 - pixels / 2;
+    const y = size * 0.86;
+    const color = light === 'ppl' ? '#111' : '#f5f5f5';
+
+    ctx.fillStyle = color;
+    ctx.fillRect(x, y, pixels, Math.max(3, size / 200));
+    ctx.font = `${Math.round(size / 40)}px Inter, sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.fillText(label, x + pixels / 2, y - size / 80);
+}
+
+function drawCaption(ctx, size, light) {
+    const named = currentDescriptor && !isNameHidden();
+    const caption = t(named ? 'thinSection.caption' : 'thinSection.captionUnnamed', {
+        name: named ? getFossilName(currentDescriptor) : '',
+        section: t(`thinSection.section.${settings.orientation}`),
+        light: light.toUpperCase()
+    });
+
+    ctx.fillStyle = '#f5f5f5';
+    ctx.font = `${Math.round(size / 45)}px Inter, sans-serif`;
+    ctx.textAlign = 'left';
+    ctx.fillText(caption, size * 0.03, size * 0.04);
+}
+
+// The fossil is not named while the quiz asks which one it is
+function isNameHidden() {
+    return document.body.classList.contains('quiz-fossil-mode');
+}
+
+function getModelRadius(model) {
+    const sphere = new THREE.Box3().setFromObject(model).getBoundingSphere(new THREE.Sphere());
+    return Math.max(sphere.radius, 0.5);
+}
+
+// List the fossil's section presets plus the live cross-section plane
+function updateOrientationOptions() {
+    const select = document.getElementById('thin-section-orientation');
+    const orientations = getSectionOrientations();
+
+    select.innerHTML = '';
+    orientations.concat(getSectionPlane() ? ['current'] : []).forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = t(name === 'current' ? 'thinSection.current' : `section.${name}`);
+        select.appendChild(option);
+    });
+
+    if (!orientations.includes(settings.orientation) && settings.orientation !== 'current') {
+        settings.orientation = orientations[0];
+    }
+    if (settings.orientation === 'current' && !getSectionPlane()) {
+        settings.orientation = orientations[0];
+    }
+    select.value = settings.orientation;
+}
+
+function bindSlider(id, apply) {
+    const slider = document.getElementById(id);
+    const output = document.getElementById(`${id}-value`);
+    slider.addEventListener('input', () => {
+        apply(parseFloat(slider.value));
+        if (output) output.textContent = slider.value;
+        renderThinSection();
+    });
+}
+
+function rgb(color) {
+    return `rgb(${color[0]}, ${color[1]}, ${color[2]})`;
+}
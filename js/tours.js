@@ -0,0 +1,234 @@
+import * as THREE from 'three';
+import { setComponentVisibility } from './controls.js';
+import { getCrossSectionState, setCrossSectionState, getSectionOrientations } from './crossSection.js';
+import { setExplodeAmount } from './explodedView.js';
+import { selectComponent } from './picking.js';
+import { interpolateView, viewFromArrays } from './cameraPath.js';
+import { requestRender } from './renderLoop.js';
+import { t, onLocaleChange } from './i18n.js';
+
+// Guided tours: JSON scripts of steps, each setting the camera, visible components,
+// cross section and exploded view, highlighting one component and showing a paragraph
+//
+// Tour files (see data/tours/) look like:
+// {
+//     "id": "fusuline",
+//     "steps": [{
+//         "id": "septa",
+//         "camera": { "position": [0, 1, 5], "target": [0, 0, 0] },
+//         "visible": ["shell", "septa"],                  // optional, default all components
+//         "section": { "orientation": "axial", "offset": 0 }, // optional, default no section
+//         "explode": 0.5,                                 // optional, default 0
+//         "highlight": "shell"                            // optional component name
+//     }]
+// }
+//
+// The text comes from the "ui" strings of the locale files: "tours.fusuline.title",
+// "tours.fusuline.septa.title" and "tours.fusuline.septa.text". A tour without translations
+// can give "title" on the tour and "title" and "text" on each step instead of the ids.
+
+// Duration of the camera move between steps, in milliseconds
+const TRANSITION_TIME = 1200;
+
+let camera, controls;
+let currentModel = null;
+let tour = null;
+let tourUrl = null;
+let stepIndex = -1;
+let loadCounter = 0;
+
+let highlighted = null;
+let transition = null;
+
+// Bind the tour card and the step panel
+export function initTours(cameraRef, controlsRef) {
+    camera = cameraRef;
+    controls = controlsRef;
+
+    document.getElementById('tour-start').addEventListener('click', () => startTour());
+    document.getElementById('tour-prev').addEventListener('click', () => showStep(stepIndex - 1));
+    document.getElementById('tour-next').addEventListener('click', () => {
+        if (stepIndex < tour.steps.length - 1) {
+            showStep(stepIndex + 1);
+        } else {
+            endTour();
+        }
+    });
+    document.getElementById('tour-close').addEventListener('click', endTour);
+
+    onLocaleChange(() => {
+        if (tour) {
+            document.getElementById('tour-title').textContent = getTourTitle();
+            document.getElementById('tour-length').textContent = t('tour.length', { count: tour.steps.length });
+        }
+        if (stepIndex >= 0) {
+            updatePanel(tour.steps[stepIndex]);
+        }
+    });
+}
+
+// Load the tour of a newly loaded model, if its descriptor has one
+export async function attachTour(model, descriptor) {
+    endTour();
+    currentModel = model;
+
+    // A model regenerated from new parameters keeps the tour already loaded for it
+    if (tour && descriptor.tour && descriptor.tour === tourUrl) return;
+
+    tour = null;
+    tourUrl = null;
+    document.getElementById('tour-controls').hidden = true;
+
+    const loadId = ++loadCounter;
+    if (!descriptor.tour) return;
+
+    try {
+        const loaded = await loadTour(descriptor.tour);
+        if (loadId !== loadCounter) return;
+
+        tour = loaded;
+        tourUrl = descriptor.tour;
+        checkTour(tour, model);
+        document.getElementById('tour-title').textContent = getTourTitle();
+        document.getElementById('tour-length').textContent = t('tour.length', { count: tour.steps.length });
+        document.getElementById('tour-controls').hidden = false;
+    } catch (error) {
+        console.error(`Failed to load tour ${descriptor.tour}:`, error);
+    }
+}
+
+// Fetch and validate a tour file
+export async function loadTour(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (!data || !Array.isArray(data.steps) || data.steps.length === 0) {
+        throw new Error('A tour needs a non-empty "steps" array');
+    }
+    data.steps.forEach((step, index) => {
+        const translated = typeof data.id === 'string' && typeof step.id === 'string';
+        if (!translated && (typeof step.title !== 'string' || typeof step.text !== 'string')) {
+            throw new Error(`Step ${index + 1} needs an "id" in a tour with an "id", or a "title" and a "text"`);
+        }
+    });
+
+    return { id: data.id, title: data.title, steps: data.steps };
+}
+
+// Start the current fossil's tour from its first step
+export function startTour() {
+    if (!tour) return;
+    document.getElementById('tour-panel').hidden = false;
+    showStep(0);
+}
+
+// Leave the tour, keeping the view of the last step
+export function endTour() {
+    if (stepIndex < 0) return;
+
+    stepIndex = -1;
+    transition = null;
+    setHighlight(null);
+    document.getElementById('tour-panel').hidden = true;
+}
+
+// Move the camera towards the current step; call once per frame. Returns true while moving
+export function updateTours(time = performance.now()) {
+    if (!transition) return false;
+
+    const t = Math.min((time - transition.start) / TRANSITION_TIME, 1);
+    interpolateView(transition.from, transition.to, THREE.MathUtils.smoothstep(t, 0, 1), camera.position, controls.target);
+    camera.lookAt(controls.target);
+
+    if (t >= 1) {
+        transition = null;
+    }
+    return transition !== null;
+}
+
+function showStep(index) {
+    if (!tour || index < 0 || index >= tour.steps.length) return;
+
+    stepIndex = index;
+    const step = tour.steps[index];
+    const components = currentModel.userData.components || [];
+
+    components.forEach(component => {
+        setComponentVisibility(component.name, !step.visible || step.visible.includes(component.name));
+    });
+
+    if (step.section) {
+        setCrossSectionState({ offset: 0, flipped: false, ...step.section, enabled: true });
+    } else {
+        setCrossSectionState({ ...getCrossSectionState(), enabled: false });
+    }
+
+    setExplodeAmount(step.explode || 0);
+    setHighlight(components.find(component => component.name === step.highlight) || null);
+
+    if (step.camera) {
+        transition = {
+            from: { position: camera.position.clone(), target: controls.target.clone() },
+            to: viewFromArrays(step.camera),
+            start: performance.now()
+        };
+        requestRender();
+    }
+
+    updatePanel(step);
+}
+
+function updatePanel(step) {
+    document.getElementById('tour-step-count').textContent = t('tour.progress', { current: stepIndex + 1, total: tour.steps.length });
+    document.getElementById('tour-step-title').textContent = translateTour([tour.id, step.id, 'title'], step.title);
+    document.getElementById('tour-step-text').textContent = translateTour([tour.id, step.id, 'text'], step.text);
+    document.getElementById('tour-prev').disabled = stepIndex === 0;
+    document.getElementById('tour-next').textContent = t(stepIndex === tour.steps.length - 1 ? 'tour.finish' : 'tour.next');
+}
+
+// Title of the current tour in the current language
+function getTourTitle() {
+    return translateTour([tour.id, 'title'], tour.title || t('tour.title'));
+}
+
+// Tour text for the key "tours.<path>", falling back to the text written in the tour file
+function translateTour(path, fallbackText) {
+    if (path.every(id => typeof id === 'string')) {
+        const key = `tours.${path.join('.')}`;
+        const text = t(key);
+        if (text !== key || typeof fallbackText !== 'string') return text;
+    }
+    return fallbackText;
+}
+
+// Outline a component and emphasise its labels
+function setHighlight(component) {
+    if (highlighted && highlighted.labels) {
+        highlighted.labels.forEach(label => label.element.classList.remove('tour-highlight'));
+    }
+
+    highlighted = component;
+    if (component && component.labels) {
+        component.labels.forEach(label => label.element.classList.add('tour-highlight'));
+    }
+    selectComponent(component, { popover: false });
+}
+
+// Warn about names in a tour that do not match the model, which usually means a typo
+function checkTour(loadedTour, model) {
+    const names = (model.userData.components || []).map(component => component.name);
+    const orientations = getSectionOrientations();
+
+    loadedTour.steps.forEach((step, index) => {
+        const unknown = [...(step.visible || []), step.highlight].filter(name => name && !names.includes(name));
+        if (unknown.length > 0) {
+            console.warn(`Tour step ${index + 1} names unknown components: ${unknown.join(', ')}`);
+        }
+        if (step.section && !orientations.includes(step.section.orientation)) {
+            console.warn(`Tour step ${index + 1} uses unknown section orientation "${step.section.orientation}"`);
+        }
+    });
+}
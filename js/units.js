@@ -0,0 +1,24 @@
+import { t } from './i18n.js';
+
+// Conversions between model units and real lengths
+// Fossil descriptors give micronsPerUnit, the length in micrometres of one model unit
+
+// Round to 1, 2 or 5 times a power of ten
+export function niceNumber(value) {
+    const exponent = Math.floor(Math.log10(value));
+    const fraction = value / Math.pow(10, exponent);
+    const nice = fraction < 1.5 ? 1 : fraction < 3.5 ? 2 : fraction < 7.5 ? 5 : 10;
+    return nice * Math.pow(10, exponent);
+}
+
+// Format a length in micrometres, switching to millimetres for large values
+export function formatMicrons(microns) {
+    if (microns >= 1000) return `${+(microns / 1000).toPrecision(3)} mm`;
+    return `${+microns.toPrecision(3)} μm`;
+}
+
+// Format a length given in model units, in real units when the scale is known
+export function formatLength(modelUnits, micronsPerUnit) {
+    if (micronsPerUnit) return formatMicrons(modelUnits * micronsPerUnit);
+    return t('units.model', { value: +modelUnits.toPrecision(3) });
+}
@@ -0,0 +1,194 @@
+// Keeps the viewer state in the URL hash so views can be shared and navigated with back/forward
+// Example: #fossil=fusuline&cam=2.1,0.4,3.9,0,0,0&hide=septa,tunnel&labels=0&section=axial,0.25,0&explode=0.6&model=whorls:7,wallType:diaphanotheca&tab=features
+
+// Changes made within this window are written as a single history entry
+const RECORD_DELAY = 250;
+
+let getState = null;
+let applyState = null;
+let applying = false;
+let recordTimer = null;
+let pendingPush = false;
+let suspendedHash = null;
+
+// getViewerState returns the current state; applyViewerState restores one (may return a promise)
+// and returns true, or false when it showed something else instead, e.g. for an unknown fossil
+export function initUrlState(getViewerState, applyViewerState) {
+    getState = getViewerState;
+    applyState = applyViewerState;
+
+    window.addEventListener('popstate', () => restoreUrlState());
+}
+
+// Apply the state in the current URL; resolves to false when the URL has none
+export async function restoreUrlState() {
+    const state = decodeViewerState(window.location.hash);
+    if (!state) return false;
+
+    clearTimeout(recordTimer);
+    recordTimer = null;
+    pendingPush = false;
+
+    let applied;
+    applying = true;
+    try {
+        applied = await applyState(state);
+    } finally {
+        applying = false;
+    }
+
+    // Correct the address so it describes what is shown
+    if (applied === false) {
+        history.replaceState(null, '', encodeViewerState(getState()));
+    }
+    return true;
+}
+
+// Write the current state to the URL
+// 'push' adds a history entry (discrete changes); 'replace' updates the current one (e.g. while dragging)
+export function recordUrlState(mode = 'push') {
+    if (applying || suspendedHash !== null || !getState) return;
+
+    pendingPush = pendingPush || mode === 'push';
+    clearTimeout(recordTimer);
+    recordTimer = setTimeout(writeUrlState, RECORD_DELAY);
+}
+
+// Stop writing the URL, e.g. while a quiz must not show which fossil is loaded
+export function suspendUrlState() {
+    if (suspendedHash !== null) return;
+
+    suspendedHash = window.location.hash;
+    clearTimeout(recordTimer);
+    recordTimer = null;
+    pendingPush = false;
+}
+
+// Write the URL again, putting back the address from before suspendUrlState()
+export function resumeUrlState() {
+    if (suspendedHash === null) return;
+
+    if (window.location.hash !== suspendedHash) {
+        history.replaceState(null, '', suspendedHash || window.location.pathname + window.location.search);
+    }
+    suspendedHash = null;
+}
+
+function writeUrlState() {
+    recordTimer = null;
+    const hash = encodeViewerState(getState());
+    const push = pendingPush;
+    pendingPush = false;
+
+    if (hash === window.location.hash) return;
+
+    if (push) {
+        history.pushState(null, '', hash);
+    } else {
+        history.replaceState(null, '', hash);
+    }
+}
+
+// Serialize a viewer state to a URL hash, omitting defaults
+export function encodeViewerState(state) {
+    const params = new URLSearchParams();
+
+    if (state.fossil) {
+        params.set('fossil', state.fossil);
+    }
+
+    if (state.camera) {
+        params.set('cam', formatNumbers([...state.camera.position, ...state.camera.target]));
+    }
+
+    if (state.hidden && state.hidden.length > 0) {
+        params.set('hide', state.hidden.join(','));
+    }
+
+    if (state.labels === false) {
+        params.set('labels', '0');
+    }
+
+    if (state.section && state.section.enabled) {
+        const { orientation, offset, flipped, normal } = state.section;
+        const values = [orientation, formatNumbers([offset]), flipped ? '1' : '0'];
+        if (orientation === 'free' && normal) {
+            values.push(formatNumbers(normal));
+        }
+        params.set('section', values.join(','));
+    }
+
+    if (state.explode > 0) {
+        params.set('explode', formatNumbers([state.explode]));
+    }
+
+    // Generator parameters that differ from the defaults
+    const parameters = Object.entries(state.parameters || {});
+    if (parameters.length > 0) {
+        params.set('model', parameters.map(([name, value]) => `${name}:${value}`).join(','));
+    }
+
+    if (state.tab) {
+        params.set('tab', state.tab);
+    }
+
+    // Keep commas and colons readable in shared links
+    return '#' + params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':');
+}
+
+// Parse a URL hash into a viewer state, or null if it has no fossil
+export function decodeViewerState(hash) {
+    const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+    const fossil = params.get('fossil');
+    if (!fossil) return null;
+
+    const state = {
+        fossil,
+        hidden: params.get('hide') ? params.get('hide').split(',').filter(Boolean) : [],
+        labels: params.get('labels') !== '0',
+        section: { enabled: false },
+        explode: Math.min(Math.max(parseFloat(params.get('explode')) || 0, 0), 1),
+        parameters: {},
+        tab: params.get('tab') || null
+    };
+
+    const cam = parseNumbers(params.get('cam'));
+    if (cam && cam.length === 6) {
+        state.camera = { position: cam.slice(0, 3), target: cam.slice(3, 6) };
+    }
+
+    // Values stay strings here; the parameter panel checks them against the fossil's parameters
+    (params.get('model') || '').split(',').forEach(entry => {
+        const [name, value] = entry.split(':');
+        if (name && value !== undefined) {
+            state.parameters[name] = value;
+        }
+    });
+
+    const section = params.get('section');
+    if (section) {
+        const [orientation, offset, flipped, ...normal] = section.split(',');
+        state.section = {
+            enabled: true,
+            orientation,
+            offset: parseFloat(offset) || 0,
+            flipped: flipped === '1'
+        };
+        const normalValues = parseNumbers(normal.join(','));
+        if (normalValues && normalValues.length === 3) {
+            state.section.normal = normalValues;
+        }
+    }
+
+    return state;
+}
+
+function formatNumbers(values) {
+    return values.map(value => String(Math.round(value * 1000) / 1000)).join(',');
+}
+
+function parseNumbers(text) {
+    if (!text) return null;
+    const values = text.split(',').map(Number);
+    return values.every(Number.isFinite) ? values : null;
+}
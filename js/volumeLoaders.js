@@ -0,0 +1,399 @@
+// Readers for micro-CT volumes: image stacks (PNG/JPEG/TIFF slices), multi-page TIFF and MetaImage (.mhd/.mha + .raw)
+// Every reader returns { width, height, depth, data, spacing } where data is a Uint8Array of normalized intensities
+
+export const VOLUME_EXTENSIONS = ['png', 'jpg', 'jpeg', 'tif', 'tiff', 'mhd', 'mha', 'raw'];
+
+// Larger volumes are averaged down while they are read so the 3D texture fits in GPU memory
+const MAX_DIMENSION = 384;
+
+// TIFF tags used by the baseline reader
+const TIFF_TAGS = {
+    imageWidth: 256,
+    imageLength: 257,
+    bitsPerSample: 258,
+    compression: 259,
+    photometric: 262,
+    stripOffsets: 273,
+    samplesPerPixel: 277,
+    stripByteCounts: 279,
+    sampleFormat: 339
+};
+
+// MetaImage element types and the typed arrays that read them
+const MET_TYPES = {
+    MET_UCHAR: Uint8Array,
+    MET_CHAR: Int8Array,
+    MET_USHORT: Uint16Array,
+    MET_SHORT: Int16Array,
+    MET_UINT: Uint32Array,
+    MET_INT: Int32Array,
+    MET_FLOAT: Float32Array,
+    MET_DOUBLE: Float64Array
+};
+
+// Load a volume from the files chosen by the user
+export async function loadVolumeFiles(files) {
+    const header = files.find(file => ['mhd', 'mha'].includes(getExtension(file.name)));
+    const tiffs = sortByName(files.filter(file => ['tif', 'tiff'].includes(getExtension(file.name))));
+
+    let volume;
+    if (header) {
+        volume = await readMetaImage(header, files);
+    } else if (tiffs.length > 0) {
+        volume = await readTiffStack(tiffs);
+    } else {
+        const images = sortByName(files.filter(file => ['png', 'jpg', 'jpeg'].includes(getExtension(file.name))));
+        if (images.length === 0) {
+            throw new Error('Choose image slices (PNG/JPEG/TIFF) or a MetaImage .mhd/.mha file');
+        }
+        volume = await readImageStack(images);
+    }
+
+    return volume;
+}
+
+// Read browser-decodable slices, using the red channel as intensity
+async function readImageStack(files) {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    let builder = null;
+
+    for (let z = 0; z < files.length; z++) {
+        const bitmap = await createImageBitmap(files[z]);
+        if (z === 0) {
+            canvas.width = bitmap.width;
+            canvas.height = bitmap.height;
+            builder = createVolumeBuilder(bitmap.width, bitmap.height, files.length);
+        } else if (bitmap.width !== canvas.width || bitmap.height !== canvas.height) {
+            bitmap.close();
+            throw new Error(`Slice ${files[z].name} has a different size from the first slice`);
+        }
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(bitmap, 0, 0);
+        bitmap.close();
+
+        builder.addSlice(z, ctx.getImageData(0, 0, canvas.width, canvas.height).data, 0, 4);
+    }
+
+    // 8-bit slices keep their grey levels
+    const { values, ...volume } = builder.finish();
+    return { ...volume, data: Uint8Array.from(values, Math.round) };
+}
+
+// Read one multi-page TIFF or a stack of single-page TIFFs
+async function readTiffStack(files) {
+    // List every page first so the size of the reduced volume is known before any page is decoded
+    const directories = [];
+    let single = null;
+    for (const file of files) {
+        const tiff = openTiff(await file.arrayBuffer());
+        directories.push(...tiff.directories);
+        if (files.length === 1) single = tiff;
+    }
+
+    const width = directories[0][TIFF_TAGS.imageWidth][0];
+    const height = directories[0][TIFF_TAGS.imageLength][0];
+    if (directories.some(tags => tags[TIFF_TAGS.imageWidth][0] !== width || tags[TIFF_TAGS.imageLength][0] !== height)) {
+        throw new Error('All TIFF pages must have the same size');
+    }
+
+    // Decode one file at a time, reducing each page as soon as it is read
+    const builder = createVolumeBuilder(width, height, directories.length);
+    let z = 0;
+    for (const file of files) {
+        const tiff = single || openTiff(await file.arrayBuffer());
+        tiff.directories.forEach(tags => builder.addSlice(z++, readTiffPage(tiff.view, tags, tiff.little).values));
+    }
+
+    const { values, ...volume } = builder.finish();
+    return { ...volume, data: normalizeIntensities(values) };
+}
+
+// Minimal baseline TIFF reader: uncompressed grayscale strips, 8/16/32-bit integer or float samples
+// Returns the tags of every page; readTiffPage decodes the pixels of one page
+export function openTiff(buffer) {
+    const view = new DataView(buffer);
+    const byteOrder = String.fromCharCode(view.getUint8(0), view.getUint8(1));
+    if (byteOrder !== 'II' && byteOrder !== 'MM') {
+        throw new Error('Not a TIFF file');
+    }
+
+    const little = byteOrder === 'II';
+    if (view.getUint16(2, little) !== 42) {
+        throw new Error('BigTIFF and non-standard TIFF files are not supported');
+    }
+
+    const directories = [];
+    let ifdOffset = view.getUint32(4, little);
+
+    while (ifdOffset !== 0) {
+        directories.push(readIfd(view, ifdOffset, little));
+
+        const entryCount = view.getUint16(ifdOffset, little);
+        ifdOffset = view.getUint32(ifdOffset + 2 + entryCount * 12, little);
+    }
+
+    return { view, little, directories };
+}
+
+function readIfd(view, offset, little) {
+    const tags = {};
+    const entryCount = view.getUint16(offset, little);
+    const typeSizes = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+    for (let i = 0; i < entryCount; i++) {
+        const entry = offset + 2 + i * 12;
+        const tag = view.getUint16(entry, little);
+        const type = view.getUint16(entry + 2, little);
+        const count = view.getUint32(entry + 4, little);
+        const size = (typeSizes[type] || 1) * count;
+        const valueOffset = size <= 4 ? entry + 8 : view.getUint32(entry + 8, little);
+
+        const values = [];
+        for (let j = 0; j < count; j++) {
+            if (type === 3) values.push(view.getUint16(valueOffset + j * 2, little));
+            else if (type === 4) values.push(view.getUint32(valueOffset + j * 4, little));
+            else values.push(view.getUint8(valueOffset + j));
+        }
+        tags[tag] = values;
+    }
+
+    return tags;
+}
+
+function readTiffPage(view, tags, little) {
+    const tag = (id, fallback) => (tags[id] ? tags[id] : fallback);
+    const width = tag(TIFF_TAGS.imageWidth)[0];
+    const height = tag(TIFF_TAGS.imageLength)[0];
+    const bits = tag(TIFF_TAGS.bitsPerSample, [1])[0];
+    const samplesPerPixel = tag(TIFF_TAGS.samplesPerPixel, [1])[0];
+    const sampleFormat = tag(TIFF_TAGS.sampleFormat, [1])[0];
+    const photometric = tag(TIFF_TAGS.photometric, [1])[0];
+
+    if (tag(TIFF_TAGS.compression, [1])[0] !== 1) {
+        throw new Error('Compressed TIFF files are not supported; export the slices uncompressed');
+    }
+    if (![8, 16, 32].includes(bits)) {
+        throw new Error(`${bits}-bit TIFF samples are not supported`);
+    }
+
+    const offsets = tag(TIFF_TAGS.stripOffsets);
+    const byteCounts = tag(TIFF_TAGS.stripByteCounts);
+    const bytesPerSample = bits / 8;
+    const pixelStride = bytesPerSample * samplesPerPixel;
+    const values = new Float32Array(width * height);
+    let pixel = 0;
+
+    // Only the first sample of each pixel is used as intensity
+    for (let s = 0; s < offsets.length && pixel < values.length; s++) {
+        const end = offsets[s] + byteCounts[s];
+        for (let p = offsets[s]; p + pixelStride <= end && pixel < values.length; p += pixelStride) {
+            values[pixel++] = readSample(view, p, bits, sampleFormat, little);
+        }
+    }
+
+    // WhiteIsZero images store inverted intensities
+    if (photometric === 0) {
+        const max = Math.pow(2, bits) - 1;
+        for (let i = 0; i < values.length; i++) values[i] = max - values[i];
+    }
+
+    return { width, height, values };
+}
+
+function readSample(view, offset, bits, sampleFormat, little) {
+    if (bits === 8) return sampleFormat === 2 ? view.getInt8(offset) : view.getUint8(offset);
+    if (bits === 16) return sampleFormat === 2 ? view.getInt16(offset, little) : view.getUint16(offset, little);
+    if (sampleFormat === 3) return view.getFloat32(offset, little);
+    return sampleFormat === 2 ? view.getInt32(offset, little) : view.getUint32(offset, little);
+}
+
+// Read a MetaImage header and its raw data file (or the data embedded in an .mha)
+async function readMetaImage(headerFile, files) {
+    const buffer = await headerFile.arrayBuffer();
+    const bytes = new Uint8Array(buffer);
+
+    // The header is text up to and including the ElementDataFile line
+    const text = new TextDecoder().decode(bytes.subarray(0, Math.min(bytes.length, 65536)));
+    const header = parseMetaHeader(text);
+
+    const dims = header.DimSize.split(/\s+/).map(Number);
+    const [width, height, depth = 1] = dims;
+    const ArrayType = MET_TYPES[header.ElementType];
+    if (!ArrayType) {
+        throw new Error(`Unsupported MetaImage element type ${header.ElementType}`);
+    }
+
+    const spacingText = header.ElementSpacing || header.ElementSize;
+    const spacing = spacingText ? spacingText.split(/\s+/).map(Number) : [1, 1, 1];
+    const bigEndian = /true/i.test(header.BinaryDataByteOrderMSB || header.ElementByteOrderMSB || '');
+    const channels = Number(header.ElementNumberOfChannels || 1);
+    const count = width * height * depth * channels;
+
+    let dataBuffer;
+    let dataOffset = 0;
+    if (header.ElementDataFile === 'LOCAL') {
+        dataBuffer = buffer;
+        dataOffset = header.dataOffset;
+    } else {
+        const dataName = header.ElementDataFile.split(/[\\/]/).pop();
+        const dataFile = files.find(file => file.name === dataName) ||
+            files.find(file => getExtension(file.name) === 'raw');
+        if (!dataFile) {
+            throw new Error(`Also select the data file ${dataName}`);
+        }
+        dataBuffer = await dataFile.arrayBuffer();
+    }
+
+    if (/true/i.test(header.CompressedData || '')) {
+        throw new Error('Compressed MetaImage data is not supported');
+    }
+
+    if (dataBuffer.byteLength - dataOffset < count * ArrayType.BYTES_PER_ELEMENT) {
+        throw new Error('The MetaImage data is shorter than its header says');
+    }
+
+    // Read one slice at a time, keeping the first channel of multi-channel data
+    const sliceCount = width * height * channels;
+    const builder = createVolumeBuilder(width, height, depth, spacing);
+    for (let z = 0; z < depth; z++) {
+        const offset = dataOffset + z * sliceCount * ArrayType.BYTES_PER_ELEMENT;
+        builder.addSlice(z, readTypedValues(dataBuffer, offset, ArrayType, sliceCount, bigEndian), 0, channels);
+    }
+
+    const { values, ...volume } = builder.finish();
+    return { ...volume, data: normalizeIntensities(values) };
+}
+
+// Parse "Key = Value" lines, remembering where the binary data starts
+export function parseMetaHeader(text) {
+    const header = {};
+    let position = 0;
+
+    for (const line of text.split('\n')) {
+        position += line.length + 1;
+        const match = line.match(/^\s*(\w+)\s*=\s*(.*?)\s*$/);
+        if (!match) continue;
+
+        header[match[1]] = match[2];
+        if (match[1] === 'ElementDataFile') {
+            header.dataOffset = position;
+            break;
+        }
+    }
+
+    if (!header.DimSize || !header.ElementType || !header.ElementDataFile) {
+        throw new Error('MetaImage header is missing DimSize, ElementType or ElementDataFile');
+    }
+
+    return header;
+}
+
+function readTypedValues(buffer, offset, ArrayType, count, bigEndian) {
+    const bytesPerValue = ArrayType.BYTES_PER_ELEMENT;
+    const length = Math.min(count, Math.floor((buffer.byteLength - offset) / bytesPerValue));
+
+    if (!bigEndian || bytesPerValue === 1) {
+        return new ArrayType(buffer.slice(offset, offset + length * bytesPerValue));
+    }
+
+    // Swap bytes for big-endian data
+    const swapped = new Uint8Array(length * bytesPerValue);
+    const source = new Uint8Array(buffer, offset, length * bytesPerValue);
+    for (let i = 0; i < length; i++) {
+        for (let b = 0; b < bytesPerValue; b++) {
+            swapped[i * bytesPerValue + b] = source[i * bytesPerValue + bytesPerValue - 1 - b];
+        }
+    }
+    return new ArrayType(swapped.buffer);
+}
+
+// Map intensities to 0–255, clipping the extreme 0.1% at each end so outliers don't flatten the contrast
+export function normalizeIntensities(values) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < values.length; i++) {
+        const value = values[i];
+        if (value < min) min = value;
+        if (value > max) max = value;
+    }
+
+    const bins = 4096;
+    const histogram = new Uint32Array(bins);
+    const binScale = max > min ? (bins - 1) / (max - min) : 0;
+    for (let i = 0; i < values.length; i++) {
+        histogram[Math.floor((values[i] - min) * binScale)]++;
+    }
+
+    const tail = values.length * 0.001;
+    let low = 0;
+    let high = bins - 1;
+    for (let sum = 0; low < bins - 1 && sum + histogram[low] <= tail; low++) sum += histogram[low];
+    for (let sum = 0; high > low && sum + histogram[high] <= tail; high--) sum += histogram[high];
+
+    const lowValue = binScale ? min + low / binScale : min;
+    const highValue = binScale ? min + (high + 1) / binScale : max;
+    const range = highValue - lowValue || 1;
+
+    const data = new Uint8Array(values.length);
+    for (let i = 0; i < values.length; i++) {
+        data[i] = Math.max(0, Math.min(255, Math.round(((values[i] - lowValue) / range) * 255)));
+    }
+    return data;
+}
+
+// Average slices into blocks of factor × factor × factor voxels as they are read, so that no
+// dimension exceeds MAX_DIMENSION and the full-resolution volume is never held in memory
+function createVolumeBuilder(width, height, depth, spacing = [1, 1, 1]) {
+    const factor = Math.max(1, Math.ceil(Math.max(width, height, depth) / MAX_DIMENSION));
+    const outWidth = Math.floor(width / factor) || 1;
+    const outHeight = Math.floor(height / factor) || 1;
+    const outDepth = Math.floor(depth / factor) || 1;
+    const sums = new Float32Array(outWidth * outHeight * outDepth);
+
+    // Voxels past the last whole block are dropped, unless the dimension is shorter than a block
+    const usedWidth = Math.min(width, outWidth * factor);
+    const usedHeight = Math.min(height, outHeight * factor);
+    const usedDepth = Math.min(depth, outDepth * factor);
+    const columns = new Uint32Array(usedWidth);
+    for (let x = 0; x < usedWidth; x++) columns[x] = Math.floor(x / factor);
+
+    return {
+        // Add slice z; the value of pixel i is values[offset + i * stride]
+        addSlice(z, values, offset = 0, stride = 1) {
+            if (z >= usedDepth) return;
+
+            const layer = Math.floor(z / factor) * outHeight;
+            for (let y = 0; y < usedHeight; y++) {
+                const row = (layer + Math.floor(y / factor)) * outWidth;
+                let index = offset + y * width * stride;
+                for (let x = 0; x < usedWidth; x++, index += stride) {
+                    sums[row + columns[x]] += values[index];
+                }
+            }
+        },
+        // The reduced volume, with values in the units of the slices
+        finish() {
+            const count = Math.min(factor, width) * Math.min(factor, height) * Math.min(factor, depth);
+            for (let i = 0; i < sums.length; i++) sums[i] /= count;
+
+            return {
+                width: outWidth,
+                height: outHeight,
+                depth: outDepth,
+                values: sums,
+                spacing: spacing.map(value => value * factor)
+            };
+        }
+    };
+}
+
+// Order slices naturally so slice_2 comes before slice_10
+function sortByName(files) {
+    return files.slice().sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+}
+
+function getExtension(fileName) {
+    return fileName.split('.').pop().toLowerCase();
+}
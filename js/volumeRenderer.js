@@ -0,0 +1,421 @@
+import * as THREE from 'three';
+import { getSectionPlane } from './crossSection.js';
+import { loadVolumeFiles } from './volumeLoaders.js';
+import { requestRender } from './renderLoop.js';
+import { t } from './i18n.js';
+
+// Largest side of the volume box in scene units, matching the size of the procedural models
+const VOLUME_SIZE = 3;
+
+// Gap between the model and the volume when shown side by side
+const SIDE_BY_SIDE_GAP = 0.5;
+
+// Colour maps sampled by intensity, as [position, [r, g, b]] stops
+const COLORMAPS = {
+    grayscale: [[0, [0, 0, 0]], [1, [255, 255, 255]]],
+    bone: [[0, [0, 0, 0]], [0.375, [84, 84, 116]], [0.75, [169, 200, 200]], [1, [255, 255, 255]]],
+    hot: [[0, [10, 0, 0]], [0.4, [230, 0, 0]], [0.8, [255, 210, 0]], [1, [255, 255, 255]]],
+    amber: [[0, [40, 20, 0]], [0.5, [200, 120, 40]], [1, [255, 240, 200]]]
+};
+
+// Default opacity ramp: air transparent, shell walls opaque
+const DEFAULT_TRANSFER_POINTS = [
+    { x: 0, y: 0 },
+    { x: 0.25, y: 0 },
+    { x: 0.6, y: 0.35 },
+    { x: 1, y: 0.9 }
+];
+
+const vertexShader = /* glsl */`
+    out vec3 vOrigin;
+    out vec3 vDirection;
+
+    void main() {
+        // Ray origin and direction in the box's local space
+        vOrigin = vec3(inverse(modelMatrix) * vec4(cameraPosition, 1.0)).xyz;
+        vDirection = position - vOrigin;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+const fragmentShader = /* glsl */`
+    precision highp float;
+    precision highp sampler3D;
+
+    uniform sampler3D uVolume;
+    uniform sampler2D uTransfer;
+    uniform float uSteps;
+    uniform float uBrightness;
+    uniform bool uClipEnabled;
+    uniform vec4 uClipPlane;
+
+    in vec3 vOrigin;
+    in vec3 vDirection;
+    out vec4 outColor;
+
+    vec2 hitBox(vec3 origin, vec3 direction) {
+        vec3 inverseDirection = 1.0 / direction;
+        vec3 tMin = (vec3(-0.5) - origin) * inverseDirection;
+        vec3 tMax = (vec3(0.5) - origin) * inverseDirection;
+        vec3 t1 = min(tMin, tMax);
+        vec3 t2 = max(tMin, tMax);
+        return vec2(max(max(t1.x, t1.y), t1.z), min(min(t2.x, t2.y), t2.z));
+    }
+
+    void main() {
+        vec3 direction = normalize(vDirection);
+        vec2 bounds = hitBox(vOrigin, direction);
+        if (bounds.x > bounds.y) discard;
+        bounds.x = max(bounds.x, 0.0);
+
+        float stepSize = 1.7320508 / uSteps;
+
+        // Jitter the start to hide banding between samples
+        float jitter = fract(sin(dot(gl_FragCoord.xy, vec2(12.9898, 78.233))) * 43758.5453);
+        vec3 point = vOrigin + (bounds.x + jitter * stepSize) * direction;
+        vec4 color = vec4(0.0);
+
+        for (float t = bounds.x; t < bounds.y; t += stepSize) {
+            // Same convention as material clipping planes: keep the side the normal points to
+            if (!uClipEnabled || dot(uClipPlane.xyz, point) + uClipPlane.w >= 0.0) {
+                // Image rows run top to bottom, so flip y when sampling
+                float intensity = texture(uVolume, vec3(point.x + 0.5, 0.5 - point.y, point.z + 0.5)).r;
+                vec4 sampleColor = texture(uTransfer, vec2(intensity, 0.5));
+
+                // Opacity is defined per unit of the reference step count
+                float alpha = 1.0 - pow(1.0 - sampleColor.a, 256.0 / uSteps);
+                color.rgb += (1.0 - color.a) * alpha * sampleColor.rgb * uBrightness;
+                color.a += (1.0 - color.a) * alpha;
+
+                if (color.a >= 0.97) break;
+            }
+            point += direction * stepSize;
+        }
+
+        if (color.a < 0.01) discard;
+        outColor = color;
+    }
+`;
+
+let scene;
+let volumeMesh = null;
+let layout = 'overlay';
+let colormap = 'bone';
+let transferPoints = DEFAULT_TRANSFER_POINTS.map(point => ({ ...point }));
+let transferTexture = null;
+let transferCanvas = null;
+let draggedPoint = null;
+let getModel = () => null;
+
+// Set up the volume card; getCurrentModel returns the procedural model the volume is compared with
+export function initVolumeRenderer(sceneRef, getCurrentModel) {
+    scene = sceneRef;
+    getModel = getCurrentModel;
+
+    transferTexture = new THREE.DataTexture(new Uint8Array(256 * 4), 256, 1, THREE.RGBAFormat);
+    transferTexture.minFilter = THREE.LinearFilter;
+    transferTexture.magFilter = THREE.LinearFilter;
+
+    setupVolumeControls();
+    updateTransferTexture();
+}
+
+// Load files chosen by the user and show them as a volume
+export async function loadVolume(files) {
+    const status = document.getElementById('volume-status');
+    status.textContent = t('volume.reading');
+
+    try {
+        const volume = await loadVolumeFiles(files);
+        showVolume(volume);
+        status.textContent = t('volume.size', { width: volume.width, height: volume.height, depth: volume.depth });
+    } catch (error) {
+        console.error('Failed to load volume:', error);
+        status.textContent = error.message;
+    }
+}
+
+// Create the ray-marched box for a loaded volume
+export function showVolume(volume) {
+    removeVolume();
+
+    const texture = new THREE.Data3DTexture(volume.data, volume.width, volume.height, volume.depth);
+    texture.format = THREE.RedFormat;
+    texture.type = THREE.UnsignedByteType;
+    texture.minFilter = THREE.LinearFilter;
+    texture.magFilter = THREE.LinearFilter;
+    texture.unpackAlignment = 1;
+    texture.needsUpdate = true;
+
+    const material = new THREE.ShaderMaterial({
+        glslVersion: THREE.GLSL3,
+        uniforms: {
+            uVolume: { value: texture },
+            uTransfer: { value: transferTexture },
+            uSteps: { value: parseFloat(document.getElementById('volume-quality').value) },
+            uBrightness: { value: 1.2 },
+            uClipEnabled: { value: false },
+            uClipPlane: { value: new THREE.Vector4() }
+        },
+        vertexShader,
+        fragmentShader,
+        side: THREE.BackSide,
+        transparent: true,
+        depthWrite: false
+    });
+
+    volumeMesh = new THREE.Mesh(new THREE.BoxGeometry(1, 1, 1), material);
+    volumeMesh.name = 'microCtVolume';
+
+    // Physical extent of the scan, scaled so the longest side matches the models
+    const extent = [
+        volume.width * volume.spacing[0],
+        volume.height * volume.spacing[1],
+        volume.depth * volume.spacing[2]
+    ];
+    const scale = VOLUME_SIZE / Math.max(...extent);
+    volumeMesh.scale.set(extent[0] * scale, extent[1] * scale, extent[2] * scale);
+
+    // Draw after the opaque model so it blends over it
+    volumeMesh.renderOrder = 10;
+    scene.add(volumeMesh);
+
+    applyLayout();
+    document.getElementById('volume-options').hidden = false;
+
+    // A newly loaded volume is always shown, so the checkbox starts ticked again
+    document.getElementById('volume-visible').checked = true;
+}
+
+// Remove the volume and free its texture
+export function removeVolume() {
+    if (!volumeMesh) return;
+
+    scene.remove(volumeMesh);
+    volumeMesh.geometry.dispose();
+    volumeMesh.material.uniforms.uVolume.value.dispose();
+    volumeMesh.material.dispose();
+    volumeMesh = null;
+
+    document.getElementById('volume-options').hidden = true;
+    requestRender();
+}
+
+// The visible volume mesh, used to frame the view
+export function getVolumeObject() {
+    return volumeMesh && volumeMesh.visible ? volumeMesh : null;
+}
+
+// Layout: 'overlay' puts the volume on the model, 'side' places it to the right of the model
+export function setVolumeLayout(value) {
+    layout = value;
+    applyLayout();
+}
+
+// Follow the cross-section plane each frame
+export function updateVolume() {
+    if (!volumeMesh) return;
+
+    const uniforms = volumeMesh.material.uniforms;
+    const plane = getSectionPlane();
+    uniforms.uClipEnabled.value = Boolean(plane);
+
+    if (plane) {
+        // The section plane is defined around the model origin; apply it around the volume's centre
+        volumeMesh.updateMatrixWorld();
+        const localPlane = plane.clone()
+            .translate(volumeMesh.position)
+            .applyMatrix4(new THREE.Matrix4().copy(volumeMesh.matrixWorld).invert());
+        uniforms.uClipPlane.value.set(localPlane.normal.x, localPlane.normal.y, localPlane.normal.z, localPlane.constant);
+    }
+}
+
+// Re-apply the layout after the procedural model changes
+export function refreshVolumeLayout() {
+    applyLayout();
+}
+
+function applyLayout() {
+    if (!volumeMesh) return;
+
+    // The model stays at the origin so cross-section presets keep passing through it
+    const model = getModel();
+    if (layout === 'side' && model) {
+        const modelBox = new THREE.Box3().setFromObject(model);
+        volumeMesh.position.set(modelBox.max.x + SIDE_BY_SIDE_GAP + volumeMesh.scale.x / 2, 0, 0);
+    } else {
+        volumeMesh.position.set(0, 0, 0);
+    }
+
+    // Overlaid, the volume is drawn over the model instead of being hidden inside it
+    volumeMesh.material.depthTest = layout !== 'overlay';
+    requestRender();
+}
+
+// Build the 256-entry colour and opacity lookup from the colour map and transfer points
+function updateTransferTexture() {
+    const data = transferTexture.image.data;
+    const stops = COLORMAPS[colormap];
+    const points = transferPoints.slice().sort((a, b) => a.x - b.x);
+
+    for (let i = 0; i < 256; i++) {
+        const x = i / 255;
+        const color = sampleStops(stops, x);
+        data[i * 4] = color[0];
+        data[i * 4 + 1] = color[1];
+        data[i * 4 + 2] = color[2];
+        data[i * 4 + 3] = Math.round(sampleOpacity(points, x) * 255);
+    }
+
+    transferTexture.needsUpdate = true;
+    drawTransferEditor();
+    requestRender();
+}
+
+function sampleStops(stops, x) {
+    for (let i = 1; i < stops.length; i++) {
+        if (x <= stops[i][0]) {
+            const t = (x - stops[i - 1][0]) / (stops[i][0] - stops[i - 1][0]);
+            return stops[i][1].map((value, channel) => Math.round(stops[i - 1][1][channel] + (value - stops[i - 1][1][channel]) * t));
+        }
+    }
+    return stops[stops.length - 1][1];
+}
+
+function sampleOpacity(points, x) {
+    if (x <= points[0].x) return points[0].y;
+    for (let i = 1; i < points.length; i++) {
+        if (x <= points[i].x) {
+            const span = points[i].x - points[i - 1].x || 1;
+            return points[i - 1].y + (points[i].y - points[i - 1].y) * ((x - points[i - 1].x) / span);
+        }
+    }
+    return points[points.length - 1].y;
+}
+
+// Draw the colour bar, the opacity curve and its draggable points
+function drawTransferEditor() {
+    if (!transferCanvas) return;
+
+    const ctx = transferCanvas.getContext('2d');
+    const { width, height } = transferCanvas;
+    const data = transferTexture.image.data;
+
+    ctx.clearRect(0, 0, width, height);
+    for (let x = 0; x < width; x++) {
+        const i = Math.floor((x / width) * 255);
+        ctx.fillStyle = `rgb(${data[i * 4]}, ${data[i * 4 + 1]}, ${data[i * 4 + 2]})`;
+        ctx.fillRect(x, height - 8, 1, 8);
+    }
+
+    const points = transferPoints.slice().sort((a, b) => a.x - b.x);
+    ctx.strokeStyle = '#3a86ff';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    points.forEach((point, index) => {
+        const [x, y] = toCanvas(point);
+        if (index === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+
+    ctx.fillStyle = '#242730';
+    points.forEach(point => {
+        const [x, y] = toCanvas(point);
+        ctx.beginPath();
+        ctx.arc(x, y, 4, 0, Math.PI * 2);
+        ctx.fill();
+    });
+}
+
+function toCanvas(point) {
+    const height = transferCanvas.height - 12;
+    return [point.x * transferCanvas.width, 2 + (1 - point.y) * height];
+}
+
+function fromEvent(event) {
+    const rect = transferCanvas.getBoundingClientRect();
+    const height = rect.height * ((transferCanvas.height - 12) / transferCanvas.height);
+    return {
+        x: Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width)),
+        y: Math.min(1, Math.max(0, 1 - (event.clientY - rect.top - 2) / height))
+    };
+}
+
+function findPoint(position) {
+    const rect = transferCanvas.getBoundingClientRect();
+    return transferPoints.find(point =>
+        Math.abs(point.x - position.x) * rect.width < 8 && Math.abs(point.y - position.y) * rect.height < 8);
+}
+
+// Drag points to shape the opacity curve; click empty space to add, double-click a point to remove
+function setupTransferEditor() {
+    transferCanvas = document.getElementById('volume-transfer');
+
+    transferCanvas.addEventListener('pointerdown', event => {
+        const position = fromEvent(event);
+        draggedPoint = findPoint(position);
+        if (!draggedPoint) {
+            draggedPoint = position;
+            transferPoints.push(draggedPoint);
+            updateTransferTexture();
+        }
+        transferCanvas.setPointerCapture(event.pointerId);
+    });
+
+    transferCanvas.addEventListener('pointermove', event => {
+        if (!draggedPoint) return;
+        const position = fromEvent(event);
+        draggedPoint.x = position.x;
+        draggedPoint.y = position.y;
+        updateTransferTexture();
+    });
+
+    transferCanvas.addEventListener('pointerup', () => { draggedPoint = null; });
+
+    transferCanvas.addEventListener('dblclick', event => {
+        const point = findPoint(fromEvent(event));
+        if (point && transferPoints.length > 2) {
+            transferPoints.splice(transferPoints.indexOf(point), 1);
+            updateTransferTexture();
+        }
+    });
+}
+
+function setupVolumeControls() {
+    const input = document.getElementById('volume-file');
+    document.getElementById('load-volume').addEventListener('click', () => input.click());
+    input.addEventListener('change', () => {
+        loadVolume(Array.from(input.files));
+        input.value = '';
+    });
+
+    document.getElementById('volume-visible').addEventListener('change', event => {
+        if (volumeMesh) volumeMesh.visible = event.target.checked;
+        requestRender();
+    });
+
+    document.getElementById('volume-layout').addEventListener('change', event => setVolumeLayout(event.target.value));
+
+    document.getElementById('volume-colormap').addEventListener('change', event => {
+        colormap = event.target.value;
+        updateTransferTexture();
+    });
+
+    document.getElementById('volume-quality').addEventListener('input', event => {
+        if (volumeMesh) volumeMesh.material.uniforms.uSteps.value = parseFloat(event.target.value);
+        requestRender();
+    });
+
+    document.getElementById('volume-reset-transfer').addEventListener('click', () => {
+        transferPoints = DEFAULT_TRANSFER_POINTS.map(point => ({ ...point }));
+        updateTransferTexture();
+    });
+
+    document.getElementById('remove-volume').addEventListener('click', () => {
+        removeVolume();
+        document.getElementById('volume-status').textContent = '';
+    });
+
+    setupTransferEditor();
+}